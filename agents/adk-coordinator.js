@@ -1,23 +1,12 @@
 /**
  * ADK-Based Coordinator Agent
- * Uses Google's Agent Development Kit (Genkit) for proper multi-agent orchestration
+ * Uses Google's Agent Development Kit (Genkit) flows for multi-agent orchestration.
+ * Model calls go through the shared LLM provider (see providers/).
  */
 
-import { configureGenkit } from '@genkit-ai/core';
-import { googleAI } from '@genkit-ai/googleai';
 import { defineFlow, runFlow } from '@genkit-ai/flow';
 import { z } from 'zod';
-
-// Configure Genkit with Google AI
-configureGenkit({
-    plugins: [
-        googleAI({
-            apiKey: process.env.GEMINI_API_KEY,
-        }),
-    ],
-    logLevel: 'debug',
-    enableTracingAndMetrics: true,
-});
+import { getProvider } from '../providers/index.js';
 
 /**
  * Agent routing schema
@@ -92,12 +81,9 @@ export const coordinatorFlow = defineFlow(
 );
 
 /**
- * Analyze query and determine routing using Gemini
+ * Analyze query and determine routing using the LLM provider
  */
 async function analyzeQuery(query, language, context) {
-    const { generate } = await import('@genkit-ai/ai');
-    const { gemini15Flash } = await import('@genkit-ai/googleai');
-
     const prompt = `Analyze this student query and determine which specialist agent should handle it.
 
 Student Query: "${query}"
@@ -120,20 +106,13 @@ Respond in JSON format:
   "reasoning": "brief explanation"
 }`;
 
-    const result = await generate({
-        model: gemini15Flash,
-        prompt,
-        config: {
-            temperature: 0.3, // Lower for more consistent routing
-        },
-    });
-
     try {
-        const jsonMatch = result.text().match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            return AgentRoutingSchema.parse(parsed);
-        }
+        const parsed = await getProvider().generateJSON(prompt, {
+            temperature: 0.3, // Lower for more consistent routing
+            task: 'routing',
+            data: { query, language },
+        });
+        return AgentRoutingSchema.parse(parsed);
     } catch (error) {
         console.error('Error parsing routing response:', error);
     }
@@ -152,9 +131,6 @@ Respond in JSON format:
  * Invoke Literacy Agent
  */
 async function invokeLiteracyAgent(query, options) {
-    const { generate } = await import('@genkit-ai/ai');
-    const { gemini15Flash } = await import('@genkit-ai/googleai');
-
     const systemPrompt = `You are a Literacy Tutor Agent for government school students in India.
 
 Your teaching approach:
@@ -170,25 +146,19 @@ Adapt to the student's level: ${options.level}
 Respond in: ${options.language}
 Be patient, encouraging, and culturally sensitive.`;
 
-    const result = await generate({
-        model: gemini15Flash,
-        prompt: `${systemPrompt}\n\nStudent: ${query}`,
-        config: {
-            temperature: 0.8,
-            maxOutputTokens: 2048,
-        },
+    return getProvider().generate(`Student: ${query}`, {
+        systemInstruction: systemPrompt,
+        temperature: 0.8,
+        maxOutputTokens: 2048,
+        task: 'chat',
+        data: { query, language: options.language, subject: 'literacy' },
     });
-
-    return result.text();
 }
 
 /**
  * Invoke Numeracy Agent
  */
 async function invokeNumeracyAgent(query, options) {
-    const { generate } = await import('@genkit-ai/ai');
-    const { gemini15Flash } = await import('@genkit-ai/googleai');
-
     const systemPrompt = `You are a Numeracy Tutor Agent for government school students in India.
 
 Your teaching approach:
@@ -203,25 +173,19 @@ Adapt to the student's level: ${options.level}
 Respond in: ${options.language}
 Be patient and celebrate problem-solving efforts.`;
 
-    const result = await generate({
-        model: gemini15Flash,
-        prompt: `${systemPrompt}\n\nStudent: ${query}`,
-        config: {
-            temperature: 0.7,
-            maxOutputTokens: 2048,
-        },
+    return getProvider().generate(`Student: ${query}`, {
+        systemInstruction: systemPrompt,
+        temperature: 0.7,
+        maxOutputTokens: 2048,
+        task: 'chat',
+        data: { query, language: options.language, subject: 'numeracy' },
     });
-
-    return result.text();
 }
 
 /**
  * Invoke Assessment Agent
  */
 async function invokeAssessmentAgent(query, options) {
-    const { generate } = await import('@genkit-ai/ai');
-    const { gemini15Flash } = await import('@genkit-ai/googleai');
-
     const systemPrompt = `You are an Assessment Agent for government school students in India.
 
 Your responsibilities:
@@ -234,41 +198,32 @@ Your responsibilities:
 Student Level: ${options.level}
 Language: ${options.language}`;
 
-    const result = await generate({
-        model: gemini15Flash,
-        prompt: `${systemPrompt}\n\nRequest: ${query}`,
-        config: {
-            temperature: 0.6,
-            maxOutputTokens: 2048,
-        },
+    return getProvider().generate(`Request: ${query}`, {
+        systemInstruction: systemPrompt,
+        temperature: 0.6,
+        maxOutputTokens: 2048,
+        task: 'chat',
+        data: { query, language: options.language },
     });
-
-    return result.text();
 }
 
 /**
  * Invoke General Agent
  */
 async function invokeGeneralAgent(query, options) {
-    const { generate } = await import('@genkit-ai/ai');
-    const { gemini15Flash } = await import('@genkit-ai/googleai');
-
     const systemPrompt = `You are a helpful AI tutor for government school students in India.
 
 Provide friendly, encouraging responses that help students learn.
 Language: ${options.language}
 Student Level: ${options.level}`;
 
-    const result = await generate({
-        model: gemini15Flash,
-        prompt: `${systemPrompt}\n\nStudent: ${query}`,
-        config: {
-            temperature: 0.7,
-            maxOutputTokens: 2048,
-        },
+    return getProvider().generate(`Student: ${query}`, {
+        systemInstruction: systemPrompt,
+        temperature: 0.7,
+        maxOutputTokens: 2048,
+        task: 'chat',
+        data: { query, language: options.language },
     });
-
-    return result.text();
 }
 
 /**
@@ -1,11 +1,20 @@
-import { VertexAI } from '@google-cloud/vertexai';
 import { agentConfig } from '../config/agent-config.js';
-
-// Initialize Vertex AI
-const vertexAI = new VertexAI({
-    project: process.env.GOOGLE_CLOUD_PROJECT,
-    location: process.env.GOOGLE_CLOUD_REGION || 'asia-south1',
-});
+import { getProvider } from '../providers/index.js';
+import { getModels } from '../db/models.js';
+import { reviewItemKey } from '../features/spaced-repetition.js';
+import {
+    DIFFICULTY_PRIORS,
+    calibrate,
+    estimateAbility,
+    selectNextItem,
+    shouldStopTest,
+} from '../utils/item-response.js';
+import { gradeAnswer } from '../utils/answer-grading.js';
+import { detectMisconceptions } from '../utils/misconceptions.js';
+import { describeAksharaMistakes } from '../utils/aksharas.js';
+
+// Adaptive test defaults: stop once the ability's standard error is this small, within these item counts
+export const ADAPTIVE_TEST_DEFAULTS = { targetSe: 0.5, minItems: 5, maxItems: 20 };
 
 /**
  * Assessment Agent - Creates and evaluates personalized assessments
@@ -13,16 +22,12 @@ const vertexAI = new VertexAI({
  */
 class AssessmentAgent {
     constructor() {
-        this.model = vertexAI.getGenerativeModel({
-            model: agentConfig.model.name,
-            generationConfig: {
-                temperature: 0.6, // Lower temperature for consistent assessment
-                topP: agentConfig.model.topP,
-                topK: agentConfig.model.topK,
-                maxOutputTokens: agentConfig.model.maxOutputTokens,
-            },
+        this.llm = getProvider();
+        this.models = getModels();
+        this.generationOptions = {
+            temperature: 0.6, // Lower temperature for consistent assessment
             systemInstruction: agentConfig.assessmentAgent.systemInstruction,
-        });
+        };
     }
 
     /**
@@ -82,12 +87,12 @@ Format as JSON array:
   ...
 ]`;
 
-            const result = await this.model.generateContent(prompt);
-            const response = result.response.text();
-
-            // Extract JSON from response
-            const jsonMatch = response.match(/\[[\s\S]*\]/);
-            const questions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+            const generated = await this.llm.generateJSON(prompt, {
+                ...this.generationOptions,
+                task: 'assessment',
+                data: { subject, topics, difficulty, questionCount, questionTypes },
+            });
+            const questions = Array.isArray(generated) ? generated : [];
 
             return {
                 success: true,
@@ -121,37 +126,36 @@ Format as JSON array:
         } = params;
 
         try {
+            // Objective answers are graded locally; open answers that need the LLM are evaluated in parallel
+            const evaluations = await Promise.all(questions.map((question, i) => this.evaluateSingleResponse({
+                question,
+                studentAnswer: studentResponses[i],
+                language,
+            })));
+
             let totalPoints = 0;
             let earnedPoints = 0;
-            const results = [];
-
-            for (let i = 0; i < questions.length; i++) {
-                const question = questions[i];
-                const studentAnswer = studentResponses[i];
-
+            const results = questions.map((question, i) => {
+                const evaluation = evaluations[i];
                 totalPoints += question.points || 1;
-
-                // Evaluate the response
-                const evaluation = await this.evaluateSingleResponse({
-                    question,
-                    studentAnswer,
-                    language,
-                });
-
                 if (evaluation.isCorrect) {
                     earnedPoints += question.points || 1;
                 }
 
-                results.push({
+                return {
                     questionId: question.id,
                     question: question.question,
-                    studentAnswer,
+                    studentAnswer: studentResponses[i],
                     correctAnswer: question.correctAnswer,
                     isCorrect: evaluation.isCorrect,
                     feedback: evaluation.feedback,
                     points: evaluation.isCorrect ? (question.points || 1) : 0,
-                });
-            }
+                    gradedBy: evaluation.method,
+                    misconceptions: evaluation.misconceptions || [],
+                    ...(evaluation.spellingMistakes && { spellingMistakes: evaluation.spellingMistakes }),
+                    ...(evaluation.needsUnit && { needsUnit: true }),
+                };
+            });
 
             const percentage = (earnedPoints / totalPoints) * 100;
 
@@ -183,20 +187,28 @@ Format as JSON array:
         const { question, studentAnswer, language } = params;
 
         try {
-            // For multiple choice, simple comparison
-            if (question.type === 'multiple-choice' || question.type === 'true-false') {
-                const isCorrect = studentAnswer.trim().toLowerCase() ===
-                    question.correctAnswer.trim().toLowerCase();
+            // Multiple choice, true/false, numeric and fill-in-the-blank are graded locally
+            const graded = gradeAnswer(question, studentAnswer);
+            if (graded) {
+                let feedback = graded.isCorrect
+                    ? this.getPositiveFeedback(language)
+                    : `${this.getEncouragingFeedback(language)} ${question.explanation || question.correctAnswer}`;
+                if (graded.method === 'fuzzy') feedback += ` (${question.correctAnswer})`;
+                // Name the misspelled syllables of a near-miss or a spelling question
+                if (graded.mistakes?.length) feedback += ` ${describeAksharaMistakes(graded.mistakes, language)}`;
+                if (graded.needsUnit) feedback += ` ${this.getUnitReminder(language)}`;
 
                 return {
-                    isCorrect,
-                    feedback: isCorrect
-                        ? this.getPositiveFeedback(language)
-                        : `${this.getEncouragingFeedback(language)} ${question.explanation}`,
+                    isCorrect: graded.isCorrect,
+                    feedback,
+                    method: graded.method,
+                    misconceptions: graded.isCorrect ? [] : detectMisconceptions(question, studentAnswer),
+                    ...(graded.mistakes?.length && { spellingMistakes: graded.mistakes }),
+                    ...(graded.needsUnit && { needsUnit: true }),
                 };
             }
 
-            // For open-ended questions, use AI to evaluate
+            // Open short answers that don't match exactly are evaluated by the LLM
             const prompt = `
 Question: ${question.question}
 Correct Answer: ${question.correctAnswer}
@@ -207,22 +219,27 @@ Evaluate if the student's answer is correct or partially correct.
 Consider:
 1. Is the core concept understood?
 2. Is the answer substantially correct even if worded differently?
-3. Are there any misconceptions?
 
 Respond in JSON format:
 {
   "isCorrect": true/false,
   "partialCredit": 0.0-1.0,
-  "feedback": "constructive feedback in ${language}",
-  "misconceptions": ["any identified misconceptions"]
+  "feedback": "constructive feedback in ${language}"
 }`;
 
-            const result = await this.model.generateContent(prompt);
-            const response = result.response.text();
+            const evaluation = await this.llm.generateJSON(prompt, {
+                ...this.generationOptions,
+                task: 'evaluation',
+                data: { question, studentAnswer, language },
+            });
 
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
+            if (evaluation && typeof evaluation.isCorrect === 'boolean') {
+                // Misconceptions come from the rule-based catalogue, not free text
+                return {
+                    ...evaluation,
+                    method: 'llm',
+                    misconceptions: evaluation.isCorrect ? [] : detectMisconceptions(question, studentAnswer),
+                };
             }
 
             // Fallback
@@ -273,11 +290,11 @@ Create a question that:
 
 Format as JSON.`;
 
-            const result = await this.model.generateContent(prompt);
-            const response = result.response.text();
-
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+            return await this.llm.generateJSON(prompt, {
+                ...this.generationOptions,
+                task: 'adaptive-question',
+                data: { subject, topics: [topic], difficulty },
+            });
         } catch (error) {
             console.error('Error in generateAdaptiveQuestion:', error);
             throw error;
@@ -295,6 +312,231 @@ Format as JSON.`;
         return 'easy';
     }
 
+    /**
+     * Add questions the server generated to the bank of the student's school
+     * Never pass questions a client sent: the bank serves them to every student in the school.
+     * @param {string} studentId - Student whose school's bank gets the questions
+     * @param {Object} params - { subject, topic, difficulty, questions }
+     */
+    async addToItemBank(studentId, { subject, topic, difficulty, questions = [] }) {
+        const schoolId = await this.studentSchool(studentId);
+        const usable = questions.filter(question => question?.question && question.correctAnswer !== undefined);
+        if (!subject || usable.length === 0) return;
+
+        await this.models.ItemBank.addItems(usable.map(question => ({
+            id: bankItemId(question, schoolId),
+            subject,
+            topic: question.topic || topic,
+            schoolId,
+            question,
+            difficulty: DIFFICULTY_PRIORS[question.difficulty || difficulty] ?? 0,
+        })));
+    }
+
+    /**
+     * Record graded answers to questions in the student's school bank and update their ability for the subject
+     * Answers to questions that aren't in the bank, or were graded against a different answer key, are skipped.
+     * @param {string} studentId - Student ID
+     * @param {Object} result - { subject, items: [{ question, isCorrect }] }
+     * @returns {Object|null} - Updated ability ({ theta, se, responses })
+     */
+    async recordItemResponses(studentId, result) {
+        const { subject, items = [] } = result;
+        if (!subject) return null;
+        const schoolId = await this.studentSchool(studentId);
+
+        let recorded = 0;
+        for (const { question, isCorrect } of items) {
+            if (!question?.question) continue;
+            const item = await this.models.ItemBank.getItem(bankItemId(question, schoolId));
+            if (!item || item.subject !== subject || String(item.question.correctAnswer) !== String(question.correctAnswer)) continue;
+
+            await this.models.ItemBank.recordResponse(item.id, studentId, isCorrect);
+            recorded++;
+        }
+        return recorded > 0 ? this.updateAbility(studentId, subject) : null;
+    }
+
+    /**
+     * Re-estimate a student's ability in a subject from all their stored answers
+     */
+    async updateAbility(studentId, subject) {
+        const responses = await this.models.ItemBank.getResponses(subject, { studentId });
+        if (responses.length === 0) return null;
+
+        const ability = { ...estimateAbility(responses), responses: responses.length };
+        await this.models.ItemBank.saveAbility(studentId, subject, ability);
+        return ability;
+    }
+
+    /**
+     * Re-estimate item difficulty (and, with enough answers, discrimination) in a school's bank and
+     * the ability of every student who answered its items, from the stored answers
+     * @param {string} schoolId - School whose bank to calibrate (null for the shared bank)
+     * @returns {Object} - { subject, items, students }
+     */
+    async calibrateItemBank(subject, schoolId = null) {
+        const items = await this.models.ItemBank.getItems({ subject, schoolId });
+        const responses = await this.models.ItemBank.getResponses(subject, { schoolId });
+
+        const calibrated = calibrate(
+            responses,
+            Object.fromEntries(items.map(item => [item.id, { a: item.a, b: item.b, prior: item.difficulty_prior }]))
+        );
+
+        const answeredItems = Object.fromEntries(Object.entries(calibrated.items).filter(([, item]) => item.responses));
+        await this.models.ItemBank.updateParameters(answeredItems);
+        for (const [studentId, ability] of Object.entries(calibrated.abilities)) {
+            await this.models.ItemBank.saveAbility(studentId, subject, ability);
+        }
+
+        return {
+            subject,
+            items: Object.keys(answeredItems).length,
+            students: Object.keys(calibrated.abilities).length,
+        };
+    }
+
+    /**
+     * Start a computerized adaptive test; the bank is topped up with generated questions when short
+     * @param {Object} params - { studentId, subject, topic, language, targetSe, minItems, maxItems }
+     * @returns {Object} - { test, item } (the item without its answer)
+     */
+    async startAdaptiveTest(params) {
+        const {
+            studentId,
+            subject,
+            topic = null,
+            language = 'en',
+            targetSe = ADAPTIVE_TEST_DEFAULTS.targetSe,
+            minItems = ADAPTIVE_TEST_DEFAULTS.minItems,
+            maxItems = ADAPTIVE_TEST_DEFAULTS.maxItems,
+        } = params;
+
+        const schoolId = await this.studentSchool(studentId);
+        const bank = await this.ensureItemBank({ subject, topic, language, schoolId, count: maxItems });
+        const ability = await this.models.ItemBank.getAbility(studentId, subject);
+        const priorTheta = ability?.theta ?? 0;
+
+        const first = selectNextItem(priorTheta, bank);
+        if (!first) {
+            throw new Error(`No questions available for ${subject}${topic ? ` / ${topic}` : ''}`);
+        }
+
+        const test = await this.models.AdaptiveTest.create({
+            studentId,
+            subject,
+            topic,
+            priorTheta,
+            targetSe,
+            minItems,
+            maxItems: Math.min(maxItems, bank.length),
+            currentItemId: first.id,
+        });
+        return { test, item: this.publicItem(first) };
+    }
+
+    /**
+     * Grade the answer to an adaptive test's current item, update the ability estimate and
+     * pick the next item, or finish once the estimate is precise enough
+     * @param {Object} test - Active adaptive test
+     * @param {string} answer - Student's answer
+     * @returns {Object} - { test, isCorrect, feedback, explanation, correctAnswer, done, item }
+     */
+    async answerAdaptiveTest(test, answer, language = 'en') {
+        const current = await this.models.ItemBank.getItem(test.current_item_id);
+        const evaluation = await this.evaluateSingleResponse({ question: current.question, studentAnswer: answer, language });
+
+        await this.models.ItemBank.recordResponse(current.id, test.student_id, evaluation.isCorrect, test.id);
+        const responses = [...test.responses, { itemId: current.id, answer, correct: evaluation.isCorrect, feedback: evaluation.feedback }];
+
+        const bank = await this.models.ItemBank.getItems({
+            subject: test.subject,
+            topic: test.topic,
+            schoolId: await this.studentSchool(test.student_id),
+        });
+        const params = Object.fromEntries(bank.map(item => [item.id, item]));
+        const estimate = estimateAbility(
+            responses.map(r => ({ a: params[r.itemId]?.a ?? 1, b: params[r.itemId]?.b ?? 0, correct: r.correct })),
+            { mean: test.prior_theta, sd: 1 }
+        );
+
+        const given = responses.map(r => r.itemId);
+        const done = shouldStopTest(
+            { se: estimate.se, answered: responses.length, remaining: bank.length - given.length },
+            { targetSe: test.target_se, minItems: test.min_items, maxItems: test.max_items }
+        );
+        const next = done ? null : selectNextItem(estimate.theta, bank, given);
+
+        const updated = await this.models.AdaptiveTest.update(test.id, {
+            ...estimate,
+            responses,
+            currentItemId: next?.id ?? null,
+            status: next ? 'active' : 'completed',
+        });
+        if (!next) {
+            await this.updateAbility(test.student_id, test.subject);
+        }
+
+        return {
+            test: updated,
+            isCorrect: evaluation.isCorrect,
+            feedback: evaluation.feedback,
+            explanation: current.question.explanation,
+            correctAnswer: current.question.correctAnswer,
+            done: !next,
+            item: next ? this.publicItem(next) : null,
+        };
+    }
+
+    /**
+     * Make sure a school's bank has enough questions for a subject/topic, generating easy, medium and hard ones
+     */
+    async ensureItemBank({ subject, topic, language, schoolId, count }) {
+        const bank = await this.models.ItemBank.getItems({ subject, topic, schoolId });
+        if (bank.length >= count) return bank;
+
+        const perLevel = Math.ceil((count - bank.length) / 3);
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            const generated = await this.generateAssessment({
+                subject,
+                topics: topic ? [topic] : [],
+                difficulty,
+                questionCount: perLevel,
+                questionTypes: ['multiple-choice', 'true-false'],
+                language,
+            });
+
+            await this.models.ItemBank.addItems(generated.questions
+                .filter(question => question.question && question.correctAnswer !== undefined)
+                .map(question => ({
+                    id: bankItemId(question, schoolId),
+                    subject,
+                    topic,
+                    schoolId,
+                    question: { ...question, difficulty },
+                    difficulty: DIFFICULTY_PRIORS[difficulty],
+                })));
+        }
+
+        return this.models.ItemBank.getItems({ subject, topic, schoolId });
+    }
+
+    /**
+     * School whose item bank a student uses (null without one)
+     */
+    async studentSchool(studentId) {
+        return (await this.models.Student.getById(studentId))?.school_id || null;
+    }
+
+    /**
+     * An item as shown to the student (no answer, explanation or misconception tags)
+     */
+    publicItem(item) {
+        const { correctAnswer, explanation, misconceptions, ...question } = item.question;
+        return { ...question, id: item.id };
+    }
+
     /**
      * Calculate letter grade from percentage
      */
@@ -343,6 +585,27 @@ Format as JSON.`;
         };
         return feedback[language] || feedback.en;
     }
+
+    /**
+     * Ask for the unit when a bare number is right only in another unit
+     */
+    getUnitReminder(language) {
+        const reminder = {
+            en: 'Write the unit with your answer.',
+            hi: 'उत्तर के साथ इकाई भी लिखें।',
+            ta: 'விடையுடன் அலகையும் எழுதுங்கள்.',
+            te: 'సమాధానంతో పాటు ప్రమాణాన్ని కూడా రాయండి.',
+            mr: 'उत्तरासोबत एककही लिहा.',
+            bn: 'উত্তরের সাথে এককও লিখুন।',
+        };
+        return reminder[language] || reminder.en;
+    }
+}
+
+// Bank item ID: the question's review key, per school so schools never share an item
+function bankItemId(question, schoolId) {
+    const key = reviewItemKey(question);
+    return schoolId ? `${key}:${schoolId}` : key;
 }
 
 // Export singleton instance
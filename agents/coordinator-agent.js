@@ -1,11 +1,12 @@
-import { VertexAI } from '@google-cloud/vertexai';
 import { agentConfig } from '../config/agent-config.js';
+import { getProvider } from '../providers/index.js';
+import literacyTutorAgent from './literacy-tutor-agent.js';
+import numeracyTutorAgent from './numeracy-tutor-agent.js';
+import assessmentAgent from './assessment-agent.js';
+import { getModels } from '../db/models.js';
+import { readStudentInput, toLatinScript } from '../utils/transliteration.js';
 
-// Initialize Vertex AI
-const vertexAI = new VertexAI({
-    project: process.env.GOOGLE_CLOUD_PROJECT,
-    location: process.env.GOOGLE_CLOUD_REGION || 'asia-south1',
-});
+const SPECIALIST_AGENTS = ['literacy', 'numeracy', 'assessment'];
 
 /**
  * Coordinator Agent - Main orchestrator for the multi-agent system
@@ -13,18 +14,11 @@ const vertexAI = new VertexAI({
  */
 class CoordinatorAgent {
     constructor() {
-        this.model = vertexAI.getGenerativeModel({
-            model: agentConfig.model.name,
-            generationConfig: {
-                temperature: agentConfig.model.temperature,
-                topP: agentConfig.model.topP,
-                topK: agentConfig.model.topK,
-                maxOutputTokens: agentConfig.model.maxOutputTokens,
-            },
-            systemInstruction: agentConfig.coordinator.systemInstruction,
-        });
-
-        this.conversationHistory = new Map(); // Store conversation context per student
+        this.llm = getProvider();
+        this.systemInstruction = agentConfig.coordinator.systemInstruction;
+
+        this.conversations = getModels().Conversation; // Persistent conversation memory (SQLite)
+        this.historyWindow = agentConfig.coordinator.historyWindow;
     }
 
     /**
@@ -55,13 +49,14 @@ Respond in JSON format:
   "reasoning": "brief explanation"
 }`;
 
-            const result = await this.model.generateContent(prompt);
-            const response = result.response.text();
+            const routing = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                task: 'routing',
+                data: { query, language },
+            });
 
-            // Parse JSON response
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
+            if (routing && routing.primaryAgent) {
+                return routing;
             }
 
             // Fallback routing based on keywords
@@ -78,40 +73,21 @@ Respond in JSON format:
     fallbackRouting(query) {
         const lowerQuery = query.toLowerCase();
 
-        // Literacy keywords
-        const literacyKeywords = ['read', 'write', 'letter', 'word', 'sentence', 'story', 'grammar', 'spell'];
-        // Numeracy keywords
-        const numeracyKeywords = ['math', 'number', 'add', 'subtract', 'multiply', 'divide', 'count', 'calculate'];
-        // Assessment keywords
-        const assessmentKeywords = ['test', 'quiz', 'assess', 'exam', 'practice', 'check'];
-
-        if (literacyKeywords.some(keyword => lowerQuery.includes(keyword))) {
-            return {
-                primaryAgent: 'literacy',
-                topic: 'literacy',
-                intent: 'learn',
-                confidence: 0.7,
-                reasoning: 'Keyword match for literacy topics',
-            };
-        }
-
-        if (numeracyKeywords.some(keyword => lowerQuery.includes(keyword))) {
-            return {
-                primaryAgent: 'numeracy',
-                topic: 'numeracy',
-                intent: 'learn',
-                confidence: 0.7,
-                reasoning: 'Keyword match for numeracy topics',
-            };
-        }
+        const keywords = {
+            literacy: ['read', 'write', 'letter', 'word', 'sentence', 'story', 'grammar', 'spell'],
+            numeracy: ['math', 'number', 'add', 'subtract', 'multiply', 'divide', 'count', 'calculate'],
+            assessment: ['test', 'quiz', 'assess', 'exam', 'practice', 'check'],
+        };
+        const matched = Object.keys(keywords).filter(agent => keywords[agent].some(keyword => lowerQuery.includes(keyword)));
 
-        if (assessmentKeywords.some(keyword => lowerQuery.includes(keyword))) {
+        if (matched.length > 0) {
             return {
-                primaryAgent: 'assessment',
-                topic: 'assessment',
-                intent: 'assess',
+                primaryAgent: matched[0],
+                secondaryAgents: matched.slice(1),
+                topic: matched[0],
+                intent: matched.includes('assessment') ? 'assess' : 'learn',
                 confidence: 0.7,
-                reasoning: 'Keyword match for assessment',
+                reasoning: `Keyword match for ${matched.join(', ')}`,
             };
         }
 
@@ -128,48 +104,58 @@ Respond in JSON format:
      * Process a student query and coordinate with appropriate agents
      * @param {string} query - Student's question
      * @param {string} studentId - Student identifier
-     * @param {Object} context - Additional context (language, level, etc.)
+     * @param {Object} context - Additional context (language, level, script: 'latin' for romanized replies, etc.)
      * @returns {Object} - Response from appropriate agent
      */
     async processQuery(query, studentId, context = {}) {
         try {
-            // Get conversation history for this student
-            let history = this.conversationHistory.get(studentId) || [];
+            // Romanized input ("mujhe jod sikhao") reaches the agents in its own script and language
+            const input = readStudentInput(query, context.language);
+            const agentContext = input.romanized ? { ...context, language: input.language } : context;
+
+            // Get conversation history and earlier summaries for this student
+            const history = await this.conversations.getActiveMessages(studentId);
+            const summaries = await this.conversations.getSummaries(studentId, 3);
+            const memoryContext = {
+                ...agentContext,
+                conversationSummary: summaries.reverse().map(s => s.summary).join('\n'),
+            };
 
             // Route the query
-            const routing = await this.routeQuery(query, studentId, context.language);
+            const routing = await this.routeQuery(input.text, studentId, agentContext.language);
 
-            // Build the conversation prompt
-            const conversationPrompt = this.buildConversationPrompt(query, context, routing, history);
-
-            // Generate response
-            const result = await this.model.generateContent(conversationPrompt);
-            const response = result.response.text();
+            // Delegate to the specialist agents chosen by the router
+            const { response, agentUsed, agentsUsed, contributions, assessment } =
+                await this.delegate(input.text, studentId, memoryContext, routing, history);
 
             // Update conversation history
-            history.push({
+            await this.conversations.addMessage(studentId, {
                 role: 'user',
                 content: query,
-                timestamp: new Date(),
             });
-            history.push({
+            await this.conversations.addMessage(studentId, {
                 role: 'assistant',
                 content: response,
-                timestamp: new Date(),
-                routing: routing,
+                routing,
+                agentUsed,
             });
 
-            // Keep only last 10 exchanges
-            if (history.length > 20) {
-                history = history.slice(-20);
-            }
-
-            this.conversationHistory.set(studentId, history);
+            // Roll older turns into a summary once the window overflows
+            await this.summarizeOverflow(studentId, agentContext.language);
 
+            // Students who can't read the script yet get the reply in Latin letters
+            const latin = context.script === 'latin';
             return {
-                response,
+                response: latin ? toLatinScript(response) : response,
                 routing,
-                agentUsed: 'coordinator',
+                agentUsed,
+                agentsUsed,
+                contributions: latin
+                    ? contributions.map(c => ({ ...c, response: toLatinScript(c.response) }))
+                    : contributions,
+                ...(assessment && { assessment }),
+                ...(input.romanized && { input: { romanized: true, language: input.language, text: input.text } }),
+                script: latin ? 'latin' : 'native',
                 timestamp: new Date(),
             };
         } catch (error) {
@@ -178,6 +164,122 @@ Respond in JSON format:
         }
     }
 
+    /**
+     * Resolve which specialist agents should answer, in order
+     * Assessment intent always brings in the assessment agent
+     */
+    selectAgents(routing) {
+        const agents = [routing.primaryAgent, ...(routing.secondaryAgents || [])];
+
+        if (routing.intent === 'assess' && !agents.includes('assessment')) {
+            agents.push('assessment');
+        }
+
+        return [...new Set(agents)].filter(agent => SPECIALIST_AGENTS.includes(agent));
+    }
+
+    /**
+     * Dispatch the query to the selected specialists and merge their answers
+     * Falls back to the coordinator's own model when no specialist applies or all fail
+     */
+    async delegate(query, studentId, context, routing, history) {
+        const agents = this.selectAgents(routing);
+
+        const outcomes = await Promise.all(agents.map(async agent => {
+            try {
+                return { agent, ...(await this.invokeSpecialist(agent, query, studentId, context, routing, history)) };
+            } catch (error) {
+                console.error(`Error invoking ${agent} agent:`, error);
+                return { agent, success: false };
+            }
+        }));
+
+        const contributions = outcomes
+            .filter(outcome => outcome.success && outcome.response)
+            .map(({ agent, response, assessment }) => ({ agent, response, ...(assessment && { assessment }) }));
+
+        if (contributions.length === 0) {
+            const conversationPrompt = this.buildConversationPrompt(query, context, routing, history);
+            const response = await this.llm.generate(conversationPrompt, {
+                systemInstruction: this.systemInstruction,
+                task: 'chat',
+                data: { query, topic: routing.topic, language: context.language },
+            });
+
+            return {
+                response,
+                agentUsed: 'coordinator',
+                agentsUsed: ['coordinator'],
+                contributions: [{ agent: 'coordinator', response }],
+            };
+        }
+
+        return {
+            response: contributions.map(c => c.response).join('\n\n'),
+            agentUsed: contributions[0].agent,
+            agentsUsed: contributions.map(c => c.agent),
+            contributions,
+            assessment: contributions.find(c => c.assessment)?.assessment,
+        };
+    }
+
+    /**
+     * Call a single specialist agent with the student's context
+     * @returns {Object} - { success, response, assessment? }
+     */
+    async invokeSpecialist(agent, query, studentId, context, routing, history) {
+        const { language = 'en', level = 'intermediate', schoolId = null, conversationSummary = '' } = context;
+        const recentHistory = history.slice(-6).map(msg => ({ role: msg.role, content: msg.content }));
+
+        switch (agent) {
+            case 'literacy':
+                return literacyTutorAgent.teach({
+                    studentId,
+                    query,
+                    context: recentHistory,
+                    conversationSummary,
+                    studentLevel: level,
+                    language,
+                    topic: routing.topic,
+                    schoolId,
+                });
+
+            case 'numeracy':
+                return numeracyTutorAgent.teach({
+                    studentId,
+                    query,
+                    context: recentHistory,
+                    conversationSummary,
+                    studentLevel: level,
+                    language,
+                    topic: routing.topic,
+                    schoolId,
+                });
+
+            case 'assessment': {
+                const subject = ['literacy', 'numeracy'].find(a => a === routing.primaryAgent
+                    || (routing.secondaryAgents || []).includes(a)) || 'general';
+                const assessment = await assessmentAgent.generateAssessment({
+                    subject,
+                    topics: routing.topic && !['general', 'assessment', subject].includes(routing.topic) ? [routing.topic] : [],
+                    questionCount: 5,
+                    questionTypes: ['multiple-choice'],
+                    studentLevel: level,
+                    language,
+                });
+
+                return {
+                    success: assessment.success && assessment.questionCount > 0,
+                    response: `I've prepared a ${assessment.questionCount}-question ${subject} quiz for you. Let's begin!`,
+                    assessment,
+                };
+            }
+
+            default:
+                return { success: false };
+        }
+    }
+
     /**
      * Build conversation prompt with context
      */
@@ -192,6 +294,11 @@ Respond in JSON format:
 
 `;
 
+        // Add summary of earlier turns
+        if (context.conversationSummary) {
+            prompt += `Earlier Conversation Summary:\n${context.conversationSummary}\n\n`;
+        }
+
         // Add recent conversation history
         if (history.length > 0) {
             prompt += 'Recent Conversation:\n';
@@ -212,18 +319,60 @@ Be patient, supportive, and culturally sensitive.`;
         return prompt;
     }
 
+    /**
+     * Summarize the oldest turns once more than `historyWindow` messages are active
+     * Rolls up everything but the latest half-window so summaries cover several exchanges.
+     * Summarized messages stay in the database but drop out of the prompt window
+     */
+    async summarizeOverflow(studentId, language = 'en') {
+        const active = await this.conversations.getActiveMessages(studentId);
+        if (active.length <= this.historyWindow) return null;
+
+        const overflow = active.slice(0, active.length - Math.floor(this.historyWindow / 2));
+        const transcript = overflow
+            .map(msg => `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.content}`)
+            .join('\n');
+
+        const prompt = `Summarize this tutoring conversation in 2-3 sentences for the tutor's memory.
+Mention the topics covered, what the student found difficult, and any progress made.
+Write in English.
+
+${transcript}`;
+
+        try {
+            const summary = await this.llm.generate(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.2,
+                task: 'summary',
+                data: { messages: overflow, language },
+            });
+
+            return await this.conversations.addSummary(studentId, summary.trim(), overflow);
+        } catch (error) {
+            console.error('Error summarizing conversation:', error);
+            return null;
+        }
+    }
+
     /**
      * Clear conversation history for a student
      */
-    clearHistory(studentId) {
-        this.conversationHistory.delete(studentId);
+    async clearHistory(studentId) {
+        return this.conversations.clear(studentId);
     }
 
     /**
      * Get conversation history for a student
+     * @returns {Object} - { summaries, messages } with messages oldest first
      */
-    getHistory(studentId) {
-        return this.conversationHistory.get(studentId) || [];
+    async getHistory(studentId) {
+        const summaries = await this.conversations.getSummaries(studentId);
+        const messages = await this.conversations.getActiveMessages(studentId);
+
+        return {
+            summaries: summaries.reverse(),
+            messages,
+        };
     }
 }
 
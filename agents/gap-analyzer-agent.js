@@ -1,24 +1,84 @@
-import { CohereClient } from 'cohere-ai';
 import { agentConfig } from '../config/agent-config.js';
+import { getProvider } from '../providers/index.js';
+import { getModels } from '../db/models.js';
+import { getCurriculumGraph, mapProgressToCurriculum, matchCurriculumTopic } from '../features/curriculum.js';
+import {
+    calculateMasteryLevel,
+    generateLearningPath,
+    getTopicFrontier,
+    identifyLearningGaps,
+} from '../utils/adaptive-learning.js';
 
-// Initialize Cohere AI
-const getCohereClient = () => {
-    if (!process.env.COHERE_API_KEY) {
-        console.warn('⚠️ COHERE_API_KEY is missing. AI features will use fallback mock data.');
-        return null;
-    }
-    return new CohereClient({
-        token: process.env.COHERE_API_KEY,
+/**
+ * Normalize stored assessments so every result carries a topic and isCorrect flag
+ * (older rows only store `correct` and keep topics on the assessment)
+ */
+function normalizeAssessments(assessments) {
+    return assessments.map(assessment => {
+        const topics = assessment.topics || [];
+        return {
+            ...assessment,
+            results: (assessment.results || []).map(result => ({
+                ...result,
+                topic: result.topic || topics[0] || assessment.subject || 'general',
+                isCorrect: result.isCorrect ?? !!result.correct,
+            })),
+        };
+    });
+}
+
+/**
+ * Build the topic -> { attempts } map used by utils/adaptive-learning
+ * from stored assessments (oldest first) and progress rows
+ */
+function buildStudentProgress(assessments, progressData = []) {
+    const studentProgress = {};
+    const addAttempt = (topic, attempt) => {
+        if (!studentProgress[topic]) {
+            studentProgress[topic] = { attempts: [], timeSpent: 0 };
+        }
+        studentProgress[topic].attempts.push(attempt);
+    };
+
+    [...assessments]
+        .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at))
+        .forEach(assessment => {
+            const byTopic = {};
+            assessment.results.forEach(result => {
+                byTopic[result.topic] = byTopic[result.topic] || { correct: 0, total: 0 };
+                byTopic[result.topic].total++;
+                if (result.isCorrect) byTopic[result.topic].correct++;
+            });
+            for (const [topic, counts] of Object.entries(byTopic)) {
+                addAttempt(topic, { ...counts, timestamp: assessment.completed_at });
+            }
+        });
+
+    progressData.forEach(row => {
+        if (row.total_attempts > 0) {
+            addAttempt(row.topic, {
+                correct: row.successful_attempts,
+                total: row.total_attempts,
+                timestamp: row.last_practiced,
+            });
+        }
+        if (studentProgress[row.topic]) {
+            studentProgress[row.topic].timeSpent += row.time_spent || 0;
+        }
     });
-};
+
+    return studentProgress;
+}
 
 /**
  * GapAnalyzerAgent - Analyzes student performance to identify learning gaps
- * Uses Cohere AI
+ * Uses the configured LLM provider
  */
 class GapAnalyzerAgent {
     constructor() {
-        this.cohere = getCohereClient();
+        this.llm = getProvider();
+        this.models = getModels();
+        this.systemInstruction = agentConfig.gapAnalyzer.systemInstruction;
     }
 
     /**
@@ -30,40 +90,32 @@ class GapAnalyzerAgent {
             studentName,
             assessmentHistory = [],
             progressData = [],
+            misconceptions = [],
             timeframe = '30days',
             language = 'en',
         } = params;
 
-        if (!this.cohere) {
-            return {
-                success: true,
-                analysis: {
-                    overallPerformance: { grade: 'B', trend: 'stable', summary: 'Mock analysis due to missing API key.' },
-                    learningGaps: [],
-                    strengths: ['Eagerness to learn'],
-                    recommendations: [{ priority: 'high', action: 'Practice basics', rationale: 'Foundation is key' }]
-                }
-            };
-        }
-
         try {
             const prompt = `
 Analyze student performance for ${studentName}.
 History: ${JSON.stringify(assessmentHistory)}
 Progress: ${JSON.stringify(progressData)}
+Misconceptions found in wrong answers: ${JSON.stringify(misconceptions.map(({ name, count, topics }) => ({ name, count, topics })))}
 
 Return JSON with: overallPerformance, learningGaps, strengths, recommendations.
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const analysis = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.3,
+                task: 'analysis',
+                data: { studentId, assessmentHistory, progressData, misconceptions, timeframe, language },
             });
 
-            let text = response.text.replace(/```json/g, '').replace(/```/g, '').trim();
             return {
                 success: true,
-                analysis: JSON.parse(text),
+                analysis,
+                misconceptions,
                 timestamp: new Date(),
             };
         } catch (error) {
@@ -73,52 +125,211 @@ Return JSON with: overallPerformance, learningGaps, strengths, recommendations.
     }
 
     /**
-     * Generate initial diagnostic assessment (10 questions)
+     * Analyze class-wide performance from stored assessments
+     * @param {Object} params - { students, assessments, misconceptions, className, language }
+     *                          misconceptions: class summary from features/misconception-tracking.js
      */
-    async generateInitialAssessment(params) {
+    async analyzeClassPerformance(params) {
         const {
-            studentLevel = 'unknown',
+            className = 'Class',
+            students = [],
+            assessments = [],
+            misconceptions = [],
             language = 'en',
-            subjects = ['literacy', 'numeracy'],
         } = params;
 
-        // Fallback Mock Data (10 questions)
-        const mockAssessment = {
-            questions: Array(10).fill(null).map((_, i) => {
-                if (i < 5) {
-                    // Literacy
-                    return {
-                        id: `lit_${i}`,
-                        subject: 'literacy',
-                        question: `Mock Literacy Q${i + 1}: Identify the vowel in 'Cat'.`,
-                        options: ['C', 'a', 't', 'None'],
-                        correctAnswer: 'a',
-                        explanation: "'a' is the vowel."
-                    };
-                } else {
-                    // Numeracy
-                    return {
-                        id: `num_${i}`,
-                        subject: 'numeracy',
-                        question: `Mock Numeracy Q${i + 1}: What is ${i} + ${i + 2}?`,
-                        options: [`${2 * i + 2}`, `${2 * i + 1}`, `${2 * i + 3}`, '0'],
-                        correctAnswer: `${2 * i + 2}`,
-                        explanation: `${i} + ${i + 2} = ${2 * i + 2}`
-                    };
-                }
-            })
-        };
+        try {
+            const normalized = normalizeAssessments(assessments);
+            const scores = normalized.map(a => Number(a.score) || 0);
+            const average = list => (list.length > 0 ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+            const round = value => Math.round(value * 10) / 10;
+
+            const subjectScores = {};
+            const studentScores = {};
+            normalized.forEach(a => {
+                (subjectScores[a.subject] = subjectScores[a.subject] || []).push(Number(a.score) || 0);
+                (studentScores[a.student_id] = studentScores[a.student_id] || []).push(Number(a.score) || 0);
+            });
+
+            const studentNames = Object.fromEntries(students.map(st => [st.id, st.name]));
+            const studentAverages = Object.entries(studentScores)
+                .map(([studentId, list]) => ({
+                    studentId,
+                    name: studentNames[studentId] || studentId,
+                    averageScore: round(average(list)),
+                    assessments: list.length,
+                }))
+                .sort((a, b) => a.averageScore - b.averageScore);
+
+            const statistics = {
+                studentCount: students.length || studentAverages.length,
+                activeStudents: studentAverages.length,
+                assessmentCount: normalized.length,
+                averageScore: round(average(scores)),
+                scoreDistribution: {
+                    needsSupport: scores.filter(x => x < 50).length,
+                    developing: scores.filter(x => x >= 50 && x < 70).length,
+                    proficient: scores.filter(x => x >= 70 && x < 85).length,
+                    excellent: scores.filter(x => x >= 85).length,
+                },
+                subjectAverages: Object.fromEntries(
+                    Object.entries(subjectScores).map(([subject, list]) => [subject, round(average(list))])
+                ),
+            };
+
+            const learningGaps = identifyLearningGaps(normalized);
+            const studentsNeedingSupport = studentAverages.filter(st => st.averageScore < 50);
+            const topPerformers = [...studentAverages].reverse().filter(st => st.averageScore >= 85).slice(0, 5);
+
+            const prompt = `
+Analyze class performance for ${className}.
+Statistics: ${JSON.stringify(statistics)}
+Learning Gaps: ${JSON.stringify(learningGaps.map(({ commonErrors, ...gap }) => gap))}
+Students Needing Support: ${JSON.stringify(studentsNeedingSupport)}
+Misconceptions: ${JSON.stringify(misconceptions.slice(0, 5).map(({ name, students, remedy }) => ({ name, students, remedy })))}
+
+Write for the teacher in ${language}. Return ONLY a JSON object. No markdown.
+{
+  "summary": "2-3 sentence overview",
+  "insights": ["class-wide trend or pattern"],
+  "recommendations": [{ "priority": "high|medium|low", "action": "...", "rationale": "..." }]
+}
+`;
+
+            const insights = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.3,
+                task: 'class-analysis',
+                data: { className, statistics, learningGaps, studentsNeedingSupport, misconceptions, language },
+            });
 
-        if (!this.cohere) {
-            console.log('⚠️ Using fallback mock assessment data (No API Key)');
             return {
                 success: true,
-                response: "I'm having trouble connecting to the cloud, but let's try these practice questions!",
-                assessment: mockAssessment,
+                className,
+                statistics,
+                learningGaps,
+                misconceptions,
+                studentsNeedingSupport,
+                topPerformers,
+                summary: insights.summary,
+                insights: insights.insights || [],
+                recommendations: insights.recommendations || [],
                 timestamp: new Date(),
-                isMock: true
             };
+        } catch (error) {
+            console.error('Error in analyzeClassPerformance:', error);
+            return { success: false, error: error.message };
         }
+    }
+
+    /**
+     * Generate a personalized learning path from a student's assessments and progress
+     * Builds on utils/adaptive-learning.generateLearningPath
+     */
+    async generateLearningPath(params) {
+        const {
+            studentId,
+            studentName = 'Student',
+            assessmentHistory = [],
+            progressData = [],
+            targetTopics = [],
+            curriculumGraph = null,
+            misconceptions = [],
+            timeframe = 30,
+            dailyTimeAvailable = 30,
+            language = 'en',
+        } = params;
+
+        try {
+            const normalized = normalizeAssessments(assessmentHistory);
+            const studentProgress = buildStudentProgress(normalized, progressData);
+            const learningGaps = identifyLearningGaps(normalized);
+            const graph = curriculumGraph || await getCurriculumGraph(this.models);
+
+            // Focus on explicit targets, else on the student's weakest topics
+            const focusTopics = targetTopics.length > 0 ? targetTopics : learningGaps.map(gap => gap.topic);
+
+            const path = generateLearningPath({
+                studentProgress: mapProgressToCurriculum(studentProgress, graph),
+                curriculumGraph: graph,
+                targetTopics: focusTopics,
+                timeframe,
+                dailyTimeAvailable,
+            });
+
+            const topicMastery = Object.fromEntries(
+                Object.entries(studentProgress).map(([topic, data]) => [topic, calculateMasteryLevel(data.attempts)])
+            );
+
+            const prompt = `
+Write a short, encouraging message (3-4 sentences) in ${language} for ${studentName} explaining their learning plan.
+Phases: ${JSON.stringify(path.phases.map(p => ({ phase: p.phase, topics: p.topics, duration: p.duration })))}
+Learning gaps: ${JSON.stringify(learningGaps.map(gap => ({ topic: gap.topic, accuracy: gap.accuracy })))}
+Speak directly to the student. No lists or headings.
+`;
+
+            const response = await this.llm.generate(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.5,
+                task: 'learning-path',
+                data: { studentName, phases: path.phases, learningGaps, language },
+            });
+
+            return {
+                success: true,
+                studentId,
+                response,
+                focusTopics,
+                learningGaps,
+                misconceptions,
+                topicMastery,
+                path,
+                timestamp: new Date(),
+            };
+        } catch (error) {
+            console.error('Error in generateLearningPath:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A student's curriculum frontier: topics whose prerequisites they have mastered
+     * Progress on free-text topics counts towards the curriculum topic it names.
+     */
+    async getStudentFrontier(params) {
+        const {
+            assessmentHistory = [],
+            progressData = [],
+            curriculumGraph = null,
+            grade = null,
+            subject = null,
+            limit = 10,
+        } = params;
+
+        const graph = curriculumGraph || await getCurriculumGraph(this.models);
+        const studentProgress = buildStudentProgress(normalizeAssessments(assessmentHistory), progressData);
+        const mapped = mapProgressToCurriculum(studentProgress, graph);
+
+        const mastered = Object.entries(mapped)
+            .filter(([, data]) => calculateMasteryLevel(data.attempts).level >= 70)
+            .map(([topic]) => topic);
+
+        return {
+            frontier: getTopicFrontier(mapped, graph, { grade, subject }).slice(0, limit),
+            mastered,
+            unmatchedTopics: Object.keys(studentProgress).filter(topic => !matchCurriculumTopic(graph, topic)),
+        };
+    }
+
+    /**
+     * Generate initial diagnostic assessment (10 questions)
+     */
+    async generateInitialAssessment(params) {
+        const {
+            studentLevel = 'unknown',
+            language = 'en',
+            subjects = ['literacy', 'numeracy'],
+        } = params;
 
         try {
             const prompt = `
@@ -143,20 +354,13 @@ Return ONLY a JSON object with this structure:
 }
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const assessmentData = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.4,
+                task: 'diagnostic',
+                data: { studentLevel, language, subjects, count: 10 },
             });
 
-            let text = response.text.replace(/```json/g, '').replace(/```/g, '').trim();
-            let assessmentData;
-            try {
-                assessmentData = JSON.parse(text);
-            } catch (e) {
-                console.error('Failed to parse JSON from Cohere:', text);
-                throw new Error('Invalid JSON response');
-            }
-
             return {
                 success: true,
                 response: "Here is your diagnostic test to help me understand what you know!",
@@ -166,11 +370,9 @@ Return ONLY a JSON object with this structure:
         } catch (error) {
             console.error('Error in generateInitialAssessment:', error);
             return {
-                success: true,
-                response: "I'm having trouble connecting, but let's try these practice questions!",
-                assessment: mockAssessment,
-                timestamp: new Date(),
-                isMock: true
+                success: false,
+                response: "I'm having trouble preparing your diagnostic test. Please try again!",
+                error: error.message,
             };
         }
     }
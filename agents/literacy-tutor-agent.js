@@ -1,56 +1,73 @@
-import { CohereClient } from 'cohere-ai';
 import { agentConfig } from '../config/agent-config.js';
-
-// Initialize Cohere AI
-const getCohereClient = () => {
-    if (!process.env.COHERE_API_KEY) {
-        console.warn('⚠️ COHERE_API_KEY is missing. AI features will use fallback mock data.');
-        return null;
-    }
-    return new CohereClient({
-        token: process.env.COHERE_API_KEY,
-    });
-};
+import { getProvider } from '../providers/index.js';
+import { getModels } from '../db/models.js';
+import { mixInDueReviews } from '../features/spaced-repetition.js';
+import { anchorSuggestions, scoreWriting, writingStats } from '../utils/writing-rubrics.js';
 
 /**
  * LiteracyTutorAgent - Specialized in teaching reading, writing, and language skills
- * Uses Cohere AI
+ * Serves curated content from the library first, then uses the configured LLM provider
  */
 class LiteracyTutorAgent {
     constructor() {
-        this.cohere = getCohereClient();
+        this.llm = getProvider();
+        this.models = getModels();
+        this.content = this.models.Content;
+        this.systemInstruction = agentConfig.literacyTutor.systemInstruction;
     }
 
     /**
      * Teach a literacy concept or respond to a student query
+     * Earlier turns come as `context` (recent messages) and `conversationSummary` (older ones)
      */
     async teach(params) {
         const {
             studentId,
             query,
             context = [],
+            conversationSummary = '',
             studentLevel = 'beginner',
             language = 'en',
             topic = 'general',
+            grade = null,
+            schoolId = null,
+            useLibrary = true,
         } = params;
 
-        if (!this.cohere) {
-            return {
-                success: true,
-                response: "I'm ready to help you read and write! (AI connection pending...)",
-                topic,
-                timestamp: new Date()
-            };
-        }
-
         try {
+            // A request to learn a topic (not a specific question) can use a stored lesson
+            const wantsLesson = !query || query.trim().toLowerCase() === topic.toLowerCase();
+            const lesson = useLibrary && wantsLesson
+                ? await this.content.findBest({ type: 'lesson', subject: 'literacy', topic, grade, language, schoolId })
+                : null;
+
+            if (lesson?.content?.text) {
+                return {
+                    success: true,
+                    response: lesson.content.text,
+                    topic,
+                    level: studentLevel,
+                    language,
+                    source: 'library',
+                    contentId: lesson.id,
+                    title: lesson.title,
+                    timestamp: new Date(),
+                };
+            }
+
+            // Earlier turns, so follow-up questions ("and the next one?") make sense
+            const conversation = [
+                conversationSummary && `Earlier Conversation Summary:\n${conversationSummary}`,
+                context.length > 0 && `Recent Conversation:\n${context.map(msg => `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.content}`).join('\n')}`,
+            ].filter(Boolean).join('\n\n');
+
             const prompt = `
 Role: You are a friendly literacy tutor for a student in India.
-Student Query: "${query}"
+Student Query: "${query || topic}"
 Student Level: ${studentLevel}
 Language: ${language}
 Topic: ${topic}
-
+${conversation ? `\n${conversation}\n` : ''}
 Instructions:
 1. Respond naturally and conversationally in the requested language (${language}).
 2. Do NOT use labels like "Response:", "Correction:", or "Explanation:". Just speak directly to the student.
@@ -59,17 +76,20 @@ Instructions:
 5. Gently correct any grammar mistakes within your response, without making it a separate section.
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const response = await this.llm.generate(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.5,
+                task: 'teach',
+                data: { query: query || topic, topic, language, subject: 'literacy' },
             });
 
             return {
                 success: true,
-                response: response.text,
+                response,
                 topic,
                 level: studentLevel,
                 language,
+                source: 'generated',
                 timestamp: new Date(),
             };
         } catch (error) {
@@ -83,36 +103,275 @@ Instructions:
     }
 
     /**
-     * Generate a Duolingo-style interactive exercise (10 questions)
+     * Help a student read and understand a passage
+     * Pass `contentId` instead of `text` to read a stored passage
      */
-    async generateDuolingoExercise(params) {
+    async helpWithReading(params) {
         const {
-            topic = 'vocabulary',
-            difficulty = 'easy',
+            studentId,
+            contentId,
+            question,
+            studentLevel = 'beginner',
+            language = 'en',
+            schoolId = null,
+        } = params;
+        let { text } = params;
+
+        try {
+            let passage = contentId ? await this.content.getById(contentId) : null;
+            if (passage?.school_id && schoolId && passage.school_id !== schoolId) {
+                passage = null;
+            }
+            if (contentId && !passage?.content?.text) {
+                throw new Error(`No reading passage found for content ${contentId}`);
+            }
+            text = text || passage?.content?.text;
+
+            const prompt = `
+Role: You are a friendly reading tutor for a student in India.
+Passage:
+"""
+${text}
+"""
+${question ? `Student's Question: "${question}"` : 'The student wants help reading and understanding this passage.'}
+Student Level: ${studentLevel}
+Language: ${language}
+
+Instructions:
+1. Explain the passage simply in ${language}, in 2-4 short sentences.
+2. Pick up to 5 words from the passage that may be hard for this student. Split each into syllables and give a simple meaning.
+3. Write 3 short comprehension questions with answers taken from the passage.
+4. If the student asked a question, answer it first.
+
+Return ONLY a JSON object. No markdown.
+{
+  "response": "what you say to the student",
+  "summary": "simple explanation of the passage",
+  "vocabulary": [{ "word": "...", "syllables": ["..."], "meaning": "..." }],
+  "questions": [{ "question": "...", "answer": "..." }]
+}
+`;
+
+            const reading = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.4,
+                task: 'reading',
+                data: { text, question, studentLevel, language },
+            });
+
+            return {
+                success: true,
+                response: reading.response || reading.summary,
+                ...(passage && { contentId: passage.id, title: passage.title, text }),
+                summary: reading.summary,
+                vocabulary: reading.vocabulary || [],
+                questions: reading.questions || [],
+                level: studentLevel,
+                language,
+                timestamp: new Date(),
+            };
+        } catch (error) {
+            console.error('Error in LiteracyTutorAgent.helpWithReading:', error);
+            return {
+                success: false,
+                response: "I couldn't read that passage with you right now. Can we try again?",
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * Give feedback on a student's writing
+     */
+    async helpWithWriting(params) {
+        const {
+            studentId,
+            text,
+            prompt: writingPrompt,
+            studentLevel = 'beginner',
+            language = 'en',
+        } = params;
+
+        try {
+            const prompt = `
+Role: You are a kind writing tutor for a student in India.
+${writingPrompt ? `Writing Task: "${writingPrompt}"` : ''}
+Student's Writing:
+"""
+${text}
+"""
+Student Level: ${studentLevel}
+Language: ${language}
+
+Instructions:
+1. Start with one specific thing the student did well.
+2. List the most important corrections (spelling, grammar, punctuation, capital letters). Keep the student's own words where possible.
+3. Give one idea to make the writing better.
+4. Write all feedback in ${language}, using simple words.
+
+Return ONLY a JSON object. No markdown.
+{
+  "response": "encouraging feedback to the student",
+  "strengths": ["..."],
+  "corrections": [{ "original": "...", "suggestion": "...", "reason": "..." }],
+  "improvedVersion": "the writing with corrections applied",
+  "nextStep": "one idea to improve"
+}
+`;
+
+            const feedback = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.3,
+                task: 'writing',
+                data: { text, prompt: writingPrompt, studentLevel, language },
+            });
+
+            return {
+                success: true,
+                response: feedback.response,
+                strengths: feedback.strengths || [],
+                corrections: feedback.corrections || [],
+                improvedVersion: feedback.improvedVersion || text,
+                nextStep: feedback.nextStep,
+                level: studentLevel,
+                language,
+                timestamp: new Date(),
+            };
+        } catch (error) {
+            console.error('Error in LiteracyTutorAgent.helpWithWriting:', error);
+            return {
+                success: false,
+                response: "I couldn't check your writing right now. Please try again!",
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * Score a piece of writing against a rubric, with inline suggestions in the student's language
+     * Handwriting (and any other teacher-notes criterion) is scored only from the teacher's notes.
+     * @param {Object} params - { text, prompt, rubric (normalized), grade, studentLevel, language, handwritingNotes,
+     *                            previous: the last revision { text, scores } }
+     */
+    async assessWriting(params) {
+        const {
+            text,
+            prompt: writingPrompt,
+            rubric,
+            grade = null,
+            studentLevel = 'beginner',
             language = 'en',
-            type = 'multiple-choice'
+            handwritingNotes = null,
+            previous = null,
         } = params;
 
-        // Fallback Mock Data (10 questions)
-        const mockExercise = Array(10).fill(null).map((_, i) => ({
-            question: `Mock Question ${i + 1}: What is the Hindi word for 'School'?`,
-            options: ['Vidyalaya', 'Bazaar', 'Ghar', 'Dukan'],
-            correctAnswer: 'Vidyalaya',
-            explanation: "'Vidyalaya' means School. 'Ghar' is Home, 'Bazaar' is Market."
-        }));
+        try {
+            const textCriteria = rubric.criteria.filter(c => c.scoredFrom === 'text');
+            const noteCriteria = handwritingNotes ? rubric.criteria.filter(c => c.scoredFrom === 'teacher-notes') : [];
+            const describe = c => `- ${c.id} (${c.name}), score 1-${c.maxScore}${c.levels.length > 0
+                ? `: ${c.levels.map((level, i) => `${i + 1} = ${level}`).join('; ')}`
+                : ''}`;
+
+            const prompt = `
+Role: You are a kind, careful writing assessor for a ${grade ? `grade ${grade} ` : ''}student in India.
+${writingPrompt ? `Writing Task: "${writingPrompt}"` : ''}
+Student's Writing:
+"""
+${text}
+"""
+Student Level: ${studentLevel}
+Language: ${language}
+
+Score the writing on each criterion:
+${textCriteria.map(describe).join('\n')}
+${noteCriteria.length > 0 ? `Score these only from the teacher's notes on the handwritten copy:
+${noteCriteria.map(describe).join('\n')}
+Teacher's Notes: "${handwritingNotes}"` : ''}
+${previous ? `This is a revision. Previous version:
+"""
+${previous.text}
+"""
+Previous scores: ${JSON.stringify(previous.scores.criteria.map(c => ({ id: c.id, score: c.score })))}
+Say what improved.` : ''}
+
+Instructions:
+1. Judge against the level descriptions for this grade, not against adult writing.
+2. Give up to 10 inline suggestions. "original" must be copied exactly from the student's writing.
+3. Write every comment, reason and the feedback in ${language}, using simple words.
+
+Return ONLY a JSON object. No markdown.
+{
+  "scores": { "<criterion id>": { "score": 1, "comment": "..." } },
+  "suggestions": [{ "original": "...", "suggestion": "...", "reason": "...", "criterion": "<criterion id>" }],
+  "response": "encouraging feedback to the student",
+  "strengths": ["..."],
+  "nextStep": "one thing to work on in the next revision"
+}
+`;
+
+            const assessment = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.2,
+                task: 'writing-assessment',
+                data: { text, prompt: writingPrompt, rubric, grade, language, handwritingNotes, previous },
+            });
 
-        if (!this.cohere) {
-            console.log('⚠️ Using fallback mock exercise data (No API Key)');
             return {
                 success: true,
-                response: "Let's practice with these words!",
-                exercise: mockExercise,
+                response: assessment.response,
+                scores: scoreWriting(rubric, assessment.scores, { handwritingNotes }),
+                suggestions: anchorSuggestions(text, assessment.suggestions, rubric.criteria.map(c => c.id)),
+                strengths: assessment.strengths || [],
+                nextStep: assessment.nextStep,
+                stats: writingStats(text),
+                language,
                 timestamp: new Date(),
-                isMock: true
+            };
+        } catch (error) {
+            console.error('Error in LiteracyTutorAgent.assessWriting:', error);
+            return {
+                success: false,
+                response: "I couldn't score your writing right now. Please try again!",
+                error: error.message,
             };
         }
+    }
+
+    /**
+     * Generate a Duolingo-style interactive exercise (10 questions)
+     */
+    async generateDuolingoExercise(params) {
+        const {
+            topic = 'vocabulary',
+            difficulty = 'easy',
+            language = 'en',
+            type = 'multiple-choice',
+            grade = null,
+            schoolId = null,
+            studentId = null,
+            useLibrary = true,
+        } = params;
 
         try {
+            const stored = useLibrary
+                ? await this.content.findBest({ type: 'exercise', subject: 'literacy', topic, grade, language, difficulty, schoolId })
+                : null;
+
+            if (Array.isArray(stored?.content?.questions) && stored.content.questions.length > 0) {
+                // Questions the student is due to review replace a few of the new ones
+                const { questions, reviewCount } =
+                    await mixInDueReviews(stored.content.questions, studentId, { subject: 'literacy' }, this.models);
+                return {
+                    success: true,
+                    response: `Here is "${stored.title}" from your teacher's library!`,
+                    exercise: questions,
+                    reviewCount,
+                    source: 'library',
+                    contentId: stored.id,
+                    timestamp: new Date(),
+                };
+            }
+
             const prompt = `
 Generate 10 literacy exercises (Duolingo style).
 Topic: ${topic}
@@ -134,36 +393,30 @@ Structure:
 ]
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const exerciseData = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.5,
+                task: 'exercise',
+                data: { topic, difficulty, language, type, count: 10 },
             });
 
-            let text = response.text;
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            let exerciseData;
-            try {
-                exerciseData = JSON.parse(text);
-            } catch (e) {
-                console.error('Failed to parse JSON from Cohere:', text);
-                throw new Error('Invalid JSON response');
-            }
+            const { questions, reviewCount } =
+                await mixInDueReviews(exerciseData, studentId, { subject: 'literacy' }, this.models);
 
             return {
                 success: true,
                 response: "Here are 10 practice questions for you!",
-                exercise: exerciseData,
+                exercise: questions,
+                reviewCount,
+                source: 'generated',
                 timestamp: new Date(),
             };
         } catch (error) {
             console.error('Error in generateDuolingoExercise:', error);
             return {
-                success: true,
-                response: "Let's practice with these instead!",
-                exercise: mockExercise,
-                timestamp: new Date(),
-                isMock: true
+                success: false,
+                response: "I couldn't prepare the exercise right now. Please try again!",
+                error: error.message,
             };
         }
     }
@@ -1,58 +1,74 @@
-import { CohereClient } from 'cohere-ai';
 import { agentConfig } from '../config/agent-config.js';
-
-// Initialize Cohere AI
-// We use a lazy initialization or check for key to prevent immediate crash if key is missing
-const getCohereClient = () => {
-    if (!process.env.COHERE_API_KEY) {
-        console.warn('⚠️ COHERE_API_KEY is missing. AI features will use fallback mock data.');
-        return null;
-    }
-    return new CohereClient({
-        token: process.env.COHERE_API_KEY,
-    });
-};
+import { getProvider } from '../providers/index.js';
+import { getModels } from '../db/models.js';
+import { mixInDueReviews } from '../features/spaced-repetition.js';
+import { generateNumeracyQuestions, resolveNumeracySkills } from '../utils/numeracy-generator.js';
+import { solveArithmetic, verifySolution, checkSteps, numbersPreserved } from '../utils/worked-solutions.js';
 
 /**
  * NumeracyTutorAgent - Specialized in teaching mathematics and numerical reasoning
- * Uses Cohere AI for generation
+ * Serves curated content from the library first, then uses the configured LLM provider
  */
 class NumeracyTutorAgent {
     constructor() {
-        this.cohere = getCohereClient();
+        this.llm = getProvider();
+        this.models = getModels();
+        this.content = this.models.Content;
+        this.systemInstruction = agentConfig.numeracyTutor.systemInstruction;
     }
 
     /**
      * Teach a math concept or solve a problem
+     * Earlier turns come as `context` (recent messages) and `conversationSummary` (older ones)
      */
     async teach(params) {
         const {
             studentId,
             query,
             context = [],
+            conversationSummary = '',
             studentLevel = 'beginner',
             language = 'en',
             topic = 'general',
+            grade = null,
+            schoolId = null,
+            useLibrary = true,
         } = params;
 
-        if (!this.cohere) {
-            return {
-                success: true,
-                response: "I'm ready to help with math! (AI connection pending...)",
-                topic,
-                timestamp: new Date()
-            };
-        }
-
         try {
+            // A request to learn a topic (not a specific question) can use a stored lesson
+            const wantsLesson = !query || query.trim().toLowerCase() === topic.toLowerCase();
+            const lesson = useLibrary && wantsLesson
+                ? await this.content.findBest({ type: 'lesson', subject: 'numeracy', topic, grade, language, schoolId })
+                : null;
+
+            if (lesson?.content?.text) {
+                return {
+                    success: true,
+                    response: lesson.content.text,
+                    topic,
+                    level: studentLevel,
+                    language,
+                    source: 'library',
+                    contentId: lesson.id,
+                    title: lesson.title,
+                    timestamp: new Date(),
+                };
+            }
+
+            // Earlier turns, so follow-up questions ("and the next one?") make sense
+            const conversation = [
+                conversationSummary && `Earlier Conversation Summary:\n${conversationSummary}`,
+                context.length > 0 && `Recent Conversation:\n${context.map(msg => `${msg.role === 'user' ? 'Student' : 'Tutor'}: ${msg.content}`).join('\n')}`,
+            ].filter(Boolean).join('\n\n');
+
             const prompt = `
 Role: You are a friendly and patient math tutor for a student in India.
-Student Query: "${query}"
+Student Query: "${query || topic}"
 Student Level: ${studentLevel}
 Language: ${language}
 Topic: ${topic}
-
-Instructions:
+${conversation ? `\n${conversation}\n` : ''}
 Instructions:
 1. Respond naturally and conversationally in the requested language (${language}).
 2. Do NOT use labels like "Solution:", "Step 1:", etc. unless it's a list. Just speak directly.
@@ -61,17 +77,20 @@ Instructions:
 5. If the student asks for a solution, explain the method first.
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const response = await this.llm.generate(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.3,
+                task: 'teach',
+                data: { query: query || topic, topic, language, subject: 'numeracy' },
             });
 
             return {
                 success: true,
-                response: response.text,
+                response,
                 topic,
                 level: studentLevel,
                 language,
+                source: 'generated',
                 timestamp: new Date(),
             };
         } catch (error) {
@@ -85,35 +104,220 @@ Instructions:
     }
 
     /**
-     * Generate a math quiz with 10 questions
+     * Solve a math problem step by step
+     * Arithmetic the worked-solutions engine can read (column methods, long division, fractions, units)
+     * is solved symbolically and only narrated by the LLM; anything else is solved by the LLM and its
+     * calculations are checked. Nothing is shown unless it checks out, and only worked solutions are
+     * marked verified (checked LLM steps can still answer a misread problem).
      */
-    async generateQuiz(params) {
+    async solveProblem(params) {
         const {
-            topic = 'arithmetic',
-            difficulty = 'easy',
+            studentId,
+            problem,
+            studentLevel = 'beginner',
             language = 'en',
         } = params;
 
-        // Fallback Mock Data (10 questions)
-        const mockQuiz = Array(10).fill(null).map((_, i) => ({
-            question: `Mock Question ${i + 1}: If 1 kg of potatoes costs ₹${20 + i * 5}, how much for 2 kg?`,
-            options: [`₹${40 + i * 10}`, `₹${30 + i * 10}`, `₹${50 + i * 10}`, `₹${25 + i * 10}`],
-            correctAnswer: `₹${40 + i * 10}`,
-            explanation: `2 kg * ₹${20 + i * 5} = ₹${40 + i * 10}. Simple multiplication!`
-        }));
+        try {
+            const worked = solveArithmetic(problem);
+            if (worked) {
+                const check = verifySolution(worked);
+                if (check.valid) {
+                    const narrated = await this.narrateSolution(worked, { studentLevel, language });
+                    return this.formatSolution({
+                        ...worked,
+                        ...narrated,
+                        method: 'worked',
+                    }, { studentLevel, language });
+                }
+                console.error('Worked solution failed its check:', problem, check.errors);
+            }
+
+            const prompt = `
+Role: You are a patient math tutor for a student in India.
+Problem: "${problem}"
+Student Level: ${studentLevel}
+Language: ${language}
+
+Instructions:
+1. Solve the problem in small, numbered steps a ${studentLevel} student can follow.
+2. Each step should do one calculation and say why. Write the calculation as plain arithmetic (e.g. "25 + 17 = 42") so it can be checked.
+3. Write the steps and explanation in ${language}. Keep numbers as digits.
+4. End with the final answer, including units (₹, cm, kg...) if the problem has them.
+
+Return ONLY a JSON object. No markdown.
+{
+  "steps": [{ "step": 1, "description": "...", "calculation": "..." }],
+  "answer": "final answer",
+  "explanation": "one-sentence summary of the method"
+}
+`;
+
+            const solution = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.2,
+                task: 'solve',
+                data: { problem, studentLevel, language },
+            });
+
+            const steps = (solution.steps || []).map((s, i) => ({ ...s, step: s.step || i + 1 }));
+            const check = checkSteps(steps, String(solution.answer ?? ''));
+            if (!check.valid) {
+                console.error('LLM solution failed its check:', problem, check.errors);
+                return {
+                    success: false,
+                    response: "I couldn't check my working for that one. Can you write it with numbers, like 25 + 17 or 3/4?",
+                    problem,
+                    verified: false,
+                    errors: check.errors,
+                };
+            }
 
-        if (!this.cohere) {
-            console.log('⚠️ Using fallback mock quiz data (No API Key)');
+            return this.formatSolution({
+                problem,
+                steps,
+                answer: solution.answer,
+                explanation: solution.explanation,
+                method: 'llm',
+            }, { studentLevel, language });
+        } catch (error) {
+            console.error('Error in NumeracyTutorAgent.solveProblem:', error);
             return {
-                success: true,
-                response: "Here is a practice quiz for you!",
-                quiz: mockQuiz,
-                timestamp: new Date(),
-                isMock: true
+                success: false,
+                response: "I couldn't solve that one right now. Can you write the problem again?",
+                error: error.message,
             };
         }
+    }
+
+    /**
+     * Have the LLM retell checked steps in the student's language
+     * The narration may not change any numbers; if it does (or the LLM fails) the engine's own wording is kept.
+     * @returns {Object} - { steps, explanation }
+     */
+    async narrateSolution(worked, { studentLevel, language }) {
+        const original = { steps: worked.steps, explanation: worked.explanation };
+        if (language === 'en') return original;
 
         try {
+            const prompt = `
+Role: You are a patient math tutor for a student in India.
+These steps solve "${worked.problem}" and have already been checked.
+Retell each step in ${language} for a ${studentLevel} student.
+
+Steps:
+${worked.steps.map(s => `${s.step}. ${s.description}`).join('\n')}
+
+Instructions:
+1. Keep exactly ${worked.steps.length} steps in the same order.
+2. Do not change, add or work out any numbers. Keep numbers as digits.
+3. Only explain the steps given; do not solve anything yourself.
+
+Return ONLY a JSON object. No markdown.
+{
+  "steps": [{ "step": 1, "description": "..." }],
+  "explanation": "one sentence"
+}
+`;
+
+            const narration = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
+                temperature: 0.2,
+                task: 'narration',
+                data: { steps: worked.steps, explanation: worked.explanation, language },
+            });
+
+            const narrated = narration.steps || [];
+            const faithful = narrated.length === worked.steps.length
+                && worked.steps.every((step, i) => narrated[i]?.description && numbersPreserved(step, narrated[i].description));
+            if (!faithful) {
+                console.error('Narration changed the worked solution, using the original wording:', worked.problem);
+                return original;
+            }
+
+            return {
+                steps: worked.steps.map((step, i) => ({ ...step, description: narrated[i].description })),
+                explanation: narration.explanation || worked.explanation,
+            };
+        } catch (error) {
+            console.error('Error narrating worked solution:', error);
+            return original;
+        }
+    }
+
+    /**
+     * Response for a checked solution (verified when the engine worked it out itself)
+     */
+    formatSolution(solution, { studentLevel, language }) {
+        const { steps, answer } = solution;
+        return {
+            success: true,
+            response: [
+                ...steps.map(s => `${s.step}. ${s.description}${s.calculation && !s.description.includes(s.calculation) ? ` (${s.calculation})` : ''}`),
+                answer === null || answer === undefined ? solution.explanation : `Answer: ${answer}`,
+            ].join('\n'),
+            ...solution,
+            verified: solution.method === 'worked',
+            level: studentLevel,
+            language,
+            timestamp: new Date(),
+        };
+    }
+
+    /**
+     * Generate a math quiz with 10 questions
+     * Library exercises come first; skills the procedural generator covers are built locally
+     * and the LLM is only asked for other topics
+     */
+    async generateQuiz(params) {
+        const {
+            topic = 'arithmetic',
+            difficulty = 'easy',
+            language = 'en',
+            grade = null,
+            schoolId = null,
+            studentId = null,
+            useLibrary = true,
+        } = params;
+
+        try {
+            const stored = useLibrary
+                ? await this.content.findBest({ type: 'exercise', subject: 'numeracy', topic, grade, language, difficulty, schoolId })
+                : null;
+
+            if (Array.isArray(stored?.content?.questions) && stored.content.questions.length > 0) {
+                // Questions the student is due to review replace a few of the new ones
+                const { questions, reviewCount } =
+                    await mixInDueReviews(stored.content.questions, studentId, { subject: 'numeracy' }, this.models);
+                return {
+                    success: true,
+                    response: `Here is "${stored.title}" from your teacher's library. Let's solve it!`,
+                    quiz: questions,
+                    reviewCount,
+                    source: 'library',
+                    contentId: stored.id,
+                    timestamp: new Date(),
+                };
+            }
+
+            const skills = resolveNumeracySkills(topic);
+            if (skills.length > 0) {
+                const { questions, reviewCount } = await mixInDueReviews(
+                    generateNumeracyQuestions({ skills, difficulty, count: 10 }),
+                    studentId,
+                    { subject: 'numeracy' },
+                    this.models
+                );
+                return {
+                    success: true,
+                    response: "I've prepared 10 math questions for you. Let's solve them!",
+                    quiz: questions,
+                    reviewCount,
+                    source: 'procedural',
+                    timestamp: new Date(),
+                };
+            }
+
             const prompt = `
 Generate a math quiz with exactly 10 questions.
 Topic: ${topic}
@@ -134,38 +338,38 @@ Structure:
 ]
 `;
 
-            const response = await this.cohere.chat({
-                message: prompt,
+            const quizData = await this.llm.generateJSON(prompt, {
+                systemInstruction: this.systemInstruction,
                 temperature: 0.4,
+                task: 'quiz',
+                data: { topic, difficulty, language, count: 10 },
+            }).catch(error => {
+                console.error('Error generating quiz with LLM:', error.message);
+                return null;
             });
 
-            let text = response.text;
-            // Clean up potential markdown code blocks
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
+            // Keep only questions whose answer is one of their options; fall back to a general procedural quiz
+            const generated = (Array.isArray(quizData) ? quizData : [])
+                .filter(q => q?.question && Array.isArray(q.options) && q.options.map(String).includes(String(q.correctAnswer)));
+            const quiz = generated.length > 0 ? generated : generateNumeracyQuestions({ topic: 'general', difficulty, count: 10 });
 
-            let quizData;
-            try {
-                quizData = JSON.parse(text);
-            } catch (e) {
-                console.error('Failed to parse JSON from Cohere:', text);
-                throw new Error('Invalid JSON response');
-            }
+            const { questions, reviewCount } =
+                await mixInDueReviews(quiz, studentId, { subject: 'numeracy' }, this.models);
 
             return {
                 success: true,
-                response: "I've prepared 10 math questions for you. Let's solve them!",
-                quiz: quizData,
+                response: `I've prepared ${questions.length} math questions for you. Let's solve them!`,
+                quiz: questions,
+                reviewCount,
+                source: generated.length > 0 ? 'generated' : 'procedural',
                 timestamp: new Date(),
             };
         } catch (error) {
             console.error('Error in generateQuiz:', error);
-            // Return fallback on error
             return {
-                success: true,
-                response: "I had trouble generating new questions, but here are some practice ones!",
-                quiz: mockQuiz,
-                timestamp: new Date(),
-                isMock: true
+                success: false,
+                response: "I had trouble generating new questions. Please try again!",
+                error: error.message,
             };
         }
     }
@@ -1,7 +1,10 @@
 // Agent Configuration for AI Tutoring System
 export const agentConfig = {
-  // Gemini Model Configuration
+  // Model Configuration
   model: {
+    // 'auto' picks vertex, genkit or cohere from available credentials, else 'local' (offline, deterministic)
+    provider: process.env.LLM_PROVIDER || 'auto',
+    fallbackToLocal: process.env.LLM_FALLBACK_TO_LOCAL !== 'false',
     name: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp',
     temperature: 0.7,
     topP: 0.95,
@@ -25,6 +28,7 @@ Your responsibilities:
 7. Provide encouragement and motivation in a culturally appropriate manner
 
 Always respond in the student's preferred language and adapt your tone to be friendly, patient, and encouraging.`,
+    historyWindow: 20, // Messages kept verbatim before older turns are summarized
   },
 
   // Literacy Tutor Agent
@@ -112,7 +116,7 @@ When creating assessments:
 - Include visual descriptions where helpful
 - Ensure questions are fair and unbiased
 - Provide encouraging feedback regardless of performance`,
-    questionTypes: ['multiple-choice', 'fill-in-blank', 'short-answer', 'word-problem', 'true-false'],
+    questionTypes: ['multiple-choice', 'fill-in-blank', 'short-answer', 'word-problem', 'true-false', 'spelling'],
   },
 
   // Gap Analyzer Agent
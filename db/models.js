@@ -7,6 +7,7 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,10 +27,75 @@ db.pragma('foreign_keys = ON');
 
 console.log('✅ SQLite database initialized at:', dbPath);
 
+/**
+ * Generate a unique row ID (timestamp alone collides on bulk inserts)
+ */
+export function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Roles a login account can have (see db/schema.js users)
+ */
+export const USER_ROLES = ['student', 'teacher', 'admin', 'parent'];
+
+/**
+ * Kinds of school (see db/schema.js schools)
+ */
+export const SCHOOL_TYPES = ['government', 'aided', 'private'];
+
+/**
+ * UDISE+ school codes are 11 digits (state, district, block, village, school)
+ */
+export function isValidUdiseCode(code) {
+  return /^\d{11}$/.test(String(code || ''));
+}
+
+/**
+ * Kinds of learning content (see db/schema.js content)
+ */
+export const CONTENT_TYPES = ['lesson', 'exercise', 'reading', 'video'];
+
+/**
+ * How a class appears on leaderboards, least to most private
+ */
+export const LEADERBOARD_MODES = ['first_name', 'pseudonym', 'off'];
+
+/**
+ * Add a column to a table created by an older version of this file
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 /**
  * Initialize database tables
  */
 export function initializeDatabase() {
+  // Schools table (tenants; every student, teacher and class belongs to one)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schools (
+      id TEXT PRIMARY KEY,
+      udise_code TEXT UNIQUE,
+      name TEXT NOT NULL,
+      address TEXT,
+      district TEXT,
+      state TEXT,
+      type TEXT DEFAULT 'government',
+      languages TEXT,
+      grades TEXT,
+      contact_email TEXT,
+      contact_phone TEXT,
+      principal_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      active INTEGER DEFAULT 1
+    )
+  `);
+
   // Students table
   db.exec(`
     CREATE TABLE IF NOT EXISTS students (
@@ -93,6 +159,110 @@ export function initializeDatabase() {
     )
   `);
 
+  // Users table (login accounts; id matches the student/teacher profile id)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE,
+      phone_number TEXT UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('student', 'teacher', 'admin', 'parent')),
+      name TEXT NOT NULL,
+      language TEXT DEFAULT 'en',
+      school_id TEXT,
+      student_ids TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME,
+      active INTEGER DEFAULT 1
+    )
+  `);
+
+  // Auth sessions table (only a hash of each bearer token is stored)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id)');
+
+  // Classes table (a grade + section taught at a school)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS classes (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      school_id TEXT,
+      grade INTEGER,
+      section TEXT,
+      subjects TEXT,
+      academic_year TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      active INTEGER DEFAULT 1
+    )
+  `);
+
+  // Class teachers table (which teacher teaches which subjects to a class)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS class_teachers (
+      class_id TEXT NOT NULL,
+      teacher_id TEXT NOT NULL,
+      subjects TEXT,
+      is_class_teacher INTEGER DEFAULT 0,
+      assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (class_id, teacher_id),
+      FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+      FOREIGN KEY (teacher_id) REFERENCES teachers(id)
+    )
+  `);
+
+  // Class students table (enrolment)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS class_students (
+      class_id TEXT NOT NULL,
+      student_id TEXT NOT NULL,
+      enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (class_id, student_id),
+      FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_class_teachers_teacher ON class_teachers (teacher_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_class_students_student ON class_students (student_id)');
+
+  // Content table (curated lessons, exercises, readings and videos)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS content (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      topic TEXT,
+      grade INTEGER,
+      language TEXT DEFAULT 'en',
+      title TEXT NOT NULL,
+      description TEXT,
+      body TEXT NOT NULL,
+      difficulty TEXT DEFAULT 'medium',
+      estimated_time INTEGER,
+      tags TEXT,
+      school_id TEXT,
+      created_by TEXT,
+      times_served INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      active INTEGER DEFAULT 1
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_content_lookup ON content (subject, type, language, grade)');
+
   // Session logs table
   db.exec(`
     CREATE TABLE IF NOT EXISTS session_logs (
@@ -107,6 +277,36 @@ export function initializeDatabase() {
     )
   `);
 
+  // Conversation summaries table (rolled-up older turns)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversation_summaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      message_count INTEGER DEFAULT 0,
+      first_message_at DATETIME,
+      last_message_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Conversation messages table (coordinator chat memory)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversation_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      routing TEXT,
+      agent_used TEXT,
+      summary_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (summary_id) REFERENCES conversation_summaries(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_conversation_messages_student ON conversation_messages (student_id, summary_id)');
+
   // Achievements table
   db.exec(`
     CREATE TABLE IF NOT EXISTS achievements (
@@ -132,6 +332,368 @@ export function initializeDatabase() {
     )
   `);
 
+  db.exec('CREATE INDEX IF NOT EXISTS idx_student_achievements_student ON student_achievements (student_id, achievement_id)');
+
+  // Learning events table (completed assessments, exercises, readings and sessions)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS learning_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      subject TEXT,
+      topic TEXT,
+      correct INTEGER DEFAULT 0,
+      total INTEGER DEFAULT 0,
+      score REAL,
+      words INTEGER DEFAULT 0,
+      duration INTEGER DEFAULT 0,
+      source_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_learning_events_student ON learning_events (student_id, created_at)');
+
+  // Points ledger table (every point a student earns, and why)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS points_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      points INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      source_type TEXT,
+      source_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_points_ledger_student ON points_ledger (student_id, created_at)');
+
+  // Quests table (daily/weekly quests per student, special quests set by teachers)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quests (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL CHECK (type IN ('daily', 'weekly', 'special')),
+      name TEXT NOT NULL,
+      description TEXT,
+      metric TEXT NOT NULL,
+      subject TEXT,
+      target INTEGER NOT NULL,
+      reward_points INTEGER DEFAULT 0,
+      reward_badge TEXT,
+      student_id TEXT,
+      class_id TEXT,
+      school_id TEXT,
+      created_by TEXT,
+      starts_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      status TEXT DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Student quests table (each student's progress on a quest)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_quests (
+      quest_id TEXT NOT NULL,
+      student_id TEXT NOT NULL,
+      progress INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active',
+      completed_at DATETIME,
+      assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (quest_id, student_id),
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Streak freezes table (each row is one freeze; used_on is the missed IST day it covered)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS streak_freezes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      used_on TEXT,
+      UNIQUE (student_id, source),
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // School holidays table (days that don't break a streak)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS school_holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      school_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      name TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (school_id, date),
+      FOREIGN KEY (school_id) REFERENCES schools(id)
+    )
+  `);
+
+  // Curriculum graph versions (features/curriculum.js seeds the first); one is published at a time
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS curriculum_versions (
+      id TEXT PRIMARY KEY,
+      version TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      framework TEXT,
+      notes TEXT,
+      status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+      based_on TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      published_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS curriculum_topics (
+      version_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      grade_min INTEGER NOT NULL,
+      grade_max INTEGER NOT NULL,
+      importance INTEGER DEFAULT 5,
+      difficulty TEXT DEFAULT 'medium',
+      prerequisites TEXT,
+      aliases TEXT,
+      PRIMARY KEY (version_id, id),
+      FOREIGN KEY (version_id) REFERENCES curriculum_versions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Item bank for adaptive tests: IRT difficulty (b) and discrimination (a) per question, kept per school
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS assessment_items (
+      id TEXT PRIMARY KEY,
+      subject TEXT NOT NULL,
+      topic TEXT,
+      school_id TEXT,
+      question TEXT NOT NULL,
+      difficulty REAL DEFAULT 0,
+      difficulty_prior REAL DEFAULT 0,
+      discrimination REAL DEFAULT 1,
+      response_count INTEGER DEFAULT 0,
+      calibrated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS item_responses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id TEXT NOT NULL,
+      student_id TEXT NOT NULL,
+      correct INTEGER NOT NULL,
+      test_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES assessment_items(id),
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_abilities (
+      student_id TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      theta REAL NOT NULL,
+      se REAL NOT NULL,
+      response_count INTEGER DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, subject),
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS adaptive_tests (
+      id TEXT PRIMARY KEY,
+      student_id TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      topic TEXT,
+      status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+      prior_theta REAL DEFAULT 0,
+      theta REAL DEFAULT 0,
+      se REAL DEFAULT 1,
+      target_se REAL NOT NULL,
+      min_items INTEGER NOT NULL,
+      max_items INTEGER NOT NULL,
+      current_item_id TEXT,
+      responses TEXT,
+      assessment_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Quizzes, exercises and diagnostics in progress; answers stay on the server and are graded there
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS assessment_sessions (
+      id TEXT PRIMARY KEY,
+      student_id TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('quiz', 'exercise', 'diagnostic')),
+      subject TEXT NOT NULL,
+      topic TEXT,
+      language TEXT DEFAULT 'en',
+      status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+      questions TEXT NOT NULL,
+      answers TEXT,
+      review_count INTEGER DEFAULT 0,
+      assessment_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Spaced-repetition cards: one per topic and one per question a student has answered
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      item_key TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('topic', 'item')),
+      subject TEXT,
+      topic TEXT,
+      item TEXT,
+      easiness REAL DEFAULT 2.5,
+      interval_days INTEGER DEFAULT 0,
+      repetitions INTEGER DEFAULT 0,
+      lapses INTEGER DEFAULT 0,
+      last_quality INTEGER,
+      due_on TEXT NOT NULL,
+      last_reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (student_id, item_key),
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Teachers' writing rubrics (built-in ones live in utils/writing-rubrics.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS writing_rubrics (
+      id TEXT PRIMARY KEY,
+      school_id TEXT,
+      name TEXT NOT NULL,
+      grade_min INTEGER NOT NULL,
+      grade_max INTEGER NOT NULL,
+      criteria TEXT NOT NULL,
+      created_by TEXT,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (school_id) REFERENCES schools(id)
+    )
+  `);
+
+  // Scored writing: every revision of a piece is its own row, numbered within the piece
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS writing_submissions (
+      id TEXT PRIMARY KEY,
+      piece_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      student_id TEXT NOT NULL,
+      title TEXT,
+      prompt TEXT,
+      text TEXT NOT NULL,
+      language TEXT DEFAULT 'en',
+      rubric_id TEXT,
+      rubric TEXT NOT NULL,
+      scores TEXT NOT NULL,
+      percentage REAL,
+      suggestions TEXT,
+      feedback TEXT,
+      handwriting_notes TEXT,
+      submitted_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (piece_id, revision),
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Timed oral readings; each is also stored as an assessment of the words read
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reading_fluency (
+      id TEXT PRIMARY KEY,
+      student_id TEXT NOT NULL,
+      assessment_id TEXT,
+      passage_id TEXT,
+      passage_title TEXT,
+      language TEXT DEFAULT 'en',
+      grade INTEGER,
+      level TEXT,
+      duration_seconds REAL NOT NULL,
+      words_attempted INTEGER,
+      words_correct INTEGER,
+      accuracy REAL,
+      wcpm INTEGER,
+      band TEXT,
+      transcript TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  // Misconceptions inferred from wrong answers (catalogue in utils/misconceptions.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS student_misconceptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id TEXT NOT NULL,
+      misconception_id TEXT NOT NULL,
+      subject TEXT,
+      topic TEXT,
+      question TEXT,
+      answer TEXT,
+      correct_answer TEXT,
+      source TEXT,
+      assessment_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_quests_student ON quests (student_id, type, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_quests_class ON quests (class_id, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_student_quests_student ON student_quests (student_id, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_review_items_due ON review_items (student_id, due_on)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_assessment_items_subject ON assessment_items (subject, topic)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_item_responses_item ON item_responses (item_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_item_responses_student ON item_responses (student_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_assessment_sessions_student ON assessment_sessions (student_id, status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_student_misconceptions_student ON student_misconceptions (student_id, misconception_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_writing_submissions_student ON writing_submissions (student_id, created_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_reading_fluency_student ON reading_fluency (student_id, created_at)');
+
+  // Columns added after the first release
+  addColumnIfMissing('users', 'school_id', 'TEXT');
+  addColumnIfMissing('content', 'school_id', 'TEXT');
+  addColumnIfMissing('achievements', 'rarity', 'TEXT');
+  addColumnIfMissing('achievements', 'cultural_theme', 'TEXT');
+  addColumnIfMissing('student_achievements', 'seen_at', 'DATETIME');
+  addColumnIfMissing('classes', 'leaderboard_mode', "TEXT DEFAULT 'first_name'");
+  addColumnIfMissing('session_logs', 'agents_used', 'TEXT');
+  addColumnIfMissing('session_logs', 'device', 'TEXT');
+  addColumnIfMissing('session_logs', 'online', 'INTEGER DEFAULT 1');
+  addColumnIfMissing('session_logs', 'current_subject', 'TEXT');
+  addColumnIfMissing('session_logs', 'current_topic', 'TEXT');
+  addColumnIfMissing('session_logs', 'topic_time', 'TEXT');
+  addColumnIfMissing('session_logs', 'active_seconds', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('session_logs', 'last_heartbeat_at', 'DATETIME');
+  addColumnIfMissing('assessment_items', 'school_id', 'TEXT');
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_students_school ON students (school_id, grade)');
+
   console.log('✅ Database tables initialized');
   return db;
 }
@@ -141,7 +703,7 @@ export function initializeDatabase() {
  */
 export class StudentModel {
   async create(studentData) {
-    const id = studentData.id || `student_${Date.now()}`;
+    const id = studentData.id || generateId('student');
     const stmt = db.prepare(`
       INSERT INTO students (id, name, grade, section, school_id, teacher_id, language, learning_level)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
@@ -166,8 +728,21 @@ export class StudentModel {
     return stmt.get(studentId);
   }
 
-  async update(studentId, updates) {
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+  /**
+   * Find active students by school, grade, section or teacher
+   */
+  async find(filters = {}) {
+    const { clause, params } = studentFilterClause(filters, 'students');
+    const stmt = db.prepare(`SELECT * FROM students WHERE active = 1${clause} ORDER BY name`);
+    return stmt.all(...params);
+  }
+
+  async getBySchool(schoolId, grade = null) {
+    return this.find({ schoolId, grade });
+  }
+
+  async update(studentId, updates) {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
     const values = Object.values(updates);
 
     const stmt = db.prepare(`
@@ -195,6 +770,23 @@ export class StudentModel {
     );
   }
 
+  /**
+   * Add time on task (minutes, not rounded) to the student's latest progress record for a topic
+   */
+  async addTimeSpent(studentId, subject, topic, minutes) {
+    const latest = db.prepare(`
+      SELECT id FROM progress WHERE student_id = ? AND subject = ? AND topic = ? ORDER BY last_practiced DESC, id DESC LIMIT 1
+    `).get(studentId, subject, topic);
+
+    if (latest) {
+      db.prepare(`
+        UPDATE progress SET time_spent = time_spent + ?, last_practiced = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(minutes, latest.id);
+    } else {
+      await this.addProgress(studentId, { subject, topic, timeSpent: minutes });
+    }
+  }
+
   async getProgress(studentId, subject = null) {
     let query = 'SELECT * FROM progress WHERE student_id = ?';
     const params = [studentId];
@@ -211,7 +803,7 @@ export class StudentModel {
   }
 
   async addAssessment(studentId, assessmentData) {
-    const id = assessmentData.assessmentId || `assess_${Date.now()}`;
+    const id = assessmentData.assessmentId || generateId('assess');
     const stmt = db.prepare(`
       INSERT INTO assessments (id, student_id, subject, topics, total_questions, correct_answers, score, grade, results)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -253,7 +845,7 @@ export class StudentModel {
  */
 export class TeacherModel {
   async create(teacherData) {
-    const id = teacherData.id || `teacher_${Date.now()}`;
+    const id = teacherData.id || generateId('teacher');
     const stmt = db.prepare(`
       INSERT INTO teachers (id, name, school_id, subjects, email)
       VALUES (?, ?, ?, ?, ?)
@@ -281,21 +873,49 @@ export class TeacherModel {
     return teacher;
   }
 
-  async getClassStats(teacherId) {
-    // For demo purposes, we'll fetch stats for all students
-    // In a real app, we would filter by teacher_id
+  /**
+   * Active students in any of the teacher's classes
+   */
+  async getByTeacher(teacherId) {
+    const stmt = db.prepare(`
+      SELECT DISTINCT s.* FROM students s
+      JOIN class_students cs ON cs.student_id = s.id
+      JOIN class_teachers ct ON ct.class_id = cs.class_id
+      JOIN classes c ON c.id = cs.class_id
+      WHERE ct.teacher_id = ? AND s.active = 1 AND c.active = 1
+      ORDER BY s.name
+    `);
 
-    const totalStudents = db.prepare('SELECT COUNT(*) as count FROM students').get().count;
+    return stmt.all(teacherId);
+  }
 
-    const avgScore = db.prepare('SELECT AVG(score) as avg FROM assessments').get().avg || 0;
+  /**
+   * Dashboard stats for the teacher's classes (pass null for every class, e.g. admins)
+   * @param {Object} options - { classId, schoolId } to narrow the classes
+   */
+  async getClassStats(teacherId, options = {}) {
+    const filters = { teacherId, classId: options.classId, schoolId: options.schoolId };
+    const { clause, params } = studentFilterClause(filters, 's');
+
+    const totalStudents = db.prepare(`
+      SELECT COUNT(*) as count FROM students s WHERE s.active = 1${clause}
+    `).get(...params).count;
+
+    const avgScore = db.prepare(`
+      SELECT AVG(a.score) as avg
+      FROM assessments a
+      JOIN students s ON a.student_id = s.id
+      WHERE s.active = 1${clause}
+    `).get(...params).avg || 0;
 
     const recentAssessments = db.prepare(`
-            SELECT a.*, s.name as student_name 
-            FROM assessments a 
-            JOIN students s ON a.student_id = s.id 
-            ORDER BY a.completed_at DESC 
-            LIMIT 10
-        `).all();
+      SELECT a.*, s.name as student_name
+      FROM assessments a
+      JOIN students s ON a.student_id = s.id
+      WHERE s.active = 1${clause}
+      ORDER BY a.completed_at DESC
+      LIMIT 10
+    `).all(...params);
 
     // Parse JSON in recentAssessments
     const parsedAssessments = recentAssessments.map(a => ({
@@ -304,14 +924,247 @@ export class TeacherModel {
       results: JSON.parse(a.results || '[]')
     }));
 
+    const classes = await new ClassModel().find({ teacherId, id: options.classId, schoolId: options.schoolId });
+
     return {
       totalStudents,
       averageScore: Math.round(avgScore * 10) / 10,
+      classes,
       recentActivity: parsedAssessments
     };
   }
 }
 
+/**
+ * Class Model
+ * Classes/sections linking teachers (per subject) to enrolled students
+ */
+export class ClassModel {
+  async create(classData) {
+    const id = classData.id || generateId('class');
+    const stmt = db.prepare(`
+      INSERT INTO classes (id, name, school_id, grade, section, subjects, academic_year, leaderboard_mode)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const createClass = db.transaction(() => {
+      stmt.run(
+        id,
+        classData.name || [classData.grade && `Grade ${classData.grade}`, classData.section].filter(Boolean).join(' ') || 'Class',
+        classData.schoolId || null,
+        classData.grade || null,
+        classData.section || null,
+        JSON.stringify(classData.subjects || []),
+        classData.academicYear || null,
+        classData.leaderboardMode || 'first_name'
+      );
+
+      (classData.teachers || []).forEach(t => addClassTeacher(id, t.teacherId, t));
+      (classData.studentIds || []).forEach(studentId => addClassStudent(id, studentId));
+    });
+
+    createClass();
+    return this.getById(id);
+  }
+
+  /**
+   * Class with its teachers and student count
+   */
+  async getById(classId) {
+    const cls = db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM class_students cs WHERE cs.class_id = c.id) as student_count
+      FROM classes c WHERE c.id = ?
+    `).get(classId);
+
+    if (!cls) return null;
+
+    const teachers = db.prepare(`
+      SELECT t.id, t.name, t.email, ct.subjects, ct.is_class_teacher
+      FROM class_teachers ct
+      JOIN teachers t ON ct.teacher_id = t.id
+      WHERE ct.class_id = ?
+      ORDER BY ct.is_class_teacher DESC, t.name
+    `).all(classId);
+
+    return {
+      ...parseClass(cls),
+      teachers: teachers.map(t => ({
+        ...t,
+        subjects: JSON.parse(t.subjects || '[]'),
+        isClassTeacher: !!t.is_class_teacher,
+      })),
+    };
+  }
+
+  /**
+   * Find active classes by school, grade, section, teacher or student
+   */
+  async find(filters = {}) {
+    const columns = {
+      id: 'c.id',
+      schoolId: 'c.school_id',
+      grade: 'c.grade',
+      section: 'c.section',
+      academicYear: 'c.academic_year',
+    };
+
+    const conditions = ['c.active = 1'];
+    const params = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+        conditions.push(`${column} = ?`);
+        params.push(filters[key]);
+      }
+    }
+
+    if (filters.teacherId) {
+      conditions.push('c.id IN (SELECT class_id FROM class_teachers WHERE teacher_id = ?)');
+      params.push(filters.teacherId);
+    }
+
+    const studentIds = filters.studentId ? [filters.studentId] : filters.studentIds || [];
+    if (studentIds.length > 0) {
+      conditions.push(`c.id IN (SELECT class_id FROM class_students WHERE student_id IN (${studentIds.map(() => '?').join(', ')}))`);
+      params.push(...studentIds);
+    }
+
+    const stmt = db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM class_students cs WHERE cs.class_id = c.id) as student_count
+      FROM classes c
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.grade, c.section, c.name
+    `);
+
+    return stmt.all(...params).map(parseClass);
+  }
+
+  async update(classId, updates) {
+    const columns = {
+      name: 'name',
+      schoolId: 'school_id',
+      grade: 'grade',
+      section: 'section',
+      subjects: 'subjects',
+      academicYear: 'academic_year',
+      leaderboardMode: 'leaderboard_mode',
+      active: 'active',
+    };
+
+    const fields = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (key === 'subjects') value = JSON.stringify(value || []);
+      if (key === 'active') value = value ? 1 : 0;
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE classes SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(...values, classId);
+    }
+
+    return this.getById(classId);
+  }
+
+  async delete(classId) {
+    const result = db.prepare('DELETE FROM classes WHERE id = ?').run(classId);
+    return { deleted: result.changes };
+  }
+
+  async addTeacher(classId, teacherId, options = {}) {
+    addClassTeacher(classId, teacherId, options);
+    return this.getById(classId);
+  }
+
+  async removeTeacher(classId, teacherId) {
+    const result = db.prepare('DELETE FROM class_teachers WHERE class_id = ? AND teacher_id = ?').run(classId, teacherId);
+    return { removed: result.changes };
+  }
+
+  async addStudents(classId, studentIds) {
+    const enrol = db.transaction(() => studentIds.forEach(studentId => addClassStudent(classId, studentId)));
+    enrol();
+    return this.getStudents(classId);
+  }
+
+  async removeStudent(classId, studentId) {
+    const result = db.prepare('DELETE FROM class_students WHERE class_id = ? AND student_id = ?').run(classId, studentId);
+    return { removed: result.changes };
+  }
+
+  async getStudents(classId) {
+    const stmt = db.prepare(`
+      SELECT s.*, cs.enrolled_at
+      FROM class_students cs
+      JOIN students s ON cs.student_id = s.id
+      WHERE cs.class_id = ? AND s.active = 1
+      ORDER BY s.name
+    `);
+
+    return stmt.all(classId);
+  }
+
+  async isTeacherOf(teacherId, classId) {
+    return !!db.prepare('SELECT 1 FROM class_teachers WHERE teacher_id = ? AND class_id = ?').get(teacherId, classId);
+  }
+
+  async isStudentOf(studentId, classId) {
+    return !!db.prepare('SELECT 1 FROM class_students WHERE student_id = ? AND class_id = ?').get(studentId, classId);
+  }
+
+  /**
+   * Most private leaderboard mode across each student's active classes
+   * @returns {Promise<Object>} - { studentId: mode } (students without a class are left out)
+   */
+  async getLeaderboardModes(studentIds) {
+    if (studentIds.length === 0) return {};
+
+    const rows = db.prepare(`
+      SELECT cs.student_id, c.leaderboard_mode FROM class_students cs
+      JOIN classes c ON cs.class_id = c.id
+      WHERE c.active = 1 AND cs.student_id IN (${studentIds.map(() => '?').join(', ')})
+    `).all(...studentIds);
+
+    const modes = {};
+    for (const row of rows) {
+      const mode = row.leaderboard_mode || 'first_name';
+      const current = modes[row.student_id];
+      if (!current || LEADERBOARD_MODES.indexOf(mode) > LEADERBOARD_MODES.indexOf(current)) {
+        modes[row.student_id] = mode;
+      }
+    }
+    return modes;
+  }
+}
+
+function addClassTeacher(classId, teacherId, options = {}) {
+  db.prepare(`
+    INSERT INTO class_teachers (class_id, teacher_id, subjects, is_class_teacher)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (class_id, teacher_id) DO UPDATE SET
+      subjects = excluded.subjects, is_class_teacher = excluded.is_class_teacher
+  `).run(classId, teacherId, JSON.stringify(options.subjects || []), options.isClassTeacher ? 1 : 0);
+}
+
+function addClassStudent(classId, studentId) {
+  db.prepare('INSERT OR IGNORE INTO class_students (class_id, student_id) VALUES (?, ?)').run(classId, studentId);
+}
+
+function parseClass(c) {
+  return {
+    ...c,
+    subjects: JSON.parse(c.subjects || '[]'),
+  };
+}
+
 /**
  * Achievement Model
  */
@@ -321,86 +1174,2129 @@ export class AchievementModel {
     return stmt.all();
   }
 
+  /**
+   * Insert or refresh achievement definitions (features/gamification.js ACHIEVEMENTS)
+   */
+  async seed(achievements) {
+    const stmt = db.prepare(`
+      INSERT INTO achievements (id, name, description, icon, category, points, rarity, cultural_theme)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name, description = excluded.description, icon = excluded.icon,
+        category = excluded.category, points = excluded.points, rarity = excluded.rarity,
+        cultural_theme = excluded.cultural_theme
+    `);
+
+    const seedAll = db.transaction(() => achievements.forEach(a => stmt.run(
+      a.id, a.name, a.description || null, a.icon || null, a.category || null,
+      a.points || 0, a.rarity || null, a.culturalTheme || null
+    )));
+    seedAll();
+    return achievements.length;
+  }
+
+  /**
+   * Award an achievement once; returns false if the student already has it
+   */
   async awardToStudent(studentId, achievementId) {
     const stmt = db.prepare(`
       INSERT INTO student_achievements (student_id, achievement_id)
-      VALUES (?, ?)
+      SELECT ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM student_achievements WHERE student_id = ? AND achievement_id = ?)
     `);
 
-    stmt.run(studentId, achievementId);
+    return stmt.run(studentId, achievementId, studentId, achievementId).changes > 0;
   }
 
-  async getStudentAchievements(studentId) {
+  /**
+   * @param {Object} options - { unseen: true for awards not yet shown to the student }
+   */
+  async getStudentAchievements(studentId, options = {}) {
     const stmt = db.prepare(`
-      SELECT sa.*, a.name, a.description, a.icon, a.points
+      SELECT sa.*, a.name, a.description, a.icon, a.category, a.points, a.rarity, a.cultural_theme
       FROM student_achievements sa
       JOIN achievements a ON sa.achievement_id = a.id
-      WHERE sa.student_id = ?
+      WHERE sa.student_id = ? ${options.unseen ? 'AND sa.seen_at IS NULL' : ''}
       ORDER BY sa.earned_at DESC
     `);
 
     return stmt.all(studentId);
   }
+
+  async markSeen(studentId) {
+    const result = db.prepare(`
+      UPDATE student_achievements SET seen_at = CURRENT_TIMESTAMP WHERE student_id = ? AND seen_at IS NULL
+    `).run(studentId);
+    return { marked: result.changes };
+  }
 }
 
+// Topic keywords used to count mastered grammar and geometry topics
+const GRAMMAR_TOPIC_PATTERN = ['%grammar%', '%noun%', '%verb%', '%adjective%', '%adverb%', '%tense%', '%punctuation%', '%sentence%', '%preposition%', '%conjunction%'];
+const GEOMETRY_TOPIC_PATTERN = ['%geometry%', '%shape%', '%angle%', '%area%', '%perimeter%', '%triangle%', '%circle%', '%symmetry%', '%polygon%', '%volume%'];
+
+// Best score at or above which a topic counts as mastered
+const MASTERY_SCORE = 80;
+
 /**
- * Session Log Model
+ * Gamification Model
+ * Learning events, the points ledger and the stats achievements are checked against
  */
-export class SessionLogModel {
-  async create(sessionData) {
-    const id = sessionData.id || `session_${Date.now()}`;
+export class GamificationModel {
+  /**
+   * @param {Object} eventData - { type, subject, topic, correct, total, score, words, duration, sourceId }
+   */
+  async recordEvent(studentId, eventData) {
+    const { correct = 0, total = 0 } = eventData;
+    const score = eventData.score ?? (total > 0 ? (correct / total) * 100 : null);
+
+    const result = db.prepare(`
+      INSERT INTO learning_events (student_id, type, subject, topic, correct, total, score, words, duration, source_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      studentId,
+      eventData.type,
+      eventData.subject || null,
+      eventData.topic || null,
+      correct,
+      total,
+      score,
+      eventData.words || 0,
+      eventData.duration || 0,
+      eventData.sourceId || null
+    );
+
+    return { id: result.lastInsertRowid, studentId, ...eventData, score };
+  }
+
+  async getEvents(studentId, limit = 50) {
+    return db.prepare(`
+      SELECT * FROM learning_events WHERE student_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+    `).all(studentId, limit);
+  }
+
+  /**
+   * @param {Object} source - { reason, sourceType, sourceId }
+   */
+  async addPoints(studentId, points, source) {
+    db.prepare(`
+      INSERT INTO points_ledger (student_id, points, reason, source_type, source_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(studentId, points, source.reason, source.sourceType || null, source.sourceId || null);
+
+    return this.getTotalPoints(studentId);
+  }
+
+  async getTotalPoints(studentId) {
+    const row = db.prepare('SELECT COALESCE(SUM(points), 0) as total FROM points_ledger WHERE student_id = ?').get(studentId);
+    return row.total;
+  }
+
+  /**
+   * Points credited since a time from one kind of source
+   */
+  async getPointsSince(studentId, since, sourceType) {
+    return db.prepare(`
+      SELECT COALESCE(SUM(points), 0) as total FROM points_ledger
+      WHERE student_id = ? AND source_type = ? AND created_at >= ?
+    `).get(studentId, sourceType, sqlTimestamp(since)).total;
+  }
+
+  /**
+   * Points and answers per student per IST day since a date, for leaderboards
+   * @returns {Promise<Array>} - [{ student_id, day, points, correct, total, active }]
+   */
+  async getDailyTotals(studentIds, since) {
+    if (studentIds.length === 0) return [];
+    const placeholders = studentIds.map(() => '?').join(', ');
+
+    return db.prepare(`
+      SELECT student_id, day, SUM(points) as points, SUM(correct) as correct, SUM(total) as total, MAX(active) as active
+      FROM (
+        SELECT student_id, DATE(created_at, ?) as day, points, 0 as correct, 0 as total, 0 as active
+        FROM points_ledger WHERE student_id IN (${placeholders}) AND created_at >= ?
+        UNION ALL
+        SELECT student_id, DATE(created_at, ?) as day, 0, correct, total, 1
+        FROM learning_events WHERE student_id IN (${placeholders}) AND created_at >= ?
+      )
+      GROUP BY student_id, day
+      ORDER BY student_id, day
+    `).all(IST_MODIFIER, ...studentIds, sqlTimestamp(since), IST_MODIFIER, ...studentIds, sqlTimestamp(since));
+  }
+
+  async getLedger(studentId, limit = 50) {
+    return db.prepare(`
+      SELECT * FROM points_ledger WHERE student_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+    `).all(studentId, limit);
+  }
+
+  /**
+   * Aggregate a student's learning events into the stats checkAchievement() reads
+   * (streaks are worked out separately, see getActivityDays)
+   */
+  async getStats(studentId) {
+    const likeAny = (patterns) => `(${patterns.map(() => 'LOWER(topic) LIKE ?').join(' OR ')})`;
+
+    const counts = db.prepare(`
+      SELECT
+        COALESCE(SUM(words), 0) as wordsRead,
+        COALESCE(SUM(CASE WHEN type = 'reading'
+          OR (subject = 'literacy' AND type IN ('exercise', 'assessment')
+            AND (LOWER(topic) LIKE '%reading%' OR LOWER(topic) LIKE '%comprehension%'))
+          THEN 1 ELSE 0 END), 0) as readingExercisesCompleted,
+        COALESCE(SUM(CASE WHEN subject = 'numeracy' THEN correct ELSE 0 END), 0) as mathProblemsSolved,
+        COALESCE(SUM(CASE WHEN subject = 'numeracy' AND LOWER(topic) LIKE '%mental%' THEN correct ELSE 0 END), 0) as mentalMathSolved,
+        COALESCE(SUM(CASE WHEN type IN ('exercise', 'assessment') AND total > 0 AND correct = total THEN 1 ELSE 0 END), 0) as perfectScores,
+        COALESCE(SUM(CASE WHEN type = 'peer_help' THEN 1 ELSE 0 END), 0) as peersHelped,
+        COALESCE(SUM(CASE WHEN type IN ('exercise', 'assessment') THEN 1 ELSE 0 END), 0) as activitiesCompleted,
+        COALESCE(SUM(duration), 0) as timeSpent,
+        COALESCE(SUM(total), 0) as questionsAnswered,
+        COALESCE(SUM(correct), 0) as correctAnswers
+      FROM learning_events WHERE student_id = ?
+    `).get(studentId);
+
+    const masteredTopics = (subject, patterns) => db.prepare(`
+      SELECT COUNT(*) as count FROM (
+        SELECT LOWER(topic) FROM learning_events
+        WHERE student_id = ? AND subject = ? AND topic IS NOT NULL AND ${likeAny(patterns)}
+        GROUP BY LOWER(topic) HAVING MAX(score) >= ?
+      )
+    `).get(studentId, subject, ...patterns, MASTERY_SCORE).count;
+
+    return {
+      ...counts,
+      grammarTopicsMastered: masteredTopics('literacy', GRAMMAR_TOPIC_PATTERN),
+      geometryTopicsMastered: masteredTopics('numeracy', GEOMETRY_TOPIC_PATTERN),
+      averageAccuracy: counts.questionsAnswered > 0
+        ? Math.round((counts.correctAnswers / counts.questionsAnswered) * 100)
+        : 0,
+      totalPoints: await this.getTotalPoints(studentId),
+    };
+  }
+
+  /**
+   * India Standard Time calendar days ('YYYY-MM-DD') on which the student had a learning event
+   * or a session with recorded activity or MIN_SESSION_SECONDS of time on task
+   */
+  async getActivityDays(studentId) {
+    return db.prepare(`
+      SELECT DATE(start_time, ?) as day FROM session_logs
+      WHERE student_id = ? AND (active_seconds >= ${MIN_SESSION_SECONDS} OR COALESCE(activities, '[]') != '[]')
+      UNION
+      SELECT DATE(created_at, ?) as day FROM learning_events WHERE student_id = ?
+      ORDER BY day
+    `).all(IST_MODIFIER, studentId, IST_MODIFIER, studentId).map(row => row.day);
+  }
+
+  /**
+   * Streak freezes a student holds or has used (newest first)
+   */
+  async getStreakFreezes(studentId) {
+    return db.prepare(`
+      SELECT * FROM streak_freezes WHERE student_id = ? ORDER BY earned_at DESC, id DESC
+    `).all(studentId);
+  }
+
+  /**
+   * Give a student a streak freeze; `source` is unique per student so a milestone pays once
+   * @returns {Promise<boolean>} - false if that source already gave a freeze
+   */
+  async grantStreakFreeze(studentId, source) {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO streak_freezes (student_id, source) VALUES (?, ?)
+    `).run(studentId, source);
+    return result.changes > 0;
+  }
+
+  /**
+   * Spend the student's oldest unused freezes on missed days
+   */
+  async useStreakFreezes(studentId, days) {
     const stmt = db.prepare(`
-      INSERT INTO session_logs (id, student_id, activities, topics_covered)
-      VALUES (?, ?, ?, ?)
+      UPDATE streak_freezes SET used_on = ?
+      WHERE id = (SELECT id FROM streak_freezes WHERE student_id = ? AND used_on IS NULL ORDER BY earned_at, id LIMIT 1)
     `);
+    const useAll = db.transaction(() => days.filter(day => stmt.run(day, studentId).changes > 0).length);
+    return { used: useAll() };
+  }
+}
 
-    stmt.run(
+// SQLite date modifier turning stored UTC timestamps into India Standard Time
+const IST_MODIFIER = '+330 minutes';
+
+/**
+ * Convert a Date to SQLite's CURRENT_TIMESTAMP format (UTC) so it compares with stored timestamps
+ */
+function sqlTimestamp(date) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * What each quest metric counts in learning_events (SUM over the quest's window)
+ */
+const QUEST_METRIC_SQL = {
+  activities: "CASE WHEN type IN ('exercise', 'assessment', 'reading') THEN 1 ELSE 0 END",
+  correct_answers: 'correct',
+  words_read: 'words',
+  minutes: 'duration / 60.0',
+  readings: "CASE WHEN type = 'reading' THEN 1 ELSE 0 END",
+};
+
+/**
+ * Things a quest can count
+ */
+export const QUEST_METRICS = [...Object.keys(QUEST_METRIC_SQL), 'topics_mastered'];
+
+/**
+ * Quest Model
+ * Quest definitions and each student's progress towards them
+ */
+export class QuestModel {
+  /**
+   * @param {Object} questData - { type, name, description, metric, subject, target, reward, studentId, classId, schoolId, createdBy, startsAt, expiresAt }
+   */
+  async create(questData) {
+    const id = questData.id || generateId('quest');
+    const { reward = {} } = questData;
+
+    const createQuest = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO quests (id, type, name, description, metric, subject, target, reward_points, reward_badge,
+                            student_id, class_id, school_id, created_by, starts_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        questData.type,
+        questData.name,
+        questData.description || null,
+        questData.metric,
+        questData.subject || null,
+        questData.target,
+        reward.points || 0,
+        reward.badge || null,
+        questData.studentId || null,
+        questData.classId || null,
+        questData.schoolId || null,
+        questData.createdBy || null,
+        sqlTimestamp(questData.startsAt || new Date()),
+        sqlTimestamp(questData.expiresAt)
+      );
+
+      const studentIds = questData.studentId ? [questData.studentId] : questData.studentIds || [];
+      studentIds.forEach(studentId => assignQuest(id, studentId));
+    });
+    createQuest();
+
+    return this.getById(id);
+  }
+
+  async getById(questId) {
+    const quest = db.prepare(`
+      SELECT q.*,
+             (SELECT COUNT(*) FROM student_quests sq WHERE sq.quest_id = q.id) as assigned_count,
+             (SELECT COUNT(*) FROM student_quests sq WHERE sq.quest_id = q.id AND sq.status = 'completed') as completed_count
+      FROM quests q WHERE q.id = ?
+    `).get(questId);
+    return quest || null;
+  }
+
+  /**
+   * Quests created for classes or students (teacher view), newest first
+   * @param {Object} filters - { classId, createdBy, schoolId, status }
+   */
+  async find(filters = {}) {
+    const conditions = ["q.type = 'special'"];
+    const params = [];
+    const columns = { classId: 'q.class_id', createdBy: 'q.created_by', schoolId: 'q.school_id', status: 'q.status' };
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (filters[key]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[key]);
+      }
+    }
+
+    const ids = db.prepare(`
+      SELECT q.id FROM quests q WHERE ${conditions.join(' AND ')} ORDER BY q.created_at DESC
+    `).all(...params);
+    return Promise.all(ids.map(row => this.getById(row.id)));
+  }
+
+  /**
+   * The student's current daily or weekly quest, if one is still running
+   */
+  async getCurrent(studentId, type) {
+    return db.prepare(`
+      SELECT * FROM quests
+      WHERE student_id = ? AND type = ? AND status = 'active' AND expires_at > ?
+      ORDER BY starts_at DESC LIMIT 1
+    `).get(studentId, type, sqlTimestamp(new Date())) || null;
+  }
+
+  async assign(questId, studentIds) {
+    const assignAll = db.transaction(() => studentIds.forEach(studentId => assignQuest(questId, studentId)));
+    assignAll();
+    return this.getById(questId);
+  }
+
+  /**
+   * Give a student any running special quests set for their classes
+   */
+  async assignClassQuests(studentId) {
+    db.prepare(`
+      INSERT OR IGNORE INTO student_quests (quest_id, student_id)
+      SELECT q.id, cs.student_id FROM quests q
+      JOIN class_students cs ON cs.class_id = q.class_id
+      WHERE cs.student_id = ? AND q.status = 'active' AND q.expires_at > ?
+    `).run(studentId, sqlTimestamp(new Date()));
+  }
+
+  /**
+   * A student's running and completed quests that have not expired yet
+   */
+  async getForStudent(studentId) {
+    return db.prepare(`
+      SELECT q.*, sq.progress, sq.status as progress_status, sq.completed_at
+      FROM student_quests sq
+      JOIN quests q ON sq.quest_id = q.id
+      WHERE sq.student_id = ? AND q.status = 'active' AND q.expires_at > ?
+      ORDER BY CASE q.type WHEN 'daily' THEN 0 WHEN 'weekly' THEN 1 ELSE 2 END, q.expires_at
+    `).all(studentId, sqlTimestamp(new Date()));
+  }
+
+  /**
+   * Progress on a quest from the student's learning events inside the quest's window
+   */
+  async measure(studentId, quest) {
+    if (quest.metric === 'topics_mastered') {
+      // Topics first scored at or above mastery during the quest
+      const params = [studentId, quest.starts_at, quest.expires_at];
+      let subjectClause = '';
+      if (quest.subject) {
+        subjectClause = 'AND subject = ?';
+        params.push(quest.subject);
+      }
+
+      return db.prepare(`
+        SELECT COUNT(DISTINCT LOWER(topic)) as value FROM learning_events e
+        WHERE student_id = ? AND created_at >= ? AND created_at < ? ${subjectClause}
+          AND topic IS NOT NULL AND score >= ?
+          AND NOT EXISTS (
+            SELECT 1 FROM learning_events p
+            WHERE p.student_id = e.student_id AND LOWER(p.topic) = LOWER(e.topic)
+              AND p.score >= ? AND p.created_at < ?
+          )
+      `).get(...params, MASTERY_SCORE, MASTERY_SCORE, quest.starts_at).value;
+    }
+
+    const expression = QUEST_METRIC_SQL[quest.metric];
+    if (!expression) return 0;
+
+    const params = [studentId, quest.starts_at, quest.expires_at];
+    let subjectClause = '';
+    if (quest.subject) {
+      subjectClause = 'AND subject = ?';
+      params.push(quest.subject);
+    }
+
+    const row = db.prepare(`
+      SELECT COALESCE(SUM(${expression}), 0) as value FROM learning_events
+      WHERE student_id = ? AND created_at >= ? AND created_at < ? ${subjectClause}
+    `).get(...params);
+    return Math.floor(row.value);
+  }
+
+  async setProgress(questId, studentId, progress) {
+    db.prepare(`
+      UPDATE student_quests SET progress = ? WHERE quest_id = ? AND student_id = ? AND status = 'active'
+    `).run(progress, questId, studentId);
+  }
+
+  /**
+   * Mark a quest complete; returns false if it was already completed (so rewards are paid once)
+   */
+  async complete(questId, studentId) {
+    const result = db.prepare(`
+      UPDATE student_quests SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE quest_id = ? AND student_id = ? AND status = 'active'
+    `).run(questId, studentId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Retire quests whose time is up (unfinished student progress is marked expired)
+   */
+  async retireExpired() {
+    const now = sqlTimestamp(new Date());
+    const retire = db.transaction(() => {
+      db.prepare(`
+        UPDATE student_quests SET status = 'expired'
+        WHERE status = 'active' AND quest_id IN (SELECT id FROM quests WHERE status = 'active' AND expires_at <= ?)
+      `).run(now);
+      return db.prepare(`UPDATE quests SET status = 'expired' WHERE status = 'active' AND expires_at <= ?`).run(now).changes;
+    });
+    return { retired: retire() };
+  }
+
+  /**
+   * Stop a quest early (teacher cancels a special quest)
+   */
+  async cancel(questId) {
+    const cancelQuest = db.transaction(() => {
+      db.prepare(`UPDATE student_quests SET status = 'expired' WHERE quest_id = ? AND status = 'active'`).run(questId);
+      return db.prepare(`UPDATE quests SET status = 'cancelled' WHERE id = ? AND status = 'active'`).run(questId).changes;
+    });
+    return { cancelled: cancelQuest() };
+  }
+}
+
+function assignQuest(questId, studentId) {
+  db.prepare('INSERT OR IGNORE INTO student_quests (quest_id, student_id) VALUES (?, ?)').run(questId, studentId);
+}
+
+/**
+ * Review Model
+ * Spaced-repetition cards; scheduling itself lives in features/spaced-repetition.js
+ */
+export class ReviewModel {
+  async get(studentId, itemKey) {
+    const card = db.prepare('SELECT * FROM review_items WHERE student_id = ? AND item_key = ?').get(studentId, itemKey);
+    return card ? parseReviewItem(card) : null;
+  }
+
+  /**
+   * Insert or update a card after it was reviewed
+   * @param {Object} card - { itemKey, kind, subject, topic, item, easiness, intervalDays, repetitions, lapses, lastQuality, dueOn }
+   */
+  async save(studentId, card) {
+    db.prepare(`
+      INSERT INTO review_items (student_id, item_key, kind, subject, topic, item, easiness, interval_days,
+                                repetitions, lapses, last_quality, due_on, last_reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (student_id, item_key) DO UPDATE SET
+        subject = excluded.subject, topic = excluded.topic, item = COALESCE(excluded.item, item),
+        easiness = excluded.easiness, interval_days = excluded.interval_days, repetitions = excluded.repetitions,
+        lapses = excluded.lapses, last_quality = excluded.last_quality, due_on = excluded.due_on,
+        last_reviewed_at = CURRENT_TIMESTAMP
+    `).run(
+      studentId,
+      card.itemKey,
+      card.kind,
+      card.subject || null,
+      card.topic || null,
+      card.item ? JSON.stringify(card.item) : null,
+      card.easiness,
+      card.intervalDays,
+      card.repetitions,
+      card.lapses,
+      card.lastQuality,
+      card.dueOn
+    );
+
+    return this.get(studentId, card.itemKey);
+  }
+
+  /**
+   * Cards due on or before a day ('YYYY-MM-DD'), most overdue first
+   * @param {Object} filters - { until, subject, topic, kind, limit }
+   */
+  async getDue(studentId, filters = {}) {
+    const conditions = ['student_id = ?', 'due_on <= ?'];
+    const params = [studentId, filters.until];
+
+    for (const [column, value] of [['subject', filters.subject], ['topic', filters.topic], ['kind', filters.kind]]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+
+    return db.prepare(`
+      SELECT * FROM review_items WHERE ${conditions.join(' AND ')}
+      ORDER BY due_on, easiness LIMIT ?
+    `).all(...params, filters.limit || 50).map(parseReviewItem);
+  }
+}
+
+function parseReviewItem(card) {
+  return { ...card, item: card.item ? JSON.parse(card.item) : null };
+}
+
+/**
+ * Writing Model
+ * Teachers' rubrics and scored writing with its revisions; scoring lives in utils/writing-rubrics.js
+ */
+export class WritingModel {
+  /**
+   * @param {Object} rubric - { schoolId, name, gradeMin, gradeMax, criteria, createdBy }
+   */
+  async createRubric(rubric) {
+    const id = generateId('rubric');
+    db.prepare(`
+      INSERT INTO writing_rubrics (id, school_id, name, grade_min, grade_max, criteria, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
       id,
-      sessionData.studentId,
-      JSON.stringify(sessionData.activities || []),
-      JSON.stringify(sessionData.topicsCovered || [])
+      rubric.schoolId || null,
+      rubric.name,
+      rubric.gradeMin,
+      rubric.gradeMax,
+      JSON.stringify(rubric.criteria),
+      rubric.createdBy || null
     );
+    return this.getRubric(id);
+  }
 
-    return { id, ...sessionData };
+  async getRubric(rubricId) {
+    const rubric = db.prepare('SELECT * FROM writing_rubrics WHERE id = ?').get(rubricId);
+    return rubric ? parseWritingRubric(rubric) : null;
   }
 
-  async endSession(sessionId, endData) {
-    const stmt = db.prepare(`
-      UPDATE session_logs SET end_time = CURRENT_TIMESTAMP, duration = ? WHERE id = ?
-    `);
+  /**
+   * Active rubrics shared by every school or belonging to one school, optionally for a grade
+   * @param {Object} filters - { schoolId, grade }
+   */
+  async findRubrics(filters = {}) {
+    let query = 'SELECT * FROM writing_rubrics WHERE active = 1 AND (school_id IS NULL OR school_id = ?)';
+    const params = [filters.schoolId || null];
+
+    if (filters.grade) {
+      query += ' AND grade_min <= ? AND grade_max >= ?';
+      params.push(filters.grade, filters.grade);
+    }
 
-    stmt.run(endData.duration || 0, sessionId);
+    query += ' ORDER BY grade_min, created_at DESC';
+    return db.prepare(query).all(...params).map(parseWritingRubric);
   }
 
-  async getStudentSessions(studentId, limit = 30) {
-    const stmt = db.prepare(`
-      SELECT * FROM session_logs WHERE student_id = ? ORDER BY start_time DESC LIMIT ?
-    `);
+  async deactivateRubric(rubricId) {
+    return db.prepare('UPDATE writing_rubrics SET active = 0 WHERE id = ?').run(rubricId).changes > 0;
+  }
 
-    const sessions = stmt.all(studentId, limit);
+  /**
+   * Store a scored piece, or the next revision of one when pieceId is given
+   * @param {Object} submission - { pieceId, studentId, title, prompt, text, language, rubricId, rubric, scores,
+   *                                suggestions, feedback, handwritingNotes, submittedBy }
+   */
+  async addSubmission(submission) {
+    const id = generateId('writing');
+    const pieceId = submission.pieceId || generateId('piece');
+
+    db.transaction(() => {
+      const { latest } = db.prepare('SELECT MAX(revision) as latest FROM writing_submissions WHERE piece_id = ?').get(pieceId);
+      db.prepare(`
+        INSERT INTO writing_submissions (id, piece_id, revision, student_id, title, prompt, text, language, rubric_id,
+                                         rubric, scores, percentage, suggestions, feedback, handwriting_notes, submitted_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        pieceId,
+        (latest || 0) + 1,
+        submission.studentId,
+        submission.title || null,
+        submission.prompt || null,
+        submission.text,
+        submission.language || 'en',
+        submission.rubricId || null,
+        JSON.stringify(submission.rubric),
+        JSON.stringify(submission.scores),
+        submission.scores.percentage,
+        JSON.stringify(submission.suggestions || []),
+        submission.feedback || null,
+        submission.handwritingNotes || null,
+        submission.submittedBy || null
+      );
+    })();
+
+    return this.getSubmission(id);
+  }
 
-    return sessions.map(s => ({
-      ...s,
-      activities: JSON.parse(s.activities || '[]'),
-      topicsCovered: JSON.parse(s.topics_covered || '[]')
-    }));
+  async getSubmission(submissionId) {
+    const submission = db.prepare('SELECT * FROM writing_submissions WHERE id = ?').get(submissionId);
+    return submission ? parseWritingSubmission(submission) : null;
+  }
+
+  /**
+   * Every revision of a piece, first to latest
+   */
+  async getRevisions(pieceId) {
+    return db.prepare('SELECT * FROM writing_submissions WHERE piece_id = ? ORDER BY revision')
+      .all(pieceId).map(parseWritingSubmission);
+  }
+
+  /**
+   * The latest revision of each of a student's pieces, oldest piece first
+   * @param {Object} filters - { since, limit }
+   */
+  async getStudentPieces(studentId, filters = {}) {
+    let query = `
+      SELECT w.*, (SELECT COUNT(*) FROM writing_submissions r WHERE r.piece_id = w.piece_id) as revisions,
+             (SELECT MIN(r.created_at) FROM writing_submissions r WHERE r.piece_id = w.piece_id) as started_at
+      FROM writing_submissions w
+      WHERE w.student_id = ?
+        AND w.revision = (SELECT MAX(r.revision) FROM writing_submissions r WHERE r.piece_id = w.piece_id)
+    `;
+    const params = [studentId];
+
+    if (filters.since) {
+      query += ' AND w.created_at >= ?';
+      params.push(filters.since);
+    }
+
+    query += ' ORDER BY started_at, w.rowid LIMIT ?';
+    params.push(filters.limit || 200);
+
+    return db.prepare(query).all(...params).map(parseWritingSubmission);
+  }
+
+  /**
+   * Record the teacher's handwriting notes and the rescored rubric on a revision
+   */
+  async updateHandwriting(submissionId, { handwritingNotes, scores }) {
+    db.prepare(`
+      UPDATE writing_submissions SET handwriting_notes = ?, scores = ?, percentage = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(handwritingNotes || null, JSON.stringify(scores), scores.percentage, submissionId);
+    return this.getSubmission(submissionId);
   }
 }
 
-// Placeholder models for compatibility
-export class SchoolModel {
-  async getById() { return null; }
-  async getAll() { return []; }
+function parseWritingRubric(rubric) {
+  return { ...rubric, criteria: JSON.parse(rubric.criteria) };
 }
 
-export class AnalyticsModel {
-  async create() { return {}; }
-  async getBySchool() { return []; }
+function parseWritingSubmission(submission) {
+  return {
+    ...submission,
+    rubric: JSON.parse(submission.rubric),
+    scores: JSON.parse(submission.scores),
+    suggestions: JSON.parse(submission.suggestions || '[]'),
+  };
 }
 
-export class ContentModel {
-  async getById() { return null; }
-  async getBySubjectAndGrade() { return []; }
+/**
+ * Reading Fluency Model
+ * Scored oral readings; alignment and scoring live in utils/reading-fluency.js
+ */
+export class ReadingFluencyModel {
+  /**
+   * @param {Object} reading - { studentId, assessmentId, passageId, passageTitle, language, grade, level,
+   *                             durationSeconds, transcript, result }  (result from scoreReading)
+   */
+  async create(reading) {
+    const id = generateId('fluency');
+    const { alignment, ...result } = reading.result;
+    db.prepare(`
+      INSERT INTO reading_fluency (id, student_id, assessment_id, passage_id, passage_title, language, grade, level,
+                                   duration_seconds, words_attempted, words_correct, accuracy, wcpm, band, transcript, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      reading.studentId,
+      reading.assessmentId || null,
+      reading.passageId || null,
+      reading.passageTitle || null,
+      reading.language || 'en',
+      result.grade,
+      reading.level || null,
+      reading.durationSeconds,
+      result.wordsAttempted,
+      result.wordsCorrect,
+      result.accuracy,
+      result.wcpm,
+      result.band,
+      reading.transcript,
+      JSON.stringify({ ...result, alignment })
+    );
+    return this.getById(id);
+  }
+
+  async getById(readingId) {
+    const reading = db.prepare('SELECT * FROM reading_fluency WHERE id = ?').get(readingId);
+    return reading ? parseFluencyReading(reading) : null;
+  }
+
+  /**
+   * A student's readings, newest first
+   * @param {Object} filters - { since, language, limit }
+   */
+  async getByStudent(studentId, filters = {}) {
+    let query = 'SELECT * FROM reading_fluency WHERE student_id = ?';
+    const params = [studentId];
+
+    if (filters.since) {
+      query += ' AND created_at >= ?';
+      params.push(filters.since);
+    }
+
+    if (filters.language) {
+      query += ' AND language = ?';
+      params.push(filters.language);
+    }
+
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(filters.limit || 50);
+
+    return db.prepare(query).all(...params).map(parseFluencyReading);
+  }
+}
+
+function parseFluencyReading(reading) {
+  return { ...reading, details: JSON.parse(reading.details || '{}') };
+}
+
+/**
+ * Misconception Model
+ * One row per misconception detected in a wrong answer
+ */
+export class MisconceptionModel {
+  /**
+   * @param {Array} entries - [{ misconceptionId, subject, topic, question, answer, correctAnswer, source, assessmentId }]
+   */
+  async record(studentId, entries) {
+    const insert = db.prepare(`
+      INSERT INTO student_misconceptions (student_id, misconception_id, subject, topic, question, answer,
+                                          correct_answer, source, assessment_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      for (const entry of entries) {
+        insert.run(
+          studentId,
+          entry.misconceptionId,
+          entry.subject || null,
+          entry.topic || null,
+          entry.question != null ? String(entry.question) : null,
+          entry.answer != null ? String(entry.answer) : null,
+          entry.correctAnswer != null ? String(entry.correctAnswer) : null,
+          entry.source || null,
+          entry.assessmentId || null
+        );
+      }
+    })();
+
+    return entries.length;
+  }
+
+  /**
+   * A student's detections, newest first
+   * @param {Object} options - { since, subject, limit }
+   */
+  async getByStudent(studentId, options = {}) {
+    let query = 'SELECT * FROM student_misconceptions WHERE student_id = ?';
+    const params = [studentId];
+
+    if (options.since) {
+      query += ' AND created_at >= ?';
+      params.push(options.since);
+    }
+
+    if (options.subject) {
+      query += ' AND subject = ?';
+      params.push(options.subject);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(options.limit || 500);
+
+    return db.prepare(query).all(...params);
+  }
+
+  /**
+   * Detections per student and misconception for a group of students
+   * @param {Object} filters - studentFilterClause filters plus { since, subject }
+   * @returns {Array} - [{ student_id, student_name, misconception_id, count, last_seen }]
+   */
+  async getCounts(filters = {}) {
+    const { clause, params } = studentFilterClause(filters, 's');
+    let query = `
+      SELECT m.student_id, s.name as student_name, m.misconception_id, COUNT(*) as count, MAX(m.created_at) as last_seen
+      FROM student_misconceptions m
+      JOIN students s ON m.student_id = s.id
+      WHERE s.active = 1${clause}
+    `;
+
+    if (filters.since) {
+      query += ' AND m.created_at >= ?';
+      params.push(filters.since);
+    }
+
+    if (filters.subject) {
+      query += ' AND m.subject = ?';
+      params.push(filters.subject);
+    }
+
+    query += ' GROUP BY m.student_id, m.misconception_id ORDER BY count DESC';
+    return db.prepare(query).all(...params);
+  }
+}
+
+/**
+ * Session Log Model
+ */
+export class SessionLogModel {
+  async create(sessionData) {
+    const id = sessionData.id || generateId('session');
+    const stmt = db.prepare(`
+      INSERT INTO session_logs (id, student_id, activities, topics_covered, agents_used, device, online,
+                                current_subject, current_topic, topic_time, last_heartbeat_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, '{}', CURRENT_TIMESTAMP)
+    `);
+
+    stmt.run(
+      id,
+      sessionData.studentId,
+      JSON.stringify(sessionData.activities || []),
+      JSON.stringify(sessionData.topicsCovered || (sessionData.topic ? [sessionData.topic] : [])),
+      JSON.stringify(sessionData.agentsUsed || []),
+      sessionData.device || null,
+      sessionData.online === false ? 0 : 1,
+      sessionData.subject || null,
+      sessionData.topic || null
+    );
+
+    return this.getById(id);
+  }
+
+  async getById(sessionId) {
+    const session = db.prepare('SELECT * FROM session_logs WHERE id = ?').get(sessionId);
+    return session ? parseSessionLog(session) : null;
+  }
+
+  /**
+   * Sessions the student started but never ended
+   */
+  async getOpen(studentId) {
+    return db.prepare(`
+      SELECT * FROM session_logs WHERE student_id = ? AND end_time IS NULL ORDER BY start_time
+    `).all(studentId).map(parseSessionLog);
+  }
+
+  /**
+   * Count time since the last heartbeat towards the topic being studied, then record what changed
+   * @param {Object} update - { subject, topic, activities, agentsUsed, online }
+   */
+  async heartbeat(sessionId, update = {}) {
+    const session = await this.getById(sessionId);
+    if (!session || session.end_time) return session;
+
+    const changes = applyHeartbeat(session, update);
+    db.prepare(`
+      UPDATE session_logs SET activities = ?, topics_covered = ?, agents_used = ?, online = ?,
+        current_subject = ?, current_topic = ?, topic_time = ?, active_seconds = ?, last_heartbeat_at = ?
+      WHERE id = ?
+    `).run(
+      JSON.stringify(changes.activities),
+      JSON.stringify(changes.topicsCovered),
+      JSON.stringify(changes.agentsUsed),
+      changes.online ? 1 : 0,
+      changes.subject,
+      changes.topic,
+      JSON.stringify(changes.topicTime),
+      changes.activeSeconds,
+      sqlTimestamp(changes.now),
+      sessionId
+    );
+
+    return this.getById(sessionId);
+  }
+
+  /**
+   * Close a session (duration in minutes, from start to end unless given)
+   * @param {Object} endData - { duration, endedAt, ...heartbeat fields }
+   */
+  async endSession(sessionId, endData = {}) {
+    const session = await this.heartbeat(sessionId, endData);
+    if (!session || session.end_time) return session;
+
+    const endedAt = endData.endedAt ? new Date(endData.endedAt) : new Date();
+    const duration = endData.duration
+      ?? Math.max(Math.round((endedAt - parseTimestamp(session.start_time)) / 60000), 0);
+
+    db.prepare(`
+      UPDATE session_logs SET end_time = ?, duration = ? WHERE id = ?
+    `).run(sqlTimestamp(endedAt), duration, sessionId);
+
+    return this.getById(sessionId);
+  }
+
+  async getStudentSessions(studentId, limit = 30) {
+    const stmt = db.prepare(`
+      SELECT * FROM session_logs WHERE student_id = ? ORDER BY start_time DESC LIMIT ?
+    `);
+
+    return stmt.all(studentId, limit).map(parseSessionLog);
+  }
+}
+
+// Longest gap between heartbeats that still counts as time on task (seconds)
+export const SESSION_IDLE_SECONDS = 120;
+
+// Time on task a session needs to count as a learning day on its own (seconds)
+export const MIN_SESSION_SECONDS = 60;
+
+function parseTimestamp(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Work out a session's new state after a heartbeat (pure; the caller saves it)
+ */
+function applyHeartbeat(session, update, now = new Date()) {
+  const since = parseTimestamp(session.last_heartbeat_at || session.start_time);
+  const elapsed = Math.min(Math.max(Math.round((now - since) / 1000), 0), SESSION_IDLE_SECONDS);
+
+  // Time since the last heartbeat belongs to the topic that was open then
+  const topicTime = { ...session.topicTime };
+  if (elapsed > 0 && session.current_topic) {
+    const key = `${session.current_subject || 'general'}::${session.current_topic}`;
+    topicTime[key] = (topicTime[key] || 0) + elapsed;
+  }
+
+  const topic = update.topic || session.current_topic;
+  const unique = (list) => [...new Set(list.filter(Boolean))];
+
+  return {
+    now,
+    topicTime,
+    activeSeconds: (session.active_seconds || 0) + elapsed,
+    subject: update.subject || session.current_subject,
+    topic,
+    activities: [...session.activities, ...(update.activities || []).map(a => ({ at: now.toISOString(), ...a }))],
+    topicsCovered: unique([...session.topicsCovered, topic]),
+    agentsUsed: unique([...session.agentsUsed, ...(update.agentsUsed || [])]),
+    online: session.online === 1 && update.online !== false,
+  };
+}
+
+function parseSessionLog(s) {
+  return {
+    ...s,
+    activities: JSON.parse(s.activities || '[]'),
+    topicsCovered: JSON.parse(s.topics_covered || '[]'),
+    agentsUsed: JSON.parse(s.agents_used || '[]'),
+    topicTime: JSON.parse(s.topic_time || '{}'),
+  };
+}
+
+/**
+ * Conversation Model
+ * Persistent chat memory for the coordinator agent
+ */
+export class ConversationModel {
+  async addMessage(studentId, message) {
+    const stmt = db.prepare(`
+      INSERT INTO conversation_messages (student_id, role, content, routing, agent_used)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      studentId,
+      message.role,
+      message.content,
+      message.routing ? JSON.stringify(message.routing) : null,
+      message.agentUsed || null
+    );
+
+    return { id: result.lastInsertRowid, studentId, ...message };
+  }
+
+  /**
+   * Messages not yet rolled up into a summary, oldest first
+   */
+  async getActiveMessages(studentId) {
+    const stmt = db.prepare(`
+      SELECT * FROM conversation_messages
+      WHERE student_id = ? AND summary_id IS NULL
+      ORDER BY id ASC
+    `);
+
+    return stmt.all(studentId).map(parseMessage);
+  }
+
+  /**
+   * All messages (including summarized ones), newest first
+   */
+  async getMessages(studentId, limit = 50, beforeId = null) {
+    let query = 'SELECT * FROM conversation_messages WHERE student_id = ?';
+    const params = [studentId];
+
+    if (beforeId) {
+      query += ' AND id < ?';
+      params.push(beforeId);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(parseMessage);
+  }
+
+  async getSummaries(studentId, limit = 10) {
+    const stmt = db.prepare(`
+      SELECT * FROM conversation_summaries WHERE student_id = ? ORDER BY id DESC LIMIT ?
+    `);
+
+    return stmt.all(studentId, limit);
+  }
+
+  /**
+   * Store a summary and mark the summarized messages as rolled up
+   */
+  async addSummary(studentId, summary, messages) {
+    const rollUp = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO conversation_summaries (student_id, summary, message_count, first_message_at, last_message_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        studentId,
+        summary,
+        messages.length,
+        messages[0]?.created_at || null,
+        messages[messages.length - 1]?.created_at || null
+      );
+
+      const mark = db.prepare('UPDATE conversation_messages SET summary_id = ? WHERE id = ?');
+      messages.forEach(m => mark.run(result.lastInsertRowid, m.id));
+
+      return result.lastInsertRowid;
+    });
+
+    return { id: rollUp(), studentId, summary, messageCount: messages.length };
+  }
+
+  async getStats(studentId) {
+    return db.prepare(`
+      SELECT COUNT(*) as totalMessages,
+             SUM(CASE WHEN summary_id IS NULL THEN 1 ELSE 0 END) as activeMessages,
+             MIN(created_at) as firstMessageAt,
+             MAX(created_at) as lastMessageAt
+      FROM conversation_messages WHERE student_id = ?
+    `).get(studentId);
+  }
+
+  async clear(studentId) {
+    const clearAll = db.transaction(() => {
+      const removed = db.prepare('DELETE FROM conversation_messages WHERE student_id = ?').run(studentId).changes;
+      db.prepare('DELETE FROM conversation_summaries WHERE student_id = ?').run(studentId);
+      return removed;
+    });
+
+    return { deleted: clearAll() };
+  }
+}
+
+function parseMessage(m) {
+  return {
+    ...m,
+    routing: m.routing ? JSON.parse(m.routing) : null,
+  };
+}
+
+/**
+ * User Model
+ * Login accounts, password hashes and bearer-token sessions
+ */
+export class UserModel {
+  async create(userData) {
+    if (!USER_ROLES.includes(userData.role)) {
+      throw new Error(`Invalid role: ${userData.role}`);
+    }
+    if (!userData.password) {
+      throw new Error('Password is required');
+    }
+
+    const id = userData.id || generateId(userData.role);
+    const stmt = db.prepare(`
+      INSERT INTO users (id, email, phone_number, password_hash, role, name, language, school_id, student_ids)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      id,
+      userData.email ? userData.email.toLowerCase() : null,
+      userData.phoneNumber || null,
+      hashPassword(userData.password),
+      userData.role,
+      userData.name,
+      userData.language || 'en',
+      userData.schoolId || null,
+      JSON.stringify(userData.studentIds || [])
+    );
+
+    return this.getById(id);
+  }
+
+  async getById(userId) {
+    const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+    return parseUser(stmt.get(userId));
+  }
+
+  async count(role = null) {
+    if (role) {
+      return db.prepare('SELECT COUNT(*) as count FROM users WHERE role = ? AND active = 1').get(role).count;
+    }
+    return db.prepare('SELECT COUNT(*) as count FROM users WHERE active = 1').get().count;
+  }
+
+  /**
+   * Check a login (email, phone number or user ID) and password
+   * @returns {Object|null} - The user, or null if the credentials are wrong
+   */
+  async authenticate(login, password) {
+    const user = db.prepare(`
+      SELECT * FROM users
+      WHERE active = 1 AND (email = ? OR phone_number = ? OR id = ?)
+    `).get(String(login).toLowerCase(), login, login);
+
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return null;
+    }
+
+    db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+    return parseUser(user);
+  }
+
+  async update(userId, updates) {
+    const columns = {
+      name: 'name',
+      email: 'email',
+      phoneNumber: 'phone_number',
+      language: 'language',
+      role: 'role',
+      active: 'active',
+      schoolId: 'school_id',
+      studentIds: 'student_ids',
+      password: 'password_hash',
+    };
+
+    const fields = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (key === 'role' && !USER_ROLES.includes(value)) throw new Error(`Invalid role: ${value}`);
+      if (key === 'email' && value) value = value.toLowerCase();
+      if (key === 'active') value = value ? 1 : 0;
+      if (key === 'studentIds') value = JSON.stringify(value || []);
+      if (key === 'password') value = hashPassword(value);
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE users SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(...values, userId);
+    }
+
+    // Password changes and deactivation sign the user out everywhere
+    if (updates.password !== undefined || updates.active === false) {
+      await this.deleteSessions(userId);
+    }
+
+    return this.getById(userId);
+  }
+
+  async delete(userId) {
+    const result = db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    return { deleted: result.changes };
+  }
+
+  /**
+   * Start a session and return its bearer token (only the hash is stored)
+   */
+  async createSession(userId, ttlHours = 24) {
+    db.prepare("DELETE FROM auth_sessions WHERE expires_at <= datetime('now')").run();
+
+    const token = crypto.randomBytes(32).toString('hex');
+    db.prepare(`
+      INSERT INTO auth_sessions (token_hash, user_id, expires_at)
+      VALUES (?, ?, datetime('now', ?))
+    `).run(hashToken(token), userId, `+${ttlHours} hours`);
+
+    const { expires_at } = db.prepare('SELECT expires_at FROM auth_sessions WHERE token_hash = ?').get(hashToken(token));
+    return { token, expiresAt: expires_at };
+  }
+
+  /**
+   * Resolve a bearer token to its active user
+   * @returns {Object|null} - The user, or null if the session is unknown or expired
+   */
+  async getSessionUser(token) {
+    const tokenHash = hashToken(token);
+    const user = db.prepare(`
+      SELECT u.* FROM auth_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.token_hash = ? AND s.expires_at > datetime('now') AND u.active = 1
+    `).get(tokenHash);
+
+    if (!user) return null;
+
+    db.prepare('UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE token_hash = ?').run(tokenHash);
+    return parseUser(user);
+  }
+
+  async deleteSession(token) {
+    db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(hashToken(token));
+  }
+
+  async deleteSessions(userId) {
+    db.prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(userId);
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseUser(user) {
+  if (!user) return null;
+
+  const { password_hash, student_ids, ...rest } = user;
+  return {
+    ...rest,
+    studentIds: JSON.parse(student_ids || '[]'),
+  };
+}
+
+/**
+ * Item Bank Model
+ * Questions with IRT parameters, the answers given to them and per-subject ability estimates
+ * (utils/item-response.js does the estimation). Each school has its own bank; students without
+ * a school share the bank with no school_id.
+ */
+export class ItemBankModel {
+  /**
+   * Add questions to the bank (existing ones keep their calibration)
+   * @param {Array} items - [{ id, subject, topic, schoolId, question, difficulty }]
+   */
+  async addItems(items) {
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO assessment_items (id, subject, topic, school_id, question, difficulty, difficulty_prior)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => items.forEach(item => stmt.run(
+      item.id,
+      item.subject,
+      item.topic || null,
+      item.schoolId || null,
+      JSON.stringify(item.question),
+      item.difficulty || 0,
+      item.difficulty || 0
+    )))();
+  }
+
+  async getItem(itemId) {
+    const item = db.prepare('SELECT * FROM assessment_items WHERE id = ?').get(itemId);
+    return item ? parseAssessmentItem(item) : null;
+  }
+
+  /**
+   * @param {Object} filters - { subject, topic, schoolId } (a null schoolId is the shared bank)
+   */
+  async getItems(filters = {}) {
+    const conditions = ['subject = ?', 'school_id IS ?'];
+    const params = [filters.subject, filters.schoolId || null];
+    if (filters.topic) {
+      conditions.push('topic = ?');
+      params.push(filters.topic);
+    }
+
+    return db.prepare(`SELECT * FROM assessment_items WHERE ${conditions.join(' AND ')}`)
+      .all(...params).map(parseAssessmentItem);
+  }
+
+  async recordResponse(itemId, studentId, correct, testId = null) {
+    db.prepare(`
+      INSERT INTO item_responses (item_id, student_id, correct, test_id) VALUES (?, ?, ?, ?)
+    `).run(itemId, studentId, correct ? 1 : 0, testId);
+  }
+
+  /**
+   * Stored answers for a subject's items, with the item parameters
+   * @param {Object} filters - { studentId, schoolId } (one student's answers, or one school's bank)
+   */
+  async getResponses(subject, filters = {}) {
+    const conditions = ['i.subject = ?'];
+    const params = [subject];
+    if (filters.studentId) {
+      conditions.push('r.student_id = ?');
+      params.push(filters.studentId);
+    }
+    if (filters.schoolId !== undefined) {
+      conditions.push('i.school_id IS ?');
+      params.push(filters.schoolId || null);
+    }
+
+    return db.prepare(`
+      SELECT r.item_id AS itemId, r.student_id AS studentId, r.correct, i.difficulty AS b, i.discrimination AS a
+      FROM item_responses r JOIN assessment_items i ON i.id = r.item_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY r.id
+    `).all(...params).map(r => ({ ...r, correct: r.correct === 1 }));
+  }
+
+  /**
+   * Save calibrated item parameters
+   * @param {Object} items - itemId -> { a, b, responses }
+   */
+  async updateParameters(items) {
+    const stmt = db.prepare(`
+      UPDATE assessment_items SET difficulty = ?, discrimination = ?, response_count = ?, calibrated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    db.transaction(() => Object.entries(items).forEach(([id, item]) => stmt.run(item.b, item.a, item.responses || 0, id)))();
+  }
+
+  async getAbility(studentId, subject) {
+    return db.prepare('SELECT * FROM student_abilities WHERE student_id = ? AND subject = ?').get(studentId, subject) || null;
+  }
+
+  async getAbilities(studentId) {
+    return db.prepare('SELECT * FROM student_abilities WHERE student_id = ? ORDER BY subject').all(studentId);
+  }
+
+  /**
+   * @param {Object} ability - { theta, se, responses }
+   */
+  async saveAbility(studentId, subject, ability) {
+    db.prepare(`
+      INSERT INTO student_abilities (student_id, subject, theta, se, response_count, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (student_id, subject) DO UPDATE SET
+        theta = excluded.theta, se = excluded.se, response_count = excluded.response_count, updated_at = CURRENT_TIMESTAMP
+    `).run(studentId, subject, ability.theta, ability.se, ability.responses || 0);
+  }
+}
+
+function parseAssessmentItem(item) {
+  return { ...item, question: JSON.parse(item.question), a: item.discrimination, b: item.difficulty };
+}
+
+/**
+ * Adaptive Test Model
+ * Computerized adaptive test sessions (one question at a time until the ability estimate is precise enough)
+ */
+export class AdaptiveTestModel {
+  /**
+   * @param {Object} testData - { studentId, subject, topic, priorTheta, targetSe, minItems, maxItems, currentItemId }
+   */
+  async create(testData) {
+    const id = generateId('cat');
+    db.prepare(`
+      INSERT INTO adaptive_tests (id, student_id, subject, topic, prior_theta, theta, se, target_se, min_items, max_items,
+                                  current_item_id, responses)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '[]')
+    `).run(
+      id,
+      testData.studentId,
+      testData.subject,
+      testData.topic || null,
+      testData.priorTheta,
+      testData.priorTheta,
+      testData.se ?? 1,
+      testData.targetSe,
+      testData.minItems,
+      testData.maxItems,
+      testData.currentItemId
+    );
+    return this.getById(id);
+  }
+
+  async getById(testId) {
+    const test = db.prepare('SELECT * FROM adaptive_tests WHERE id = ?').get(testId);
+    return test ? { ...test, responses: JSON.parse(test.responses || '[]') } : null;
+  }
+
+  /**
+   * @param {Object} updates - { theta, se, responses, currentItemId, status, assessmentId }
+   */
+  async update(testId, updates) {
+    const columns = {
+      theta: updates.theta,
+      se: updates.se,
+      responses: updates.responses && JSON.stringify(updates.responses),
+      current_item_id: updates.currentItemId,
+      status: updates.status,
+      assessment_id: updates.assessmentId,
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.status === 'completed') entries.push(['completed_at', sqlTimestamp(new Date())]);
+
+    db.prepare(`UPDATE adaptive_tests SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`)
+      .run(...entries.map(([, value]) => value), testId);
+    return this.getById(testId);
+  }
+}
+
+/**
+ * Assessment Session Model
+ * Server-side quiz state: the questions with their answers, and the student's graded answers so far
+ */
+export class AssessmentSessionModel {
+  /**
+   * @param {Object} sessionData - { studentId, kind, subject, topic, language, questions, reviewCount }
+   */
+  async create(sessionData) {
+    const id = generateId('quiz');
+    db.prepare(`
+      INSERT INTO assessment_sessions (id, student_id, kind, subject, topic, language, questions, answers, review_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, '[]', ?)
+    `).run(
+      id,
+      sessionData.studentId,
+      sessionData.kind,
+      sessionData.subject,
+      sessionData.topic || null,
+      sessionData.language || 'en',
+      JSON.stringify(sessionData.questions),
+      sessionData.reviewCount || 0
+    );
+    return this.getById(id);
+  }
+
+  async getById(sessionId) {
+    const session = db.prepare('SELECT * FROM assessment_sessions WHERE id = ?').get(sessionId);
+    return session ? parseAssessmentSession(session) : null;
+  }
+
+  /**
+   * A student's sessions, newest first
+   * @param {Object} filters - { status, limit }
+   */
+  async getStudentSessions(studentId, { status, limit = 20 } = {}) {
+    const sessions = status
+      ? db.prepare('SELECT * FROM assessment_sessions WHERE student_id = ? AND status = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(studentId, status, limit)
+      : db.prepare('SELECT * FROM assessment_sessions WHERE student_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(studentId, limit);
+    return sessions.map(parseAssessmentSession);
+  }
+
+  /**
+   * @param {Object} updates - { answers, status, assessmentId }
+   */
+  async update(sessionId, updates) {
+    const columns = {
+      answers: updates.answers && JSON.stringify(updates.answers),
+      status: updates.status,
+      assessment_id: updates.assessmentId,
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    entries.push(['updated_at', sqlTimestamp(new Date())]);
+    if (updates.status === 'completed') entries.push(['completed_at', sqlTimestamp(new Date())]);
+
+    db.prepare(`UPDATE assessment_sessions SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`)
+      .run(...entries.map(([, value]) => value), sessionId);
+    return this.getById(sessionId);
+  }
+
+  /**
+   * Close a student's unfinished sessions (a new one replaces them)
+   */
+  async abandonActive(studentId) {
+    return db.prepare(`
+      UPDATE assessment_sessions SET status = 'abandoned', updated_at = CURRENT_TIMESTAMP
+      WHERE student_id = ? AND status = 'active'
+    `).run(studentId).changes;
+  }
+}
+
+function parseAssessmentSession(session) {
+  return { ...session, questions: JSON.parse(session.questions), answers: JSON.parse(session.answers || '[]') };
+}
+
+/**
+ * Curriculum Model
+ * Versioned competency graphs; validation and graph helpers live in features/curriculum.js
+ */
+export class CurriculumModel {
+  async getVersions() {
+    return db.prepare(`
+      SELECT v.*, (SELECT COUNT(*) FROM curriculum_topics t WHERE t.version_id = v.id) AS topic_count
+      FROM curriculum_versions v ORDER BY v.created_at DESC, v.version DESC
+    `).all();
+  }
+
+  async getVersion(versionId) {
+    return db.prepare('SELECT * FROM curriculum_versions WHERE id = ?').get(versionId) || null;
+  }
+
+  async getVersionByLabel(version) {
+    return db.prepare('SELECT * FROM curriculum_versions WHERE version = ?').get(version) || null;
+  }
+
+  async getPublished() {
+    return db.prepare("SELECT * FROM curriculum_versions WHERE status = 'published'").get() || null;
+  }
+
+  /**
+   * Create a draft version with its topics
+   * @param {Object} versionData - { version, name, framework, notes, basedOn, createdBy, topics }
+   */
+  async createVersion(versionData) {
+    const id = generateId('curriculum');
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO curriculum_versions (id, version, name, framework, notes, based_on, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        versionData.version,
+        versionData.name,
+        versionData.framework || null,
+        versionData.notes || null,
+        versionData.basedOn || null,
+        versionData.createdBy || null
+      );
+      (versionData.topics || []).forEach(topic => saveCurriculumTopic(id, topic));
+    })();
+
+    return this.getVersion(id);
+  }
+
+  /**
+   * Topics of a version, optionally for one subject or the topics taught in a grade
+   * @param {Object} filters - { subject, grade }
+   */
+  async getTopics(versionId, filters = {}) {
+    const conditions = ['version_id = ?'];
+    const params = [versionId];
+
+    if (filters.subject) {
+      conditions.push('subject = ?');
+      params.push(filters.subject);
+    }
+    if (filters.grade) {
+      conditions.push('grade_min <= ? AND grade_max >= ?');
+      params.push(filters.grade, filters.grade);
+    }
+
+    return db.prepare(`
+      SELECT * FROM curriculum_topics WHERE ${conditions.join(' AND ')} ORDER BY subject, grade_min, importance DESC, id
+    `).all(...params).map(parseCurriculumTopic);
+  }
+
+  async getTopic(versionId, topicId) {
+    const topic = db.prepare('SELECT * FROM curriculum_topics WHERE version_id = ? AND id = ?').get(versionId, topicId);
+    return topic ? parseCurriculumTopic(topic) : null;
+  }
+
+  /**
+   * Add or replace a topic in a version
+   */
+  async saveTopic(versionId, topic) {
+    saveCurriculumTopic(versionId, topic);
+    return this.getTopic(versionId, topic.id);
+  }
+
+  async removeTopic(versionId, topicId) {
+    const result = db.prepare('DELETE FROM curriculum_topics WHERE version_id = ? AND id = ?').run(versionId, topicId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Publish a version, archiving the one it replaces
+   */
+  async publish(versionId) {
+    db.transaction(() => {
+      db.prepare("UPDATE curriculum_versions SET status = 'archived' WHERE status = 'published'").run();
+      db.prepare(`
+        UPDATE curriculum_versions SET status = 'published', published_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(versionId);
+    })();
+
+    return this.getVersion(versionId);
+  }
+}
+
+function saveCurriculumTopic(versionId, topic) {
+  db.prepare(`
+    INSERT OR REPLACE INTO curriculum_topics
+      (version_id, id, subject, name, description, grade_min, grade_max, importance, difficulty, prerequisites, aliases)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    versionId,
+    topic.id,
+    topic.subject,
+    topic.name,
+    topic.description || null,
+    topic.grades[0],
+    topic.grades[1],
+    topic.importance ?? 5,
+    topic.difficulty || 'medium',
+    JSON.stringify(topic.prerequisites || []),
+    JSON.stringify(topic.aliases || [])
+  );
+}
+
+function parseCurriculumTopic(t) {
+  const { version_id, grade_min, grade_max, ...rest } = t;
+  return {
+    ...rest,
+    grades: [grade_min, grade_max],
+    prerequisites: JSON.parse(t.prerequisites || '[]'),
+    aliases: JSON.parse(t.aliases || '[]'),
+  };
+}
+
+/**
+ * School Model
+ * Schools are tenants: students, teachers, classes and content are isolated by school_id
+ */
+export class SchoolModel {
+  async create(schoolData) {
+    const id = schoolData.id || generateId('school');
+    const stmt = db.prepare(`
+      INSERT INTO schools (id, udise_code, name, address, district, state, type, languages, grades, contact_email, contact_phone, principal_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      id,
+      schoolData.udiseCode || null,
+      schoolData.name,
+      JSON.stringify(schoolData.address || {}),
+      schoolData.district || null,
+      schoolData.state || null,
+      schoolData.type || 'government',
+      JSON.stringify(schoolData.languages || ['en']),
+      JSON.stringify(schoolData.grades || [1, 2, 3, 4, 5, 6, 7, 8]),
+      schoolData.contactEmail || null,
+      schoolData.contactPhone || null,
+      schoolData.principalName || null
+    );
+
+    return this.getById(id);
+  }
+
+  /**
+   * School with its student and teacher counts
+   */
+  async getById(schoolId) {
+    const school = db.prepare(`
+      SELECT sc.*,
+             (SELECT COUNT(*) FROM students s WHERE s.school_id = sc.id AND s.active = 1) as total_students,
+             (SELECT COUNT(*) FROM teachers t WHERE t.school_id = sc.id AND t.active = 1) as total_teachers
+      FROM schools sc WHERE sc.id = ?
+    `).get(schoolId);
+
+    return parseSchool(school);
+  }
+
+  async getByUdiseCode(udiseCode) {
+    const school = db.prepare('SELECT id FROM schools WHERE udise_code = ?').get(udiseCode);
+    return school ? this.getById(school.id) : null;
+  }
+
+  /**
+   * Active schools filtered by state, district, type or name
+   */
+  async getAll(filters = {}) {
+    const conditions = ['active = 1'];
+    const params = [];
+
+    for (const key of ['state', 'district', 'type']) {
+      if (filters[key]) {
+        conditions.push(`${key} = ?`);
+        params.push(filters[key]);
+      }
+    }
+
+    if (filters.q) {
+      conditions.push('(name LIKE ? OR udise_code LIKE ?)');
+      params.push(`%${filters.q}%`, `${filters.q}%`);
+    }
+
+    const stmt = db.prepare(`
+      SELECT * FROM schools WHERE ${conditions.join(' AND ')} ORDER BY state, district, name
+    `);
+
+    return stmt.all(...params).map(parseSchool);
+  }
+
+  async update(schoolId, updates) {
+    const columns = {
+      udiseCode: 'udise_code',
+      name: 'name',
+      address: 'address',
+      district: 'district',
+      state: 'state',
+      type: 'type',
+      languages: 'languages',
+      grades: 'grades',
+      contactEmail: 'contact_email',
+      contactPhone: 'contact_phone',
+      principalName: 'principal_name',
+      active: 'active',
+    };
+
+    const fields = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (['address', 'languages', 'grades'].includes(key)) value = JSON.stringify(value);
+      if (key === 'active') value = value ? 1 : 0;
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE schools SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(...values, schoolId);
+    }
+
+    return this.getById(schoolId);
+  }
+
+  async delete(schoolId) {
+    const result = db.prepare(`
+      UPDATE schools SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND active = 1
+    `).run(schoolId);
+    return { deleted: result.changes };
+  }
+
+  /**
+   * A school's holiday calendar, optionally between two 'YYYY-MM-DD' dates
+   */
+  async getHolidays(schoolId, { from, to } = {}) {
+    const conditions = ['school_id = ?'];
+    const params = [schoolId];
+    if (from) {
+      conditions.push('date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('date <= ?');
+      params.push(to);
+    }
+
+    return db.prepare(`
+      SELECT * FROM school_holidays WHERE ${conditions.join(' AND ')} ORDER BY date
+    `).all(...params);
+  }
+
+  /**
+   * Add or rename holidays ([{ date, name }])
+   */
+  async addHolidays(schoolId, holidays, createdBy = null) {
+    const stmt = db.prepare(`
+      INSERT INTO school_holidays (school_id, date, name, created_by) VALUES (?, ?, ?, ?)
+      ON CONFLICT (school_id, date) DO UPDATE SET name = excluded.name
+    `);
+    const addAll = db.transaction(() => holidays.forEach(h => stmt.run(schoolId, h.date, h.name || null, createdBy)));
+    addAll();
+    return this.getHolidays(schoolId);
+  }
+
+  async removeHoliday(schoolId, holidayId) {
+    const result = db.prepare('DELETE FROM school_holidays WHERE id = ? AND school_id = ?').run(holidayId, schoolId);
+    return { deleted: result.changes };
+  }
+}
+
+function parseSchool(school) {
+  if (!school) return null;
+
+  return {
+    ...school,
+    address: JSON.parse(school.address || '{}'),
+    languages: JSON.parse(school.languages || '[]'),
+    grades: JSON.parse(school.grades || '[]'),
+  };
+}
+
+// Placeholder models for compatibility
+
+export class AnalyticsModel {
+  async create() { return {}; }
+  async getBySchool() { return []; }
+
+  /**
+   * Assessments for a group of students (class, section, school or teacher)
+   */
+  async getClassAssessments(filters = {}) {
+    const { clause, params } = studentFilterClause(filters, 's');
+    let query = `
+      SELECT a.*, s.name as student_name
+      FROM assessments a
+      JOIN students s ON a.student_id = s.id
+      WHERE s.active = 1${clause}
+    `;
+
+    if (filters.subject) {
+      query += ' AND a.subject = ?';
+      params.push(filters.subject);
+    }
+
+    if (filters.since) {
+      query += ' AND a.completed_at >= ?';
+      params.push(filters.since);
+    }
+
+    query += ' ORDER BY a.completed_at DESC LIMIT ?';
+    params.push(filters.limit || 1000);
+
+    return db.prepare(query).all(...params).map(a => ({
+      ...a,
+      topics: JSON.parse(a.topics || '[]'),
+      results: JSON.parse(a.results || '[]')
+    }));
+  }
+}
+
+/**
+ * Build a WHERE fragment for common student filters
+ * (schoolId, grade, section, teacherId, classId, studentIds)
+ * @returns {Object} - { clause: ' AND ...', params: [] }
+ */
+function studentFilterClause(filters, alias) {
+  const columns = {
+    schoolId: 'school_id',
+    grade: 'grade',
+    section: 'section',
+  };
+
+  const conditions = [];
+  const params = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      conditions.push(`${alias}.${column} = ?`);
+      params.push(filters[key]);
+    }
+  }
+
+  // Teachers reach students through the classes they teach
+  if (filters.teacherId) {
+    conditions.push(`${alias}.id IN (
+      SELECT cs.student_id FROM class_students cs
+      JOIN class_teachers ct ON ct.class_id = cs.class_id
+      JOIN classes c ON c.id = cs.class_id
+      WHERE ct.teacher_id = ? AND c.active = 1
+    )`);
+    params.push(filters.teacherId);
+  }
+
+  if (filters.classId) {
+    conditions.push(`${alias}.id IN (SELECT student_id FROM class_students WHERE class_id = ?)`);
+    params.push(filters.classId);
+  }
+
+  if (Array.isArray(filters.studentIds) && filters.studentIds.length > 0) {
+    conditions.push(`${alias}.id IN (${filters.studentIds.map(() => '?').join(', ')})`);
+    params.push(...filters.studentIds);
+  }
+
+  return {
+    clause: conditions.map(c => ` AND ${c}`).join(''),
+    params,
+  };
+}
+
+/**
+ * Content Model
+ * Curated learning material that agents serve before generating anything new
+ */
+export class ContentModel {
+  async create(contentData) {
+    const id = contentData.id || generateId('content');
+    const stmt = db.prepare(`
+      INSERT INTO content (id, type, subject, topic, grade, language, title, description, body, difficulty, estimated_time, tags, school_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      id,
+      contentData.type,
+      contentData.subject,
+      contentData.topic || null,
+      contentData.grade || null,
+      contentData.language || 'en',
+      contentData.title,
+      contentData.description || null,
+      JSON.stringify(contentData.content || {}),
+      contentData.difficulty || 'medium',
+      contentData.estimatedTime || null,
+      JSON.stringify(contentData.tags || []),
+      contentData.schoolId || null,
+      contentData.createdBy || null
+    );
+
+    return this.getById(id);
+  }
+
+  async getById(contentId) {
+    const stmt = db.prepare('SELECT * FROM content WHERE id = ? AND active = 1');
+    return parseContent(stmt.get(contentId));
+  }
+
+  async getBySubjectAndGrade(subject, grade) {
+    return this.search({ subject, grade });
+  }
+
+  /**
+   * Search active content by text and filters, newest first
+   * With `schoolId`, returns that school's content plus shared (school-less) content
+   * @param {Object} filters - { q, type, subject, topic, grade, language, difficulty, tag, createdBy, schoolId, limit, offset }
+   */
+  async search(filters = {}) {
+    const columns = {
+      type: 'type',
+      subject: 'subject',
+      grade: 'grade',
+      language: 'language',
+      difficulty: 'difficulty',
+      createdBy: 'created_by',
+    };
+
+    const conditions = ['active = 1'];
+    const params = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+        conditions.push(`${column} = ?`);
+        params.push(filters[key]);
+      }
+    }
+
+    if (filters.schoolId) {
+      conditions.push('(school_id IS NULL OR school_id = ?)');
+      params.push(filters.schoolId);
+    }
+
+    if (filters.topic) {
+      conditions.push('LOWER(topic) = LOWER(?)');
+      params.push(filters.topic);
+    }
+
+    if (filters.tag) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(content.tags) WHERE LOWER(value) = LOWER(?))');
+      params.push(filters.tag);
+    }
+
+    if (filters.q) {
+      conditions.push('(title LIKE ? OR description LIKE ? OR topic LIKE ? OR tags LIKE ?)');
+      const pattern = `%${filters.q}%`;
+      params.push(pattern, pattern, pattern, pattern);
+    }
+
+    const stmt = db.prepare(`
+      SELECT * FROM content
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY updated_at DESC
+      LIMIT ? OFFSET ?
+    `);
+
+    return stmt.all(...params, filters.limit || 50, filters.offset || 0).map(parseContent);
+  }
+
+  /**
+   * Pick the best stored item for an agent request, or null if nothing suitable exists
+   * Type, subject, language and topic (or a tag) must match; grade, difficulty and the
+   * student's own school's content are preferred over shared content
+   */
+  async findBest(criteria = {}) {
+    const { type, subject, topic, grade = null, language = 'en', difficulty = null, schoolId = null } = criteria;
+    if (!type || !subject || !topic) return null;
+
+    const item = db.prepare(`
+      SELECT * FROM content
+      WHERE active = 1 AND type = ? AND subject = ? AND language = ?
+        AND (LOWER(topic) = LOWER(?) OR EXISTS (SELECT 1 FROM json_each(content.tags) WHERE LOWER(value) = LOWER(?)))
+        AND (grade IS NULL OR ? IS NULL OR grade = ?)
+        AND (school_id IS NULL OR school_id = ?)
+      ORDER BY (difficulty = ?) DESC, (grade = ?) DESC, (school_id IS NOT NULL) DESC, times_served ASC, RANDOM()
+      LIMIT 1
+    `).get(type, subject, language, topic, topic, grade, grade, schoolId, difficulty, grade);
+
+    if (!item) return null;
+
+    db.prepare('UPDATE content SET times_served = times_served + 1 WHERE id = ?').run(item.id);
+    return parseContent(item);
+  }
+
+  async update(contentId, updates) {
+    const columns = {
+      type: 'type',
+      subject: 'subject',
+      topic: 'topic',
+      grade: 'grade',
+      language: 'language',
+      title: 'title',
+      description: 'description',
+      content: 'body',
+      difficulty: 'difficulty',
+      estimatedTime: 'estimated_time',
+      tags: 'tags',
+    };
+
+    const fields = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (key === 'content') value = JSON.stringify(value || {});
+      if (key === 'tags') value = JSON.stringify(value || []);
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE content SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND active = 1
+      `).run(...values, contentId);
+    }
+
+    return this.getById(contentId);
+  }
+
+  async delete(contentId) {
+    const result = db.prepare(`
+      UPDATE content SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND active = 1
+    `).run(contentId);
+    return { deleted: result.changes };
+  }
+}
+
+function parseContent(c) {
+  if (!c) return null;
+
+  const { body, ...rest } = c;
+  return {
+    ...rest,
+    content: JSON.parse(body || '{}'),
+    tags: JSON.parse(c.tags || '[]'),
+  };
 }
 
 /**
@@ -413,8 +3309,21 @@ export function getModels() {
     School: new SchoolModel(),
     Analytics: new AnalyticsModel(),
     Achievement: new AchievementModel(),
+    Gamification: new GamificationModel(),
+    Quest: new QuestModel(),
+    Review: new ReviewModel(),
+    Misconception: new MisconceptionModel(),
+    Writing: new WritingModel(),
+    ReadingFluency: new ReadingFluencyModel(),
+    Curriculum: new CurriculumModel(),
+    ItemBank: new ItemBankModel(),
+    AdaptiveTest: new AdaptiveTestModel(),
+    AssessmentSession: new AssessmentSessionModel(),
     Content: new ContentModel(),
     SessionLog: new SessionLogModel(),
+    Conversation: new ConversationModel(),
+    User: new UserModel(),
+    Class: new ClassModel(),
   };
 }
 
@@ -0,0 +1,245 @@
+/**
+ * Curriculum Graph
+ * Foundational literacy and numeracy competencies for grades 1-8 (NCF-FS 2022, NCF-SE 2023, NIPUN Bharat)
+ * with prerequisites, importance (1-10) and grade bands. The definition below seeds the first published
+ * version; later versions are edited as drafts in the database and published.
+ */
+
+export const CURRICULUM_SUBJECTS = ['literacy', 'numeracy'];
+export const CURRICULUM_DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const CURRICULUM_GRADES = { min: 1, max: 8 };
+
+/**
+ * Built-in FLN curriculum
+ */
+export const FLN_CURRICULUM = {
+    version: 'fln-2025.1',
+    name: 'Foundational Literacy and Numeracy, Grades 1-8',
+    framework: 'NCF-FS 2022 / NCF-SE 2023 / NIPUN Bharat',
+    topics: [
+        // Literacy: oral language and decoding
+        { id: 'lit.oral-language', subject: 'literacy', name: 'Oral Language', description: 'Listen to, understand and retell stories, songs and conversations', grades: [1, 2], importance: 9, difficulty: 'easy', prerequisites: [], aliases: ['listening', 'speaking'] },
+        { id: 'lit.phonological-awareness', subject: 'literacy', name: 'Phonological Awareness', description: 'Hear rhymes, syllables and the sounds in spoken words', grades: [1, 1], importance: 9, difficulty: 'easy', prerequisites: ['lit.oral-language'], aliases: ['rhyming', 'sounds'] },
+        { id: 'lit.letter-recognition', subject: 'literacy', name: 'Letter and Akshara Recognition', description: 'Recognise and name the letters or aksharas of the script', grades: [1, 1], importance: 10, difficulty: 'easy', prerequisites: ['lit.phonological-awareness'], aliases: ['alphabet', 'letters', 'akshara', 'varnamala'] },
+        { id: 'lit.phonics', subject: 'literacy', name: 'Phonics and Decoding', description: 'Match letters to sounds and blend them to read words', grades: [1, 2], importance: 10, difficulty: 'medium', prerequisites: ['lit.letter-recognition'], aliases: ['phonics', 'decoding', 'blending'] },
+        { id: 'lit.matras', subject: 'literacy', name: 'Matras and Conjuncts', description: 'Read vowel signs and conjunct letters', grades: [1, 2], importance: 8, difficulty: 'medium', prerequisites: ['lit.phonics'], aliases: ['matra', 'matras', 'conjuncts'] },
+        { id: 'lit.word-reading', subject: 'literacy', name: 'Word Reading', description: 'Read simple and familiar words accurately', grades: [1, 2], importance: 9, difficulty: 'easy', prerequisites: ['lit.phonics'], aliases: ['word reading', 'sight words', 'practice words'] },
+        { id: 'lit.vocabulary', subject: 'literacy', name: 'Vocabulary', description: 'Know and use everyday and subject words', grades: [1, 8], importance: 8, difficulty: 'medium', prerequisites: ['lit.oral-language'], aliases: ['vocabulary', 'words', 'word meanings'] },
+        { id: 'lit.reading-fluency', subject: 'literacy', name: 'Reading Fluency', description: 'Read grade-level text aloud with accuracy and speed (NIPUN: 45-60 words a minute by grade 2, 60 by grade 3)', grades: [2, 3], importance: 10, difficulty: 'medium', prerequisites: ['lit.word-reading', 'lit.matras'], aliases: ['fluency', 'reading', 'oral reading fluency'] },
+        { id: 'lit.reading-comprehension', subject: 'literacy', name: 'Reading Comprehension', description: 'Understand and answer questions about a short text', grades: [2, 8], importance: 10, difficulty: 'medium', prerequisites: ['lit.reading-fluency', 'lit.vocabulary'], aliases: ['comprehension', 'reading comprehension', 'story time'] },
+        { id: 'lit.inferential-comprehension', subject: 'literacy', name: 'Inferential Comprehension', description: 'Infer meaning, predict and explain characters\' actions', grades: [4, 6], importance: 8, difficulty: 'hard', prerequisites: ['lit.reading-comprehension'], aliases: ['inference'] },
+        { id: 'lit.critical-reading', subject: 'literacy', name: 'Critical Reading', description: 'Compare texts, judge arguments and identify the author\'s purpose', grades: [6, 8], importance: 7, difficulty: 'hard', prerequisites: ['lit.inferential-comprehension'], aliases: ['critical reading'] },
+
+        // Literacy: writing and grammar
+        { id: 'lit.letter-writing', subject: 'literacy', name: 'Letter Formation', description: 'Write letters or aksharas legibly', grades: [1, 1], importance: 8, difficulty: 'easy', prerequisites: ['lit.letter-recognition'], aliases: ['handwriting'] },
+        { id: 'lit.word-writing', subject: 'literacy', name: 'Spelling and Word Writing', description: 'Write words from dictation and spell common words', grades: [1, 2], importance: 8, difficulty: 'medium', prerequisites: ['lit.letter-writing', 'lit.phonics'], aliases: ['spelling', 'dictation'] },
+        { id: 'lit.sentence-writing', subject: 'literacy', name: 'Sentence Writing', description: 'Write simple sentences about familiar things', grades: [2, 3], importance: 8, difficulty: 'medium', prerequisites: ['lit.word-writing'], aliases: ['sentences', 'writing'] },
+        { id: 'lit.grammar-basics', subject: 'literacy', name: 'Basic Grammar', description: 'Nouns, verbs, adjectives, gender, number and punctuation', grades: [3, 5], importance: 7, difficulty: 'medium', prerequisites: ['lit.sentence-writing'], aliases: ['grammar', 'punctuation', 'parts of speech'] },
+        { id: 'lit.paragraph-writing', subject: 'literacy', name: 'Paragraph Writing', description: 'Write connected sentences on a topic', grades: [3, 5], importance: 7, difficulty: 'medium', prerequisites: ['lit.sentence-writing', 'lit.grammar-basics'], aliases: ['paragraph'] },
+        { id: 'lit.grammar-advanced', subject: 'literacy', name: 'Advanced Grammar', description: 'Tenses, voice, clauses and reported speech', grades: [6, 8], importance: 6, difficulty: 'hard', prerequisites: ['lit.grammar-basics'], aliases: ['tenses', 'active passive voice'] },
+        { id: 'lit.creative-writing', subject: 'literacy', name: 'Creative and Functional Writing', description: 'Stories, letters, notices and essays', grades: [5, 8], importance: 7, difficulty: 'hard', prerequisites: ['lit.paragraph-writing'], aliases: ['essay', 'story writing', 'letter writing', 'writing help'] },
+        { id: 'lit.study-skills', subject: 'literacy', name: 'Summarising and Note-making', description: 'Pick out main ideas, summarise and make notes', grades: [5, 8], importance: 6, difficulty: 'hard', prerequisites: ['lit.reading-comprehension', 'lit.paragraph-writing'], aliases: ['summary', 'summarising', 'note making'] },
+
+        // Numeracy: number sense and operations
+        { id: 'num.pre-number', subject: 'numeracy', name: 'Pre-number Concepts', description: 'Sort, classify, compare and continue patterns', grades: [1, 1], importance: 8, difficulty: 'easy', prerequisites: [], aliases: ['sorting', 'patterns', 'pre-number'] },
+        { id: 'num.counting-20', subject: 'numeracy', name: 'Counting to 20', description: 'Count objects and read and write numbers to 20', grades: [1, 1], importance: 10, difficulty: 'easy', prerequisites: ['num.pre-number'], aliases: ['counting', 'numbers to 20'] },
+        { id: 'num.number-sense-99', subject: 'numeracy', name: 'Numbers to 99', description: 'Read, write, compare and order numbers to 99', grades: [1, 2], importance: 10, difficulty: 'easy', prerequisites: ['num.counting-20'], aliases: ['number sense', 'numbers'] },
+        { id: 'num.place-value', subject: 'numeracy', name: 'Place Value to 999', description: 'Hundreds, tens and ones; expanded form', grades: [2, 3], importance: 10, difficulty: 'medium', prerequisites: ['num.number-sense-99'], aliases: ['place value'] },
+        { id: 'num.addition', subject: 'numeracy', name: 'Addition', description: 'Add numbers to 99 without regrouping', grades: [1, 2], importance: 10, difficulty: 'easy', prerequisites: ['num.counting-20'], aliases: ['addition', 'add', 'sum'] },
+        { id: 'num.subtraction', subject: 'numeracy', name: 'Subtraction', description: 'Subtract numbers to 99 without regrouping', grades: [1, 2], importance: 10, difficulty: 'easy', prerequisites: ['num.addition'], aliases: ['subtraction', 'subtract', 'difference'] },
+        { id: 'num.regrouping', subject: 'numeracy', name: 'Addition and Subtraction with Regrouping', description: 'Carry and borrow with numbers to 999', grades: [2, 3], importance: 9, difficulty: 'medium', prerequisites: ['num.place-value', 'num.subtraction'], aliases: ['carrying', 'borrowing', 'regrouping', 'operations', 'arithmetic'] },
+        { id: 'num.mental-math', subject: 'numeracy', name: 'Mental Math', description: 'Add, subtract and estimate in the head', grades: [2, 5], importance: 6, difficulty: 'medium', prerequisites: ['num.regrouping'], aliases: ['mental math', 'estimation'] },
+        { id: 'num.multiplication', subject: 'numeracy', name: 'Multiplication', description: 'Repeated addition, tables to 10 and multi-digit multiplication', grades: [2, 4], importance: 9, difficulty: 'medium', prerequisites: ['num.regrouping'], aliases: ['multiplication', 'multiply', 'tables'] },
+        { id: 'num.division', subject: 'numeracy', name: 'Division', description: 'Equal sharing, grouping and long division', grades: [3, 4], importance: 9, difficulty: 'medium', prerequisites: ['num.multiplication'], aliases: ['division', 'divide'] },
+        { id: 'num.large-numbers', subject: 'numeracy', name: 'Large Numbers', description: 'Indian and international place value to crores', grades: [4, 5], importance: 7, difficulty: 'medium', prerequisites: ['num.place-value'], aliases: ['large numbers', 'lakhs', 'crores'] },
+        { id: 'num.fractions', subject: 'numeracy', name: 'Fractions', description: 'Parts of a whole, equivalent fractions and fraction operations', grades: [3, 5], importance: 9, difficulty: 'hard', prerequisites: ['num.division'], aliases: ['fractions', 'fraction'] },
+        { id: 'num.decimals', subject: 'numeracy', name: 'Decimals', description: 'Decimal place value and operations', grades: [5, 6], importance: 8, difficulty: 'hard', prerequisites: ['num.fractions', 'num.large-numbers'], aliases: ['decimals', 'decimal'] },
+        { id: 'num.factors-multiples', subject: 'numeracy', name: 'Factors and Multiples', description: 'Factors, multiples, primes, HCF and LCM', grades: [5, 6], importance: 6, difficulty: 'medium', prerequisites: ['num.division'], aliases: ['factors', 'multiples', 'hcf', 'lcm', 'primes'] },
+        { id: 'num.integers', subject: 'numeracy', name: 'Integers', description: 'Negative numbers on the number line and their operations', grades: [6, 7], importance: 7, difficulty: 'hard', prerequisites: ['num.large-numbers', 'num.regrouping'], aliases: ['integers', 'negative numbers'] },
+        { id: 'num.ratio-percentage', subject: 'numeracy', name: 'Ratio, Proportion and Percentage', description: 'Ratios, unitary method, percentages, profit and loss', grades: [6, 8], importance: 8, difficulty: 'hard', prerequisites: ['num.fractions', 'num.decimals'], aliases: ['ratio', 'proportion', 'percentage', 'profit and loss'] },
+        { id: 'num.algebra-basics', subject: 'numeracy', name: 'Introductory Algebra', description: 'Variables, expressions and simple linear equations', grades: [6, 8], importance: 8, difficulty: 'hard', prerequisites: ['num.integers'], aliases: ['algebra', 'equations', 'expressions'] },
+
+        // Numeracy: shapes, measurement and data
+        { id: 'num.shapes', subject: 'numeracy', name: 'Shapes and Space', description: 'Name and describe 2D and 3D shapes and positions', grades: [1, 3], importance: 7, difficulty: 'easy', prerequisites: ['num.pre-number'], aliases: ['shapes', 'geometry', 'spatial'] },
+        { id: 'num.measurement', subject: 'numeracy', name: 'Measurement', description: 'Length, weight and capacity with non-standard and standard units', grades: [1, 3], importance: 7, difficulty: 'easy', prerequisites: ['num.counting-20'], aliases: ['measurement', 'length', 'weight', 'capacity'] },
+        { id: 'num.money', subject: 'numeracy', name: 'Money', description: 'Recognise coins and notes; add and subtract amounts in rupees', grades: [1, 3], importance: 8, difficulty: 'easy', prerequisites: ['num.addition', 'num.subtraction'], aliases: ['money', 'rupees', 'coins'] },
+        { id: 'num.time', subject: 'numeracy', name: 'Time and Calendar', description: 'Read clocks, days, weeks and months', grades: [2, 3], importance: 6, difficulty: 'medium', prerequisites: ['num.number-sense-99'], aliases: ['time', 'clock', 'calendar'] },
+        { id: 'num.data-handling', subject: 'numeracy', name: 'Data Handling', description: 'Collect data with tally marks; read and draw pictographs', grades: [2, 4], importance: 5, difficulty: 'easy', prerequisites: ['num.counting-20'], aliases: ['data handling', 'tally', 'pictograph'] },
+        { id: 'num.perimeter-area', subject: 'numeracy', name: 'Perimeter and Area', description: 'Perimeter and area of rectangles and squares', grades: [4, 6], importance: 7, difficulty: 'medium', prerequisites: ['num.multiplication', 'num.measurement'], aliases: ['perimeter', 'area'] },
+        { id: 'num.angles-triangles', subject: 'numeracy', name: 'Lines, Angles and Triangles', description: 'Types of angles and triangles; angle sum property', grades: [5, 8], importance: 6, difficulty: 'hard', prerequisites: ['num.shapes'], aliases: ['angles', 'triangles', 'lines'] },
+        { id: 'num.statistics', subject: 'numeracy', name: 'Bar Graphs and Averages', description: 'Bar graphs, mean, median and mode', grades: [6, 8], importance: 5, difficulty: 'medium', prerequisites: ['num.data-handling', 'num.division'], aliases: ['statistics', 'mean', 'average', 'bar graph'] },
+    ],
+};
+
+/**
+ * Check a list of topics forms a usable curriculum graph
+ * @param {Array} topics - Topic definitions ({ id, subject, name, grades, importance, difficulty, prerequisites })
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function validateCurriculum(topics) {
+    const errors = [];
+    const ids = new Set();
+
+    for (const topic of topics) {
+        const label = topic.id || '(no id)';
+        if (!topic.id || typeof topic.id !== 'string') errors.push(`${label}: id is required`);
+        else if (ids.has(topic.id)) errors.push(`${label}: duplicate id`);
+        ids.add(topic.id);
+
+        if (!topic.name) errors.push(`${label}: name is required`);
+        if (!CURRICULUM_SUBJECTS.includes(topic.subject)) {
+            errors.push(`${label}: subject must be one of ${CURRICULUM_SUBJECTS.join(', ')}`);
+        }
+        if (topic.difficulty && !CURRICULUM_DIFFICULTIES.includes(topic.difficulty)) {
+            errors.push(`${label}: difficulty must be one of ${CURRICULUM_DIFFICULTIES.join(', ')}`);
+        }
+        const importance = topic.importance ?? 5;
+        if (!Number.isInteger(importance) || importance < 1 || importance > 10) {
+            errors.push(`${label}: importance must be a whole number from 1 to 10`);
+        }
+
+        const [min, max] = topic.grades || [];
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min > max
+            || min < CURRICULUM_GRADES.min || max > CURRICULUM_GRADES.max) {
+            errors.push(`${label}: grades must be [min, max] within ${CURRICULUM_GRADES.min}-${CURRICULUM_GRADES.max}`);
+        }
+    }
+
+    for (const topic of topics) {
+        for (const prerequisite of topic.prerequisites || []) {
+            if (!ids.has(prerequisite)) errors.push(`${topic.id}: unknown prerequisite ${prerequisite}`);
+            if (prerequisite === topic.id) errors.push(`${topic.id}: cannot be its own prerequisite`);
+        }
+    }
+
+    const cycle = findCycle(topics);
+    if (cycle) errors.push(`prerequisite cycle: ${cycle.join(' -> ')}`);
+
+    return errors;
+}
+
+// Depth-first search for a prerequisite cycle; returns its path or null
+function findCycle(topics) {
+    const byId = new Map(topics.map(topic => [topic.id, topic]));
+    const state = new Map(); // 1 = visiting, 2 = done
+
+    const visit = (id, path) => {
+        if (state.get(id) === 2 || !byId.has(id)) return null;
+        if (state.get(id) === 1) return [...path.slice(path.indexOf(id)), id];
+
+        state.set(id, 1);
+        for (const prerequisite of byId.get(id).prerequisites || []) {
+            const cycle = visit(prerequisite, [...path, id]);
+            if (cycle) return cycle;
+        }
+        state.set(id, 2);
+        return null;
+    };
+
+    for (const topic of topics) {
+        const cycle = visit(topic.id, []);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Turn a topic list into the topic -> node graph utils/adaptive-learning expects
+ */
+export function toCurriculumGraph(topics) {
+    return Object.fromEntries(topics.map(topic => [topic.id, {
+        name: topic.name,
+        subject: topic.subject,
+        grades: topic.grades,
+        prerequisites: topic.prerequisites || [],
+        importance: topic.importance ?? 5,
+        difficulty: topic.difficulty || 'medium',
+        aliases: topic.aliases || [],
+    }]));
+}
+
+/**
+ * Curriculum graph of the published version (or a given one)
+ * @param {Object} db - Database models
+ * @param {Object} options - { versionId, subject }
+ * @returns {Promise<Object>} - topic -> node graph (empty when no version is published)
+ */
+export async function getCurriculumGraph(db, { versionId = null, subject = null } = {}) {
+    const version = versionId ? await db.Curriculum.getVersion(versionId) : await db.Curriculum.getPublished();
+    if (!version) return {};
+
+    return toCurriculumGraph(await db.Curriculum.getTopics(version.id, { subject }));
+}
+
+/**
+ * Find the curriculum topic a free-text topic name refers to (id, name or alias)
+ * @returns {string|null} - Topic ID
+ */
+export function matchCurriculumTopic(graph, topicName) {
+    const wanted = String(topicName || '').trim().toLowerCase();
+    if (!wanted) return null;
+    if (graph[wanted]) return wanted;
+
+    for (const [id, node] of Object.entries(graph)) {
+        if (id.toLowerCase() === wanted || node.name.toLowerCase() === wanted
+            || node.aliases.some(alias => alias.toLowerCase() === wanted)) {
+            return id;
+        }
+    }
+    return null;
+}
+
+/**
+ * Re-key a topic -> { attempts } progress map onto curriculum topic IDs
+ * Topics that match nothing in the graph are dropped.
+ */
+export function mapProgressToCurriculum(studentProgress, graph) {
+    const mapped = {};
+    for (const [topic, data] of Object.entries(studentProgress)) {
+        const id = matchCurriculumTopic(graph, topic);
+        if (!id) continue;
+
+        mapped[id] = mapped[id] || { attempts: [], timeSpent: 0 };
+        mapped[id].attempts.push(...(data.attempts || []));
+        mapped[id].timeSpent += data.timeSpent || 0;
+    }
+
+    for (const data of Object.values(mapped)) {
+        data.attempts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    return mapped;
+}
+
+/**
+ * Store the built-in curriculum and publish it if nothing is published yet
+ * @param {Object} db - Database models
+ */
+export async function seedCurriculum(db) {
+    let version = await db.Curriculum.getVersionByLabel(FLN_CURRICULUM.version);
+    if (!version) {
+        version = await db.Curriculum.createVersion({
+            version: FLN_CURRICULUM.version,
+            name: FLN_CURRICULUM.name,
+            framework: FLN_CURRICULUM.framework,
+            topics: FLN_CURRICULUM.topics,
+        });
+    }
+
+    if (!(await db.Curriculum.getPublished())) {
+        await db.Curriculum.publish(version.id);
+    }
+    return version;
+}
+
+export default {
+    CURRICULUM_SUBJECTS,
+    CURRICULUM_DIFFICULTIES,
+    CURRICULUM_GRADES,
+    FLN_CURRICULUM,
+    validateCurriculum,
+    toCurriculumGraph,
+    getCurriculumGraph,
+    matchCurriculumTopic,
+    mapProgressToCurriculum,
+    seedCurriculum,
+};
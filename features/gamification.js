@@ -211,16 +211,17 @@ export async function awardAchievement(studentId, achievementId, db) {
         throw new Error('Achievement not found');
     }
 
-    // Check if already earned
-    const existingAchievements = await db.Achievement.getStudentAchievements(studentId);
-    const alreadyEarned = existingAchievements.some(a => a.achievementId === achievementId);
-
-    if (alreadyEarned) {
+    // Award achievement (once per student)
+    const awarded = await db.Achievement.awardToStudent(studentId, achievementId);
+    if (!awarded) {
         return { alreadyEarned: true };
     }
 
-    // Award achievement
-    await db.Achievement.awardToStudent(studentId, achievementId);
+    await db.Gamification.addPoints(studentId, achievement.points, {
+        reason: `Achievement: ${achievement.name}`,
+        sourceType: 'achievement',
+        sourceId: achievementId,
+    });
 
     return {
         success: true,
@@ -230,91 +231,387 @@ export async function awardAchievement(studentId, achievementId, db) {
 }
 
 /**
- * Calculate daily streak
- * @param {Array} sessionLogs - Array of session logs
+ * Points for each kind of learning event
+ */
+export const POINT_RULES = {
+    assessment: { base: 10, perCorrect: 2, perfectBonus: 20 },
+    exercise: { base: 5, perCorrect: 1, perfectBonus: 10 },
+    reading: { base: 5, per50Words: 1 },
+    session: { base: 5, per10Minutes: 2 },
+};
+
+// Most points a day from activities students report themselves (nothing the server graded)
+export const SELF_REPORTED_DAILY_POINTS = 30;
+
+/**
+ * Points earned for one learning event
+ * @param {Object} event - { type, correct, total, words, duration (seconds) }
+ * @returns {number} - Points
+ */
+export function calculateEventPoints(event) {
+    const rule = POINT_RULES[event.type];
+    if (!rule) return 0;
+
+    let points = rule.base;
+    if (rule.perCorrect) points += (event.correct || 0) * rule.perCorrect;
+    if (rule.perfectBonus && event.total > 0 && event.correct === event.total) points += rule.perfectBonus;
+    if (rule.per50Words) points += Math.floor((event.words || 0) / 50) * rule.per50Words;
+    if (rule.per10Minutes) points += Math.floor((event.duration || 0) / 600) * rule.per10Minutes;
+
+    return points;
+}
+
+/**
+ * Points to credit for one learning event: self-reported activities share a daily allowance
+ * @param {Object} event - As for calculateEventPoints, with selfReported
+ * @param {number} selfReportedToday - Points already credited today for self-reported activities
+ * @returns {number} - Points
+ */
+export function creditedPoints(event, selfReportedToday = 0) {
+    const points = calculateEventPoints(event);
+    if (!event.selfReported) return points;
+    return Math.max(0, Math.min(points, SELF_REPORTED_DAILY_POINTS - selfReportedToday));
+}
+
+/**
+ * Store the ACHIEVEMENTS definitions in the achievements table
+ * @param {Object} db - Database models
+ */
+export async function seedAchievements(db) {
+    return db.Achievement.seed(Object.values(ACHIEVEMENTS));
+}
+
+/**
+ * Server-side stats for a student (event totals plus streaks)
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - Stats in the shape checkAchievement() expects
+ */
+export async function getStudentStats(studentId, db) {
+    const stats = await db.Gamification.getStats(studentId);
+    const streak = await getStudentStreak(studentId, db);
+
+    return {
+        ...stats,
+        currentStreak: streak.currentStreak,
+        longestStreak: streak.longestStreak,
+        lastActive: streak.lastActive,
+        freezesAvailable: streak.freezesAvailable,
+    };
+}
+
+/**
+ * Award every achievement the student now qualifies for
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Array>} - Newly earned achievements
+ */
+export async function evaluateAchievements(studentId, db) {
+    const stats = await getStudentStats(studentId, db);
+    const earned = [];
+
+    for (const achievementId of Object.keys(ACHIEVEMENTS)) {
+        if (!checkAchievement(achievementId, { stats })) continue;
+
+        const result = await awardAchievement(studentId, achievementId, db);
+        if (result.success) earned.push(result);
+    }
+
+    return earned;
+}
+
+/**
+ * Record a completed assessment, exercise, reading or session,
+ * credit its points, spend or earn streak freezes, advance quests and check for new achievements
+ * @param {string} studentId - Student ID
+ * @param {Object} event - { type, subject, topic, correct, total, score, words, duration, sourceId, selfReported }
+ *                         selfReported: reported by the student, so its points count against SELF_REPORTED_DAILY_POINTS
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - Points earned, new totals and newly unlocked achievements
+ */
+export async function recordLearningEvent(studentId, event, db) {
+    await db.Gamification.recordEvent(studentId, event);
+    await updateStreakFreezes(studentId, db);
+
+    const selfReportedToday = event.selfReported
+        ? await db.Gamification.getPointsSince(studentId, istMidnight(toIstDay(new Date())), 'self-reported')
+        : 0;
+    const points = creditedPoints(event, selfReportedToday);
+    if (points > 0) {
+        await db.Gamification.addPoints(studentId, points, {
+            reason: `Completed ${event.type}${event.topic ? `: ${event.topic}` : ''}`,
+            sourceType: event.selfReported ? 'self-reported' : event.type,
+            sourceId: event.sourceId,
+        });
+    }
+
+    const pointsBefore = await db.Gamification.getTotalPoints(studentId) - points;
+    const completedQuests = await updateQuestProgress(studentId, db);
+    const newAchievements = await evaluateAchievements(studentId, db);
+    const totalPoints = await db.Gamification.getTotalPoints(studentId);
+
+    return {
+        pointsEarned: totalPoints - pointsBefore,
+        totalPoints,
+        level: calculateLevel(totalPoints),
+        newAchievements: newAchievements.map(a => ({ ...a.achievement, message: a.message })),
+        completedQuests: completedQuests.map(q => ({ id: q.id, name: q.name, rewardPoints: q.reward_points })),
+    };
+}
+
+/**
+ * Points, level, badges and stats for a student
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - Gamification summary
+ */
+export async function getGamificationSummary(studentId, db) {
+    const stats = await getStudentStats(studentId, db);
+    const badges = await db.Achievement.getStudentAchievements(studentId);
+
+    return {
+        studentId,
+        totalPoints: stats.totalPoints,
+        level: calculateLevel(stats.totalPoints),
+        badges,
+        unseenBadges: badges.filter(b => !b.seen_at).length,
+        stats,
+    };
+}
+
+// India Standard Time is UTC+05:30; learning days follow the Indian calendar day
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gazetted national holidays on fixed dates (MM-DD): Republic Day, Independence Day, Gandhi Jayanti
+ */
+export const NATIONAL_HOLIDAYS = ['01-26', '08-15', '10-02'];
+
+// A streak freeze is earned every FREEZE_EVERY_DAYS days of streak, up to MAX_STREAK_FREEZES held
+export const FREEZE_EVERY_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+
+/**
+ * IST calendar day of a time
+ * @param {Date|string|number} time - Date, timestamp or SQLite 'YYYY-MM-DD HH:MM:SS' (UTC) string
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export function toIstDay(time) {
+    const ms = typeof time === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:/.test(time)
+        ? Date.parse(`${time.replace(' ', 'T')}Z`)
+        : new Date(time).getTime();
+    return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Midnight IST at the start of a 'YYYY-MM-DD' day
+ */
+export function istMidnight(day) {
+    return new Date(Date.parse(`${day}T00:00:00+05:30`));
+}
+
+function addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Calculate daily streak over IST calendar days
+ * Holidays (national and the school's own) and days covered by a streak freeze neither
+ * break nor extend a streak. No activity yet today does not break it either.
+ * @param {Array} sessionLogs - Session logs ({ startTime }) or activity days ({ day: 'YYYY-MM-DD' })
+ * @param {Object} options - { today, holidays: ['YYYY-MM-DD'], frozenDays: ['YYYY-MM-DD'] }
  * @returns {Object} - Streak information
  */
-export function calculateStreak(sessionLogs) {
+export function calculateStreak(sessionLogs, options = {}) {
+    const {
+        today = toIstDay(new Date()),
+        holidays = [],
+        frozenDays = [],
+    } = options;
+
     if (!sessionLogs || sessionLogs.length === 0) {
-        return { currentStreak: 0, longestStreak: 0, lastActive: null };
+        return { currentStreak: 0, longestStreak: 0, lastActive: null, todayActive: false, streakStart: null };
     }
 
-    // Sort by date
-    const sortedLogs = sessionLogs.sort((a, b) =>
-        new Date(b.startTime) - new Date(a.startTime)
-    );
+    const active = new Set(sessionLogs.map(log => log.day || toIstDay(log.startTime)));
+    const days = [...active].sort();
+    const firstActive = days[0];
+    const lastActive = days[days.length - 1];
+
+    const excused = new Set([...holidays, ...frozenDays]);
+    const isExcused = day => excused.has(day) || NATIONAL_HOLIDAYS.includes(day.slice(5));
 
+    // Walk back from today until a missed day
     let currentStreak = 0;
+    let streakStart = null;
+    for (let day = active.has(today) ? today : addDays(today, -1); day >= firstActive; day = addDays(day, -1)) {
+        if (active.has(day)) {
+            currentStreak++;
+            streakStart = day;
+        } else if (!isExcused(day)) {
+            break;
+        }
+    }
+
+    // Longest run over the whole history
     let longestStreak = 0;
-    let tempStreak = 1;
-    let lastDate = new Date(sortedLogs[0].startTime);
-    lastDate.setHours(0, 0, 0, 0);
-
-    // Check if active today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const daysSinceLastActive = Math.floor((today - lastDate) / (1000 * 60 * 60 * 24));
-
-    if (daysSinceLastActive === 0) {
-        currentStreak = 1;
-    } else if (daysSinceLastActive > 1) {
-        return { currentStreak: 0, longestStreak: 0, lastActive: lastDate };
+    let run = 0;
+    for (let day = firstActive; day <= lastActive; day = addDays(day, 1)) {
+        if (active.has(day)) {
+            run++;
+            longestStreak = Math.max(longestStreak, run);
+        } else if (!isExcused(day)) {
+            run = 0;
+        }
     }
 
-    // Calculate streaks
-    for (let i = 1; i < sortedLogs.length; i++) {
-        const currentDate = new Date(sortedLogs[i].startTime);
-        currentDate.setHours(0, 0, 0, 0);
+    return {
+        currentStreak,
+        longestStreak: Math.max(longestStreak, currentStreak),
+        lastActive,
+        todayActive: active.has(today),
+        streakStart,
+    };
+}
 
-        const daysDiff = Math.floor((lastDate - currentDate) / (1000 * 60 * 60 * 24));
+/**
+ * Missed days that streak freezes should cover now that the student is active today
+ * Only the gap since the last active day counts, and a freeze covers a missed day only if the
+ * student already held it on that day. A gap is covered whole or not at all.
+ * @param {Array<string>} activeDays - IST days with activity ('YYYY-MM-DD')
+ * @param {Array} freezes - Unused freezes ({ earned_at })
+ * @param {Object} options - { today, holidays: ['YYYY-MM-DD'], frozenDays: ['YYYY-MM-DD'] }
+ * @returns {Array<string>} - Days to spend a freeze on, oldest first
+ */
+export function planStreakFreezes(activeDays, freezes, options = {}) {
+    const { today = toIstDay(new Date()), holidays = [], frozenDays = [] } = options;
 
-        if (daysDiff === 1) {
-            tempStreak++;
-            if (i === sortedLogs.length - 1 || daysSinceLastActive <= 1) {
-                currentStreak = tempStreak;
-            }
-        } else if (daysDiff > 1) {
-            longestStreak = Math.max(longestStreak, tempStreak);
-            tempStreak = 1;
-        }
+    const previous = activeDays.filter(day => day < today).sort().pop();
+    if (!activeDays.includes(today) || !previous) return [];
 
-        lastDate = currentDate;
+    const excused = new Set([...holidays, ...frozenDays]);
+    const missed = [];
+    for (let day = addDays(previous, 1); day < today; day = addDays(day, 1)) {
+        if (!excused.has(day) && !NATIONAL_HOLIDAYS.includes(day.slice(5))) missed.push(day);
     }
+    if (missed.length === 0 || missed.length > freezes.length) return [];
+
+    // Oldest freezes go on the oldest missed days, the order useStreakFreezes() spends them in
+    const heldSince = freezes.map(f => toIstDay(f.earned_at)).sort();
+    return missed.every((day, i) => heldSince[i] < day) ? missed : [];
+}
 
-    longestStreak = Math.max(longestStreak, tempStreak, currentStreak);
+// A student's school holidays and streak freezes
+async function loadStreakExcuses(studentId, db) {
+    const student = await db.Student.getById(studentId);
+    const holidays = student?.school_id
+        ? (await db.School.getHolidays(student.school_id)).map(h => h.date)
+        : [];
+    const freezes = await db.Gamification.getStreakFreezes(studentId);
+
+    return { holidays, freezes };
+}
+
+// A student's activity days, holidays and streak freezes
+async function loadStreakRecords(studentId, db) {
+    const days = await db.Gamification.getActivityDays(studentId);
+    const { holidays, freezes } = await loadStreakExcuses(studentId, db);
 
     return {
-        currentStreak,
-        longestStreak,
-        lastActive: new Date(sortedLogs[0].startTime),
+        days,
+        holidays,
+        frozenDays: freezes.filter(f => f.used_on).map(f => f.used_on).sort(),
+        unused: freezes.filter(f => !f.used_on),
     };
 }
 
 /**
- * Generate leaderboard
- * @param {Array} students - Array of student data
+ * A student's streak from their recorded sessions and learning events
+ * Read-only: freezes are spent and earned when activity is recorded (see updateStreakFreezes).
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - Streak information with freezes held and used
+ */
+export async function getStudentStreak(studentId, db) {
+    const { days, holidays, frozenDays, unused } = await loadStreakRecords(studentId, db);
+    const streak = calculateStreak(days.map(day => ({ day })), { holidays, frozenDays });
+
+    return {
+        ...streak,
+        freezesAvailable: unused.length,
+        frozenDays,
+    };
+}
+
+/**
+ * Spend and earn streak freezes after new activity
+ * Bridges the gap since the last active day with freezes held before it, then earns a freeze
+ * if today's activity reached a streak milestone (keyed by the day, so a milestone pays once).
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @param {string} today - IST day of the activity ('YYYY-MM-DD')
+ * @returns {Promise<Object>} - { frozen: days a freeze was spent on, earned: whether a freeze was earned }
+ */
+export async function updateStreakFreezes(studentId, db, today = toIstDay(new Date())) {
+    const { days, holidays, frozenDays, unused } = await loadStreakRecords(studentId, db);
+
+    const frozen = planStreakFreezes(days, unused, { today, holidays, frozenDays });
+    if (frozen.length > 0) {
+        await db.Gamification.useStreakFreezes(studentId, frozen);
+    }
+
+    const streak = calculateStreak(days.map(day => ({ day })), { today, holidays, frozenDays: [...frozenDays, ...frozen] });
+    const milestone = streak.todayActive && streak.currentStreak > 0 && streak.currentStreak % FREEZE_EVERY_DAYS === 0;
+    const earned = milestone && unused.length - frozen.length < MAX_STREAK_FREEZES
+        && await db.Gamification.grantStreakFreeze(studentId, `streak:${today}`);
+
+    return { frozen, earned: Boolean(earned) };
+}
+
+/**
+ * Leaderboard periods and what boards can rank by
+ */
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'monthly', 'alltime'];
+export const LEADERBOARD_METRICS = ['points', 'streak', 'accuracy'];
+
+/**
+ * Start of a leaderboard period (daily = today, weekly = last 7 days, monthly = last month)
  * @param {string} period - 'daily', 'weekly', 'monthly', 'alltime'
- * @param {string} metric - 'points', 'streak', 'accuracy'
- * @returns {Array} - Sorted leaderboard
+ * @param {Date} now - Reference time
+ * @returns {Date} - Earliest time counted
  */
-export function generateLeaderboard(students, period = 'weekly', metric = 'points') {
-    const now = new Date();
-    let cutoffDate = new Date();
+export function getPeriodStart(period, now = new Date()) {
+    const today = toIstDay(now);
 
     switch (period) {
         case 'daily':
-            cutoffDate.setDate(now.getDate() - 1);
-            break;
+            return istMidnight(today);
         case 'weekly':
-            cutoffDate.setDate(now.getDate() - 7);
-            break;
-        case 'monthly':
-            cutoffDate.setMonth(now.getMonth() - 1);
-            break;
+            return istMidnight(addDays(today, -6));
+        case 'monthly': {
+            const monthAgo = new Date(`${today}T00:00:00Z`);
+            monthAgo.setUTCMonth(monthAgo.getUTCMonth() - 1);
+            return istMidnight(monthAgo.toISOString().slice(0, 10));
+        }
         case 'alltime':
-            cutoffDate = new Date(0);
-            break;
+        default:
+            return new Date(0);
     }
+}
+
+/**
+ * Generate leaderboard
+ * @param {Array} students - Students with dated activity: { id, name, days: [{ day, points, correct, total, active }] },
+ *   plus { holidays, frozenDays } for the streak metric
+ * @param {string} period - 'daily', 'weekly', 'monthly', 'alltime'
+ * @param {string} metric - 'points', 'streak', 'accuracy'
+ * @param {Object} options - { limit } (defaults to the top 10)
+ * @returns {Array} - Sorted leaderboard
+ */
+export function generateLeaderboard(students, period = 'weekly', metric = 'points', options = {}) {
+    const { limit = 10 } = options;
+    const cutoffDate = getPeriodStart(period);
 
     return students
         .map(student => ({
@@ -323,8 +620,8 @@ export function generateLeaderboard(students, period = 'weekly', metric = 'point
             value: getMetricValue(student, metric, cutoffDate),
             avatar: student.avatar || '👤',
         }))
-        .sort((a, b) => b.value - a.value)
-        .slice(0, 10) // Top 10
+        .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name))
+        .slice(0, limit)
         .map((student, index) => ({
             ...student,
             rank: index + 1,
@@ -333,21 +630,106 @@ export function generateLeaderboard(students, period = 'weekly', metric = 'point
 }
 
 /**
- * Get metric value for leaderboard
+ * Get metric value for leaderboard from the days on or after the cutoff
  */
 function getMetricValue(student, metric, cutoffDate) {
+    const cutoffDay = toIstDay(cutoffDate);
+    const days = (student.days || []).filter(d => d.day >= cutoffDay);
+
     switch (metric) {
         case 'points':
-            return student.stats?.totalPoints || 0;
+            return days.reduce((sum, d) => sum + d.points, 0);
         case 'streak':
-            return student.stats?.currentStreak || 0;
-        case 'accuracy':
-            return student.stats?.averageAccuracy || 0;
+            return calculateStreak(days.filter(d => d.active), {
+                holidays: student.holidays,
+                frozenDays: student.frozenDays,
+            }).longestStreak;
+        case 'accuracy': {
+            const total = days.reduce((sum, d) => sum + d.total, 0);
+            const correct = days.reduce((sum, d) => sum + d.correct, 0);
+            return total > 0 ? Math.round((correct / total) * 100) : 0;
+        }
         default:
             return 0;
     }
 }
 
+const PSEUDONYM_ADJECTIVES = ['Brave', 'Clever', 'Curious', 'Bright', 'Swift', 'Gentle', 'Bold', 'Wise', 'Cheerful', 'Steady'];
+const PSEUDONYM_ANIMALS = ['Tiger', 'Peacock', 'Elephant', 'Cheetah', 'Dolphin', 'Mongoose', 'Falcon', 'Panda', 'Deer', 'Kingfisher'];
+
+/**
+ * Stable leaderboard nickname for a student (same student, same name)
+ * @param {string} studentId - Student ID
+ * @returns {string} - e.g. 'Clever Peacock'
+ */
+export function getPseudonym(studentId) {
+    let hash = 0;
+    for (const char of studentId) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    const adjective = PSEUDONYM_ADJECTIVES[hash % PSEUDONYM_ADJECTIVES.length];
+    const animal = PSEUDONYM_ANIMALS[Math.floor(hash / PSEUDONYM_ADJECTIVES.length) % PSEUDONYM_ANIMALS.length];
+    return `${adjective} ${animal}`;
+}
+
+/**
+ * Name shown on a leaderboard for a privacy mode
+ */
+function leaderboardName(student, mode) {
+    if (mode === 'pseudonym') return getPseudonym(student.id);
+    return student.name.trim().split(/\s+/)[0];
+}
+
+/**
+ * Build a leaderboard for a group of students, respecting each student's privacy mode
+ * Students whose mode is 'off' are left out; students viewing the board see their own rank.
+ * @param {Array} students - [{ id, name, leaderboardMode }]
+ * @param {Object} options - { period, metric, limit, viewer }
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - { period, metric, entries, you }
+ */
+export async function buildLeaderboard(students, options, db) {
+    const { period = 'weekly', metric = 'points', limit = 10, viewer } = options;
+    const ranked = students.filter(s => s.leaderboardMode !== 'off');
+
+    const totals = await db.Gamification.getDailyTotals(ranked.map(s => s.id), getPeriodStart(period));
+    const daysByStudent = {};
+    for (const row of totals) {
+        (daysByStudent[row.student_id] = daysByStudent[row.student_id] || []).push(row);
+    }
+
+    // Streaks on the board skip holidays and frozen days as the student's own streak does
+    const excuses = {};
+    if (metric === 'streak') {
+        for (const { id } of ranked) {
+            const { holidays, freezes } = await loadStreakExcuses(id, db);
+            excuses[id] = { holidays, frozenDays: freezes.filter(f => f.used_on).map(f => f.used_on) };
+        }
+    }
+
+    const board = generateLeaderboard(
+        ranked.map(s => ({ ...s, ...excuses[s.id], name: leaderboardName(s, s.leaderboardMode), days: daysByStudent[s.id] || [] })),
+        period,
+        metric,
+        { limit: ranked.length }
+    );
+
+    // Students and parents only see names, not other students' IDs
+    const showIds = viewer?.role === 'teacher' || viewer?.role === 'admin';
+    const entries = board.map(({ studentId, ...entry }) => ({
+        ...entry,
+        ...(showIds ? { studentId } : {}),
+        ...(viewer && studentId === viewer.id ? { isYou: true } : {}),
+    }));
+
+    return {
+        period,
+        metric,
+        entries: entries.slice(0, limit),
+        you: entries.find(e => e.isYou) || null,
+    };
+}
+
 /**
  * Generate motivational message based on progress
  * @param {Object} studentData - Student's data
@@ -376,6 +758,24 @@ export function getMotivationalMessage(studentData, language = 'en') {
     return langMessages[Math.floor(Math.random() * langMessages.length)];
 }
 
+/**
+ * Start and end of the current IST day or week (weeks start on Monday)
+ * @param {string} type - 'daily' or 'weekly'
+ * @param {Date} now - Reference time
+ * @returns {Object} - { startsAt, expiresAt }
+ */
+export function getQuestWindow(type, now = new Date()) {
+    const today = toIstDay(now);
+    const startDay = type === 'weekly'
+        ? addDays(today, -((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7))
+        : today;
+
+    return {
+        startsAt: istMidnight(startDay),
+        expiresAt: istMidnight(addDays(startDay, type === 'weekly' ? 7 : 1)),
+    };
+}
+
 /**
  * Create quest/challenge system
  * @param {string} type - Quest type
@@ -385,27 +785,32 @@ export function getMotivationalMessage(studentData, language = 'en') {
 export function createQuest(type, params = {}) {
     const quests = {
         daily: {
-            id: `daily-${Date.now()}`,
+            type: 'daily',
             name: 'Daily Challenge',
             description: 'Complete 3 lessons today',
+            metric: 'activities',
             target: 3,
             reward: { points: 20, badge: 'daily-warrior' },
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            ...getQuestWindow('daily'),
         },
         weekly: {
-            id: `weekly-${Date.now()}`,
+            type: 'weekly',
             name: 'Weekly Quest',
             description: 'Master 2 new topics this week',
+            metric: 'topics_mastered',
             target: 2,
             reward: { points: 100, badge: 'week-master' },
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+            ...getQuestWindow('weekly'),
         },
         special: {
-            id: `special-${Date.now()}`,
+            type: 'special',
             name: params.name || 'Special Quest',
             description: params.description || 'Complete special challenge',
+            metric: params.metric || 'activities',
+            subject: params.subject || null,
             target: params.target || 1,
             reward: params.reward || { points: 50 },
+            startsAt: params.startsAt || new Date(),
             expiresAt: params.expiresAt || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
         },
     };
@@ -413,14 +818,108 @@ export function createQuest(type, params = {}) {
     return quests[type] || quests.daily;
 }
 
+/**
+ * Make sure the student has this day's and this week's quests
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ */
+export async function ensureStudentQuests(studentId, db) {
+    for (const type of ['daily', 'weekly']) {
+        if (!(await db.Quest.getCurrent(studentId, type))) {
+            await db.Quest.create({ ...createQuest(type), studentId });
+        }
+    }
+    await db.Quest.assignClassQuests(studentId);
+}
+
+/**
+ * Recount progress on the student's running quests and pay out any that hit their target
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Array>} - Quests completed by this update
+ */
+export async function updateQuestProgress(studentId, db) {
+    await db.Quest.retireExpired();
+    await ensureStudentQuests(studentId, db);
+
+    const completed = [];
+    for (const quest of await db.Quest.getForStudent(studentId)) {
+        if (quest.progress_status !== 'active') continue;
+
+        const progress = Math.min(await db.Quest.measure(studentId, quest), quest.target);
+        await db.Quest.setProgress(quest.id, studentId, progress);
+
+        if (progress >= quest.target && await db.Quest.complete(quest.id, studentId)) {
+            if (quest.reward_points > 0) {
+                await db.Gamification.addPoints(studentId, quest.reward_points, {
+                    reason: `Quest: ${quest.name}`,
+                    sourceType: 'quest',
+                    sourceId: quest.id,
+                });
+            }
+            if (ACHIEVEMENTS[quest.reward_badge]) {
+                await awardAchievement(studentId, quest.reward_badge, db);
+            }
+            completed.push({ ...quest, progress, progress_status: 'completed' });
+        }
+    }
+
+    return completed;
+}
+
+/**
+ * The student's current quests with up-to-date progress
+ * Reading never completes a quest or pays its reward: that happens when activity is recorded
+ * @param {string} studentId - Student ID
+ * @param {Object} db - Database models
+ * @returns {Promise<Array>} - Quests (running and completed, not yet expired)
+ */
+export async function getStudentQuests(studentId, db) {
+    await ensureStudentQuests(studentId, db);
+
+    const quests = [];
+    for (const quest of await db.Quest.getForStudent(studentId)) {
+        quests.push(quest.progress_status === 'active'
+            ? { ...quest, progress: Math.min(await db.Quest.measure(studentId, quest), quest.target) }
+            : quest);
+    }
+    return quests;
+}
+
 export default {
     ACHIEVEMENTS,
     LEVELS,
     calculateLevel,
     checkAchievement,
     awardAchievement,
+    NATIONAL_HOLIDAYS,
+    FREEZE_EVERY_DAYS,
+    MAX_STREAK_FREEZES,
+    toIstDay,
+    istMidnight,
+    getStudentStreak,
+    updateStreakFreezes,
+    POINT_RULES,
+    SELF_REPORTED_DAILY_POINTS,
+    calculateEventPoints,
+    creditedPoints,
+    seedAchievements,
+    getStudentStats,
+    evaluateAchievements,
+    recordLearningEvent,
+    getGamificationSummary,
     calculateStreak,
+    planStreakFreezes,
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_METRICS,
+    getPeriodStart,
     generateLeaderboard,
+    getPseudonym,
+    buildLeaderboard,
     getMotivationalMessage,
+    getQuestWindow,
     createQuest,
+    ensureStudentQuests,
+    updateQuestProgress,
+    getStudentQuests,
 };
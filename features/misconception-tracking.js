@@ -0,0 +1,82 @@
+/**
+ * Misconception Tracking
+ * Stores the misconceptions found in students' wrong answers and summarizes them per student and per class
+ */
+
+import {
+    describeMisconception,
+    detectMisconceptions,
+    summarizeClassMisconceptions,
+    summarizeMisconceptions,
+} from '../utils/misconceptions.js';
+
+/**
+ * Record the misconceptions behind a set of graded answers
+ * @param {Object} result - { assessmentId, subject, topic, items: [{ question, answer, isCorrect, misconceptions }] }
+ *                          where question is the full question object; misconceptions already detected
+ *                          while grading are reused, otherwise wrong answers are diagnosed here
+ * @param {Object} db - Database models
+ * @returns {Promise<Array>} - Recorded entries
+ */
+export async function recordMisconceptions(studentId, result, db) {
+    const { assessmentId, subject, topic, items = [] } = result;
+    const entries = [];
+
+    for (const { question, answer, isCorrect, misconceptions } of items) {
+        if (isCorrect || !question?.question) continue;
+        for (const found of misconceptions || detectMisconceptions(question, answer)) {
+            entries.push({
+                misconceptionId: found.id,
+                subject: question.subject || subject,
+                topic: question.topic || topic,
+                question: question.question,
+                answer,
+                correctAnswer: question.correctAnswer,
+                source: found.source,
+                assessmentId,
+            });
+        }
+    }
+
+    if (entries.length > 0) await db.Misconception.record(studentId, entries);
+    return entries;
+}
+
+/**
+ * A student's misconceptions, most frequent first
+ * @param {Object} options - { since, subject }
+ */
+export async function getStudentMisconceptions(studentId, options, db) {
+    return summarizeMisconceptions(await db.Misconception.getByStudent(studentId, options));
+}
+
+/**
+ * Misconceptions across a group of students, most widespread first
+ * @param {Object} filters - Student filters (schoolId, grade, section, teacherId, classId, studentIds) plus { since, subject }
+ */
+export async function getClassMisconceptions(filters, db) {
+    return summarizeClassMisconceptions(await db.Misconception.getCounts(filters));
+}
+
+/**
+ * Each student's most frequent misconceptions, for roster views
+ * @param {Object} filters - Student filters plus { since, subject }
+ * @returns {Promise<Object>} - studentId -> [{ id, name, count, lastSeen }]
+ */
+export async function getMisconceptionsByStudent(filters, db, limit = 3) {
+    const byStudent = {};
+    for (const row of await db.Misconception.getCounts(filters)) {
+        const list = byStudent[row.student_id] = byStudent[row.student_id] || [];
+        if (list.length < limit) {
+            list.push({ id: row.misconception_id, name: describeMisconception(row.misconception_id).name, count: row.count, lastSeen: row.last_seen });
+        }
+    }
+    return byStudent;
+}
+
+export default {
+    recordMisconceptions,
+    getStudentMisconceptions,
+    getClassMisconceptions,
+    getMisconceptionsByStudent,
+};
@@ -0,0 +1,172 @@
+/**
+ * Spaced Repetition
+ * SM-2 review scheduling per student for whole topics and for single questions,
+ * driven by graded exercise and assessment results
+ */
+
+import { createHash } from 'crypto';
+import { toIstDay } from './gamification.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 starting easiness and its floor
+export const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+
+// At most this share of a generated quiz is replaced by due reviews
+export const MAX_REVIEW_SHARE = 0.3;
+
+/**
+ * Apply one SM-2 review to a card
+ * @param {Object} card - { easiness, intervalDays, repetitions, lapses } (omit for a new card)
+ * @param {number} quality - 0 (blackout) to 5 (perfect recall); below 3 is a lapse
+ * @param {string} today - IST day 'YYYY-MM-DD' of the review
+ * @returns {Object} - { easiness, intervalDays, repetitions, lapses, lastQuality, dueOn }
+ */
+export function scheduleReview(card = {}, quality, today = toIstDay(new Date())) {
+    const q = Math.max(0, Math.min(5, Math.round(quality)));
+    let easiness = card.easiness ?? DEFAULT_EASINESS;
+    let repetitions = card.repetitions || 0;
+    let intervalDays = card.intervalDays || 0;
+    let lapses = card.lapses || 0;
+
+    if (q < 3) {
+        // Forgotten: start the sequence again tomorrow
+        repetitions = 0;
+        intervalDays = 1;
+        lapses++;
+    } else {
+        repetitions++;
+        if (repetitions === 1) intervalDays = 1;
+        else if (repetitions === 2) intervalDays = 6;
+        else intervalDays = Math.round(intervalDays * easiness);
+    }
+
+    easiness = Math.max(MIN_EASINESS, easiness + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+    return {
+        easiness: Math.round(easiness * 100) / 100,
+        intervalDays,
+        repetitions,
+        lapses,
+        lastQuality: q,
+        dueOn: new Date(Date.parse(`${today}T00:00:00Z`) + intervalDays * DAY_MS).toISOString().slice(0, 10),
+    };
+}
+
+/**
+ * SM-2 quality for a topic from its share of correct answers
+ */
+export function qualityFromAccuracy(correct, total) {
+    if (!total) return 0;
+    const accuracy = correct / total;
+    if (accuracy >= 0.9) return 5;
+    if (accuracy >= 0.8) return 4;
+    if (accuracy >= 0.6) return 3;
+    if (accuracy >= 0.4) return 2;
+    return accuracy > 0 ? 1 : 0;
+}
+
+/**
+ * Stable card key for a question (same wording = same card)
+ */
+export function reviewItemKey(question) {
+    const text = String(question?.question || question || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return `item:${createHash('sha1').update(text).digest('hex').slice(0, 16)}`;
+}
+
+function topicKey(subject, topic) {
+    return `topic:${subject || 'general'}:${String(topic).trim().toLowerCase()}`;
+}
+
+/**
+ * Schedule reviews from a graded result: the topic as a whole and each question answered
+ * @param {Object} result - { subject, topic, correct, total, items: [{ question, isCorrect }] }
+ *                          where question is the full question object
+ * @param {Object} db - Database models
+ * @returns {Promise<Array>} - Updated cards
+ */
+export async function recordReviewResults(studentId, result, db) {
+    const { subject, topic, correct = 0, total = 0, items = [] } = result;
+    const today = toIstDay(new Date());
+    const updated = [];
+
+    const review = async (card) => {
+        const existing = await db.Review.get(studentId, card.itemKey);
+        const next = scheduleReview(existing ? {
+            easiness: existing.easiness,
+            intervalDays: existing.interval_days,
+            repetitions: existing.repetitions,
+            lapses: existing.lapses,
+        } : {}, card.quality, today);
+        updated.push(await db.Review.save(studentId, { ...card, ...next }));
+    };
+
+    if (topic && total > 0) {
+        await review({ itemKey: topicKey(subject, topic), kind: 'topic', subject, topic, quality: qualityFromAccuracy(correct, total) });
+    }
+
+    for (const { question, isCorrect } of items) {
+        if (!question?.question) continue;
+        await review({
+            itemKey: reviewItemKey(question),
+            kind: 'item',
+            subject,
+            topic: question.topic || topic,
+            item: question,
+            quality: isCorrect ? 4 : 1,
+        });
+    }
+
+    return updated;
+}
+
+/**
+ * Topics and questions due for review today (IST)
+ * @param {Object} filters - { subject, topic, kind, limit }
+ */
+export async function getDueReviews(studentId, filters, db) {
+    return db.Review.getDue(studentId, { ...filters, until: toIstDay(new Date()) });
+}
+
+/**
+ * Swap some of a quiz's questions for the student's due review questions
+ * Reviews are spread through the quiz and marked { review: true }; the quiz keeps its length.
+ * @param {Array} questions - Generated or library questions
+ * @param {string} studentId - Student taking the quiz (nothing is mixed in without one)
+ * @param {Object} filters - { subject }
+ * @param {Object} db - Database models
+ * @returns {Promise<Object>} - { questions, reviewCount }
+ */
+export async function mixInDueReviews(questions, studentId, { subject }, db) {
+    if (!studentId || !Array.isArray(questions) || questions.length === 0) {
+        return { questions, reviewCount: 0 };
+    }
+
+    const slots = Math.floor(questions.length * MAX_REVIEW_SHARE);
+    const present = new Set(questions.map(reviewItemKey));
+    const due = (await getDueReviews(studentId, { subject, kind: 'item', limit: slots + questions.length }, db))
+        .filter(card => card.item && !present.has(card.item_key))
+        .slice(0, slots);
+
+    if (due.length === 0) return { questions, reviewCount: 0 };
+
+    const mixed = [...questions];
+    const step = mixed.length / due.length;
+    due.forEach((card, i) => {
+        mixed[Math.floor(i * step + step / 2)] = { ...card.item, review: true };
+    });
+
+    return { questions: mixed, reviewCount: due.length };
+}
+
+export default {
+    DEFAULT_EASINESS,
+    MAX_REVIEW_SHARE,
+    scheduleReview,
+    qualityFromAccuracy,
+    reviewItemKey,
+    recordReviewResults,
+    getDueReviews,
+    mixInDueReviews,
+};
@@ -4,6 +4,8 @@
  * Supports multiple Indian languages
  */
 
+import { compareAksharas, describeAksharaMistakes } from '../utils/aksharas.js';
+
 /**
  * Voice recognition configuration for Indian languages
  */
@@ -16,6 +18,37 @@ const VOICE_CONFIG = {
     bn: { lang: 'bn-IN', voice: 'Google বাংলা' },
 };
 
+/**
+ * Levenshtein (edit) distance between two strings
+ */
+export function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+
+    return matrix[str2.length][str1.length];
+}
+
 /**
  * Voice Learning Class
  */
@@ -278,6 +311,83 @@ export class VoiceAssessment {
         });
     }
 
+    /**
+     * Record a passage read aloud for a fluency check
+     * Listens continuously until stop() is called or the time runs out (ASER and NIPUN time a minute).
+     * @param {Object} options - { maxSeconds }
+     * @returns {Object} - { done: Promise<{ transcript, durationSeconds }>, stop }
+     *                     Send the result to POST /api/students/:id/reading-fluency with the passage ID
+     */
+    recordReading(options = {}) {
+        const { maxSeconds = 60 } = options;
+        const recognition = this.voiceLearning.recognition;
+        let finished = false;
+        let finalText = '';
+        let interimText = '';
+        let startedAt = null;
+        let timer = null;
+        let finish;
+
+        const done = new Promise((resolve, reject) => {
+            if (!recognition) {
+                reject(new Error('Speech recognition not available'));
+                return;
+            }
+
+            finish = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                recognition.continuous = false;
+                recognition.onend = null;
+                recognition.stop();
+                this.voiceLearning.isListening = false;
+                resolve({
+                    transcript: `${finalText} ${interimText}`.trim(),
+                    durationSeconds: startedAt ? Math.round((Date.now() - startedAt) / 100) / 10 : 0,
+                });
+            };
+
+            recognition.continuous = true;
+            recognition.onstart = () => {
+                this.voiceLearning.isListening = true;
+                if (!startedAt) {
+                    startedAt = Date.now();
+                    timer = setTimeout(finish, maxSeconds * 1000);
+                }
+            };
+            recognition.onresult = (event) => {
+                interimText = '';
+                for (let i = event.resultIndex; i < event.results.length; i++) {
+                    if (event.results[i].isFinal) finalText += ` ${event.results[i][0].transcript}`;
+                    else interimText += ` ${event.results[i][0].transcript}`;
+                }
+            };
+            recognition.onerror = (event) => {
+                // A pause in reading is not an error; keep listening
+                if (event.error !== 'no-speech') {
+                    finished = true;
+                    clearTimeout(timer);
+                    recognition.continuous = false;
+                    this.voiceLearning.isListening = false;
+                    reject(new Error(event.error));
+                }
+            };
+            // Browsers end recognition after a long pause; restart until the reading is over
+            recognition.onend = () => {
+                if (!finished) recognition.start();
+            };
+
+            try {
+                recognition.start();
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        return { done, stop: () => finish && finish() };
+    }
+
     /**
      * Provide voice feedback
      * @param {boolean} isCorrect - Whether answer was correct
@@ -423,16 +533,14 @@ export class PronunciationHelper {
             this.voiceLearning.startListening(
                 (result) => {
                     if (result.isFinal) {
-                        const similarity = this.calculateSimilarity(
-                            targetWord.toLowerCase(),
-                            result.transcript.toLowerCase()
-                        );
+                        const comparison = compareAksharas(targetWord, result.transcript);
 
                         resolve({
                             spoken: result.transcript,
                             target: targetWord,
-                            similarity,
-                            feedback: this.getPronunciationFeedback(similarity),
+                            similarity: comparison.similarity,
+                            mistakes: comparison.mistakes,
+                            feedback: this.getPronunciationFeedback(comparison.similarity, comparison.mistakes),
                         });
                     }
                 },
@@ -443,66 +551,41 @@ export class PronunciationHelper {
 
     /**
      * Calculate similarity between words
+     * Compared akshara by akshara, so a wrong matra or a split conjunct counts as half a mistake
      * @param {string} word1 - First word
      * @param {string} word2 - Second word
      * @returns {number} - Similarity score (0-1)
      */
     calculateSimilarity(word1, word2) {
-        // Simple Levenshtein distance-based similarity
-        const longer = word1.length > word2.length ? word1 : word2;
-        const shorter = word1.length > word2.length ? word2 : word1;
-
-        if (longer.length === 0) return 1.0;
-
-        const editDistance = this.levenshteinDistance(longer, shorter);
-        return (longer.length - editDistance) / longer.length;
+        return compareAksharas(word1, word2).similarity;
     }
 
     /**
      * Calculate Levenshtein distance
      */
     levenshteinDistance(str1, str2) {
-        const matrix = [];
-
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
-        }
-
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
-
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
-                }
-            }
-        }
-
-        return matrix[str2.length][str1.length];
+        return levenshteinDistance(str1, str2);
     }
 
     /**
      * Get pronunciation feedback
      * @param {number} similarity - Similarity score
+     * @param {Array} mistakes - Akshara mistakes from compareAksharas, named after the praise
      * @returns {string} - Feedback message
      */
-    getPronunciationFeedback(similarity) {
-        if (similarity >= 0.9) return 'Perfect! Excellent pronunciation! 🎉';
-        if (similarity >= 0.7) return 'Very good! Almost perfect! 👍';
-        if (similarity >= 0.5) return 'Good try! Let\'s practice again. 💪';
+    getPronunciationFeedback(similarity, mistakes = []) {
+        const detail = similarity < 1 ? describeAksharaMistakes(mistakes, this.voiceLearning.language) : '';
+        const withDetail = (message) => (detail ? `${message} ${detail}` : message);
+
+        if (similarity >= 0.9) return withDetail('Perfect! Excellent pronunciation! 🎉');
+        if (similarity >= 0.7) return withDetail('Very good! Almost perfect! 👍');
+        if (similarity >= 0.5) return withDetail('Good try! Let\'s practice again. 💪');
         return 'Keep practicing! You\'ll get it! 🌟';
     }
 }
 
 export default {
+    levenshteinDistance,
     VoiceLearning,
     VoiceAssessment,
     VoiceNavigation,
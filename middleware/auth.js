@@ -0,0 +1,300 @@
+/**
+ * Authentication & Role-Based Access Control
+ * Express middleware enforcing the same ownership and role rules as firestore.rules
+ */
+
+import { getModels } from '../db/models.js';
+
+const models = getModels();
+
+// How long a login stays valid
+export const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+// DISABLE_AUTH=true treats every request as a local admin (local testing only)
+export const AUTH_DISABLED = process.env.DISABLE_AUTH === 'true';
+
+const LOCAL_ADMIN = {
+    id: 'local_admin',
+    role: 'admin',
+    name: 'Local Admin',
+    language: 'en',
+    studentIds: [],
+};
+
+// ==================== RULE HELPERS ====================
+// Named after the helper functions in firestore.rules
+
+export function isTeacher(user) {
+    return user?.role === 'teacher';
+}
+
+export function isAdmin(user) {
+    return user?.role === 'admin';
+}
+
+export function isOwner(user, userId) {
+    return !!user && user.id === userId;
+}
+
+/**
+ * Parents may read their children's records (parent_access.studentIds)
+ */
+export function isParentOf(user, studentId) {
+    return user?.role === 'parent' && (user.studentIds || []).includes(studentId);
+}
+
+/**
+ * students/{studentId} read: owner, teacher or admin (and linked parents)
+ * Parents tied to a school only read linked students in it, so pass the student record for them.
+ */
+export function canReadStudent(user, studentId, student = null) {
+    if (isParentOf(user, studentId)) {
+        return !user.school_id || student?.school_id === user.school_id;
+    }
+    return isOwner(user, studentId) || isTeacher(user) || isAdmin(user);
+}
+
+/**
+ * students/{studentId} update and progress write: owner, teacher or admin
+ */
+export function canWriteStudent(user, studentId) {
+    return isOwner(user, studentId) || isTeacher(user) || isAdmin(user);
+}
+
+/**
+ * School a teacher or admin is limited to (null for admins without a school, who manage every school)
+ * Teachers always have one: authenticate() turns away a teacher without a school.
+ */
+export function schoolScope(user) {
+    return isTeacher(user) || isAdmin(user) ? user.school_id || null : null;
+}
+
+/**
+ * Whether a record's school_id is inside the user's school scope
+ */
+export function inSchoolScope(user, schoolId) {
+    const scope = schoolScope(user);
+    return !scope || scope === schoolId;
+}
+
+// ==================== MIDDLEWARE ====================
+
+function getBearerToken(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Resolve the bearer token to req.user, or reply 401
+ */
+export async function authenticate(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.user = LOCAL_ADMIN;
+        return next();
+    }
+
+    try {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const user = await models.User.getSessionUser(token);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired session' });
+        }
+
+        // Fail closed: with no school a teacher's scope would be every school
+        if (isTeacher(user) && !user.school_id) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Teacher account is not linked to a school' });
+        }
+
+        req.user = user;
+        req.authToken = token;
+        next();
+    } catch (error) {
+        console.error('Error in authenticate:', error);
+        res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+    }
+}
+
+/**
+ * Only allow the given roles
+ * @param {...string} roles - Allowed roles
+ */
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user?.role)) {
+            return res.status(403).json({ error: 'Forbidden', details: `Requires role: ${roles.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+/**
+ * Only allow users who may read (or write) the student named in the request
+ * Teachers and admins tied to a school only reach that school's students.
+ * Requests without a student ID pass through; the route validates its own fields.
+ * @param {Function} getStudentId - (req) => studentId
+ * @param {Object} options - { write: true for updates }
+ */
+export function requireStudentAccess(getStudentId, { write = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const studentId = getStudentId(req);
+            if (!studentId) return next();
+
+            const { user } = req;
+            const student = !isOwner(user, studentId) && (schoolScope(user) || isParentOf(user, studentId))
+                ? await models.Student.getById(studentId)
+                : null;
+            let allowed = write ? canWriteStudent(user, studentId) : canReadStudent(user, studentId, student);
+
+            if (allowed && !isOwner(user, studentId) && schoolScope(user)) {
+                allowed = !student || inSchoolScope(user, student.school_id);
+            }
+
+            if (!allowed) {
+                return res.status(403).json({ error: 'Forbidden', details: 'No access to this student' });
+            }
+            next();
+        } catch (error) {
+            console.error('Error in requireStudentAccess:', error);
+            res.status(500).json({ error: 'Failed to check student access', details: error.message });
+        }
+    };
+}
+
+/**
+ * Only allow users who may read (or, with manage, change) the school in req.params.id
+ * Everyone signed in can read schools; admins manage their own school (or all, without one)
+ * @param {Object} options - { manage: true for updates }
+ */
+export function requireSchoolAccess({ manage = false } = {}) {
+    return (req, res, next) => {
+        const allowed = manage
+            ? isAdmin(req.user) && inSchoolScope(req.user, req.params.id)
+            : true;
+
+        if (!allowed) {
+            return res.status(403).json({ error: 'Forbidden', details: 'No access to manage this school' });
+        }
+        next();
+    };
+}
+
+/**
+ * Only allow members of the class in req.params.id
+ * Admins and the class's teachers always; enrolled students and their parents for reads
+ * @param {Object} options - { manage: true for roster and settings changes }
+ */
+export function requireClassAccess({ manage = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const { user } = req;
+            const classId = req.params.id;
+
+            let allowed = false;
+            if (isAdmin(user)) {
+                const cls = await models.Class.getById(classId);
+                allowed = !cls || inSchoolScope(user, cls.school_id);
+            }
+            if (!allowed && isTeacher(user)) {
+                allowed = await models.Class.isTeacherOf(user.id, classId);
+            }
+            if (!allowed && !manage && user?.role === 'student') {
+                allowed = await models.Class.isStudentOf(user.id, classId);
+            }
+            if (!allowed && !manage && user?.role === 'parent') {
+                for (const studentId of user.studentIds || []) {
+                    if (await models.Class.isStudentOf(studentId, classId)) {
+                        allowed = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!allowed) {
+                return res.status(403).json({ error: 'Forbidden', details: 'No access to this class' });
+            }
+            next();
+        } catch (error) {
+            console.error('Error in requireClassAccess:', error);
+            res.status(500).json({ error: 'Failed to check class access', details: error.message });
+        }
+    };
+}
+
+/**
+ * Teacher whose classes a request is limited to (null for admins, who see every class)
+ */
+export function teacherScope(user) {
+    return isTeacher(user) ? user.id : null;
+}
+
+/**
+ * users/{userId} read: owner, teacher or admin (within their school)
+ */
+export async function requireUserReadAccess(req, res, next) {
+    try {
+        const { user } = req;
+        let allowed = isOwner(user, req.params.id) || isTeacher(user) || isAdmin(user);
+
+        if (allowed && !isOwner(user, req.params.id) && schoolScope(user)) {
+            const target = await models.User.getById(req.params.id);
+            allowed = !target || inSchoolScope(user, target.school_id);
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ error: 'Forbidden', details: 'No access to this user' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error in requireUserReadAccess:', error);
+        res.status(500).json({ error: 'Failed to check user access', details: error.message });
+    }
+}
+
+/**
+ * users/{userId} update: owner or admin (within their school)
+ */
+export async function requireUserWriteAccess(req, res, next) {
+    try {
+        const { user } = req;
+        let allowed = isOwner(user, req.params.id) || isAdmin(user);
+
+        if (allowed && !isOwner(user, req.params.id) && schoolScope(user)) {
+            const target = await models.User.getById(req.params.id);
+            allowed = !target || inSchoolScope(user, target.school_id);
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Only the account owner or an admin can update this user' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error in requireUserWriteAccess:', error);
+        res.status(500).json({ error: 'Failed to check user access', details: error.message });
+    }
+}
+
+/**
+ * Roles a user may assign when creating accounts
+ * (admins create anyone, teachers enrol students and parents)
+ */
+export function assignableRoles(user) {
+    if (isAdmin(user)) return ['student', 'teacher', 'admin', 'parent'];
+    if (isTeacher(user)) return ['student', 'parent'];
+    return [];
+}
+
+export default {
+    authenticate,
+    requireRole,
+    requireStudentAccess,
+    requireClassAccess,
+    requireSchoolAccess,
+    requireUserReadAccess,
+    requireUserWriteAccess,
+    assignableRoles,
+};
@@ -0,0 +1,109 @@
+/**
+ * Base LLM Provider
+ * Common interface every model vendor implements so agents never talk to an SDK directly
+ */
+
+/**
+ * Extract a JSON value from raw model output
+ * Handles markdown code fences and prose around the JSON payload
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed JSON value
+ */
+export function extractJSON(text) {
+    const cleaned = String(text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        // Fall through to pattern matching
+    }
+
+    const objectStart = cleaned.indexOf('{');
+    const arrayStart = cleaned.indexOf('[');
+    const pattern = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart)
+        ? /\[[\s\S]*\]/
+        : /\{[\s\S]*\}/;
+
+    const match = cleaned.match(pattern);
+    if (!match) {
+        throw new Error('No JSON found in model response');
+    }
+
+    return JSON.parse(match[0]);
+}
+
+/**
+ * LLMProvider - Abstract base class for model providers
+ *
+ * Subclasses implement `complete(prompt, options)` and return plain text.
+ * Options understood by every provider:
+ * - systemInstruction: agent persona / instructions
+ * - temperature, topP, topK, maxOutputTokens: sampling settings
+ * - task: what the prompt is asking for ('routing', 'quiz', ...), used by the local provider
+ * - data: structured parameters behind the prompt, used by the local provider
+ */
+export class LLMProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.fallback = null;
+    }
+
+    /**
+     * Provider used when this one fails (set by the registry)
+     * @param {LLMProvider} provider - Fallback provider
+     */
+    setFallback(provider) {
+        this.fallback = provider;
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} - Model output
+     */
+    async generate(prompt, options = {}) {
+        const settings = { ...this.config, ...options };
+
+        try {
+            return await this.complete(prompt, settings);
+        } catch (error) {
+            if (!this.fallback) throw error;
+
+            console.error(`⚠️ ${this.name} provider failed, using ${this.fallback.name}:`, error.message);
+            return this.fallback.generate(prompt, options);
+        }
+    }
+
+    /**
+     * Generate and parse a JSON response
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @returns {Promise<*>} - Parsed JSON value
+     */
+    async generateJSON(prompt, options = {}) {
+        const text = await this.generate(prompt, options);
+
+        try {
+            return extractJSON(text);
+        } catch (error) {
+            if (!this.fallback) throw error;
+
+            console.error(`⚠️ Invalid JSON from ${this.name} provider, using ${this.fallback.name}`);
+            return extractJSON(await this.fallback.generate(prompt, options));
+        }
+    }
+
+    /**
+     * Vendor-specific completion
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Merged generation options
+     * @returns {Promise<string>} - Model output
+     */
+    async complete(prompt, options) {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+}
+
+export default LLMProvider;
@@ -0,0 +1,34 @@
+/**
+ * Cohere Provider
+ * Command models through the Cohere chat API
+ */
+
+import { CohereClient } from 'cohere-ai';
+import { LLMProvider } from './base-provider.js';
+
+export class CohereProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('cohere', config);
+
+        if (!process.env.COHERE_API_KEY) {
+            throw new Error('COHERE_API_KEY is missing');
+        }
+
+        this.cohere = new CohereClient({
+            token: process.env.COHERE_API_KEY,
+        });
+    }
+
+    async complete(prompt, options) {
+        const response = await this.cohere.chat({
+            message: prompt,
+            preamble: options.systemInstruction,
+            temperature: options.temperature,
+            maxTokens: options.maxOutputTokens,
+        });
+
+        return response.text;
+    }
+}
+
+export default CohereProvider;
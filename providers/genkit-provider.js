@@ -0,0 +1,64 @@
+/**
+ * Genkit Provider
+ * Gemini models through Google's Genkit (Google AI plugin)
+ */
+
+import { LLMProvider } from './base-provider.js';
+
+let genkitConfigured = false;
+
+/**
+ * Configure Genkit once per process
+ * Genkit modules are loaded lazily so they are only required when this provider is used
+ */
+async function ensureGenkit() {
+    if (genkitConfigured) return;
+
+    const { configureGenkit } = await import('@genkit-ai/core');
+    const { googleAI } = await import('@genkit-ai/googleai');
+
+    configureGenkit({
+        plugins: [
+            googleAI({
+                apiKey: process.env.GEMINI_API_KEY,
+            }),
+        ],
+        logLevel: process.env.GENKIT_LOG_LEVEL || 'info',
+        enableTracingAndMetrics: process.env.GENKIT_ENABLE_TRACING === 'true',
+    });
+    genkitConfigured = true;
+}
+
+export class GenkitProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('genkit', config);
+
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('GEMINI_API_KEY is missing');
+        }
+    }
+
+    async complete(prompt, options) {
+        await ensureGenkit();
+
+        const { generate } = await import('@genkit-ai/ai');
+        const { gemini15Flash } = await import('@genkit-ai/googleai');
+
+        const result = await generate({
+            model: gemini15Flash,
+            prompt: options.systemInstruction
+                ? `${options.systemInstruction}\n\n${prompt}`
+                : prompt,
+            config: {
+                temperature: options.temperature,
+                topP: options.topP,
+                topK: options.topK,
+                maxOutputTokens: options.maxOutputTokens,
+            },
+        });
+
+        return result.text();
+    }
+}
+
+export default GenkitProvider;
@@ -0,0 +1,86 @@
+/**
+ * LLM Provider Registry
+ * Selects the model provider from agentConfig.model.provider and shares it across agents
+ */
+
+import { agentConfig } from '../config/agent-config.js';
+import { VertexProvider } from './vertex-provider.js';
+import { CohereProvider } from './cohere-provider.js';
+import { GenkitProvider } from './genkit-provider.js';
+import { LocalProvider } from './local-provider.js';
+
+export { LLMProvider, extractJSON } from './base-provider.js';
+
+const PROVIDERS = {
+    vertex: VertexProvider,
+    cohere: CohereProvider,
+    genkit: GenkitProvider,
+    local: LocalProvider,
+};
+
+let sharedProvider = null;
+
+/**
+ * Pick a provider from available credentials when set to 'auto'
+ * @returns {string} - Provider name
+ */
+function detectProvider() {
+    if (process.env.GOOGLE_CLOUD_PROJECT) return 'vertex';
+    if (process.env.GEMINI_API_KEY) return 'genkit';
+    if (process.env.COHERE_API_KEY) return 'cohere';
+    return 'local';
+}
+
+/**
+ * Create a provider instance
+ * @param {string} name - 'vertex', 'cohere', 'genkit', 'local' or 'auto'
+ * @param {Object} config - Default generation settings
+ * @returns {LLMProvider} - Provider instance
+ */
+export function createProvider(name = 'auto', config = agentConfig.model) {
+    const providerName = name === 'auto' ? detectProvider() : name;
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+
+    if (providerName === 'local') {
+        return new Provider(config);
+    }
+
+    try {
+        const provider = new Provider(config);
+        if (agentConfig.model.fallbackToLocal) {
+            provider.setFallback(new LocalProvider(config));
+        }
+        return provider;
+    } catch (error) {
+        if (!agentConfig.model.fallbackToLocal) throw error;
+
+        console.warn(`⚠️ Could not initialize ${providerName} provider (${error.message}). Using local provider.`);
+        return new LocalProvider(config);
+    }
+}
+
+/**
+ * Get the shared provider configured in agentConfig.model
+ * @returns {LLMProvider} - Provider instance
+ */
+export function getProvider() {
+    if (!sharedProvider) {
+        sharedProvider = createProvider(agentConfig.model.provider);
+        console.log(`🤖 LLM provider: ${sharedProvider.name}`);
+    }
+    return sharedProvider;
+}
+
+/**
+ * Replace the shared provider (e.g. to force the local provider)
+ * @param {LLMProvider} provider - Provider instance
+ */
+export function setProvider(provider) {
+    sharedProvider = provider;
+}
+
+export default { createProvider, getProvider, setProvider };
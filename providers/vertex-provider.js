@@ -0,0 +1,36 @@
+/**
+ * Vertex AI Provider
+ * Gemini models through Google Cloud Vertex AI
+ */
+
+import { VertexAI } from '@google-cloud/vertexai';
+import { LLMProvider } from './base-provider.js';
+
+export class VertexProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('vertex', config);
+
+        this.vertexAI = new VertexAI({
+            project: process.env.GOOGLE_CLOUD_PROJECT,
+            location: process.env.GOOGLE_CLOUD_REGION || 'asia-south1',
+        });
+    }
+
+    async complete(prompt, options) {
+        const model = this.vertexAI.getGenerativeModel({
+            model: options.name,
+            generationConfig: {
+                temperature: options.temperature,
+                topP: options.topP,
+                topK: options.topK,
+                maxOutputTokens: options.maxOutputTokens,
+            },
+            systemInstruction: options.systemInstruction,
+        });
+
+        const result = await model.generateContent(prompt);
+        return result.response.text();
+    }
+}
+
+export default VertexProvider;
@@ -0,0 +1,65 @@
+// API Client - adds the login session to every request
+// AI Tutoring System for India
+
+export const API_BASE_URL = window.location.hostname === 'localhost'
+    ? 'http://localhost:8080/api'
+    : '/api';
+
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+
+// Get the saved session ({ token, user })
+export function getSession() {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const user = JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    return token && user ? { token, user } : null;
+}
+
+function saveSession(token, user) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearSession() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+}
+
+// Log in with email, phone number or ID
+export async function login(loginId, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ login: loginId, password }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Login failed');
+
+    saveSession(data.token, data.user);
+    return data.user;
+}
+
+export async function logout() {
+    try {
+        await apiFetch('/auth/logout', { method: 'POST' });
+    } finally {
+        clearSession();
+    }
+}
+
+// fetch() wrapper for API paths; fires 'auth:required' when the session is missing or expired
+export async function apiFetch(path, options = {}) {
+    const session = getSession();
+    const headers = { ...(options.headers || {}) };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+
+    if (response.status === 401) {
+        clearSession();
+        window.dispatchEvent(new CustomEvent('auth:required'));
+    }
+
+    return response;
+}
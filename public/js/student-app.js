@@ -2,11 +2,7 @@
 // AI Tutoring System for India
 
 import { initTeacherDashboard } from './teacher-dashboard.js';
-
-// Configuration
-const API_BASE_URL = window.location.hostname === 'localhost'
-    ? 'http://localhost:8080/api'
-    : '/api';
+import { apiFetch, getSession, login, logout } from './api.js';
 
 // State management
 const appState = {
@@ -17,9 +13,16 @@ const appState = {
     conversationHistory: [],
     isLoading: false,
     isRecording: false,
-    currentQuiz: null, // Track active quiz session
+    currentQuiz: null, // Active server-side quiz session
+    pendingQuizId: null, // Unfinished quiz offered for resuming
+    currentTopic: null,
+    sessionId: null, // Server-side learning session
+    heartbeatTimer: null,
 };
 
+// How often the student app reports time on task
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
 // Language translations
 const translations = {
     en: {
@@ -60,6 +63,10 @@ const elements = {
     languageModal: document.getElementById('language-modal'),
     subjectCards: document.querySelectorAll('.subject-card'),
     roleCards: document.querySelectorAll('.role-card'),
+    profileButton: document.getElementById('profile-button'),
+    loginModal: document.getElementById('login-modal'),
+    loginForm: document.getElementById('login-form'),
+    loginError: document.getElementById('login-error'),
 };
 
 // Initialize app
@@ -101,8 +108,12 @@ function setupEventListeners() {
     if (elements.roleCards) {
         elements.roleCards.forEach(card => {
             card.addEventListener('click', () => {
-                const role = card.dataset.role;
-                selectRole(role);
+                const session = getSession();
+                if (session) {
+                    selectRole(screenForRole(session.user.role));
+                } else {
+                    openLoginModal();
+                }
             });
         });
     }
@@ -146,6 +157,16 @@ function setupEventListeners() {
         });
     });
 
+    // Login
+    if (elements.loginForm) elements.loginForm.addEventListener('submit', handleLogin);
+    if (elements.profileButton) elements.profileButton.addEventListener('click', handleLogout);
+    window.addEventListener('auth:required', () => {
+        stopHeartbeat();
+        appState.sessionId = null;
+        showWelcomeScreen();
+        openLoginModal();
+    });
+
     // Close modal on outside click
     if (elements.languageModal) {
         elements.languageModal.addEventListener('click', (e) => {
@@ -154,6 +175,53 @@ function setupEventListeners() {
             }
         });
     }
+
+    // Learning session: report connectivity changes, close on page exit
+    window.addEventListener('online', () => sendHeartbeat());
+    window.addEventListener('offline', () => sendHeartbeat());
+    window.addEventListener('pagehide', () => endLearningSession({ keepalive: true }));
+}
+
+// Screen for a logged-in role (admins use the teacher dashboard)
+function screenForRole(role) {
+    return role === 'teacher' || role === 'admin' ? 'teacher' : 'student';
+}
+
+function openLoginModal() {
+    if (elements.loginError) elements.loginError.textContent = '';
+    if (elements.loginModal) elements.loginModal.classList.add('active');
+}
+
+// Login form submit
+async function handleLogin(event) {
+    event.preventDefault();
+    const loginId = document.getElementById('login-id').value.trim();
+    const password = document.getElementById('login-password').value;
+
+    try {
+        const user = await login(loginId, password);
+        elements.loginModal.classList.remove('active');
+        elements.loginForm.reset();
+        if (user.language) changeLanguage(user.language);
+        selectRole(screenForRole(user.role));
+    } catch (error) {
+        console.error('Login error:', error);
+        elements.loginError.textContent = error.message;
+    }
+}
+
+// Profile button logs out
+async function handleLogout() {
+    if (!getSession() || !confirm('Log out?')) return;
+    await endLearningSession();
+    await logout();
+    showWelcomeScreen();
+}
+
+function showWelcomeScreen() {
+    document.querySelectorAll('.screen').forEach(screen => screen.classList.remove('active'));
+    elements.welcomeScreen.classList.add('active');
+    localStorage.removeItem('userRole');
 }
 
 // Role selection
@@ -162,6 +230,9 @@ function selectRole(role) {
     elements.welcomeScreen.classList.remove('active');
     if (role === 'student') {
         elements.studentScreen.classList.add('active');
+        updateProgressStats();
+        startLearningSession();
+        checkUnfinishedQuiz();
     } else if (role === 'teacher') {
         elements.teacherScreen.classList.add('active');
         initTeacherDashboard();
@@ -172,6 +243,8 @@ function selectRole(role) {
 // Subject selection
 function selectSubject(subject) {
     appState.currentSubject = subject;
+    appState.currentTopic = null;
+    sendHeartbeat();
     elements.subjectCards.forEach(card => {
         card.classList.remove('active');
         if (card.dataset.subject === subject) {
@@ -250,9 +323,10 @@ async function sendMessage(text = null) {
         let requestBody = {
             query: message,
             studentId: getUserId(),
+            sessionId: appState.sessionId,
             language: appState.currentLanguage,
             level: 'intermediate',
-            studentName: 'Student',
+            studentName: getSession()?.user.name || 'Student',
         };
 
         if (appState.currentSubject === 'literacy') {
@@ -271,7 +345,7 @@ async function sendMessage(text = null) {
             };
         }
 
-        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        const response = await apiFetch(endpoint, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(requestBody),
@@ -303,70 +377,98 @@ async function sendMessage(text = null) {
 
 // Generate Math Quiz
 async function generateMathQuiz() {
+    await startAssessmentSession({ kind: 'quiz', subject: 'numeracy', topic: 'general math', difficulty: 'medium' });
+}
+
+// Generate Literacy Exercise
+async function generateLiteracyExercise() {
+    await startAssessmentSession({ kind: 'exercise', subject: 'literacy', topic: 'vocabulary' });
+}
+
+// Start a quiz kept on the server; questions arrive one at a time without their answers
+async function startAssessmentSession(params) {
+    const studentId = getUserId();
+    if (!studentId) return;
+
+    const loadingId = addMessage('assistant', 'Preparing your questions...', true);
     try {
-        const response = await fetch(`${API_BASE_URL}/numeracy/quiz`, {
+        const response = await apiFetch('/assessment/sessions', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                topic: 'general math',
-                difficulty: 'medium',
-                language: appState.currentLanguage
-            }),
+            body: JSON.stringify({ ...params, studentId, language: appState.currentLanguage }),
         });
-
         const data = await response.json();
-        if (data.quiz) {
-            addMessage('assistant', data.response);
-            const questions = Array.isArray(data.quiz) ? data.quiz : [data.quiz];
-            startQuizSession(questions);
-        }
+        removeMessage(loadingId);
+        if (!response.ok) throw new Error(data.error);
+
+        if (data.response) addMessage('assistant', data.response);
+        addMessage('assistant', `Starting quiz with ${data.total} questions. Good luck!`);
+        startQuizSession(data);
+        return data;
     } catch (error) {
         console.error('Quiz error:', error);
+        removeMessage(loadingId);
         addMessage('assistant', 'Failed to load quiz.');
     }
 }
 
-// Generate Literacy Exercise
-async function generateLiteracyExercise() {
+// Offer to continue an unfinished quiz (after a refresh or on another device)
+async function checkUnfinishedQuiz() {
+    const studentId = getUserId();
+    if (!studentId || getSession().user.role !== 'student' || appState.currentQuiz) return;
+
     try {
-        const response = await fetch(`${API_BASE_URL}/literacy/exercise`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                topic: 'vocabulary',
-                type: 'mixed',
-                language: appState.currentLanguage
-            }),
-        });
+        const response = await apiFetch(`/students/${studentId}/assessment-sessions?status=active&limit=1`);
+        const [session] = response.ok ? await response.json() : [];
+        if (!session) return;
+
+        appState.pendingQuizId = session.sessionId;
+        addMessage('assistant', `You have an unfinished quiz (${session.answered} of ${session.total} answered). Continue?`);
+        addActionButtons([{ text: 'Continue quiz', action: 'resume_quiz' }]);
+    } catch (error) {
+        console.error('Quiz resume error:', error);
+    }
+}
 
+async function resumeQuiz() {
+    if (!appState.pendingQuizId) return;
+
+    try {
+        const response = await apiFetch(`/assessment/sessions/${appState.pendingQuizId}`);
         const data = await response.json();
-        if (data.exercise) {
-            addMessage('assistant', data.response);
-            const questions = Array.isArray(data.exercise) ? data.exercise : [data.exercise];
-            startQuizSession(questions);
+        if (!response.ok) throw new Error(data.error);
+
+        appState.pendingQuizId = null;
+        if (data.status !== 'active') {
+            addMessage('assistant', 'That quiz has already finished.');
+            return;
         }
+        startQuizSession(data);
     } catch (error) {
-        console.error('Exercise error:', error);
-        addMessage('assistant', 'Failed to load exercise.');
+        console.error('Quiz resume error:', error);
+        addMessage('assistant', 'Failed to load quiz.');
     }
 }
 
-// Start a multi-question quiz session
-function startQuizSession(questions) {
-    if (!questions || questions.length === 0) return;
+// Track the active quiz session and show its current question
+function startQuizSession(session) {
+    if (!session.question) return;
 
     appState.currentQuiz = {
-        questions: questions,
-        currentIndex: 0,
-        score: 0,
-        total: questions.length
+        sessionId: session.sessionId,
+        subject: session.subject,
+        topic: session.topic,
+        total: session.total,
     };
+    if (session.topic) {
+        appState.currentTopic = session.topic;
+        sendHeartbeat();
+    }
 
-    addMessage('assistant', `Starting quiz with ${questions.length} questions. Good luck!`);
-    renderQuizQuestion(questions[0]);
+    renderQuizQuestion(session.question);
 }
 
-// Render current quiz question
+// Render current quiz question; answers are graded by the server
 function renderQuizQuestion(data) {
     const quizDiv = document.createElement('div');
     quizDiv.className = 'quiz-container';
@@ -374,14 +476,14 @@ function renderQuizQuestion(data) {
     // Progress indicator
     let progressHtml = '';
     if (appState.currentQuiz) {
-        progressHtml = `<div class="quiz-progress">Question ${appState.currentQuiz.currentIndex + 1} of ${appState.currentQuiz.total}</div>`;
+        progressHtml = `<div class="quiz-progress">Question ${data.index + 1} of ${appState.currentQuiz.total}</div>`;
     }
 
     quizDiv.innerHTML = `
         ${progressHtml}
-        <div class="quiz-question">${data.question}</div>
+        <div class="quiz-question">${data.review ? '🔁 Review: ' : ''}${data.question}</div>
         <div class="quiz-options">
-            ${data.options.map(opt => `<button class="quiz-option">${opt}</button>`).join('')}
+            ${(data.options || []).map(opt => `<button class="quiz-option">${opt}</button>`).join('')}
         </div>
         <div class="quiz-feedback"></div>
         <div class="quiz-controls" style="display:none; margin-top: 10px;">
@@ -395,80 +497,99 @@ function renderQuizQuestion(data) {
     const feedbackDiv = quizDiv.querySelector('.quiz-feedback');
     const controlsDiv = quizDiv.querySelector('.quiz-controls');
     const nextBtn = quizDiv.querySelector('.next-btn');
+    const optionButtons = quizDiv.querySelectorAll('.quiz-option');
+    let graded = null;
 
     // Add click handlers for options
-    quizDiv.querySelectorAll('.quiz-option').forEach(btn => {
-        btn.addEventListener('click', () => {
-            if (btn.disabled) return; // Prevent multiple clicks
-
-            const selected = btn.textContent;
-            const isCorrect = selected === data.correctAnswer;
+    optionButtons.forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (btn.disabled || !appState.currentQuiz) return; // Prevent multiple clicks
+            optionButtons.forEach(b => b.disabled = true);
+
+            try {
+                const response = await apiFetch(`/assessment/sessions/${appState.currentQuiz.sessionId}/answer`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ answer: btn.textContent, questionIndex: data.index }),
+                });
+                graded = await response.json();
+                if (!response.ok) throw new Error(graded.error);
+            } catch (error) {
+                // Safe to retry: the server returns the stored grading if the answer already arrived
+                console.error('Answer error:', error);
+                feedbackDiv.innerHTML = '<div class="feedback-error">Could not send your answer. Please try again.</div>';
+                optionButtons.forEach(b => b.disabled = false);
+                return;
+            }
 
             // Visual feedback
-            btn.classList.add(isCorrect ? 'correct' : 'wrong');
-            if (!isCorrect) {
+            btn.classList.add(graded.isCorrect ? 'correct' : 'wrong');
+            if (!graded.isCorrect) {
                 // Highlight correct answer
-                quizDiv.querySelectorAll('.quiz-option').forEach(opt => {
-                    if (opt.textContent === data.correctAnswer) opt.classList.add('correct');
+                optionButtons.forEach(opt => {
+                    if (opt.textContent === graded.correctAnswer) opt.classList.add('correct');
                 });
             }
 
             // Text feedback
-            feedbackDiv.innerHTML = isCorrect
-                ? `<div class="feedback-success">✅ Correct! ${data.explanation || ''}</div>`
-                : `<div class="feedback-error">❌ The correct answer is ${data.correctAnswer}. ${data.explanation || ''}</div>`;
-
-            // Update score
-            if (appState.currentQuiz && isCorrect) {
-                appState.currentQuiz.score++;
-                incrementStat('badgesEarned'); // Simple gamification
-            }
-
-            // Disable all buttons
-            quizDiv.querySelectorAll('.quiz-option').forEach(b => b.disabled = true);
+            feedbackDiv.innerHTML = graded.isCorrect
+                ? `<div class="feedback-success">✅ Correct! ${graded.explanation || ''}</div>`
+                : `<div class="feedback-error">❌ The correct answer is ${graded.correctAnswer}. ${graded.explanation || ''}</div>`;
 
             // Show Next button
-            if (appState.currentQuiz) {
-                controlsDiv.style.display = 'block';
-
-                // Check if last question
-                if (appState.currentQuiz.currentIndex >= appState.currentQuiz.total - 1) {
-                    nextBtn.textContent = 'Finish Quiz 🏆';
-                }
+            controlsDiv.style.display = 'block';
+            if (graded.done || graded.answered >= appState.currentQuiz.total) {
+                nextBtn.textContent = 'Finish Quiz 🏆';
             }
         });
     });
 
     // Handle Next Button
     if (nextBtn) {
-        nextBtn.addEventListener('click', () => {
-            if (!appState.currentQuiz) return;
-
-            appState.currentQuiz.currentIndex++;
+        nextBtn.addEventListener('click', async () => {
+            if (!appState.currentQuiz || !graded) return;
+            nextBtn.disabled = true;
 
-            if (appState.currentQuiz.currentIndex < appState.currentQuiz.total) {
+            if (graded.question) {
                 // Next question
-                renderQuizQuestion(appState.currentQuiz.questions[appState.currentQuiz.currentIndex]);
-            } else {
-                // Quiz finished
-                const percentage = Math.round((appState.currentQuiz.score / appState.currentQuiz.total) * 100);
-                let message = `Quiz Complete! You got ${appState.currentQuiz.score} out of ${appState.currentQuiz.total} (${percentage}%).`;
+                renderQuizQuestion(graded.question);
+                return;
+            }
 
-                if (percentage >= 80) message += " Excellent work! 🌟";
-                else if (percentage >= 50) message += " Good job! Keep practicing. 👍";
-                else message += " Don't give up! Try again to improve. 💪";
+            // Quiz finished (a replayed answer has no result, so fetch the final state)
+            const { subject, topic } = appState.currentQuiz;
+            const finished = graded.result ? graded : await fetchQuizSession(appState.currentQuiz.sessionId);
+            appState.currentQuiz = null;
+            if (!finished) return;
 
-                addMessage('assistant', message);
+            const correct = finished.result?.correct ?? finished.correct;
+            const percentage = finished.result?.percentage ?? Math.round((correct / finished.total) * 100);
+            let message = `Quiz Complete! You got ${correct} out of ${finished.total} (${Math.round(percentage)}%).`;
 
-                // Reset quiz state
-                appState.currentQuiz = null;
-                incrementStat('lessonsCompleted');
-                updateProgressStats();
-            }
+            if (percentage >= 80) message += " Excellent work! 🌟";
+            else if (percentage >= 50) message += " Good job! Keep practicing. 👍";
+            else message += " Don't give up! Try again to improve. 💪";
+
+            addMessage('assistant', message);
+
+            // The server recorded the result; show the points and badges it earned
+            if (finished.gamification) announceRewards(finished.gamification);
+            sendHeartbeat([{ type: 'quiz', subject, topic, score: Math.round(percentage) }]);
+            updateProgressStats();
         });
     }
 }
 
+async function fetchQuizSession(sessionId) {
+    try {
+        const response = await apiFetch(`/assessment/sessions/${sessionId}`);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Quiz fetch error:', error);
+        return null;
+    }
+}
+
 // Add action buttons
 function addActionButtons(actions) {
     const container = document.createElement('div');
@@ -501,6 +622,10 @@ function handleAction(action) {
             addMessage('user', 'Practice vocabulary');
             generateLiteracyExercise();
             break;
+        case 'resume_quiz':
+            addMessage('user', 'Continue my quiz');
+            resumeQuiz();
+            break;
         // Add other cases...
         default:
             sendMessage(action.replace('_', ' '));
@@ -509,32 +634,8 @@ function handleAction(action) {
 
 // Generate Diagnostic Assessment
 async function generateDiagnosticAssessment() {
-    try {
-        const loadingId = addMessage('assistant', 'Generating your personalized assessment...', true);
-
-        const response = await fetch(`${API_BASE_URL}/assessment/diagnostic`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                studentLevel: 'unknown',
-                language: appState.currentLanguage
-            }),
-        });
-
-        removeMessage(loadingId);
-        const data = await response.json();
-
-        if (data.assessment && data.assessment.questions && data.assessment.questions.length > 0) {
-            addMessage('assistant', data.response);
-            startQuizSession(data.assessment.questions);
-            localStorage.setItem('assessmentTaken', 'true');
-        } else {
-            addMessage('assistant', 'Could not generate assessment questions. Please try again.');
-        }
-    } catch (error) {
-        console.error('Diagnostic error:', error);
-        addMessage('assistant', 'Failed to load assessment.');
-    }
+    const session = await startAssessmentSession({ kind: 'diagnostic', studentLevel: 'unknown' });
+    if (session) localStorage.setItem('assessmentTaken', 'true');
 }
 
 // Add message to chat
@@ -663,14 +764,9 @@ function getLanguageCode(lang) {
     return codes[lang] || 'en-IN';
 }
 
-// Get or create user ID
+// Get the logged-in user's ID
 function getUserId() {
-    let userId = localStorage.getItem('userId');
-    if (!userId) {
-        userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        localStorage.setItem('userId', userId);
-    }
-    return userId;
+    return getSession()?.user.id || null;
 }
 
 // Load user data
@@ -685,46 +781,170 @@ function loadUserData() {
     updateProgressStats();
 }
 
-// Update stats
-function updateProgressStats() {
-    const lessons = localStorage.getItem('lessonsCompleted') || '0';
-    const streak = localStorage.getItem('streakDays') || '0';
-    const badges = localStorage.getItem('badgesEarned') || '0';
+// Start a learning session for the logged-in student and keep it alive
+async function startLearningSession() {
+    const studentId = getUserId();
+    if (!studentId || getSession().user.role !== 'student' || appState.sessionId) return;
 
-    if (document.getElementById('lessons-completed'))
-        document.getElementById('lessons-completed').textContent = lessons;
-    if (document.getElementById('streak-days'))
-        document.getElementById('streak-days').textContent = streak;
-    if (document.getElementById('badges-earned'))
-        document.getElementById('badges-earned').textContent = badges;
+    try {
+        const response = await apiFetch('/sessions/start', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                studentId,
+                subject: appState.currentSubject,
+                topic: appState.currentTopic || appState.currentSubject,
+                device: navigator.userAgent,
+                online: navigator.onLine,
+            }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
 
-    // Update achievements list
-    const list = document.getElementById('achievement-list');
-    if (list) {
-        list.innerHTML = '';
-        const badgeCount = parseInt(badges);
-        if (badgeCount > 0) {
-            // Add a generic badge for every 5 points or just show the count visually
-            const badgeItem = document.createElement('div');
-            badgeItem.className = 'achievement-item';
-            badgeItem.innerHTML = `
-                <span class="achievement-icon">🌟</span>
-                <div class="achievement-info">
-                    <span class="achievement-title">Rising Star</span>
-                    <span class="achievement-desc">Earned ${badgeCount} points</span>
-                </div>
-            `;
-            list.appendChild(badgeItem);
-        } else {
-            list.innerHTML = '<div class="empty-state">No badges yet. Keep learning!</div>';
+        appState.sessionId = data.id;
+        appState.heartbeatTimer = setInterval(() => sendHeartbeat(), HEARTBEAT_INTERVAL_MS);
+    } catch (error) {
+        console.error('Session start error:', error);
+    }
+}
+
+// Tell the server what the student is working on (and any new activities)
+async function sendHeartbeat(activities = []) {
+    if (!appState.sessionId) return;
+
+    try {
+        await apiFetch(`/sessions/${appState.sessionId}/heartbeat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                subject: appState.currentSubject,
+                topic: appState.currentTopic || appState.currentSubject,
+                online: navigator.onLine,
+                activities,
+            }),
+        });
+    } catch (error) {
+        console.error('Heartbeat error:', error);
+    }
+}
+
+// End the session; keepalive lets the request finish while the page unloads
+async function endLearningSession({ keepalive = false } = {}) {
+    const sessionId = appState.sessionId;
+    if (!sessionId) return;
+
+    stopHeartbeat();
+    appState.sessionId = null;
+
+    try {
+        await apiFetch(`/sessions/${sessionId}/end`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ online: navigator.onLine }),
+            keepalive,
+        });
+    } catch (error) {
+        console.error('Session end error:', error);
+    }
+}
+
+function stopHeartbeat() {
+    clearInterval(appState.heartbeatTimer);
+    appState.heartbeatTimer = null;
+}
+
+// Show points, completed quests and new badges from a recorded activity
+function announceRewards(data) {
+    if (data.pointsEarned) {
+        addMessage('assistant', `⭐ +${data.pointsEarned} points! You now have ${data.totalPoints} (${data.level.title}).`);
+    }
+    (data.completedQuests || []).forEach(quest => {
+        addMessage('assistant', `🎯 Quest complete: ${quest.name}! +${quest.rewardPoints} points`);
+    });
+    (data.newAchievements || []).forEach(achievement => {
+        addMessage('assistant', `${achievement.icon} ${achievement.message}`);
+    });
+}
+
+// Update stats from the student's points, streak and badges
+async function updateProgressStats() {
+    const session = getSession();
+    if (!session || session.user.role !== 'student') return;
+
+    try {
+        const response = await apiFetch(`/students/${session.user.id}/gamification`);
+        if (!response.ok) return;
+        const { stats, badges } = await response.json();
+
+        if (document.getElementById('lessons-completed'))
+            document.getElementById('lessons-completed').textContent = stats.activitiesCompleted;
+        if (document.getElementById('streak-days'))
+            document.getElementById('streak-days').textContent = stats.currentStreak;
+        if (document.getElementById('badges-earned'))
+            document.getElementById('badges-earned').textContent = badges.length;
+
+        // Update achievements list
+        const list = document.getElementById('achievement-list');
+        if (list) {
+            list.innerHTML = '';
+            if (badges.length > 0) {
+                badges.slice(0, 5).forEach(badge => {
+                    const badgeItem = document.createElement('div');
+                    badgeItem.className = 'achievement-item';
+                    badgeItem.innerHTML = `
+                        <span class="achievement-icon">${badge.icon}</span>
+                        <div class="achievement-info">
+                            <span class="achievement-title">${badge.name}</span>
+                            <span class="achievement-desc">${badge.description}</span>
+                        </div>
+                    `;
+                    list.appendChild(badgeItem);
+                });
+            } else {
+                list.innerHTML = '<div class="empty-state">No badges yet. Keep learning!</div>';
+            }
         }
+    } catch (error) {
+        console.error('Stats error:', error);
     }
+
+    renderQuests(session.user.id);
 }
 
-// Increment stat
-function incrementStat(key) {
-    const current = parseInt(localStorage.getItem(key) || '0');
-    localStorage.setItem(key, current + 1);
+// Show the student's daily, weekly and teacher quests
+async function renderQuests(studentId) {
+    const list = document.getElementById('quest-list');
+    if (!list) return;
+
+    try {
+        const response = await apiFetch(`/students/${studentId}/quests`);
+        if (!response.ok) return;
+        const quests = await response.json();
+
+        list.innerHTML = '';
+        if (quests.length === 0) {
+            list.innerHTML = '<div class="empty-state">No quests right now.</div>';
+            return;
+        }
+
+        quests.forEach(quest => {
+            const done = quest.progress_status === 'completed';
+            const percent = Math.round((quest.progress / quest.target) * 100);
+            const questItem = document.createElement('div');
+            questItem.className = `quest-item${done ? ' completed' : ''}`;
+            questItem.innerHTML = `
+                <div class="quest-title">
+                    <span>${done ? '✅' : '🎯'} ${quest.name}</span>
+                    <span>${quest.progress}/${quest.target}</span>
+                </div>
+                <span class="quest-desc">${quest.description || ''} · ${quest.reward_points} points</span>
+                <div class="quest-bar"><div class="quest-bar-fill" style="width: ${percent}%"></div></div>
+            `;
+            list.appendChild(questItem);
+        });
+    } catch (error) {
+        console.error('Quests error:', error);
+    }
 }
 
 // Initialize
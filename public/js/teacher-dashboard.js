@@ -1,4 +1,4 @@
-const API_BASE_URL = '/api';
+import { apiFetch } from './api.js';
 
 export async function initTeacherDashboard() {
     console.log('Initializing Teacher Dashboard...');
@@ -22,7 +22,7 @@ function updateDate() {
 
 async function loadDashboardStats() {
     try {
-        const response = await fetch(`${API_BASE_URL}/teacher/dashboard`);
+        const response = await apiFetch('/teacher/dashboard');
         const data = await response.json();
 
         if (data) {
@@ -62,6 +62,31 @@ async function loadDashboardStats() {
                     });
                 }
             }
+
+            // Misconceptions shared by the most students, with what to try
+            const misconceptionList = document.getElementById('misconception-list');
+            if (misconceptionList && data.commonMisconceptions) {
+                misconceptionList.innerHTML = '';
+                if (data.commonMisconceptions.length === 0) {
+                    misconceptionList.innerHTML = '<div class="empty-state">No misconceptions spotted yet</div>';
+                } else {
+                    data.commonMisconceptions.forEach(misconception => {
+                        const item = document.createElement('div');
+                        item.className = 'misconception-item';
+                        item.innerHTML = `
+                            <div class="misconception-details">
+                                <span class="misconception-name">${misconception.name}</span>
+                                <span class="misconception-example">${misconception.description}</span>
+                                <span class="misconception-remedy">Try: ${misconception.remedy}</span>
+                            </div>
+                            <div class="misconception-count">
+                                ${misconception.students} ${misconception.students === 1 ? 'student' : 'students'}
+                            </div>
+                        `;
+                        misconceptionList.appendChild(item);
+                    });
+                }
+            }
         }
     } catch (error) {
         console.error('Error loading teacher stats:', error);
@@ -70,25 +95,21 @@ async function loadDashboardStats() {
 
 async function loadStudentList() {
     try {
-        // For now, create sample students based on the seeded data
-        // In a real app, you'd fetch from /api/students endpoint
         const tbody = document.getElementById('student-table-body');
         if (!tbody) return;
 
+        // Students in the logged-in teacher's classes
+        const response = await apiFetch('/teacher/students');
+        const students = response.ok ? await response.json() : [];
+
         tbody.innerHTML = '';
 
-        const sampleStudents = [
-            { name: 'Rajesh Kumar', grade: 5, level: 'Beginner', language: 'Hindi' },
-            { name: 'Priya Sharma', grade: 6, level: 'Intermediate', language: 'English' },
-            { name: 'Arun Patel', grade: 5, level: 'Advanced', language: 'Hindi' },
-            { name: 'Meera Reddy', grade: 7, level: 'Intermediate', language: 'Telugu' },
-            { name: 'Vikram Singh', grade: 6, level: 'Beginner', language: 'English' },
-            { name: 'Lakshmi Iyer', grade: 8, level: 'Advanced', language: 'Tamil' },
-            { name: 'Amit Verma', grade: 5, level: 'Intermediate', language: 'Hindi' },
-            { name: 'Sneha Desai', grade: 7, level: 'Advanced', language: 'Marathi' }
-        ];
-
-        sampleStudents.forEach(student => {
+        if (students.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No students in your classes yet</td></tr>';
+            return;
+        }
+
+        students.forEach(student => {
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td>
@@ -97,9 +118,10 @@ async function loadStudentList() {
                         ${student.name}
                     </div>
                 </td>
-                <td>${student.grade}</td>
-                <td>${student.level}</td>
-                <td>${student.language}</td>
+                <td>${student.grade ?? '-'}${student.section ? ` ${student.section}` : ''}</td>
+                <td>${capitalize(student.learning_level)}</td>
+                <td>${LANGUAGE_NAMES[student.language] || student.language}</td>
+                <td>${(student.misconceptions || []).map(m => m.name).join(', ') || '-'}</td>
             `;
             tbody.appendChild(row);
         });
@@ -109,6 +131,19 @@ async function loadStudentList() {
     }
 }
 
+const LANGUAGE_NAMES = {
+    en: 'English',
+    hi: 'Hindi',
+    ta: 'Tamil',
+    te: 'Telugu',
+    mr: 'Marathi',
+    bn: 'Bengali',
+};
+
+function capitalize(text = '') {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 function getScoreClass(score) {
     if (score >= 80) return 'score-high';
     if (score >= 50) return 'score-medium';
@@ -4,9 +4,14 @@
  */
 
 import { getModels } from './db/models.js';
+import { recordLearningEvent, seedAchievements } from './features/gamification.js';
+import { seedCurriculum } from './features/curriculum.js';
 
 const models = getModels();
 
+// Password for the demo login accounts
+const DEMO_PASSWORD = process.env.SEED_PASSWORD || 'shiksha123';
+
 // Sample student data
 const sampleStudents = [
     {
@@ -114,12 +119,44 @@ async function seedDatabase() {
     console.log('🌱 Starting database seeding...\n');
 
     try {
+        // Store achievement definitions
+        console.log('🏅 Seeding achievements...');
+        const achievementCount = await seedAchievements(models);
+        console.log(`   ✓ ${achievementCount} achievements\n`);
+
+        // Store and publish the FLN curriculum graph
+        console.log('🗺️  Seeding curriculum...');
+        const curriculum = await seedCurriculum(models);
+        console.log(`   ✓ ${curriculum.version}\n`);
+
+        // Create a school
+        console.log('🏫 Creating sample school...');
+        const school = (await models.School.getByUdiseCode('09091400101')) || await models.School.create({
+            udiseCode: '09091400101',
+            name: 'Government Model School, Lucknow',
+            district: 'Lucknow',
+            state: 'Uttar Pradesh',
+            type: 'government',
+            languages: ['en', 'hi', 'te', 'ta', 'mr', 'bn'],
+            grades: [1, 2, 3, 4, 5, 6, 7, 8],
+            principalName: 'Mr. Suresh Yadav',
+        });
+        console.log(`   ✓ Created: ${school.name} (UDISE ${school.udise_code})\n`);
+
         // Create students
         console.log('👨‍🎓 Creating sample students...');
         const createdStudents = [];
 
         for (const studentData of sampleStudents) {
-            const student = await models.Student.create(studentData);
+            const student = await models.Student.create({ ...studentData, schoolId: school.id });
+            await models.User.create({
+                id: student.id,
+                name: student.name,
+                role: 'student',
+                language: student.language,
+                schoolId: school.id,
+                password: DEMO_PASSWORD,
+            });
             createdStudents.push(student);
             console.log(`   ✓ Created: ${student.name} (${student.id})`);
         }
@@ -143,7 +180,7 @@ async function seedDatabase() {
                 const correctAnswers = Math.floor(totalQuestions * getRandomScore() / 100);
                 const score = (correctAnswers / totalQuestions) * 100;
 
-                await models.Student.addAssessment(student.id, {
+                const assessment = await models.Student.addAssessment(student.id, {
                     subject: subject,
                     topics: [topic],
                     totalQuestions: totalQuestions,
@@ -156,6 +193,17 @@ async function seedDatabase() {
                     }))
                 });
 
+                // Award points and badges for the assessment
+                await recordLearningEvent(student.id, {
+                    type: 'assessment',
+                    subject,
+                    topic,
+                    correct: correctAnswers,
+                    total: totalQuestions,
+                    score,
+                    sourceId: assessment.id,
+                }, models);
+
                 assessmentCount++;
 
                 // Show progress every 10 assessments
@@ -172,18 +220,67 @@ async function seedDatabase() {
         const teacher = await models.Teacher.create({
             name: 'Ms. Anjali Gupta',
             email: 'anjali.gupta@school.edu',
-            subjects: ['literacy', 'numeracy']
+            subjects: ['literacy', 'numeracy'],
+            schoolId: school.id,
+        });
+        await models.User.create({
+            id: teacher.id,
+            name: teacher.name,
+            email: teacher.email,
+            role: 'teacher',
+            schoolId: school.id,
+            password: DEMO_PASSWORD,
         });
         console.log(`   ✓ Created: ${teacher.name} (${teacher.id})\n`);
 
+        // Group students into classes by grade and section
+        console.log('🧑‍🤝‍🧑 Creating classes...');
+        const sections = {};
+        for (const student of createdStudents) {
+            const key = `${student.grade}-${student.section}`;
+            (sections[key] = sections[key] || []).push(student.id);
+        }
+
+        for (const [key, studentIds] of Object.entries(sections)) {
+            const [grade, section] = key.split('-');
+            const cls = await models.Class.create({
+                grade: parseInt(grade),
+                section,
+                schoolId: school.id,
+                subjects: ['literacy', 'numeracy'],
+                teachers: [{ teacherId: teacher.id, subjects: ['literacy', 'numeracy'], isClassTeacher: true }],
+                studentIds,
+            });
+            console.log(`   ✓ Created: ${cls.name} (${studentIds.length} students)`);
+        }
+        console.log('');
+
+        // Create an admin login (no school, so it manages every school)
+        console.log('🔐 Creating admin account...');
+        if (!(await models.User.count('admin'))) {
+            await models.User.create({
+                name: 'School Admin',
+                email: 'admin@school.edu',
+                role: 'admin',
+                password: DEMO_PASSWORD,
+            });
+            console.log('   ✓ Created: admin@school.edu\n');
+        }
+
         // Summary
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         console.log('🎉 Database seeding completed!');
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         console.log(`📊 Summary:`);
+        console.log(`   • 1 school: ${school.name}`);
         console.log(`   • ${createdStudents.length} students created`);
         console.log(`   • ${assessmentCount} assessments created`);
         console.log(`   • 1 teacher created`);
+        console.log(`   • ${Object.keys(sections).length} classes created`);
+        console.log(`\n🔑 Demo logins (password: ${DEMO_PASSWORD}):`);
+        console.log(`   • Teacher: ${teacher.email}`);
+        console.log(`   • Admin: admin@school.edu`);
+        console.log(`   • Students: their student ID, e.g. ${createdStudents[0].id}`);
         console.log(`\n💡 Now visit http://localhost:8080 and select "Teacher" role!`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
@@ -5,12 +5,80 @@ import helmet from 'helmet';
 import compression from 'compression';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
-import { getModels } from './db/models.js';
+import {
+    CONTENT_TYPES,
+    LEADERBOARD_MODES,
+    MIN_SESSION_SECONDS,
+    QUEST_METRICS,
+    SCHOOL_TYPES,
+    getModels,
+    isValidUdiseCode,
+} from './db/models.js';
+import { agentConfig } from './config/agent-config.js';
+import {
+    AUTH_DISABLED,
+    SESSION_TTL_HOURS,
+    assignableRoles,
+    authenticate,
+    inSchoolScope,
+    isAdmin,
+    isTeacher,
+    requireClassAccess,
+    requireRole,
+    requireSchoolAccess,
+    requireStudentAccess,
+    requireUserReadAccess,
+    requireUserWriteAccess,
+    schoolScope,
+    teacherScope,
+} from './middleware/auth.js';
 import coordinatorAgent from './agents/coordinator-agent.js';
 import literacyTutorAgent from './agents/literacy-tutor-agent.js';
 import numeracyTutorAgent from './agents/numeracy-tutor-agent.js';
-import assessmentAgent from './agents/assessment-agent.js';
+import assessmentAgent, { ADAPTIVE_TEST_DEFAULTS } from './agents/assessment-agent.js';
 import gapAnalyzerAgent from './agents/gap-analyzer-agent.js';
+import {
+    ACHIEVEMENTS,
+    MAX_STREAK_FREEZES,
+    LEADERBOARD_METRICS,
+    LEADERBOARD_PERIODS,
+    buildLeaderboard,
+    createQuest,
+    getGamificationSummary,
+    getStudentQuests,
+    getStudentStreak,
+    recordLearningEvent,
+    seedAchievements,
+    toIstDay,
+} from './features/gamification.js';
+import { getDueReviews, recordReviewResults } from './features/spaced-repetition.js';
+import {
+    getClassMisconceptions,
+    getMisconceptionsByStudent,
+    getStudentMisconceptions,
+    recordMisconceptions,
+} from './features/misconception-tracking.js';
+import { seedCurriculum, validateCurriculum } from './features/curriculum.js';
+import { inferQuestionType } from './utils/answer-grading.js';
+import { detectMisconceptions } from './utils/misconceptions.js';
+import {
+    FLUENCY_BENCHMARKS,
+    LEVELLED_PASSAGES,
+    MAX_PASSAGE_WORDS,
+    MAX_READING_SECONDS,
+    scoreReading,
+    summarizeFluency,
+    tokenizeReading,
+} from './utils/reading-fluency.js';
+import {
+    DEFAULT_RUBRICS,
+    compareRevisions,
+    defaultRubric,
+    normalizeRubric,
+    scoreWriting,
+    summarizeWritingProgress,
+    validateRubric,
+} from './utils/writing-rubrics.js';
 
 // Initialize Express app
 const app = express();
@@ -69,37 +137,283 @@ app.get('/', (req, res) => {
     });
 });
 
+// ==================== AUTH ENDPOINTS ====================
+
+/**
+ * POST /api/auth/login
+ * Log in with email, phone number or user ID and get a bearer token
+ */
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const login = req.body.login || req.body.email || req.body.phoneNumber || req.body.userId;
+        const { password } = req.body;
+
+        if (!login || !password) {
+            return res.status(400).json({ error: 'Missing required fields: login, password' });
+        }
+
+        const user = await models.User.authenticate(login, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid login or password' });
+        }
+
+        const session = await models.User.createSession(user.id, SESSION_TTL_HOURS);
+        res.json({ ...session, user });
+    } catch (error) {
+        console.error('Error in /api/auth/login:', error);
+        res.status(500).json({ error: 'Failed to log in', details: error.message });
+    }
+});
+
+// Every API route below requires a valid session
+app.use('/api', authenticate);
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.authToken) {
+            await models.User.deleteSession(req.authToken);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error in /api/auth/logout:', error);
+        res.status(500).json({ error: 'Failed to log out', details: error.message });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the logged-in user
+ */
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// ==================== USER ENDPOINTS ====================
+
+/**
+ * POST /api/users
+ * Create a login account (admins: any role, teachers: students and parents)
+ * Student and teacher accounts get a matching profile row with the same ID; pass `studentId` to
+ * give an existing student profile in your school a login instead. Account IDs are always generated.
+ */
+app.post('/api/users', async (req, res) => {
+    try {
+        // A client-sent id is dropped: account IDs are generated
+        const { id, studentId, ...fields } = req.body;
+        const { name, password, role = 'student' } = fields;
+
+        if (!name || !password) {
+            return res.status(400).json({ error: 'Missing required fields: name, password' });
+        }
+        if (!assignableRoles(req.user).includes(role)) {
+            return res.status(403).json({ error: 'Forbidden', details: `Cannot create ${role} accounts` });
+        }
+
+        // A login for an existing profile takes the profile's ID, and only inside the caller's school
+        let profile = null;
+        if (studentId !== undefined) {
+            if (role !== 'student') {
+                return res.status(400).json({ error: 'studentId is only for student accounts' });
+            }
+            profile = await models.Student.getById(studentId);
+            if (!profile || !inSchoolScope(req.user, profile.school_id)) {
+                return res.status(404).json({ error: 'Student not found' });
+            }
+        }
+
+        // Accounts created by school staff always belong to their school; teachers always belong to one
+        const schoolId = profile ? profile.school_id : schoolScope(req.user) || fields.schoolId;
+        if (role === 'teacher' && !schoolId) {
+            return res.status(400).json({ error: 'Missing required field: schoolId (teachers belong to a school)' });
+        }
+        const problem = await checkSchoolPlacement(schoolId, role === 'student' && !profile ? fields : {})
+            || await checkLinkedStudents(schoolId, fields.studentIds);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const user = await models.User.create({ ...fields, id: profile?.id, role, schoolId });
+
+        if (role === 'student' && !profile) {
+            await models.Student.create({ ...fields, schoolId, id: user.id });
+        } else if (role === 'teacher') {
+            await models.Teacher.create({ ...fields, schoolId, id: user.id });
+        }
+
+        res.status(201).json(user);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+            return res.status(409).json({ error: 'User already exists', details: error.message });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user', details: error.message });
+    }
+});
+
+/**
+ * GET /api/users/:id
+ * Get a user (owner, teachers and admins)
+ */
+app.get('/api/users/:id', requireUserReadAccess, async (req, res) => {
+    try {
+        const user = await models.User.getById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Update a user (owner or admin; only admins change role, status, school or linked students)
+ */
+app.patch('/api/users/:id', requireUserWriteAccess, async (req, res) => {
+    try {
+        const { role, active, studentIds, schoolId, ...updates } = req.body;
+
+        if (isAdmin(req.user)) {
+            if (schoolId !== undefined && !inSchoolScope(req.user, schoolId)) {
+                return res.status(403).json({ error: 'Forbidden', details: 'Cannot move users to another school' });
+            }
+            Object.assign(updates, { role, active, studentIds, schoolId });
+        } else if (role !== undefined || active !== undefined || studentIds !== undefined || schoolId !== undefined) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Only admins can change role, active, schoolId or studentIds' });
+        }
+
+        const existing = await models.User.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Teachers always belong to a school
+        const nextSchoolId = updates.schoolId !== undefined ? updates.schoolId : existing.school_id;
+        if ((updates.role ?? existing.role) === 'teacher' && !nextSchoolId) {
+            return res.status(400).json({ error: 'Missing required field: schoolId (teachers belong to a school)' });
+        }
+
+        const problem = await checkLinkedStudents(nextSchoolId || schoolScope(req.user), updates.studentIds);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const user = await models.User.update(req.params.id, updates);
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user (admins only)
+ */
+app.delete('/api/users/:id', requireRole('admin'), requireUserWriteAccess, async (req, res) => {
+    try {
+        const result = await models.User.delete(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user', details: error.message });
+    }
+});
+
 // ==================== AI AGENT ENDPOINTS ====================
 
 /**
  * POST /api/chat
- * Main chat endpoint - routes to coordinator agent
+ * Main chat endpoint - routes to coordinator agent (romanized Indic queries are converted to their script;
+ * `script: 'latin'` writes the reply in Latin letters)
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
     try {
-        const { query, studentId, language = 'en', level = 'intermediate', studentName } = req.body;
+        const { query, studentId, sessionId, language = 'en', level = 'intermediate', studentName, script = 'native' } = req.body;
 
         if (!query || !studentId) {
             return res.status(400).json({ error: 'Missing required fields: query, studentId' });
         }
+        if (!['native', 'latin'].includes(script)) {
+            return res.status(400).json({ error: 'script must be native or latin' });
+        }
 
-        const context = { language, level, studentName };
+        const context = { language, level, studentName, script, schoolId: req.user.school_id };
         const response = await coordinatorAgent.processQuery(query, studentId, context);
 
-        res.json(response);
+        // Note the agents in the student's open learning session, if any
+        const session = sessionId && await models.SessionLog.getById(sessionId);
+        if (session && session.student_id === studentId) {
+            await models.SessionLog.heartbeat(sessionId, {
+                agentsUsed: response.agentsUsed || [response.agentUsed],
+                activities: [{ type: 'chat', agent: response.agentUsed }],
+            });
+        }
+
+        res.json(chatReplyFor(req.user, response));
     } catch (error) {
         console.error('Error in /api/chat:', error);
         res.status(500).json({ error: 'Failed to process query', details: error.message });
     }
 });
 
+/**
+ * GET /api/chat/:studentId/history
+ * Get the coordinator's memory for a student (summaries + recent messages)
+ */
+app.get('/api/chat/:studentId/history', requireStudentAccess(req => req.params.studentId), async (req, res) => {
+    try {
+        const history = await coordinatorAgent.getHistory(req.params.studentId);
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching conversation history:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation history', details: error.message });
+    }
+});
+
+/**
+ * GET /api/chat/:studentId/messages
+ * List all stored chat messages for a student, newest first (paginate with ?before=<id>)
+ */
+app.get('/api/chat/:studentId/messages', requireStudentAccess(req => req.params.studentId), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const messages = await models.Conversation.getMessages(req.params.studentId, limit, req.query.before || null);
+        const stats = await models.Conversation.getStats(req.params.studentId);
+        res.json({ messages, ...stats });
+    } catch (error) {
+        console.error('Error listing conversation messages:', error);
+        res.status(500).json({ error: 'Failed to list conversation messages', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/chat/:studentId/history
+ * Clear a student's conversation memory
+ */
+app.delete('/api/chat/:studentId/history', requireStudentAccess(req => req.params.studentId, { write: true }), async (req, res) => {
+    try {
+        const result = await coordinatorAgent.clearHistory(req.params.studentId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error clearing conversation history:', error);
+        res.status(500).json({ error: 'Failed to clear conversation history', details: error.message });
+    }
+});
+
 /**
  * POST /api/literacy/teach
  * Literacy tutor - teach a concept
  */
 app.post('/api/literacy/teach', async (req, res) => {
     try {
-        const response = await literacyTutorAgent.teach(req.body);
+        const response = await literacyTutorAgent.teach({ ...req.body, schoolId: req.user.school_id });
         res.json(response);
     } catch (error) {
         console.error('Error in /api/literacy/teach:', error);
@@ -111,9 +425,26 @@ app.post('/api/literacy/teach', async (req, res) => {
  * POST /api/literacy/reading
  * Literacy tutor - help with reading
  */
-app.post('/api/literacy/reading', async (req, res) => {
+app.post('/api/literacy/reading', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
     try {
-        const response = await literacyTutorAgent.helpWithReading(req.body);
+        if (!req.body.text && !req.body.contentId) {
+            return res.status(400).json({ error: 'Missing required field: text or contentId' });
+        }
+
+        const response = await literacyTutorAgent.helpWithReading({ ...req.body, schoolId: req.user.school_id });
+
+        // Count the passage towards the student's reading stats
+        if (response.success && req.body.studentId) {
+            const text = response.text || req.body.text;
+            response.gamification = await recordLearningEvent(req.body.studentId, {
+                type: 'reading',
+                subject: 'literacy',
+                topic: response.title || 'Reading',
+                words: text.trim().split(/\s+/).filter(Boolean).length,
+                sourceId: req.body.contentId,
+            }, models);
+        }
+
         res.json(response);
     } catch (error) {
         console.error('Error in /api/literacy/reading:', error);
@@ -127,6 +458,10 @@ app.post('/api/literacy/reading', async (req, res) => {
  */
 app.post('/api/literacy/writing', async (req, res) => {
     try {
+        if (!req.body.text) {
+            return res.status(400).json({ error: 'Missing required field: text' });
+        }
+
         const response = await literacyTutorAgent.helpWithWriting(req.body);
         res.json(response);
     } catch (error) {
@@ -137,12 +472,13 @@ app.post('/api/literacy/writing', async (req, res) => {
 
 /**
  * POST /api/literacy/exercise
- * Literacy tutor - generate Duolingo-style exercise
+ * Literacy tutor - generate Duolingo-style exercise (with a studentId, due review questions are mixed in).
+ * Only teachers and admins get the answers; students answer through assessment sessions.
  */
-app.post('/api/literacy/exercise', async (req, res) => {
+app.post('/api/literacy/exercise', requireStudentAccess(req => req.body.studentId), async (req, res) => {
     try {
-        const response = await literacyTutorAgent.generateDuolingoExercise(req.body);
-        res.json(response);
+        const response = await literacyTutorAgent.generateDuolingoExercise({ ...req.body, schoolId: req.user.school_id });
+        res.json({ ...response, exercise: questionsFor(req.user, response.exercise) });
     } catch (error) {
         console.error('Error in /api/literacy/exercise:', error);
         res.status(500).json({ error: 'Failed to generate exercise', details: error.message });
@@ -155,7 +491,7 @@ app.post('/api/literacy/exercise', async (req, res) => {
  */
 app.post('/api/numeracy/teach', async (req, res) => {
     try {
-        const response = await numeracyTutorAgent.teach(req.body);
+        const response = await numeracyTutorAgent.teach({ ...req.body, schoolId: req.user.school_id });
         res.json(response);
     } catch (error) {
         console.error('Error in /api/numeracy/teach:', error);
@@ -165,12 +501,13 @@ app.post('/api/numeracy/teach', async (req, res) => {
 
 /**
  * POST /api/numeracy/quiz
- * Numeracy tutor - generate math quiz
+ * Numeracy tutor - generate math quiz (with a studentId, due review questions are mixed in).
+ * Only teachers and admins get the answers; students answer through assessment sessions.
  */
-app.post('/api/numeracy/quiz', async (req, res) => {
+app.post('/api/numeracy/quiz', requireStudentAccess(req => req.body.studentId), async (req, res) => {
     try {
-        const response = await numeracyTutorAgent.generateQuiz(req.body);
-        res.json(response);
+        const response = await numeracyTutorAgent.generateQuiz({ ...req.body, schoolId: req.user.school_id });
+        res.json({ ...response, quiz: questionsFor(req.user, response.quiz) });
     } catch (error) {
         console.error('Error in /api/numeracy/quiz:', error);
         res.status(500).json({ error: 'Failed to generate quiz', details: error.message });
@@ -183,6 +520,10 @@ app.post('/api/numeracy/quiz', async (req, res) => {
  */
 app.post('/api/numeracy/solve', async (req, res) => {
     try {
+        if (!req.body.problem) {
+            return res.status(400).json({ error: 'Missing required field: problem' });
+        }
+
         const response = await numeracyTutorAgent.solveProblem(req.body);
         res.json(response);
     } catch (error) {
@@ -193,11 +534,14 @@ app.post('/api/numeracy/solve', async (req, res) => {
 
 /**
  * POST /api/assessment/diagnostic
- * Generate initial diagnostic assessment
+ * Generate initial diagnostic assessment (answers for teachers and admins only)
  */
 app.post('/api/assessment/diagnostic', async (req, res) => {
     try {
         const response = await gapAnalyzerAgent.generateInitialAssessment(req.body);
+        if (response.assessment) {
+            response.assessment = { ...response.assessment, questions: questionsFor(req.user, response.assessment.questions) };
+        }
         res.json(response);
     } catch (error) {
         console.error('Error in /api/assessment/diagnostic:', error);
@@ -207,12 +551,12 @@ app.post('/api/assessment/diagnostic', async (req, res) => {
 
 /**
  * POST /api/assessment/generate
- * Generate a personalized assessment
+ * Generate a personalized assessment (for a `studentId` the caller may read; answers for teachers and admins only)
  */
-app.post('/api/assessment/generate', async (req, res) => {
+app.post('/api/assessment/generate', requireStudentAccess(req => req.body.studentId), async (req, res) => {
     try {
         const response = await assessmentAgent.generateAssessment(req.body);
-        res.json(response);
+        res.json({ ...response, questions: questionsFor(req.user, response.questions) });
     } catch (error) {
         console.error('Error in /api/assessment/generate:', error);
         res.status(500).json({ error: 'Failed to generate assessment', details: error.message });
@@ -221,15 +565,15 @@ app.post('/api/assessment/generate', async (req, res) => {
 
 /**
  * POST /api/assessment/evaluate
- * Evaluate student responses
+ * Evaluate student responses (students submit their own; teachers and admins any)
  */
-app.post('/api/assessment/evaluate', async (req, res) => {
+app.post('/api/assessment/evaluate', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
     try {
         const response = await assessmentAgent.evaluateResponses(req.body);
 
         // Save assessment results to Firestore
         if (response.success && req.body.studentId) {
-            await models.Student.addAssessment(req.body.studentId, {
+            const assessment = await models.Student.addAssessment(req.body.studentId, {
                 assessmentId: response.assessmentId,
                 subject: req.body.subject || 'general',
                 topics: req.body.topics || [],
@@ -239,6 +583,42 @@ app.post('/api/assessment/evaluate', async (req, res) => {
                 grade: response.grade,
                 results: response.results,
             });
+
+            response.gamification = await recordLearningEvent(req.body.studentId, {
+                type: 'assessment',
+                subject: req.body.subject || 'general',
+                topic: (req.body.topics || [])[0],
+                correct: response.correctAnswers,
+                total: response.totalQuestions,
+                score: parseFloat(response.percentage),
+                sourceId: assessment.id,
+            }, models);
+
+            await recordReviewResults(req.body.studentId, {
+                subject: req.body.subject || 'general',
+                topic: (req.body.topics || [])[0],
+                correct: response.correctAnswers,
+                total: response.totalQuestions,
+                items: response.results.map((result, i) => ({ question: req.body.questions[i], isCorrect: result.isCorrect })),
+            }, models);
+
+            await recordMisconceptions(req.body.studentId, {
+                assessmentId: assessment.id,
+                subject: req.body.subject || 'general',
+                topic: (req.body.topics || [])[0],
+                items: response.results.map((result, i) => ({
+                    question: req.body.questions[i],
+                    answer: result.studentAnswer,
+                    isCorrect: result.isCorrect,
+                    misconceptions: result.misconceptions,
+                })),
+            }, models);
+
+            // Only answers to the school's bank questions, graded against the bank's key, update the ability
+            response.ability = await assessmentAgent.recordItemResponses(req.body.studentId, {
+                subject: req.body.subject || 'general',
+                items: response.results.map((result, i) => ({ question: req.body.questions[i], isCorrect: result.isCorrect })),
+            });
         }
 
         res.json(response);
@@ -252,14 +632,15 @@ app.post('/api/assessment/evaluate', async (req, res) => {
  * POST /api/analytics/student
  * Analyze individual student performance
  */
-app.post('/api/analytics/student', async (req, res) => {
+app.post('/api/analytics/student', requireStudentAccess(req => req.body.studentId), async (req, res) => {
     try {
-        const { studentId } = req.body;
+        const { studentId, timeframe, language } = req.body;
 
         // Get student data
         const student = await models.Student.getById(studentId);
         const assessments = await models.Student.getAssessments(studentId);
         const progress = await models.Student.getProgress(studentId);
+        const misconceptions = await getStudentMisconceptions(studentId, {}, models);
 
         // Analyze with Gap Analyzer Agent
         const analysis = await gapAnalyzerAgent.analyzeStudentPerformance({
@@ -267,7 +648,9 @@ app.post('/api/analytics/student', async (req, res) => {
             studentName: student?.name || 'Student',
             assessmentHistory: assessments,
             progressData: progress,
-            ...req.body,
+            misconceptions,
+            timeframe,
+            language,
         });
 
         res.json(analysis);
@@ -279,11 +662,30 @@ app.post('/api/analytics/student', async (req, res) => {
 
 /**
  * POST /api/analytics/class
- * Analyze class-wide performance
+ * Analyze class-wide performance (teachers and admins)
  */
-app.post('/api/analytics/class', async (req, res) => {
+app.post('/api/analytics/class', requireRole('teacher', 'admin'), async (req, res) => {
     try {
-        const response = await gapAnalyzerAgent.analyzeClassPerformance(req.body);
+        const { grade, section, classId, studentIds, subject, since } = req.body;
+
+        // Teachers only see students in their own classes, school staff only their school
+        const teacherId = teacherScope(req.user) || req.body.teacherId;
+        const schoolId = schoolScope(req.user) || req.body.schoolId;
+        const filters = { schoolId, grade, section, classId, teacherId, studentIds };
+
+        // Get class roster and stored assessments
+        const students = await models.Student.find(filters);
+        const assessments = await models.Analytics.getClassAssessments({ ...filters, subject, since });
+        const misconceptions = await getClassMisconceptions({ ...filters, subject, since }, models);
+        const cls = classId ? await models.Class.getById(classId) : null;
+
+        const response = await gapAnalyzerAgent.analyzeClassPerformance({
+            ...req.body,
+            className: req.body.className || cls?.name || [grade && `Grade ${grade}`, section].filter(Boolean).join(' ') || 'Class',
+            students,
+            assessments,
+            misconceptions,
+        });
         res.json(response);
     } catch (error) {
         console.error('Error in /api/analytics/class:', error);
@@ -295,9 +697,30 @@ app.post('/api/analytics/class', async (req, res) => {
  * POST /api/analytics/learning-path
  * Generate personalized learning path
  */
-app.post('/api/analytics/learning-path', async (req, res) => {
+app.post('/api/analytics/learning-path', requireStudentAccess(req => req.body.studentId), async (req, res) => {
     try {
-        const response = await gapAnalyzerAgent.generateLearningPath(req.body);
+        const { studentId } = req.body;
+
+        if (!studentId) {
+            return res.status(400).json({ error: 'Missing required field: studentId' });
+        }
+
+        // Get student data
+        const student = await models.Student.getById(studentId);
+        const assessments = await models.Student.getAssessments(studentId, 100);
+        const progress = await models.Student.getProgress(studentId);
+
+        const response = await gapAnalyzerAgent.generateLearningPath({
+            studentName: student?.name || 'Student',
+            language: student?.language || 'en',
+            ...req.body,
+            assessmentHistory: assessments,
+            progressData: progress,
+            misconceptions: await getStudentMisconceptions(studentId, {}, models),
+        });
+        if (response.success) {
+            response.ability = await getAbilityBySubject(studentId);
+        }
         res.json(response);
     } catch (error) {
         console.error('Error in /api/analytics/learning-path:', error);
@@ -311,7 +734,7 @@ app.post('/api/analytics/learning-path', async (req, res) => {
  * GET /api/students/:id
  * Get student by ID
  */
-app.get('/api/students/:id', async (req, res) => {
+app.get('/api/students/:id', requireStudentAccess(req => req.params.id), async (req, res) => {
     try {
         const student = await models.Student.getById(req.params.id);
         if (!student) {
@@ -326,11 +749,17 @@ app.get('/api/students/:id', async (req, res) => {
 
 /**
  * POST /api/students
- * Create new student
+ * Create new student (teachers and admins; staff tied to a school create students in it)
  */
-app.post('/api/students', async (req, res) => {
+app.post('/api/students', requireRole('teacher', 'admin'), async (req, res) => {
     try {
-        const student = await models.Student.create(req.body);
+        const schoolId = schoolScope(req.user) || req.body.schoolId;
+        const problem = await checkSchoolPlacement(schoolId, req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const student = await models.Student.create({ ...req.body, schoolId });
         res.status(201).json(student);
     } catch (error) {
         console.error('Error creating student:', error);
@@ -342,7 +771,7 @@ app.post('/api/students', async (req, res) => {
  * GET /api/students/:id/progress
  * Get student progress
  */
-app.get('/api/students/:id/progress', async (req, res) => {
+app.get('/api/students/:id/progress', requireStudentAccess(req => req.params.id), async (req, res) => {
     try {
         const progress = await models.Student.getProgress(req.params.id, req.query.subject);
         res.json(progress);
@@ -356,7 +785,7 @@ app.get('/api/students/:id/progress', async (req, res) => {
  * POST /api/students/:id/progress
  * Add student progress
  */
-app.post('/api/students/:id/progress', async (req, res) => {
+app.post('/api/students/:id/progress', requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
     try {
         await models.Student.addProgress(req.params.id, req.body);
         res.status(201).json({ success: true, message: 'Progress added' });
@@ -370,7 +799,7 @@ app.post('/api/students/:id/progress', async (req, res) => {
  * GET /api/students/:id/assessments
  * Get student assessments
  */
-app.get('/api/students/:id/assessments', async (req, res) => {
+app.get('/api/students/:id/assessments', requireStudentAccess(req => req.params.id), async (req, res) => {
     try {
         const assessments = await models.Student.getAssessments(req.params.id);
         res.json(assessments);
@@ -382,10 +811,14 @@ app.get('/api/students/:id/assessments', async (req, res) => {
 
 /**
  * GET /api/schools/:id/students
- * Get students by school
+ * Get students by school (that school's teachers and admins)
  */
-app.get('/api/schools/:id/students', async (req, res) => {
+app.get('/api/schools/:id/students', requireRole('teacher', 'admin'), async (req, res) => {
     try {
+        if (!inSchoolScope(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'No access to this school' });
+        }
+
         const students = await models.Student.getBySchool(req.params.id, req.query.grade);
         res.json(students);
     } catch (error) {
@@ -396,10 +829,14 @@ app.get('/api/schools/:id/students', async (req, res) => {
 
 /**
  * GET /api/teachers/:id/students
- * Get students by teacher
+ * Get students in a teacher's classes (the teacher themself, or admins)
  */
-app.get('/api/teachers/:id/students', async (req, res) => {
+app.get('/api/teachers/:id/students', requireRole('teacher', 'admin'), async (req, res) => {
     try {
+        if (teacherScope(req.user) && req.user.id !== req.params.id) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Teachers can only list their own students' });
+        }
+
         const students = await models.Teacher.getByTeacher(req.params.id);
         res.json(students);
     } catch (error) {
@@ -408,39 +845,2541 @@ app.get('/api/teachers/:id/students', async (req, res) => {
     }
 });
 
-// ==================== ERROR HANDLING ====================
+// ==================== SCHOOL ENDPOINTS ====================
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+/**
+ * GET /api/schools
+ * List schools (?state=, district, type, q for name or UDISE code)
+ */
+app.get('/api/schools', async (req, res) => {
+    try {
+        const { state, district, type, q } = req.query;
+        const schools = await models.School.getAll({ state, district, type, q });
+        res.json(schools);
+    } catch (error) {
+        console.error('Error listing schools:', error);
+        res.status(500).json({ error: 'Failed to list schools', details: error.message });
+    }
 });
 
-// Global error handler
-app.use((err, req, res, next) => {
-    console.error('Global error handler:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-    });
+/**
+ * POST /api/schools
+ * Register a school (admins without a school)
+ */
+app.post('/api/schools', requireRole('admin'), async (req, res) => {
+    try {
+        if (schoolScope(req.user)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'School admins cannot register other schools' });
+        }
+
+        const { name, udiseCode } = req.body;
+        if (!name) {
+            return res.status(400).json({ error: 'Missing required field: name' });
+        }
+
+        const problem = validateSchoolFields(req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        if (udiseCode && (await models.School.getByUdiseCode(udiseCode))) {
+            return res.status(409).json({ error: `A school with UDISE code ${udiseCode} already exists` });
+        }
+
+        const school = await models.School.create({
+            languages: agentConfig.supportedLanguages.map(lang => lang.code),
+            ...req.body,
+        });
+        res.status(201).json(school);
+    } catch (error) {
+        console.error('Error creating school:', error);
+        res.status(500).json({ error: 'Failed to create school', details: error.message });
+    }
 });
 
-// ==================== TEACHER ENDPOINTS ====================
+/**
+ * GET /api/schools/udise/:code
+ * Look up a school by its UDISE code
+ */
+app.get('/api/schools/udise/:code', async (req, res) => {
+    try {
+        const school = await models.School.getByUdiseCode(req.params.code);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+        res.json(school);
+    } catch (error) {
+        console.error('Error fetching school:', error);
+        res.status(500).json({ error: 'Failed to fetch school', details: error.message });
+    }
+});
 
 /**
- * GET /api/teacher/dashboard
- * Get teacher dashboard stats
+ * GET /api/schools/:id
+ * Get a school with its enabled languages and grades
  */
-app.get('/api/teacher/dashboard', async (req, res) => {
+app.get('/api/schools/:id', requireSchoolAccess(), async (req, res) => {
     try {
-        // Mock teacher ID for now
-        const stats = await models.Teacher.getClassStats('teacher_1');
-        res.json(stats);
+        const school = await models.School.getById(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+        res.json(school);
     } catch (error) {
-        console.error('Error in /api/teacher/dashboard:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard stats' });
+        console.error('Error fetching school:', error);
+        res.status(500).json({ error: 'Failed to fetch school', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/schools/:id
+ * Update a school's details, languages or grades (its admins)
+ */
+app.patch('/api/schools/:id', requireSchoolAccess({ manage: true }), async (req, res) => {
+    try {
+        if (!(await models.School.getById(req.params.id))) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const problem = validateSchoolFields(req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const existing = req.body.udiseCode && (await models.School.getByUdiseCode(req.body.udiseCode));
+        if (existing && existing.id !== req.params.id) {
+            return res.status(409).json({ error: `A school with UDISE code ${req.body.udiseCode} already exists` });
+        }
+
+        const school = await models.School.update(req.params.id, req.body);
+        res.json(school);
+    } catch (error) {
+        console.error('Error updating school:', error);
+        res.status(500).json({ error: 'Failed to update school', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/schools/:id
+ * Deactivate a school (admins without a school)
+ */
+app.delete('/api/schools/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (schoolScope(req.user)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'School admins cannot remove schools' });
+        }
+
+        const result = await models.School.delete(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error deleting school:', error);
+        res.status(500).json({ error: 'Failed to delete school', details: error.message });
+    }
+});
+
+/**
+ * Check school fields from a create/update request
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSchoolFields(body) {
+    const languageCodes = agentConfig.supportedLanguages.map(lang => lang.code);
+
+    if (body.udiseCode !== undefined && !isValidUdiseCode(body.udiseCode)) {
+        return 'udiseCode must be an 11-digit UDISE code';
+    }
+    if (body.type !== undefined && !SCHOOL_TYPES.includes(body.type)) {
+        return `Invalid type: ${body.type} (expected ${SCHOOL_TYPES.join(', ')})`;
+    }
+    if (body.languages !== undefined) {
+        const valid = Array.isArray(body.languages) && body.languages.length > 0
+            && body.languages.every(code => languageCodes.includes(code));
+        if (!valid) return `languages must be a non-empty list of: ${languageCodes.join(', ')}`;
+    }
+    if (body.grades !== undefined) {
+        const valid = Array.isArray(body.grades) && body.grades.length > 0
+            && body.grades.every(grade => Number.isInteger(grade) && grade >= 1 && grade <= 12);
+        if (!valid) return 'grades must be a non-empty list of grades 1-12';
+    }
+    return null;
+}
+
+/**
+ * Check a school exists and has the requested grade and language enabled
+ * @returns {string|null} - Error message, or null if allowed
+ */
+async function checkSchoolPlacement(schoolId, { grade, language } = {}) {
+    if (!schoolId) return null;
+
+    const school = await models.School.getById(schoolId);
+    if (!school || !school.active) {
+        return `School not found: ${schoolId}`;
+    }
+    if (grade && !school.grades.includes(Number(grade))) {
+        return `Grade ${grade} is not offered at ${school.name}`;
+    }
+    if (language && !school.languages.includes(language)) {
+        return `Language ${language} is not enabled at ${school.name}`;
+    }
+    return null;
+}
+
+/**
+ * Check the students a parent is linked to exist and, with a school, are in it
+ * @returns {string|null} - Error message, or null if allowed
+ */
+async function checkLinkedStudents(schoolId, studentIds) {
+    if (studentIds === undefined) return null;
+    if (!Array.isArray(studentIds)) return 'studentIds must be an array of student IDs';
+
+    for (const studentId of studentIds) {
+        const student = await models.Student.getById(studentId);
+        // Students in other schools are reported as missing, so IDs can't be probed
+        if (!student || (schoolId && student.school_id !== schoolId)) {
+            return `Student not found: ${studentId}`;
+        }
+    }
+    return null;
+}
+
+// ==================== CONTENT ENDPOINTS ====================
+
+/**
+ * GET /api/content
+ * Search the content library (?q=, type, subject, topic, grade, language, difficulty, tag)
+ */
+app.get('/api/content', async (req, res) => {
+    try {
+        const { q, type, subject, topic, grade, language, difficulty, tag, createdBy } = req.query;
+        const content = await models.Content.search({
+            q, type, subject, topic, grade, language, difficulty, tag, createdBy,
+            schoolId: req.user.school_id || req.query.schoolId,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0,
+        });
+        res.json(content);
+    } catch (error) {
+        console.error('Error searching content:', error);
+        res.status(500).json({ error: 'Failed to search content', details: error.message });
     }
 });
 
+/**
+ * GET /api/content/:id
+ * Get a content item
+ */
+app.get('/api/content/:id', async (req, res) => {
+    try {
+        const content = await models.Content.getById(req.params.id);
+        if (!content || (content.school_id && req.user.school_id && content.school_id !== req.user.school_id)) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        res.json(content);
+    } catch (error) {
+        console.error('Error fetching content:', error);
+        res.status(500).json({ error: 'Failed to fetch content', details: error.message });
+    }
+});
+
+/**
+ * POST /api/content
+ * Add a lesson ({ text }), exercise ({ questions }), reading ({ text }) or video ({ url }) (teachers and admins)
+ */
+app.post('/api/content', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { type, subject, title, content } = req.body;
+
+        if (!type || !subject || !title || !content) {
+            return res.status(400).json({ error: 'Missing required fields: type, subject, title, content' });
+        }
+
+        const problem = validateContentBody(type, content);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const item = await models.Content.create({
+            ...req.body,
+            schoolId: schoolScope(req.user) || req.body.schoolId,
+            createdBy: req.user.id,
+        });
+        res.status(201).json(item);
+    } catch (error) {
+        console.error('Error creating content:', error);
+        res.status(500).json({ error: 'Failed to create content', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/content/:id
+ * Update a content item (teachers and admins)
+ */
+app.patch('/api/content/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const existing = await models.Content.getById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!inSchoolScope(req.user, existing.school_id)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Content belongs to another school or is shared' });
+        }
+
+        const problem = req.body.type || req.body.content
+            ? validateContentBody(req.body.type || existing.type, req.body.content || existing.content)
+            : null;
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const item = await models.Content.update(req.params.id, req.body);
+        res.json(item);
+    } catch (error) {
+        console.error('Error updating content:', error);
+        res.status(500).json({ error: 'Failed to update content', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/content/:id
+ * Remove a content item from the library (teachers and admins)
+ */
+app.delete('/api/content/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const existing = await models.Content.getById(req.params.id);
+        if (existing && !inSchoolScope(req.user, existing.school_id)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Content belongs to another school or is shared' });
+        }
+
+        const result = await models.Content.delete(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error deleting content:', error);
+        res.status(500).json({ error: 'Failed to delete content', details: error.message });
+    }
+});
+
+/**
+ * Check a content body has what the agents need for its type
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateContentBody(type, content) {
+    if (!CONTENT_TYPES.includes(type)) {
+        return `Invalid type: ${type} (expected ${CONTENT_TYPES.join(', ')})`;
+    }
+    if ((type === 'lesson' || type === 'reading') && typeof content.text !== 'string') {
+        return `A ${type} needs content.text`;
+    }
+    if (type === 'exercise') {
+        const valid = Array.isArray(content.questions) && content.questions.length > 0
+            && content.questions.every(q => q.question && q.correctAnswer !== undefined);
+        if (!valid) return 'An exercise needs content.questions with question and correctAnswer';
+    }
+    if (type === 'video' && typeof content.url !== 'string') {
+        return 'A video needs content.url';
+    }
+    return null;
+}
+
+// ==================== CLASS ENDPOINTS ====================
+
+/**
+ * GET /api/classes
+ * List classes (teachers: classes they teach, students and parents: enrolled classes)
+ */
+app.get('/api/classes', async (req, res) => {
+    try {
+        const { schoolId, grade, section, academicYear } = req.query;
+        const filters = { schoolId, grade, section, academicYear };
+        const { user } = req;
+
+        if (user.role === 'teacher') {
+            filters.teacherId = user.id;
+        } else if (user.role === 'student') {
+            filters.studentId = user.id;
+        } else if (user.role === 'parent') {
+            if (user.studentIds.length === 0) return res.json([]);
+            filters.studentIds = user.studentIds;
+        } else {
+            filters.schoolId = schoolScope(user) || schoolId;
+            if (req.query.teacherId) filters.teacherId = req.query.teacherId;
+        }
+
+        const classes = await models.Class.find(filters);
+        res.json(classes);
+    } catch (error) {
+        console.error('Error listing classes:', error);
+        res.status(500).json({ error: 'Failed to list classes', details: error.message });
+    }
+});
+
+/**
+ * POST /api/classes
+ * Create a class (teachers become its class teacher)
+ */
+app.post('/api/classes', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { grade, section, name } = req.body;
+
+        if (!name && !grade) {
+            return res.status(400).json({ error: 'Missing required field: name or grade' });
+        }
+
+        const schoolId = schoolScope(req.user) || req.body.schoolId;
+        const problem = await checkSchoolPlacement(schoolId, { grade });
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const teachers = [...(req.body.teachers || [])];
+        if (teacherScope(req.user) && !teachers.some(t => t.teacherId === req.user.id)) {
+            teachers.unshift({ teacherId: req.user.id, subjects: req.body.subjects || [], isClassTeacher: true });
+        }
+
+        const cls = await models.Class.create({ ...req.body, schoolId, grade, section, teachers });
+        res.status(201).json(cls);
+    } catch (error) {
+        console.error('Error creating class:', error);
+        res.status(500).json({ error: 'Failed to create class', details: error.message });
+    }
+});
+
+/**
+ * GET /api/classes/:id
+ * Get a class with its teachers
+ */
+app.get('/api/classes/:id', requireClassAccess(), async (req, res) => {
+    try {
+        const cls = await models.Class.getById(req.params.id);
+        if (!cls) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        res.json(cls);
+    } catch (error) {
+        console.error('Error fetching class:', error);
+        res.status(500).json({ error: 'Failed to fetch class', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/classes/:id
+ * Update class details (its teachers or admins)
+ */
+app.patch('/api/classes/:id', requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const { schoolId, ...updates } = req.body;
+        if (updates.leaderboardMode !== undefined && !LEADERBOARD_MODES.includes(updates.leaderboardMode)) {
+            return res.status(400).json({ error: `leaderboardMode must be one of: ${LEADERBOARD_MODES.join(', ')}` });
+        }
+
+        const cls = await models.Class.update(req.params.id, updates);
+        if (!cls) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        res.json(cls);
+    } catch (error) {
+        console.error('Error updating class:', error);
+        res.status(500).json({ error: 'Failed to update class', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/classes/:id
+ * Delete a class and its enrolments (admins only)
+ */
+app.delete('/api/classes/:id', requireRole('admin'), requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const result = await models.Class.delete(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error deleting class:', error);
+        res.status(500).json({ error: 'Failed to delete class', details: error.message });
+    }
+});
+
+/**
+ * GET /api/classes/:id/students
+ * Get the class roster (its teachers or admins)
+ */
+app.get('/api/classes/:id/students', requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const students = await models.Class.getStudents(req.params.id);
+        res.json(students);
+    } catch (error) {
+        console.error('Error fetching class students:', error);
+        res.status(500).json({ error: 'Failed to fetch class students', details: error.message });
+    }
+});
+
+/**
+ * POST /api/classes/:id/students
+ * Enrol students in a class
+ */
+app.post('/api/classes/:id/students', requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const studentIds = req.body.studentIds || (req.body.studentId ? [req.body.studentId] : []);
+
+        if (studentIds.length === 0) {
+            return res.status(400).json({ error: 'Missing required field: studentIds' });
+        }
+
+        // Students can only join classes at their own school
+        const cls = await models.Class.getById(req.params.id);
+        if (!cls) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        for (const studentId of studentIds) {
+            const student = await models.Student.getById(studentId);
+            if (!student) {
+                return res.status(404).json({ error: `Student not found: ${studentId}` });
+            }
+            if (cls.school_id && student.school_id !== cls.school_id) {
+                return res.status(400).json({ error: `Student ${studentId} is not at this class's school` });
+            }
+        }
+
+        const students = await models.Class.addStudents(req.params.id, studentIds);
+        res.status(201).json(students);
+    } catch (error) {
+        console.error('Error enrolling students:', error);
+        res.status(500).json({ error: 'Failed to enrol students', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/classes/:id/students/:studentId
+ * Remove a student from a class
+ */
+app.delete('/api/classes/:id/students/:studentId', requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const result = await models.Class.removeStudent(req.params.id, req.params.studentId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error removing student from class:', error);
+        res.status(500).json({ error: 'Failed to remove student', details: error.message });
+    }
+});
+
+/**
+ * POST /api/classes/:id/teachers
+ * Assign a teacher (and their subjects) to a class
+ */
+app.post('/api/classes/:id/teachers', requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const { teacherId, subjects = [], isClassTeacher = false } = req.body;
+
+        if (!teacherId) {
+            return res.status(400).json({ error: 'Missing required field: teacherId' });
+        }
+
+        // Teachers can only teach classes at their own school
+        const cls = await models.Class.getById(req.params.id);
+        if (!cls) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        const teacher = await models.Teacher.getById(teacherId);
+        if (!teacher) {
+            return res.status(404).json({ error: `Teacher not found: ${teacherId}` });
+        }
+        if (cls.school_id && teacher.school_id !== cls.school_id) {
+            return res.status(400).json({ error: `Teacher ${teacherId} is not at this class's school` });
+        }
+
+        const updated = await models.Class.addTeacher(req.params.id, teacherId, { subjects, isClassTeacher });
+        res.status(201).json(updated);
+    } catch (error) {
+        console.error('Error assigning teacher:', error);
+        res.status(500).json({ error: 'Failed to assign teacher', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/classes/:id/teachers/:teacherId
+ * Unassign a teacher from a class (admins only)
+ */
+app.delete('/api/classes/:id/teachers/:teacherId', requireRole('admin'), requireClassAccess({ manage: true }), async (req, res) => {
+    try {
+        const result = await models.Class.removeTeacher(req.params.id, req.params.teacherId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error unassigning teacher:', error);
+        res.status(500).json({ error: 'Failed to unassign teacher', details: error.message });
+    }
+});
+
+// ==================== TEACHER ENDPOINTS ====================
+
+/**
+ * GET /api/teacher/dashboard
+ * Get dashboard stats for the logged-in teacher's classes (?classId= for one class),
+ * with the misconceptions most widespread among their students
+ */
+app.get('/api/teacher/dashboard', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const teacherId = teacherScope(req.user) || req.query.teacherId || null;
+        const stats = await models.Teacher.getClassStats(teacherId, {
+            classId: req.query.classId,
+            schoolId: schoolScope(req.user),
+        });
+        const misconceptions = await getClassMisconceptions({
+            teacherId,
+            classId: req.query.classId,
+            schoolId: schoolScope(req.user),
+        }, models);
+        res.json({ ...stats, commonMisconceptions: misconceptions.slice(0, 5) });
+    } catch (error) {
+        console.error('Error in /api/teacher/dashboard:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard stats', details: error.message });
+    }
+});
+
+/**
+ * GET /api/teacher/students
+ * Get students in the logged-in teacher's classes, each with their most frequent misconceptions
+ */
+app.get('/api/teacher/students', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const teacherId = teacherScope(req.user) || req.query.teacherId;
+        const students = teacherId
+            ? await models.Teacher.getByTeacher(teacherId)
+            : await models.Student.find({ classId: req.query.classId, schoolId: schoolScope(req.user) });
+        const misconceptions = students.length > 0
+            ? await getMisconceptionsByStudent({ studentIds: students.map(st => st.id) }, models)
+            : {};
+        res.json(students.map(st => ({ ...st, misconceptions: misconceptions[st.id] || [] })));
+    } catch (error) {
+        console.error('Error in /api/teacher/students:', error);
+        res.status(500).json({ error: 'Failed to fetch students', details: error.message });
+    }
+});
+
+// ==================== SESSION ENDPOINTS ====================
+// The student app starts a session on sign-in, sends a heartbeat about once a minute
+// with the topic on screen, and ends it on sign-out (or when the page closes)
+
+/**
+ * POST /api/sessions/start
+ * Start a learning session (closes any the student left open)
+ */
+app.post('/api/sessions/start', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
+    try {
+        const { studentId, subject, topic, device, online } = req.body;
+        if (!studentId) {
+            return res.status(400).json({ error: 'Missing required field: studentId' });
+        }
+
+        const student = await models.Student.getById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        for (const open of await models.SessionLog.getOpen(studentId)) {
+            await finishSession(open);
+        }
+
+        const session = await models.SessionLog.create({
+            studentId,
+            subject,
+            topic,
+            device: device || req.get('user-agent'),
+            online,
+        });
+        res.status(201).json(session);
+    } catch (error) {
+        console.error('Error starting session:', error);
+        res.status(500).json({ error: 'Failed to start session', details: error.message });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/heartbeat
+ * Report the current subject/topic, new activities, agents used and online state
+ */
+app.post('/api/sessions/:id/heartbeat', loadSession, requireStudentAccess(req => req.learningSession.student_id, { write: true }), async (req, res) => {
+    try {
+        if (req.learningSession.end_time) {
+            return res.status(409).json({ error: 'Session has already ended' });
+        }
+
+        const session = await models.SessionLog.heartbeat(req.params.id, parseSessionUpdate(req.body));
+        res.json(session);
+    } catch (error) {
+        console.error('Error in session heartbeat:', error);
+        res.status(500).json({ error: 'Failed to record heartbeat', details: error.message });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/end
+ * End a session, add its time on task to progress and award session points
+ */
+app.post('/api/sessions/:id/end', loadSession, requireStudentAccess(req => req.learningSession.student_id, { write: true }), async (req, res) => {
+    try {
+        if (req.learningSession.end_time) {
+            return res.json({ session: req.learningSession });
+        }
+
+        const result = await finishSession(req.learningSession, parseSessionUpdate(req.body));
+        res.json(result);
+    } catch (error) {
+        console.error('Error ending session:', error);
+        res.status(500).json({ error: 'Failed to end session', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/sessions
+ * Get a student's recent learning sessions
+ */
+app.get('/api/students/:id/sessions', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+        const sessions = await models.SessionLog.getStudentSessions(req.params.id, limit);
+        res.json(sessions);
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions', details: error.message });
+    }
+});
+
+// Load req.params.id into req.learningSession, or reply 404
+async function loadSession(req, res, next) {
+    try {
+        req.learningSession = await models.SessionLog.getById(req.params.id);
+        if (!req.learningSession) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error loading session:', error);
+        res.status(500).json({ error: 'Failed to load session', details: error.message });
+    }
+}
+
+// Keep only the heartbeat fields a client may send
+function parseSessionUpdate(body = {}) {
+    const list = (value) => (Array.isArray(value) ? value : []);
+    return {
+        subject: typeof body.subject === 'string' ? body.subject : undefined,
+        topic: typeof body.topic === 'string' ? body.topic : undefined,
+        online: body.online,
+        agentsUsed: list(body.agentsUsed).filter(a => typeof a === 'string'),
+        activities: list(body.activities)
+            .filter(a => a && typeof a.type === 'string')
+            .slice(0, 50)
+            .map(({ type, subject, topic, score }) => ({ type, subject, topic, score })),
+    };
+}
+
+/**
+ * Close a session, write its per-topic time into progress.time_spent (minutes, rounded only
+ * when totals are reported so short visits add up) and record it as a learning event once it
+ * lasted MIN_SESSION_SECONDS of active time
+ */
+async function finishSession(session, update = {}) {
+    const ended = await models.SessionLog.endSession(session.id, update);
+
+    for (const [key, seconds] of Object.entries(ended.topicTime)) {
+        if (!(seconds > 0)) continue;
+
+        const [subject, ...topic] = key.split('::');
+        await models.Student.addTimeSpent(ended.student_id, subject, topic.join('::'), seconds / 60);
+    }
+
+    if (ended.active_seconds < MIN_SESSION_SECONDS) {
+        return { session: ended };
+    }
+
+    const result = await recordLearningEvent(ended.student_id, {
+        type: 'session',
+        subject: ended.current_subject,
+        duration: ended.active_seconds,
+        sourceId: ended.id,
+    }, models);
+    return { session: ended, ...result };
+}
+
+// ==================== CURRICULUM ENDPOINTS ====================
+// One curriculum version is published at a time. Admins without a school edit a draft copy and publish it.
+
+/**
+ * GET /api/curriculum
+ * The published curriculum graph (`subject`, `grade` to filter, `version` for another version ID)
+ */
+app.get('/api/curriculum', async (req, res) => {
+    try {
+        const version = req.query.version
+            ? await models.Curriculum.getVersion(req.query.version)
+            : await models.Curriculum.getPublished();
+        if (!version) {
+            return res.status(404).json({ error: 'Curriculum not found' });
+        }
+
+        const topics = await models.Curriculum.getTopics(version.id, {
+            subject: req.query.subject,
+            grade: parseInt(req.query.grade) || null,
+        });
+        res.json({ ...version, topics });
+    } catch (error) {
+        console.error('Error fetching curriculum:', error);
+        res.status(500).json({ error: 'Failed to fetch curriculum', details: error.message });
+    }
+});
+
+/**
+ * GET /api/curriculum/versions
+ * List curriculum versions
+ */
+app.get('/api/curriculum/versions', async (req, res) => {
+    try {
+        res.json(await models.Curriculum.getVersions());
+    } catch (error) {
+        console.error('Error listing curriculum versions:', error);
+        res.status(500).json({ error: 'Failed to list curriculum versions', details: error.message });
+    }
+});
+
+/**
+ * POST /api/curriculum/versions
+ * Start a draft version, copied from `basedOn` (default: the published version)
+ */
+app.post('/api/curriculum/versions', requireCurriculumEditor, async (req, res) => {
+    try {
+        const { version, name, notes, basedOn } = req.body;
+        if (!version) {
+            return res.status(400).json({ error: 'Missing required field: version' });
+        }
+        if (await models.Curriculum.getVersionByLabel(version)) {
+            return res.status(409).json({ error: `Curriculum version ${version} already exists` });
+        }
+
+        const source = basedOn ? await models.Curriculum.getVersion(basedOn) : await models.Curriculum.getPublished();
+        if (basedOn && !source) {
+            return res.status(404).json({ error: 'Curriculum version to copy not found' });
+        }
+
+        const draft = await models.Curriculum.createVersion({
+            version,
+            name: name || source?.name || version,
+            framework: source?.framework,
+            notes,
+            basedOn: source?.id,
+            createdBy: req.user.id,
+            topics: source ? await models.Curriculum.getTopics(source.id) : [],
+        });
+        res.status(201).json(draft);
+    } catch (error) {
+        console.error('Error creating curriculum version:', error);
+        res.status(500).json({ error: 'Failed to create curriculum version', details: error.message });
+    }
+});
+
+/**
+ * GET /api/curriculum/versions/:id
+ * A curriculum version with its topics
+ */
+app.get('/api/curriculum/versions/:id', async (req, res) => {
+    try {
+        const version = await models.Curriculum.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ error: 'Curriculum version not found' });
+        }
+        res.json({ ...version, topics: await models.Curriculum.getTopics(version.id) });
+    } catch (error) {
+        console.error('Error fetching curriculum version:', error);
+        res.status(500).json({ error: 'Failed to fetch curriculum version', details: error.message });
+    }
+});
+
+/**
+ * PUT /api/curriculum/versions/:id/topics/:topicId
+ * Add or replace a topic in a draft (`subject`, `name`, `grades`, `importance`, `difficulty`, `prerequisites`)
+ */
+app.put('/api/curriculum/versions/:id/topics/:topicId', requireCurriculumEditor, loadDraftCurriculum, async (req, res) => {
+    try {
+        const { topicId } = req.params;
+        const topic = parseCurriculumTopic(topicId, req.body);
+        const topics = (await models.Curriculum.getTopics(req.params.id)).filter(t => t.id !== topicId);
+
+        const errors = validateCurriculum([...topics, topic]);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid curriculum topic', details: errors });
+        }
+
+        res.json(await models.Curriculum.saveTopic(req.params.id, topic));
+    } catch (error) {
+        console.error('Error saving curriculum topic:', error);
+        res.status(500).json({ error: 'Failed to save curriculum topic', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/curriculum/versions/:id/topics/:topicId
+ * Remove a topic from a draft (not while other topics list it as a prerequisite)
+ */
+app.delete('/api/curriculum/versions/:id/topics/:topicId', requireCurriculumEditor, loadDraftCurriculum, async (req, res) => {
+    try {
+        const { topicId } = req.params;
+        const topics = await models.Curriculum.getTopics(req.params.id);
+        if (!topics.some(t => t.id === topicId)) {
+            return res.status(404).json({ error: 'Curriculum topic not found' });
+        }
+
+        const dependents = topics.filter(t => t.prerequisites.includes(topicId)).map(t => t.id);
+        if (dependents.length > 0) {
+            return res.status(409).json({ error: 'Topic is a prerequisite of other topics', details: dependents });
+        }
+
+        await models.Curriculum.removeTopic(req.params.id, topicId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing curriculum topic:', error);
+        res.status(500).json({ error: 'Failed to remove curriculum topic', details: error.message });
+    }
+});
+
+/**
+ * POST /api/curriculum/versions/:id/publish
+ * Publish a draft after checking its graph; the previous version is archived
+ */
+app.post('/api/curriculum/versions/:id/publish', requireCurriculumEditor, loadDraftCurriculum, async (req, res) => {
+    try {
+        const topics = await models.Curriculum.getTopics(req.params.id);
+        const errors = topics.length > 0 ? validateCurriculum(topics) : ['A curriculum needs at least one topic'];
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid curriculum', details: errors });
+        }
+
+        res.json(await models.Curriculum.publish(req.params.id));
+    } catch (error) {
+        console.error('Error publishing curriculum:', error);
+        res.status(500).json({ error: 'Failed to publish curriculum', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/frontier
+ * Curriculum topics the student is ready for next (`subject`, `grade`, `limit`)
+ */
+app.get('/api/students/:id/frontier', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const version = await models.Curriculum.getPublished();
+        if (!version) {
+            return res.status(404).json({ error: 'Curriculum not found' });
+        }
+
+        const grade = parseInt(req.query.grade) || student.grade || null;
+        const result = await gapAnalyzerAgent.getStudentFrontier({
+            assessmentHistory: await models.Student.getAssessments(req.params.id, 100),
+            progressData: await models.Student.getProgress(req.params.id),
+            grade,
+            subject: req.query.subject || null,
+            limit: Math.min(parseInt(req.query.limit) || 10, 50),
+        });
+
+        res.json({
+            studentId: req.params.id,
+            version: version.version,
+            grade,
+            ...result,
+            ability: await getAbilityBySubject(req.params.id),
+        });
+    } catch (error) {
+        console.error('Error computing frontier:', error);
+        res.status(500).json({ error: 'Failed to compute frontier', details: error.message });
+    }
+});
+
+// The curriculum is shared by every school, so only admins without a school edit it
+function requireCurriculumEditor(req, res, next) {
+    if (!isAdmin(req.user) || schoolScope(req.user)) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Only admins without a school edit the curriculum' });
+    }
+    next();
+}
+
+// Only drafts can change; published and archived versions are fixed
+async function loadDraftCurriculum(req, res, next) {
+    try {
+        const version = await models.Curriculum.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ error: 'Curriculum version not found' });
+        }
+        if (version.status !== 'draft') {
+            return res.status(409).json({ error: `Curriculum version is ${version.status}; create a draft to edit it` });
+        }
+        next();
+    } catch (error) {
+        console.error('Error loading curriculum version:', error);
+        res.status(500).json({ error: 'Failed to load curriculum version', details: error.message });
+    }
+}
+
+// Curriculum topic from a request body (grades as [min, max] or gradeMin/gradeMax)
+function parseCurriculumTopic(id, body) {
+    const list = (value) => (Array.isArray(value) ? value.filter(v => typeof v === 'string') : []);
+    const grades = Array.isArray(body.grades) ? body.grades : [body.gradeMin, body.gradeMax];
+
+    return {
+        id,
+        subject: body.subject,
+        name: body.name,
+        description: body.description,
+        grades: grades.map(grade => parseInt(grade)),
+        importance: body.importance === undefined ? 5 : Number(body.importance),
+        difficulty: body.difficulty || 'medium',
+        prerequisites: list(body.prerequisites),
+        aliases: list(body.aliases),
+    };
+}
+
+// ==================== ADAPTIVE TEST ENDPOINTS ====================
+// Computerized adaptive tests: each next question is the most informative one at the student's current
+// ability estimate (Rasch/2PL), and the test stops once the estimate's standard error reaches targetSe
+
+/**
+ * POST /api/assessment/adaptive
+ * Start an adaptive test (`studentId`, `subject`, `topic`, `targetSe`, `minItems`, `maxItems`)
+ */
+app.post('/api/assessment/adaptive', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
+    try {
+        const { studentId, subject, topic, language = 'en' } = req.body;
+        if (!studentId || !subject) {
+            return res.status(400).json({ error: 'Missing required fields: studentId, subject' });
+        }
+
+        const targetSe = Number(req.body.targetSe ?? ADAPTIVE_TEST_DEFAULTS.targetSe);
+        const minItems = parseInt(req.body.minItems ?? ADAPTIVE_TEST_DEFAULTS.minItems);
+        const maxItems = parseInt(req.body.maxItems ?? ADAPTIVE_TEST_DEFAULTS.maxItems);
+        if (!(targetSe >= 0.1 && targetSe <= 1) || !(minItems >= 1 && minItems <= maxItems && maxItems <= 50)) {
+            return res.status(400).json({ error: 'targetSe must be 0.1-1 and 1 <= minItems <= maxItems <= 50' });
+        }
+
+        const student = await models.Student.getById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const { test, item } = await assessmentAgent.startAdaptiveTest({
+            studentId, subject, topic, language, targetSe, minItems, maxItems,
+        });
+        res.status(201).json({ ...adaptiveTestView(test), item });
+    } catch (error) {
+        console.error('Error starting adaptive test:', error);
+        res.status(500).json({ error: 'Failed to start adaptive test', details: error.message });
+    }
+});
+
+/**
+ * GET /api/assessment/adaptive/:id
+ * Current state of an adaptive test and the question to answer
+ */
+app.get('/api/assessment/adaptive/:id', loadAdaptiveTest, requireStudentAccess(req => req.adaptiveTest.student_id), async (req, res) => {
+    try {
+        const test = req.adaptiveTest;
+        const current = test.current_item_id && await models.ItemBank.getItem(test.current_item_id);
+        res.json({ ...adaptiveTestView(test), item: current ? assessmentAgent.publicItem(current) : null });
+    } catch (error) {
+        console.error('Error fetching adaptive test:', error);
+        res.status(500).json({ error: 'Failed to fetch adaptive test', details: error.message });
+    }
+});
+
+/**
+ * POST /api/assessment/adaptive/:id/answer
+ * Answer the current question; returns feedback and the next question, or the final result
+ */
+app.post('/api/assessment/adaptive/:id/answer', loadAdaptiveTest, requireStudentAccess(req => req.adaptiveTest.student_id, { write: true }), async (req, res) => {
+    try {
+        const test = req.adaptiveTest;
+        if (test.status !== 'active') {
+            return res.status(409).json({ error: 'Adaptive test has already finished' });
+        }
+        if (typeof req.body.answer !== 'string' || !req.body.answer.trim()) {
+            return res.status(400).json({ error: 'Missing required field: answer' });
+        }
+
+        const { test: updated, done, ...result } = await assessmentAgent.answerAdaptiveTest(test, req.body.answer, req.body.language);
+        const response = { ...adaptiveTestView(updated), done, ...result };
+
+        if (done) {
+            response.gamification = await saveAdaptiveTestResult(updated);
+        }
+        res.json(response);
+    } catch (error) {
+        console.error('Error answering adaptive test:', error);
+        res.status(500).json({ error: 'Failed to answer adaptive test', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/ability
+ * IRT ability estimates per subject (theta, standard error, answers used)
+ */
+app.get('/api/students/:id/ability', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        res.json(await models.ItemBank.getAbilities(req.params.id));
+    } catch (error) {
+        console.error('Error fetching ability:', error);
+        res.status(500).json({ error: 'Failed to fetch ability', details: error.message });
+    }
+});
+
+/**
+ * POST /api/assessment/calibrate
+ * Re-estimate item parameters and student abilities for a subject from stored answers
+ */
+app.post('/api/assessment/calibrate', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        if (!req.body.subject) {
+            return res.status(400).json({ error: 'Missing required field: subject' });
+        }
+        res.json(await assessmentAgent.calibrateItemBank(req.body.subject, schoolScope(req.user) || req.body.schoolId || null));
+    } catch (error) {
+        console.error('Error calibrating item bank:', error);
+        res.status(500).json({ error: 'Failed to calibrate item bank', details: error.message });
+    }
+});
+
+// Load req.params.id into req.adaptiveTest, or reply 404
+async function loadAdaptiveTest(req, res, next) {
+    try {
+        req.adaptiveTest = await models.AdaptiveTest.getById(req.params.id);
+        if (!req.adaptiveTest) {
+            return res.status(404).json({ error: 'Adaptive test not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error loading adaptive test:', error);
+        res.status(500).json({ error: 'Failed to load adaptive test', details: error.message });
+    }
+}
+
+// IRT ability per subject, reported next to topic mastery
+async function getAbilityBySubject(studentId) {
+    const abilities = await models.ItemBank.getAbilities(studentId);
+    return Object.fromEntries(abilities.map(a => [a.subject, { theta: a.theta, se: a.se, responses: a.response_count }]));
+}
+
+function adaptiveTestView(test) {
+    return {
+        testId: test.id,
+        studentId: test.student_id,
+        subject: test.subject,
+        topic: test.topic,
+        status: test.status,
+        ability: { theta: test.theta, se: test.se },
+        answered: test.responses.length,
+        correct: test.responses.filter(r => r.correct).length,
+        targetSe: test.target_se,
+        maxItems: test.max_items,
+    };
+}
+
+/**
+ * Store a finished adaptive test as an assessment, with points and review scheduling
+ */
+async function saveAdaptiveTestResult(test) {
+    const items = await Promise.all(test.responses.map(r => models.ItemBank.getItem(r.itemId)));
+    const { assessment, gamification } = await saveGradedAssessment(test.student_id, {
+        assessmentId: test.id,
+        type: 'assessment',
+        subject: test.subject,
+        topic: test.topic,
+        answers: test.responses.map((r, i) => ({
+            question: { ...items[i].question, id: r.itemId },
+            answer: r.answer,
+            isCorrect: r.correct,
+            feedback: r.feedback,
+        })),
+        // Adaptive answers are already in the item bank
+        itemBank: false,
+    });
+    await models.AdaptiveTest.update(test.id, { assessmentId: assessment.id });
+    return gamification;
+}
+
+// ==================== ASSESSMENT SESSION ENDPOINTS ====================
+// Quizzes, exercises and diagnostics kept on the server: the student gets one question at a time without
+// its answer, answers are graded here, and an unfinished session can be picked up again after a refresh
+
+const ASSESSMENT_SESSION_KINDS = ['quiz', 'exercise', 'diagnostic'];
+
+/**
+ * POST /api/assessment/sessions
+ * Start a session (`studentId`, `kind`: quiz | exercise | diagnostic, `subject`, `topic`, `difficulty`, `language`);
+ * the student's other unfinished sessions are abandoned
+ */
+app.post('/api/assessment/sessions', requireStudentAccess(req => req.body.studentId, { write: true }), async (req, res) => {
+    try {
+        const { studentId, language = 'en' } = req.body;
+        const kind = req.body.kind || (req.body.subject === 'literacy' ? 'exercise' : 'quiz');
+        if (!studentId) {
+            return res.status(400).json({ error: 'Missing required field: studentId' });
+        }
+        if (!ASSESSMENT_SESSION_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind must be one of: ${ASSESSMENT_SESSION_KINDS.join(', ')}` });
+        }
+
+        const student = await models.Student.getById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const generated = await generateSessionQuestions(kind, { ...req.body, language, schoolId: req.user.school_id });
+        if (generated.questions.length === 0) {
+            return res.status(500).json({ error: 'Failed to generate questions' });
+        }
+
+        await models.AssessmentSession.abandonActive(studentId);
+        const session = await models.AssessmentSession.create({ studentId, kind, language, ...generated });
+
+        res.status(201).json({
+            ...assessmentSessionView(session),
+            response: generated.response,
+            question: publicSessionQuestion(session, 0),
+        });
+    } catch (error) {
+        console.error('Error starting assessment session:', error);
+        res.status(500).json({ error: 'Failed to start assessment session', details: error.message });
+    }
+});
+
+/**
+ * GET /api/assessment/sessions/:id
+ * Session state, graded answers so far and the question to answer next (to resume)
+ */
+app.get('/api/assessment/sessions/:id', loadAssessmentSession, requireStudentAccess(req => req.assessmentSession.student_id), async (req, res) => {
+    try {
+        const session = req.assessmentSession;
+        res.json({
+            ...assessmentSessionView(session),
+            answers: session.answers,
+            question: session.status === 'active' ? publicSessionQuestion(session, session.answers.length) : null,
+        });
+    } catch (error) {
+        console.error('Error fetching assessment session:', error);
+        res.status(500).json({ error: 'Failed to fetch assessment session', details: error.message });
+    }
+});
+
+/**
+ * POST /api/assessment/sessions/:id/answer
+ * Answer the current question (`answer`, optional `questionIndex`). Sending an index that was
+ * already answered returns the stored grading, so a retry after a dropped connection is safe.
+ */
+app.post('/api/assessment/sessions/:id/answer', loadAssessmentSession, requireStudentAccess(req => req.assessmentSession.student_id, { write: true }), async (req, res) => {
+    try {
+        const session = req.assessmentSession;
+        const index = req.body.questionIndex ?? session.answers.length;
+
+        if (!Number.isInteger(index) || index < 0 || index > session.answers.length) {
+            return res.status(409).json({ error: `Expected an answer to question ${session.answers.length}` });
+        }
+        if (index < session.answers.length) {
+            return res.json({
+                ...assessmentSessionView(session),
+                ...session.answers[index],
+                done: session.status !== 'active',
+                question: session.status === 'active' ? publicSessionQuestion(session, session.answers.length) : null,
+                replayed: true,
+            });
+        }
+        if (session.status !== 'active') {
+            return res.status(409).json({ error: `Assessment session is ${session.status}` });
+        }
+        if (typeof req.body.answer !== 'string' || !req.body.answer.trim()) {
+            return res.status(400).json({ error: 'Missing required field: answer' });
+        }
+
+        const question = session.questions[index];
+        const evaluation = await assessmentAgent.evaluateSingleResponse({
+            question,
+            studentAnswer: req.body.answer,
+            language: session.language,
+        });
+        const graded = {
+            questionIndex: index,
+            questionId: question.id,
+            answer: req.body.answer,
+            isCorrect: evaluation.isCorrect,
+            feedback: evaluation.feedback,
+            gradedBy: evaluation.method,
+            misconceptions: evaluation.misconceptions || [],
+            ...(evaluation.needsUnit && { needsUnit: true }),
+            correctAnswer: question.correctAnswer,
+            explanation: question.explanation,
+        };
+
+        const answers = [...session.answers, graded];
+        const done = answers.length === session.questions.length;
+        const updated = await models.AssessmentSession.update(session.id, { answers, status: done ? 'completed' : undefined });
+        const response = { ...assessmentSessionView(updated), ...graded, done };
+
+        if (done) {
+            const { assessment, gamification, percentage } = await saveGradedAssessment(session.student_id, {
+                assessmentId: session.id,
+                type: session.kind === 'diagnostic' ? 'assessment' : 'exercise',
+                subject: session.subject,
+                topic: session.topic,
+                answers: answers.map((a, i) => ({ ...a, question: session.questions[i] })),
+            });
+            await models.AssessmentSession.update(session.id, { assessmentId: assessment.id });
+
+            response.assessmentId = assessment.id;
+            response.result = {
+                correct: assessment.correctAnswers,
+                total: assessment.totalQuestions,
+                percentage,
+                grade: assessment.grade,
+            };
+            response.gamification = gamification;
+        } else {
+            response.question = publicSessionQuestion(updated, answers.length);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error answering assessment session:', error);
+        res.status(500).json({ error: 'Failed to answer assessment session', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/assessment-sessions
+ * A student's recent assessment sessions (`status`: active | completed | abandoned, `limit`)
+ */
+app.get('/api/students/:id/assessment-sessions', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const sessions = await models.AssessmentSession.getStudentSessions(req.params.id, {
+            status: req.query.status,
+            limit: Math.min(parseInt(req.query.limit) || 20, 100),
+        });
+        res.json(sessions.map(assessmentSessionView));
+    } catch (error) {
+        console.error('Error fetching assessment sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch assessment sessions', details: error.message });
+    }
+});
+
+// Load req.params.id into req.assessmentSession, or reply 404
+async function loadAssessmentSession(req, res, next) {
+    try {
+        req.assessmentSession = await models.AssessmentSession.getById(req.params.id);
+        if (!req.assessmentSession) {
+            return res.status(404).json({ error: 'Assessment session not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error loading assessment session:', error);
+        res.status(500).json({ error: 'Failed to load assessment session', details: error.message });
+    }
+}
+
+/**
+ * Generate a session's questions with the agent for its kind
+ * @returns {Object} - { subject, topic, questions, reviewCount, response }
+ */
+async function generateSessionQuestions(kind, params) {
+    let generated;
+    if (kind === 'diagnostic') {
+        const result = await gapAnalyzerAgent.generateInitialAssessment(params);
+        generated = { subject: 'general', topic: null, questions: result.assessment?.questions, response: result.response };
+    } else if (kind === 'exercise') {
+        const topic = params.topic || 'vocabulary';
+        const result = await literacyTutorAgent.generateDuolingoExercise({ type: 'mixed', ...params, topic });
+        generated = { subject: params.subject || 'literacy', topic, questions: result.exercise, reviewCount: result.reviewCount, response: result.response };
+    } else {
+        const topic = params.topic || 'general math';
+        const result = await numeracyTutorAgent.generateQuiz({ ...params, topic });
+        generated = { subject: params.subject || 'numeracy', topic, questions: result.quiz, reviewCount: result.reviewCount, response: result.response };
+    }
+
+    const questions = (Array.isArray(generated.questions) ? generated.questions : [generated.questions])
+        .filter(question => question?.question && question.correctAnswer !== undefined)
+        .map((question, i) => ({
+            ...question,
+            id: question.id || `q${i + 1}`,
+            type: inferQuestionType(question),
+            correctAnswer: String(question.correctAnswer),
+        }));
+    return { ...generated, questions };
+}
+
+function assessmentSessionView(session) {
+    return {
+        sessionId: session.id,
+        studentId: session.student_id,
+        kind: session.kind,
+        subject: session.subject,
+        topic: session.topic,
+        status: session.status,
+        total: session.questions.length,
+        answered: session.answers.length,
+        correct: session.answers.filter(a => a.isCorrect).length,
+        reviewCount: session.review_count,
+        assessmentId: session.assessment_id,
+        createdAt: session.created_at,
+        updatedAt: session.updated_at,
+    };
+}
+
+// A session question as shown to the student (no answer, explanation or misconception tags)
+function publicSessionQuestion(session, index) {
+    if (index >= session.questions.length) return null;
+    return { ...withoutAnswer(session.questions[index]), index };
+}
+
+// A question without its answer, explanation or the misconceptions its options catch
+function withoutAnswer({ correctAnswer, explanation, misconceptions, ...question }) {
+    return question;
+}
+
+/**
+ * Generated questions as the caller may see them: teachers and admins get the answer key,
+ * everyone else gets the questions alone (students answer through assessment sessions)
+ */
+function questionsFor(user, questions) {
+    if (typeof questions !== 'object' || !questions || isTeacher(user) || isAdmin(user)) return questions;
+    return Array.isArray(questions) ? questions.map(withoutAnswer) : withoutAnswer(questions);
+}
+
+/**
+ * A coordinator reply as the caller may see it: quizzes from the assessment agent
+ * go through questionsFor, at the top level and in each agent's contribution
+ */
+function chatReplyFor(user, reply) {
+    const hide = assessment => ({ ...assessment, questions: questionsFor(user, assessment.questions) });
+    return {
+        ...reply,
+        ...(reply.assessment && { assessment: hide(reply.assessment) }),
+        ...(reply.contributions && {
+            contributions: reply.contributions.map(c => (c.assessment ? { ...c, assessment: hide(c.assessment) } : c)),
+        }),
+    };
+}
+
+/**
+ * Persist graded answers as an assessment: schedule reviews and feed the item bank per subject,
+ * then credit points and quests
+ * @param {Object} graded - { assessmentId, type, subject, topic, answers: [{ question, answer, isCorrect, feedback, misconceptions }], itemBank }
+ * @returns {Promise<Object>} - { assessment, gamification, percentage }
+ */
+async function saveGradedAssessment(studentId, graded) {
+    const { assessmentId, type, subject, topic, answers, itemBank = true } = graded;
+    const results = answers.map(({ question, answer, isCorrect, feedback, misconceptions }) => ({
+        questionId: question.id,
+        question: question.question,
+        studentAnswer: answer,
+        correctAnswer: question.correctAnswer,
+        isCorrect,
+        feedback,
+        points: isCorrect ? (question.points || 1) : 0,
+        misconceptions: isCorrect ? [] : (misconceptions || detectMisconceptions(question, answer)),
+    }));
+    const correct = results.filter(r => r.isCorrect).length;
+    const totalPoints = answers.reduce((sum, { question }) => sum + (question.points || 1), 0);
+    const percentage = Math.round((results.reduce((sum, r) => sum + r.points, 0) / totalPoints) * 10000) / 100;
+
+    const assessment = await models.Student.addAssessment(studentId, {
+        assessmentId,
+        subject,
+        topics: topic ? [topic] : [...new Set(answers.map(a => a.question.topic).filter(Boolean))],
+        totalQuestions: results.length,
+        correctAnswers: correct,
+        score: percentage,
+        grade: assessmentAgent.calculateGrade(percentage),
+        results,
+    });
+
+    // Diagnostics mix subjects, so reviews and item responses are recorded per question subject
+    const bySubject = {};
+    for (const { question, isCorrect } of answers) {
+        (bySubject[question.subject || subject] = bySubject[question.subject || subject] || []).push({ question, isCorrect });
+    }
+    for (const [itemSubject, items] of Object.entries(bySubject)) {
+        const itemsCorrect = items.filter(item => item.isCorrect).length;
+        await recordReviewResults(studentId, { subject: itemSubject, topic, correct: itemsCorrect, total: items.length, items }, models);
+        if (itemBank) {
+            // Session questions were generated here; mixed-in reviews are the student's own cards and stay out of the bank
+            await assessmentAgent.addToItemBank(studentId, {
+                subject: itemSubject,
+                topic,
+                questions: items.filter(({ question }) => !question.review).map(({ question }) => question),
+            });
+            await assessmentAgent.recordItemResponses(studentId, { subject: itemSubject, items });
+        }
+    }
+
+    await recordMisconceptions(studentId, {
+        assessmentId: assessment.id,
+        subject,
+        topic,
+        items: answers.map(({ question, answer, isCorrect }, i) => ({ question, answer, isCorrect, misconceptions: results[i].misconceptions })),
+    }, models);
+
+    const gamification = await recordLearningEvent(studentId, {
+        type,
+        subject,
+        topic,
+        correct,
+        total: results.length,
+        score: percentage,
+        sourceId: assessment.id,
+    }, models);
+
+    return { assessment, gamification, percentage };
+}
+
+// ==================== REVIEW ENDPOINTS ====================
+
+/**
+ * GET /api/students/:id/reviews/due
+ * Topics and questions due for spaced-repetition review today (`subject`, `topic`, `limit`)
+ */
+app.get('/api/students/:id/reviews/due', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const { subject, topic } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const due = await getDueReviews(req.params.id, { subject, topic, limit }, models);
+
+        res.json({
+            date: toIstDay(new Date()),
+            topics: due.filter(card => card.kind === 'topic'),
+            items: due
+                .filter(card => card.kind === 'item')
+                .map(card => ({ ...card, item: questionsFor(req.user, card.item) })),
+        });
+    } catch (error) {
+        console.error('Error fetching due reviews:', error);
+        res.status(500).json({ error: 'Failed to fetch due reviews', details: error.message });
+    }
+});
+
+// ==================== MISCONCEPTION ENDPOINTS ====================
+
+/**
+ * GET /api/students/:id/misconceptions
+ * Misconceptions found in a student's wrong answers, most frequent first (`subject`, `since`)
+ */
+app.get('/api/students/:id/misconceptions', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const { subject, since } = req.query;
+        const misconceptions = await getStudentMisconceptions(req.params.id, { subject, since }, models);
+
+        res.json({
+            studentId: req.params.id,
+            misconceptions,
+            recurring: misconceptions.filter(m => m.recurring).map(m => m.id),
+        });
+    } catch (error) {
+        console.error('Error fetching misconceptions:', error);
+        res.status(500).json({ error: 'Failed to fetch misconceptions', details: error.message });
+    }
+});
+
+// ==================== READING FLUENCY ENDPOINTS ====================
+// The student reads a levelled passage aloud (for up to a minute, as in ASER and NIPUN checks); the app sends
+// the speech transcript and reading time, and the server aligns it to the passage and stores an assessment
+
+/**
+ * Built-in passage or a reading from the content library, as { id, title, text, language, grade, level }
+ */
+async function findFluencyPassage(passageId, schoolId) {
+    const builtIn = LEVELLED_PASSAGES.find(passage => passage.id === passageId);
+    if (builtIn) return builtIn;
+
+    const content = await models.Content.getById(passageId);
+    if (!content || content.type !== 'reading' || typeof content.content?.text !== 'string') return null;
+    if (content.school_id && schoolId && content.school_id !== schoolId) return null;
+
+    return {
+        id: content.id,
+        title: content.title,
+        text: content.content.text,
+        language: content.language,
+        grade: content.grade,
+        level: null,
+    };
+}
+
+/**
+ * GET /api/reading-fluency/passages
+ * Levelled passages to read aloud: built-in ones and the library's readings (`grade`, `language`)
+ */
+app.get('/api/reading-fluency/passages', async (req, res) => {
+    try {
+        const grade = parseInt(req.query.grade) || null;
+        const { language } = req.query;
+
+        const library = await models.Content.search({
+            type: 'reading',
+            subject: 'literacy',
+            grade,
+            language,
+            schoolId: req.user.school_id,
+        });
+        const passages = [
+            ...LEVELLED_PASSAGES.filter(p => (!grade || p.grade === grade) && (!language || p.language === language)),
+            ...library
+                .filter(item => typeof item.content?.text === 'string')
+                .map(item => ({ id: item.id, language: item.language, grade: item.grade, level: null, title: item.title, text: item.content.text })),
+        ];
+
+        res.json({
+            passages: passages.map(p => ({ ...p, words: tokenizeReading(p.text).length, benchmark: FLUENCY_BENCHMARKS[p.grade] || null })),
+        });
+    } catch (error) {
+        console.error('Error fetching fluency passages:', error);
+        res.status(500).json({ error: 'Failed to fetch passages', details: error.message });
+    }
+});
+
+/**
+ * POST /api/students/:id/reading-fluency
+ * Score a reading aloud (`passageId`, `transcript`, `durationSeconds`) and store it as an assessment
+ */
+app.post('/api/students/:id/reading-fluency', requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const { passageId, transcript } = req.body;
+        const durationSeconds = Number(req.body.durationSeconds);
+
+        if (!passageId || typeof transcript !== 'string') {
+            return res.status(400).json({ error: 'Missing required fields: passageId, transcript' });
+        }
+        if (!(durationSeconds >= 5 && durationSeconds <= MAX_READING_SECONDS)) {
+            return res.status(400).json({ error: `durationSeconds must be from 5 to ${MAX_READING_SECONDS}` });
+        }
+
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const passage = await findFluencyPassage(passageId, student.school_id);
+        if (!passage) {
+            return res.status(404).json({ error: 'Passage not found' });
+        }
+        if (tokenizeReading(passage.text).length > MAX_PASSAGE_WORDS) {
+            return res.status(400).json({ error: `Passages for timed reading must be at most ${MAX_PASSAGE_WORDS} words` });
+        }
+        if (tokenizeReading(transcript).length === 0) {
+            return res.status(400).json({ error: 'The transcript has no words; ask the student to read again' });
+        }
+
+        // Benchmarks follow the student's grade; the passage's grade is the fallback
+        const result = scoreReading({
+            passage: passage.text,
+            transcript,
+            durationSeconds,
+            grade: student.grade || passage.grade,
+            level: passage.level,
+        });
+
+        const assessment = await models.Student.addAssessment(student.id, {
+            subject: 'literacy',
+            topics: ['reading fluency'],
+            totalQuestions: result.wordsAttempted,
+            correctAnswers: result.wordsCorrect,
+            score: result.accuracy,
+            grade: assessmentAgent.calculateGrade(result.accuracy),
+            results: result.alignment
+                .filter(step => step.index !== null && step.status !== 'not-reached')
+                .map(step => ({
+                    question: step.expected,
+                    studentAnswer: step.spoken || '',
+                    correctAnswer: step.expected,
+                    isCorrect: step.status === 'correct',
+                    topic: 'reading fluency',
+                })),
+        });
+
+        const reading = await models.ReadingFluency.create({
+            studentId: student.id,
+            assessmentId: assessment.id,
+            passageId: passage.id,
+            passageTitle: passage.title,
+            language: passage.language,
+            level: passage.level,
+            durationSeconds,
+            transcript,
+            result,
+        });
+
+        const gamification = await recordLearningEvent(student.id, {
+            type: 'reading',
+            subject: 'literacy',
+            topic: 'reading fluency',
+            correct: result.wordsCorrect,
+            total: result.wordsAttempted,
+            score: result.accuracy,
+            words: result.wordsCorrect,
+            duration: Math.round(durationSeconds),
+            sourceId: assessment.id,
+        }, models);
+        await recordReviewResults(student.id, {
+            subject: 'literacy',
+            topic: 'reading fluency',
+            correct: result.wordsCorrect,
+            total: result.wordsAttempted,
+        }, models);
+
+        res.status(201).json({
+            id: reading.id,
+            assessmentId: assessment.id,
+            passage: { id: passage.id, title: passage.title, grade: passage.grade, level: passage.level },
+            durationSeconds,
+            ...result,
+            gamification,
+        });
+    } catch (error) {
+        console.error('Error scoring reading fluency:', error);
+        res.status(500).json({ error: 'Failed to score reading fluency', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/reading-fluency
+ * A student's timed readings, newest first, with the change in WCPM (`since`, `language`, `limit`)
+ */
+app.get('/api/students/:id/reading-fluency', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const { since, language } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const readings = await models.ReadingFluency.getByStudent(req.params.id, { since, language, limit });
+
+        res.json({
+            studentId: req.params.id,
+            readings: readings.map(({ details, transcript, ...reading }) => ({
+                ...reading,
+                errors: details.errors,
+                skipped: details.skipped,
+                substitutions: details.substitutions,
+                benchmark: details.benchmark,
+                levelRead: details.levelRead,
+            })),
+            progress: summarizeFluency([...readings].reverse()),
+        });
+    } catch (error) {
+        console.error('Error fetching reading fluency:', error);
+        res.status(500).json({ error: 'Failed to fetch reading fluency', details: error.message });
+    }
+});
+
+// ==================== WRITING ENDPOINTS ====================
+
+// Longest piece of writing accepted for scoring (characters)
+const MAX_WRITING_LENGTH = 10000;
+
+/**
+ * GET /api/writing/rubrics
+ * Built-in rubrics plus the school's own (`grade` to narrow)
+ */
+app.get('/api/writing/rubrics', async (req, res) => {
+    try {
+        const grade = parseInt(req.query.grade) || null;
+        const builtIn = DEFAULT_RUBRICS
+            .filter(rubric => !grade || (grade >= rubric.gradeMin && grade <= rubric.gradeMax))
+            .map(rubric => ({ ...rubric, builtIn: true }));
+        const custom = await models.Writing.findRubrics({ schoolId: req.user.school_id, grade });
+
+        res.json({ rubrics: [...builtIn, ...custom] });
+    } catch (error) {
+        console.error('Error fetching writing rubrics:', error);
+        res.status(500).json({ error: 'Failed to fetch writing rubrics', details: error.message });
+    }
+});
+
+/**
+ * POST /api/writing/rubrics
+ * Create a rubric for the school (teachers and admins)
+ */
+app.post('/api/writing/rubrics', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const rubric = normalizeRubric({
+            name: req.body.name,
+            gradeMin: parseInt(req.body.gradeMin),
+            gradeMax: parseInt(req.body.gradeMax),
+            criteria: Array.isArray(req.body.criteria) ? req.body.criteria : [],
+        });
+        const problem = validateRubric(rubric);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const created = await models.Writing.createRubric({
+            ...rubric,
+            schoolId: schoolScope(req.user),
+            createdBy: req.user.id,
+        });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Error creating writing rubric:', error);
+        res.status(500).json({ error: 'Failed to create writing rubric', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/writing/rubrics/:id
+ * Retire a rubric (its creator or an admin); writing already scored keeps its copy
+ */
+app.delete('/api/writing/rubrics/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const rubric = await models.Writing.getRubric(req.params.id);
+        if (!rubric || !inSchoolScope(req.user, rubric.school_id)) {
+            return res.status(404).json({ error: 'Rubric not found' });
+        }
+        if (!isAdmin(req.user) && rubric.created_by !== req.user.id) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Only the rubric\'s creator or an admin can retire it' });
+        }
+
+        await models.Writing.deactivateRubric(rubric.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error retiring writing rubric:', error);
+        res.status(500).json({ error: 'Failed to retire writing rubric', details: error.message });
+    }
+});
+
+/**
+ * POST /api/students/:id/writing
+ * Score a piece of writing against a rubric (`text`, `title`, `prompt`, `rubricId`, `language`);
+ * pass `pieceId` to submit a revision. Teachers can add `handwritingNotes` from the paper copy.
+ */
+app.post('/api/students/:id/writing', requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const { text, title, prompt, pieceId, rubricId, handwritingNotes } = req.body;
+
+        if (!text || !String(text).trim()) {
+            return res.status(400).json({ error: 'Missing required field: text' });
+        }
+        if (String(text).length > MAX_WRITING_LENGTH) {
+            return res.status(400).json({ error: `text must be at most ${MAX_WRITING_LENGTH} characters` });
+        }
+        if (handwritingNotes && !['teacher', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({ error: 'Forbidden', details: 'Handwriting notes are added by teachers' });
+        }
+
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const revisions = pieceId ? await models.Writing.getRevisions(pieceId) : [];
+        if (pieceId && (revisions.length === 0 || revisions[0].student_id !== student.id)) {
+            return res.status(404).json({ error: 'Writing piece not found' });
+        }
+        const previous = revisions[revisions.length - 1] || null;
+
+        // Revisions keep the piece's rubric unless another is chosen, so their scores compare
+        let rubric = previous && !rubricId ? previous.rubric : null;
+        if (!rubric && rubricId) {
+            rubric = DEFAULT_RUBRICS.find(r => r.id === rubricId) || await models.Writing.getRubric(rubricId);
+            if (!rubric || (rubric.school_id && rubric.school_id !== student.school_id) || rubric.active === 0) {
+                return res.status(404).json({ error: 'Rubric not found' });
+            }
+        }
+        rubric = normalizeRubric(rubric || defaultRubric(student.grade));
+
+        const language = req.body.language || student.language || 'en';
+        const assessment = await literacyTutorAgent.assessWriting({
+            text: String(text),
+            prompt: prompt || previous?.prompt,
+            rubric,
+            grade: student.grade,
+            studentLevel: student.learning_level,
+            language,
+            handwritingNotes,
+            previous,
+        });
+        if (!assessment.success) {
+            return res.status(500).json({ error: 'Failed to assess writing', details: assessment.error });
+        }
+
+        const submission = await models.Writing.addSubmission({
+            pieceId: previous?.piece_id,
+            studentId: student.id,
+            title: title || previous?.title,
+            prompt: prompt || previous?.prompt,
+            text: String(text),
+            language,
+            rubricId: rubric.id,
+            rubric: { id: rubric.id, name: rubric.name, criteria: rubric.criteria },
+            scores: assessment.scores,
+            suggestions: assessment.suggestions,
+            feedback: assessment.response,
+            handwritingNotes,
+            submittedBy: req.user.id,
+        });
+
+        res.status(201).json({
+            ...submission,
+            strengths: assessment.strengths,
+            nextStep: assessment.nextStep,
+            stats: assessment.stats,
+            changes: previous ? compareRevisions(previous, submission) : null,
+        });
+    } catch (error) {
+        console.error('Error assessing writing:', error);
+        res.status(500).json({ error: 'Failed to assess writing', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/writing
+ * A student's pieces (latest revision of each) and how each criterion moved over the term (`since`)
+ */
+app.get('/api/students/:id/writing', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const pieces = await models.Writing.getStudentPieces(req.params.id, { since: req.query.since });
+
+        res.json({
+            studentId: req.params.id,
+            pieces: pieces.map(piece => ({
+                pieceId: piece.piece_id,
+                title: piece.title,
+                prompt: piece.prompt,
+                revisions: piece.revisions,
+                latest: {
+                    id: piece.id,
+                    revision: piece.revision,
+                    percentage: piece.percentage,
+                    scores: piece.scores,
+                    createdAt: piece.created_at,
+                },
+                startedAt: piece.started_at,
+            })),
+            progress: summarizeWritingProgress(pieces),
+        });
+    } catch (error) {
+        console.error('Error fetching writing:', error);
+        res.status(500).json({ error: 'Failed to fetch writing', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/writing/:pieceId
+ * Revision history of a piece, with what changed between revisions
+ */
+app.get('/api/students/:id/writing/:pieceId', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const revisions = await models.Writing.getRevisions(req.params.pieceId);
+        if (revisions.length === 0 || revisions[0].student_id !== req.params.id) {
+            return res.status(404).json({ error: 'Writing piece not found' });
+        }
+
+        res.json({
+            pieceId: req.params.pieceId,
+            title: revisions[revisions.length - 1].title,
+            revisions: revisions.map((revision, i) => ({
+                ...revision,
+                changes: i > 0 ? compareRevisions(revisions[i - 1], revision) : null,
+            })),
+        });
+    } catch (error) {
+        console.error('Error fetching writing piece:', error);
+        res.status(500).json({ error: 'Failed to fetch writing piece', details: error.message });
+    }
+});
+
+/**
+ * PUT /api/students/:id/writing/:pieceId/revisions/:revision/handwriting
+ * Add the teacher's handwriting notes to a revision (`notes`), with scores for
+ * teacher-notes criteria (`scores`: { handwriting: 3 })
+ */
+app.put('/api/students/:id/writing/:pieceId/revisions/:revision/handwriting', requireRole('teacher', 'admin'), requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const { notes, scores = {} } = req.body;
+        const revisions = await models.Writing.getRevisions(req.params.pieceId);
+        const revision = revisions.find(r => r.revision === parseInt(req.params.revision));
+        if (!revision || revision.student_id !== req.params.id) {
+            return res.status(404).json({ error: 'Writing revision not found' });
+        }
+        if (!notes || !String(notes).trim()) {
+            return res.status(400).json({ error: 'Missing required field: notes' });
+        }
+
+        const fromNotes = revision.rubric.criteria.filter(c => c.scoredFrom === 'teacher-notes').map(c => c.id);
+        const unknown = Object.keys(scores).filter(id => !fromNotes.includes(id));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Only these criteria are scored from notes: ${fromNotes.join(', ') || 'none'}` });
+        }
+
+        // Text criteria keep their scores; teacher-notes criteria take the teacher's
+        const raw = Object.fromEntries(revision.scores.criteria.map(c => [c.id, { score: c.score, comment: c.comment }]));
+        for (const [id, score] of Object.entries(scores)) {
+            raw[id] = { score, comment: String(notes), byTeacher: true };
+        }
+
+        const updated = await models.Writing.updateHandwriting(revision.id, {
+            handwritingNotes: String(notes),
+            scores: scoreWriting(revision.rubric, raw, { handwritingNotes: String(notes) }),
+        });
+        res.json(updated);
+    } catch (error) {
+        console.error('Error saving handwriting notes:', error);
+        res.status(500).json({ error: 'Failed to save handwriting notes', details: error.message });
+    }
+});
+
+// ==================== GAMIFICATION ENDPOINTS ====================
+
+// Activities the client reports (assessments are recorded when they are evaluated)
+const ACTIVITY_TYPES = ['exercise', 'reading', 'session', 'peer_help'];
+
+// Most words and seconds one reported activity can earn points for
+const MAX_ACTIVITY_WORDS = 5000;
+const MAX_ACTIVITY_SECONDS = 3 * 60 * 60;
+
+/**
+ * GET /api/achievements
+ * List every achievement that can be earned
+ */
+app.get('/api/achievements', (req, res) => {
+    res.json(Object.values(ACHIEVEMENTS));
+});
+
+/**
+ * GET /api/students/:id/gamification
+ * Get a student's points, level, badges and stats
+ */
+app.get('/api/students/:id/gamification', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const summary = await getGamificationSummary(req.params.id, models);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error fetching gamification summary:', error);
+        res.status(500).json({ error: 'Failed to fetch gamification summary', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/points
+ * Get a student's points ledger
+ */
+app.get('/api/students/:id/points', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const [totalPoints, ledger] = await Promise.all([
+            models.Gamification.getTotalPoints(req.params.id),
+            models.Gamification.getLedger(req.params.id, limit),
+        ]);
+        res.json({ totalPoints, ledger });
+    } catch (error) {
+        console.error('Error fetching points:', error);
+        res.status(500).json({ error: 'Failed to fetch points', details: error.message });
+    }
+});
+
+/**
+ * GET /api/students/:id/achievements
+ * Get a student's badges (?unseen=true for newly unlocked ones)
+ */
+app.get('/api/students/:id/achievements', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const achievements = await models.Achievement.getStudentAchievements(req.params.id, {
+            unseen: req.query.unseen === 'true',
+        });
+        res.json(achievements);
+    } catch (error) {
+        console.error('Error fetching achievements:', error);
+        res.status(500).json({ error: 'Failed to fetch achievements', details: error.message });
+    }
+});
+
+/**
+ * POST /api/students/:id/achievements/seen
+ * Mark newly unlocked badges as shown
+ */
+app.post('/api/students/:id/achievements/seen', requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const result = await models.Achievement.markSeen(req.params.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Error marking achievements seen:', error);
+        res.status(500).json({ error: 'Failed to mark achievements seen', details: error.message });
+    }
+});
+
+/**
+ * POST /api/students/:id/activity
+ * Record a completed exercise, reading or session and award points and achievements
+ * (peer help is recorded by teachers and admins)
+ */
+app.post('/api/students/:id/activity', requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const { type, subject, topic, duration, results } = req.body;
+        const correct = parseInt(req.body.correct) || 0;
+        const total = parseInt(req.body.total) || 0;
+        const words = req.body.words === undefined ? 0 : Number(req.body.words);
+
+        if (!ACTIVITY_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${ACTIVITY_TYPES.join(', ')}` });
+        }
+        if (type === 'peer_help' && req.user.role === 'student') {
+            return res.status(403).json({ error: 'Forbidden', details: 'Peer help is recorded by teachers' });
+        }
+        if (correct < 0 || total < 0 || correct > total || total > 100) {
+            return res.status(400).json({ error: 'correct and total must satisfy 0 <= correct <= total <= 100' });
+        }
+        if (results !== undefined && (!Array.isArray(results) || results.length > total)) {
+            return res.status(400).json({ error: 'results must be an array of at most total answered questions' });
+        }
+        if (!Number.isInteger(words) || words < 0) {
+            return res.status(400).json({ error: 'words must be a whole number of words read' });
+        }
+
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        // Scores students report for themselves weren't graded here: they earn capped points and
+        // don't count towards accuracy, mastery or score achievements (graded work goes through assessment sessions)
+        const selfReported = !isTeacher(req.user) && !isAdmin(req.user);
+        const result = await recordLearningEvent(req.params.id, {
+            type,
+            subject,
+            topic,
+            correct: selfReported ? 0 : correct,
+            total: selfReported ? 0 : total,
+            words: Math.min(words, MAX_ACTIVITY_WORDS),
+            duration: Math.min(Math.max(parseInt(duration) || 0, 0), MAX_ACTIVITY_SECONDS),
+            selfReported,
+        }, models);
+
+        // Graded exercises schedule the topic (and each answered question) for review
+        if (type === 'exercise') {
+            const items = (results || []).map(({ isCorrect, ...question }) => ({ question, isCorrect: isCorrect === true }));
+            await recordReviewResults(req.params.id, { subject, topic, correct, total, items }, models);
+            await recordMisconceptions(req.params.id, {
+                subject,
+                topic,
+                items: (results || []).map(({ isCorrect, answer, ...question }) => ({ question, answer, isCorrect: isCorrect === true })),
+            }, models);
+        }
+
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error recording activity:', error);
+        res.status(500).json({ error: 'Failed to record activity', details: error.message });
+    }
+});
+
+// ==================== STREAK ENDPOINTS ====================
+
+/**
+ * GET /api/students/:id/streak
+ * Get a student's streak in IST days, with streak freezes held and used
+ */
+app.get('/api/students/:id/streak', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const streak = await getStudentStreak(req.params.id, models);
+        res.json({ studentId: req.params.id, ...streak });
+    } catch (error) {
+        console.error('Error fetching streak:', error);
+        res.status(500).json({ error: 'Failed to fetch streak', details: error.message });
+    }
+});
+
+/**
+ * POST /api/students/:id/streak/freezes
+ * Give a student a streak freeze (teachers and admins, up to the freeze limit)
+ */
+app.post('/api/students/:id/streak/freezes', requireRole('teacher', 'admin'), requireStudentAccess(req => req.params.id, { write: true }), async (req, res) => {
+    try {
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const held = (await models.Gamification.getStreakFreezes(req.params.id)).filter(f => !f.used_on).length;
+        if (held >= MAX_STREAK_FREEZES) {
+            return res.status(409).json({ error: `Student already holds ${MAX_STREAK_FREEZES} streak freezes` });
+        }
+
+        await models.Gamification.grantStreakFreeze(req.params.id, `granted:${req.user.id}:${Date.now()}`);
+        res.status(201).json({ success: true, freezesAvailable: held + 1 });
+    } catch (error) {
+        console.error('Error granting streak freeze:', error);
+        res.status(500).json({ error: 'Failed to grant streak freeze', details: error.message });
+    }
+});
+
+/**
+ * GET /api/schools/:id/holidays
+ * Get a school's holiday calendar (?from=&to= as YYYY-MM-DD)
+ */
+app.get('/api/schools/:id/holidays', requireSchoolAccess(), async (req, res) => {
+    try {
+        const holidays = await models.School.getHolidays(req.params.id, { from: req.query.from, to: req.query.to });
+        res.json(holidays);
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({ error: 'Failed to fetch holidays', details: error.message });
+    }
+});
+
+/**
+ * POST /api/schools/:id/holidays
+ * Add holidays ({ date, name } or { holidays: [{ date, name }] }); streaks skip these days
+ */
+app.post('/api/schools/:id/holidays', requireSchoolAccess({ manage: true }), async (req, res) => {
+    try {
+        const holidays = Array.isArray(req.body.holidays) ? req.body.holidays : [req.body];
+        const invalid = holidays.find(h => !/^\d{4}-\d{2}-\d{2}$/.test(h?.date || '') || isNaN(Date.parse(h.date)));
+        if (holidays.length === 0 || invalid) {
+            return res.status(400).json({ error: 'Each holiday needs a date in YYYY-MM-DD format' });
+        }
+
+        const school = await models.School.getById(req.params.id);
+        if (!school) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const calendar = await models.School.addHolidays(req.params.id, holidays, req.user.id);
+        res.status(201).json(calendar);
+    } catch (error) {
+        console.error('Error adding holidays:', error);
+        res.status(500).json({ error: 'Failed to add holidays', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/schools/:id/holidays/:holidayId
+ * Remove a holiday
+ */
+app.delete('/api/schools/:id/holidays/:holidayId', requireSchoolAccess({ manage: true }), async (req, res) => {
+    try {
+        const result = await models.School.removeHoliday(req.params.id, req.params.holidayId);
+        if (!result.deleted) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing holiday:', error);
+        res.status(500).json({ error: 'Failed to remove holiday', details: error.message });
+    }
+});
+
+// ==================== QUEST ENDPOINTS ====================
+
+/**
+ * GET /api/students/:id/quests
+ * Get a student's current quests with progress (creates today's and this week's quests, pays no rewards)
+ */
+app.get('/api/students/:id/quests', requireStudentAccess(req => req.params.id), async (req, res) => {
+    try {
+        const student = await models.Student.getById(req.params.id);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const quests = await getStudentQuests(req.params.id, models);
+        res.json(quests);
+    } catch (error) {
+        console.error('Error fetching quests:', error);
+        res.status(500).json({ error: 'Failed to fetch quests', details: error.message });
+    }
+});
+
+/**
+ * GET /api/quests
+ * List special quests (teachers see their own, admins their school's; ?classId= for one class)
+ */
+app.get('/api/quests', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        await models.Quest.retireExpired();
+        const quests = await models.Quest.find({
+            classId: req.query.classId,
+            status: req.query.status,
+            createdBy: teacherScope(req.user),
+            schoolId: schoolScope(req.user),
+        });
+        res.json(quests);
+    } catch (error) {
+        console.error('Error listing quests:', error);
+        res.status(500).json({ error: 'Failed to list quests', details: error.message });
+    }
+});
+
+/**
+ * POST /api/quests
+ * Create a special quest for a class or a list of students
+ */
+app.post('/api/quests', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const { name, description, metric = 'activities', subject, classId, studentIds = [] } = req.body;
+        const target = parseInt(req.body.target);
+        const rewardPoints = parseInt(req.body.rewardPoints ?? 50);
+        const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+
+        if (!name) {
+            return res.status(400).json({ error: 'Missing required field: name' });
+        }
+        if (!QUEST_METRICS.includes(metric)) {
+            return res.status(400).json({ error: `metric must be one of: ${QUEST_METRICS.join(', ')}` });
+        }
+        if (!(target > 0)) {
+            return res.status(400).json({ error: 'target must be a positive number' });
+        }
+        if (!(rewardPoints >= 0 && rewardPoints <= 500)) {
+            return res.status(400).json({ error: 'rewardPoints must be between 0 and 500' });
+        }
+        if (expiresAt && !(expiresAt > new Date())) {
+            return res.status(400).json({ error: 'expiresAt must be a future date' });
+        }
+        if (!classId && (!Array.isArray(studentIds) || studentIds.length === 0)) {
+            return res.status(400).json({ error: 'Missing required field: classId or studentIds' });
+        }
+
+        let schoolId = schoolScope(req.user);
+        let assignees = studentIds;
+
+        if (classId) {
+            const cls = await models.Class.getById(classId);
+            if (!cls) {
+                return res.status(404).json({ error: 'Class not found' });
+            }
+            const allowed = isAdmin(req.user)
+                ? inSchoolScope(req.user, cls.school_id)
+                : await models.Class.isTeacherOf(req.user.id, classId);
+            if (!allowed) {
+                return res.status(403).json({ error: 'Forbidden', details: 'No access to this class' });
+            }
+            schoolId = cls.school_id;
+            assignees = (await models.Class.getStudents(classId)).map(s => s.id);
+        } else {
+            for (const studentId of studentIds) {
+                const error = await checkQuestStudent(req.user, studentId);
+                if (error) return res.status(error.status).json(error.body);
+            }
+        }
+
+        const quest = await models.Quest.create({
+            ...createQuest('special', {
+                name,
+                description,
+                metric,
+                subject,
+                target,
+                reward: { points: rewardPoints },
+                expiresAt,
+            }),
+            classId,
+            schoolId,
+            studentIds: assignees,
+            createdBy: req.user.id,
+        });
+
+        res.status(201).json(quest);
+    } catch (error) {
+        console.error('Error creating quest:', error);
+        res.status(500).json({ error: 'Failed to create quest', details: error.message });
+    }
+});
+
+/**
+ * GET /api/quests/:id
+ * Get a special quest with how many students finished it
+ */
+app.get('/api/quests/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const quest = await models.Quest.getById(req.params.id);
+        if (!quest || !canManageQuest(req.user, quest)) {
+            return res.status(404).json({ error: 'Quest not found' });
+        }
+        res.json(quest);
+    } catch (error) {
+        console.error('Error fetching quest:', error);
+        res.status(500).json({ error: 'Failed to fetch quest', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/quests/:id
+ * Cancel a special quest (its creator or an admin)
+ */
+app.delete('/api/quests/:id', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const quest = await models.Quest.getById(req.params.id);
+        if (!quest || !canManageQuest(req.user, quest)) {
+            return res.status(404).json({ error: 'Quest not found' });
+        }
+
+        const result = await models.Quest.cancel(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error cancelling quest:', error);
+        res.status(500).json({ error: 'Failed to cancel quest', details: error.message });
+    }
+});
+
+// Special quests are managed by whoever set them, or an admin of their school
+function canManageQuest(user, quest) {
+    if (quest.type !== 'special') return false;
+    return quest.created_by === user.id || (isAdmin(user) && inSchoolScope(user, quest.school_id));
+}
+
+/**
+ * Check a student can be given a quest by this user
+ * (teachers: students in their classes; admins: students in their school)
+ * @returns {Promise<Object|null>} - { status, body } to reply with, or null if allowed
+ */
+async function checkQuestStudent(user, studentId) {
+    const student = await models.Student.getById(studentId);
+    if (!student) {
+        return { status: 404, body: { error: `Student not found: ${studentId}` } };
+    }
+
+    const allowed = isAdmin(user)
+        ? inSchoolScope(user, student.school_id)
+        : (await models.Class.find({ teacherId: user.id, studentId })).length > 0;
+    return allowed ? null : { status: 403, body: { error: 'Forbidden', details: `No access to student ${studentId}` } };
+}
+
+// ==================== LEADERBOARD ENDPOINTS ====================
+
+/**
+ * GET /api/classes/:id/leaderboard
+ * Class leaderboard (?period=daily|weekly|monthly|alltime&metric=points|streak|accuracy)
+ */
+app.get('/api/classes/:id/leaderboard', requireClassAccess(), async (req, res) => {
+    try {
+        const options = parseLeaderboardQuery(req, res);
+        if (!options) return;
+
+        const cls = await models.Class.getById(req.params.id);
+        if (!cls) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+        if (cls.leaderboard_mode === 'off') {
+            return res.json({ enabled: false, classId: cls.id, className: cls.name, entries: [] });
+        }
+
+        const students = (await models.Class.getStudents(cls.id))
+            .map(s => ({ id: s.id, name: s.name, leaderboardMode: cls.leaderboard_mode }));
+        const board = await buildLeaderboard(students, options, models);
+
+        res.json({ enabled: true, classId: cls.id, className: cls.name, mode: cls.leaderboard_mode, ...board });
+    } catch (error) {
+        console.error('Error building class leaderboard:', error);
+        res.status(500).json({ error: 'Failed to build leaderboard', details: error.message });
+    }
+});
+
+/**
+ * GET /api/schools/:id/leaderboard
+ * School leaderboard, or a section's with ?grade=&section=
+ * Each student appears under their classes' most private setting.
+ */
+app.get('/api/schools/:id/leaderboard', async (req, res) => {
+    try {
+        const options = parseLeaderboardQuery(req, res);
+        if (!options) return;
+
+        if (!(await canViewSchoolLeaderboard(req.user, req.params.id))) {
+            return res.status(403).json({ error: 'Forbidden', details: 'No access to this school' });
+        }
+
+        const grade = req.query.grade ? parseInt(req.query.grade) : null;
+        const section = req.query.section || null;
+        const students = await models.Student.find({ schoolId: req.params.id, grade, section });
+        const modes = await models.Class.getLeaderboardModes(students.map(s => s.id));
+
+        const board = await buildLeaderboard(
+            students.map(s => ({ id: s.id, name: s.name, leaderboardMode: modes[s.id] || 'first_name' })),
+            options,
+            models
+        );
+
+        res.json({ schoolId: req.params.id, grade, section, ...board });
+    } catch (error) {
+        console.error('Error building school leaderboard:', error);
+        res.status(500).json({ error: 'Failed to build leaderboard', details: error.message });
+    }
+});
+
+/**
+ * Read and validate ?period= and ?metric= (replies 400 and returns null if invalid)
+ */
+function parseLeaderboardQuery(req, res) {
+    const { period = 'weekly', metric = 'points' } = req.query;
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        res.status(400).json({ error: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` });
+        return null;
+    }
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+        res.status(400).json({ error: `metric must be one of: ${LEADERBOARD_METRICS.join(', ')}` });
+        return null;
+    }
+    return { period, metric, viewer: req.user };
+}
+
+/**
+ * Teachers and admins see their school's boards; students and parents the school they belong to
+ */
+async function canViewSchoolLeaderboard(user, schoolId) {
+    if (isAdmin(user) || user.role === 'teacher') {
+        return inSchoolScope(user, schoolId);
+    }
+
+    const studentIds = user.role === 'parent' ? user.studentIds || [] : [user.id];
+    for (const studentId of studentIds) {
+        const student = await models.Student.getById(studentId);
+        if (student?.school_id === schoolId) return true;
+    }
+    return false;
+}
+
+// ==================== ERROR HANDLING ====================
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+    console.error('Global error handler:', err);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    });
+});
+
+/**
+ * Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD
+ */
+async function bootstrapAdmin() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD || (await models.User.count('admin')) > 0) return;
+
+    const admin = await models.User.create({
+        email: ADMIN_EMAIL,
+        password: ADMIN_PASSWORD,
+        role: 'admin',
+        name: process.env.ADMIN_NAME || 'Administrator',
+    });
+    console.log(`🔐 Created admin account: ${admin.email}`);
+}
+
+bootstrapAdmin().catch(error => console.error('Error creating admin account:', error));
+seedAchievements(models).catch(error => console.error('Error seeding achievements:', error));
+seedCurriculum(models).catch(error => console.error('Error seeding curriculum:', error));
+
+if (AUTH_DISABLED) {
+    console.warn('⚠️ DISABLE_AUTH=true - every API request runs as an admin');
+}
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 AI Tutoring System server running on port ${PORT}`);
@@ -12,7 +12,9 @@ const options = {
     method: 'POST',
     headers: {
         'Content-Type': 'application/json',
-        'Content-Length': data.length
+        'Content-Length': data.length,
+        // Token from POST /api/auth/login (not needed with DISABLE_AUTH=true)
+        ...(process.env.AUTH_TOKEN && { Authorization: `Bearer ${process.env.AUTH_TOKEN}` })
     }
 };
 
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { LocalProvider } from '../../providers/local-provider.js';
+
+// The coordinator reaches the database and the specialists at import, so both are replaced
+const messages = [];
+jest.unstable_mockModule('../../db/models.js', () => ({
+    getModels: () => ({
+        Conversation: {
+            getActiveMessages: async () => messages,
+            getSummaries: async () => [],
+            addMessage: async (studentId, message) => { messages.push(message); },
+            addSummary: async () => null,
+        },
+    }),
+}));
+jest.unstable_mockModule('../../providers/index.js', () => ({ getProvider: () => new LocalProvider() }));
+
+const literacy = { teach: jest.fn(async () => ({ success: true, response: 'Let us read.' })) };
+const numeracy = { teach: jest.fn(async () => ({ success: true, response: 'Let us count.' })) };
+const assessment = {
+    generateAssessment: jest.fn(async ({ subject }) => ({
+        success: true,
+        subject,
+        questionCount: 1,
+        questions: [{ question: '1/2 + 1/2?', correctAnswer: '1' }],
+    })),
+};
+jest.unstable_mockModule('../../agents/literacy-tutor-agent.js', () => ({ default: literacy }));
+jest.unstable_mockModule('../../agents/numeracy-tutor-agent.js', () => ({ default: numeracy }));
+jest.unstable_mockModule('../../agents/assessment-agent.js', () => ({ default: assessment }));
+
+const { coordinatorAgent } = await import('../../agents/coordinator-agent.js');
+
+describe('CoordinatorAgent.processQuery', () => {
+    beforeEach(() => {
+        messages.length = 0;
+        jest.clearAllMocks();
+    });
+
+    test('teaches and quizzes a subject quiz with both agents and merges their replies', async () => {
+        const reply = await coordinatorAgent.processQuery('Give me a fraction quiz', 'student_1');
+
+        expect(reply.agentsUsed).toEqual(['numeracy', 'assessment']);
+        expect(reply.agentUsed).toBe('numeracy');
+        expect(numeracy.teach).toHaveBeenCalledTimes(1);
+        expect(assessment.generateAssessment).toHaveBeenCalledWith(expect.objectContaining({ subject: 'numeracy' }));
+        expect(literacy.teach).not.toHaveBeenCalled();
+        expect(reply.response).toBe(`Let us count.\n\nI've prepared a 1-question numeracy quiz for you. Let's begin!`);
+        expect(reply.assessment.questions).toHaveLength(1);
+    });
+
+    test('answers itself when no specialist applies', async () => {
+        const reply = await coordinatorAgent.processQuery('hello', 'student_1');
+
+        expect(reply.agentsUsed).toEqual(['coordinator']);
+        expect(numeracy.teach).not.toHaveBeenCalled();
+        expect(assessment.generateAssessment).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,252 @@
+import {
+    calculateStreak,
+    planStreakFreezes,
+    getStudentStreak,
+    updateStreakFreezes,
+    toIstDay,
+    creditedPoints,
+    SELF_REPORTED_DAILY_POINTS,
+    getPeriodStart,
+    generateLeaderboard,
+    buildLeaderboard,
+    getPseudonym,
+    getStudentQuests,
+    updateQuestProgress,
+} from '../../features/gamification.js';
+
+const days = list => list.map(day => ({ day }));
+
+// In-memory stand-in for the models the streak helpers use
+function fakeDb({ activityDays = [], freezes = [] } = {}) {
+    const state = { activityDays, freezes: freezes.map((f, i) => ({ id: i + 1, used_on: null, ...f })) };
+    return {
+        state,
+        Student: { getById: async () => ({ id: 's1', school_id: null }) },
+        School: { getHolidays: async () => [] },
+        Gamification: {
+            getActivityDays: async () => state.activityDays,
+            getStreakFreezes: async () => state.freezes.map(f => ({ ...f })),
+            grantStreakFreeze: async (studentId, source) => {
+                if (state.freezes.some(f => f.source === source)) return false;
+                state.freezes.push({ id: state.freezes.length + 1, source, earned_at: '2026-03-14 10:00:00', used_on: null });
+                return true;
+            },
+            useStreakFreezes: async (studentId, list) => {
+                let used = 0;
+                for (const day of list) {
+                    const freeze = state.freezes
+                        .filter(f => !f.used_on)
+                        .sort((a, b) => a.earned_at.localeCompare(b.earned_at) || a.id - b.id)[0];
+                    if (freeze) { freeze.used_on = day; used++; }
+                }
+                return { used };
+            },
+        },
+    };
+}
+
+describe('toIstDay', () => {
+    test('moves late-evening UTC times to the next Indian day', () => {
+        expect(toIstDay('2026-03-01 19:00:00')).toBe('2026-03-02');
+        expect(toIstDay('2026-03-01 18:00:00')).toBe('2026-03-01');
+    });
+});
+
+describe('calculateStreak', () => {
+    test('counts consecutive days up to yesterday when today has no activity yet', () => {
+        const streak = calculateStreak(days(['2026-03-10', '2026-03-11', '2026-03-12']), { today: '2026-03-13' });
+        expect(streak).toMatchObject({ currentStreak: 3, longestStreak: 3, todayActive: false, streakStart: '2026-03-10' });
+    });
+
+    test('a missed day breaks the streak unless it is a holiday or frozen', () => {
+        const active = days(['2026-03-09', '2026-03-11', '2026-03-12']);
+        expect(calculateStreak(active, { today: '2026-03-12' }).currentStreak).toBe(2);
+        expect(calculateStreak(active, { today: '2026-03-12', holidays: ['2026-03-10'] }).currentStreak).toBe(3);
+        expect(calculateStreak(active, { today: '2026-03-12', frozenDays: ['2026-03-10'] }).currentStreak).toBe(3);
+    });
+
+    test('national holidays do not break a streak', () => {
+        const streak = calculateStreak(days(['2026-01-25', '2026-01-27']), { today: '2026-01-27' });
+        expect(streak.currentStreak).toBe(2);
+    });
+});
+
+describe('planStreakFreezes', () => {
+    const freeze = earned_at => ({ earned_at });
+
+    test('covers the gap since the last active day with freezes held before it', () => {
+        const active = ['2026-03-08', '2026-03-11'];
+        const planned = planStreakFreezes(active, [freeze('2026-03-01 10:00:00'), freeze('2026-03-02 10:00:00')], { today: '2026-03-11' });
+        expect(planned).toEqual(['2026-03-09', '2026-03-10']);
+    });
+
+    test('does not use a freeze earned after the missed day', () => {
+        const active = ['2026-03-08', '2026-03-10'];
+        expect(planStreakFreezes(active, [freeze('2026-03-09 10:00:00')], { today: '2026-03-10' })).toEqual([]);
+    });
+
+    test('leaves older gaps and gaps too long to bridge alone', () => {
+        const freezes = [freeze('2026-01-01 10:00:00')];
+        // Missed 03-02 long ago, then active every day since
+        expect(planStreakFreezes(['2026-03-01', '2026-03-03', '2026-03-04'], freezes, { today: '2026-03-04' })).toEqual([]);
+        // Two missed days, one freeze
+        expect(planStreakFreezes(['2026-03-01', '2026-03-04'], freezes, { today: '2026-03-04' })).toEqual([]);
+    });
+
+    test('waits until the student is active today', () => {
+        expect(planStreakFreezes(['2026-03-08'], [freeze('2026-03-01 10:00:00')], { today: '2026-03-10' })).toEqual([]);
+    });
+});
+
+describe('getStudentStreak', () => {
+    test('reading the streak never spends or earns freezes', async () => {
+        const db = fakeDb({
+            activityDays: ['2026-03-01', '2026-03-02', '2026-03-04'],
+            freezes: [{ source: 'granted:t1', earned_at: '2026-02-01 10:00:00' }],
+        });
+        db.Gamification.useStreakFreezes = async () => { throw new Error('spent on read'); };
+        db.Gamification.grantStreakFreeze = async () => { throw new Error('granted on read'); };
+
+        const streak = await getStudentStreak('s1', db);
+        expect(streak.freezesAvailable).toBe(1);
+        expect(streak.frozenDays).toEqual([]);
+    });
+});
+
+describe('updateStreakFreezes', () => {
+    const week = ['2026-03-08', '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14'];
+
+    test('earns one freeze for a milestone however often activity is recorded', async () => {
+        const db = fakeDb({ activityDays: week });
+        expect(await updateStreakFreezes('s1', db, '2026-03-14')).toEqual({ frozen: [], earned: true });
+        expect(await updateStreakFreezes('s1', db, '2026-03-14')).toEqual({ frozen: [], earned: false });
+        expect(db.state.freezes.map(f => f.source)).toEqual(['streak:2026-03-14']);
+    });
+
+    test('spends a freeze once on the missed day and keeps the streak', async () => {
+        const db = fakeDb({
+            activityDays: ['2026-03-15', '2026-03-17'],
+            freezes: [{ source: 'streak:2026-03-14', earned_at: '2026-03-14 10:00:00' }],
+        });
+        expect((await updateStreakFreezes('s1', db, '2026-03-17')).frozen).toEqual(['2026-03-16']);
+        expect((await updateStreakFreezes('s1', db, '2026-03-17')).frozen).toEqual([]);
+
+        const streak = await getStudentStreak('s1', db);
+        expect(streak).toMatchObject({ freezesAvailable: 0, frozenDays: ['2026-03-16'] });
+    });
+});
+
+describe('leaderboards', () => {
+    const day = (day, points, extra = {}) => ({ day, points, correct: 0, total: 0, active: 1, ...extra });
+    const students = [
+        { id: 's1', name: 'Asha Verma', leaderboardMode: 'name', days: [day('2026-03-01', 40), day('2026-03-02', 10)] },
+        { id: 's2', name: 'Ravi Kumar', leaderboardMode: 'pseudonym', days: [day('2026-03-05', 60, { correct: 9, total: 10 })] },
+        { id: 's3', name: 'Meera Das', leaderboardMode: 'off', days: [day('2026-03-05', 100)] },
+    ];
+
+    test('starts periods at IST midnight', () => {
+        const now = new Date('2026-03-10T20:00:00Z'); // 01:30 on 11 March in IST
+        expect(getPeriodStart('daily', now).toISOString()).toBe('2026-03-10T18:30:00.000Z');
+        expect(getPeriodStart('weekly', now).toISOString()).toBe('2026-03-04T18:30:00.000Z');
+        expect(getPeriodStart('alltime', now).getTime()).toBe(0);
+    });
+
+    test('ranks by the chosen metric', () => {
+        const byPoints = generateLeaderboard(students, 'alltime', 'points');
+        expect(byPoints.map(e => [e.studentId, e.value, e.rank])).toEqual([['s3', 100, 1], ['s2', 60, 2], ['s1', 50, 3]]);
+        expect(byPoints[0].badge).toBe('🥇');
+        expect(generateLeaderboard(students, 'alltime', 'streak')[0]).toMatchObject({ studentId: 's1', value: 2 });
+        expect(generateLeaderboard(students, 'alltime', 'accuracy')[0]).toMatchObject({ studentId: 's2', value: 90 });
+    });
+
+    test('streaks skip holidays and frozen days like the student\'s own streak', async () => {
+        const gappy = [{ id: 's4', name: 'Kiran Rao', leaderboardMode: 'name', days: [
+            day('2026-03-09', 10), day('2026-03-11', 10), day('2026-03-13', 10),
+        ] }];
+        expect(generateLeaderboard(gappy, 'alltime', 'streak')[0].value).toBe(1);
+        expect(generateLeaderboard([{ ...gappy[0], holidays: ['2026-03-10'] }], 'alltime', 'streak')[0].value).toBe(2);
+
+        const db = {
+            Student: { getById: async () => ({ id: 's4', school_id: 'school1' }) },
+            School: { getHolidays: async () => [{ date: '2026-03-10' }] },
+            Gamification: {
+                getDailyTotals: async () => gappy[0].days.map(d => ({ student_id: 's4', ...d })),
+                getStreakFreezes: async () => [{ used_on: '2026-03-12' }, { used_on: null }],
+            },
+        };
+        const board = await buildLeaderboard(gappy, { period: 'alltime', metric: 'streak' }, db);
+        expect(board.entries[0].value).toBe(3);
+    });
+
+    test('hides opted-out students, shows first names or nicknames and marks the viewer', async () => {
+        const db = {
+            Gamification: {
+                getDailyTotals: async () => students.flatMap(s => s.days.map(d => ({ student_id: s.id, ...d }))),
+            },
+        };
+        const board = await buildLeaderboard(students, { period: 'alltime', viewer: { id: 's1', role: 'student' } }, db);
+
+        expect(board.entries.map(e => e.name)).toEqual([getPseudonym('s2'), 'Asha']);
+        expect(board.entries.some(e => 'studentId' in e)).toBe(false);
+        expect(board.you).toMatchObject({ name: 'Asha', rank: 2, isYou: true });
+    });
+});
+
+describe('creditedPoints', () => {
+    const perfect = { type: 'exercise', correct: 100, total: 100 };
+
+    test('credits server-graded events in full', () => {
+        expect(creditedPoints(perfect)).toBe(115);
+    });
+
+    test('caps self-reported activities at the daily allowance', () => {
+        const reported = { type: 'exercise', selfReported: true };
+        expect(creditedPoints(reported, 0)).toBe(5);
+        expect(creditedPoints({ type: 'reading', words: 5000, selfReported: true }, 0)).toBe(SELF_REPORTED_DAILY_POINTS);
+        expect(creditedPoints(reported, SELF_REPORTED_DAILY_POINTS - 2)).toBe(2);
+        expect(creditedPoints(reported, SELF_REPORTED_DAILY_POINTS)).toBe(0);
+    });
+});
+
+describe('quests', () => {
+    // One daily quest whose target the student's events already meet
+    function questDb() {
+        const state = { status: 'active', progress: 0, points: [] };
+        return {
+            state,
+            Quest: {
+                retireExpired: async () => ({ retired: 0 }),
+                getCurrent: async () => ({ id: 'q1' }),
+                create: async () => null,
+                assignClassQuests: async () => null,
+                getForStudent: async () => [{
+                    id: 'q1', name: 'Daily Challenge', target: 3, reward_points: 20,
+                    progress: state.progress, progress_status: state.status,
+                }],
+                measure: async () => 4,
+                setProgress: async (questId, studentId, progress) => { state.progress = progress; },
+                complete: async () => {
+                    if (state.status !== 'active') return false;
+                    state.status = 'completed';
+                    return true;
+                },
+            },
+            Gamification: { addPoints: async (studentId, points) => { state.points.push(points); } },
+        };
+    }
+
+    test('reading quests shows progress without completing them or paying rewards', async () => {
+        const db = questDb();
+        const [quest] = await getStudentQuests('s1', db);
+
+        expect(quest).toMatchObject({ progress: 3, progress_status: 'active' });
+        expect(db.state).toMatchObject({ status: 'active', points: [] });
+    });
+
+    test('recorded progress completes a quest and pays its reward once', async () => {
+        const db = questDb();
+        expect((await updateQuestProgress('s1', db)).map(q => q.id)).toEqual(['q1']);
+        expect(await updateQuestProgress('s1', db)).toEqual([]);
+        expect(db.state.points).toEqual([20]);
+    });
+});
@@ -0,0 +1,103 @@
+import {
+    scheduleReview,
+    qualityFromAccuracy,
+    reviewItemKey,
+    recordReviewResults,
+    mixInDueReviews,
+} from '../../features/spaced-repetition.js';
+
+// In-memory stand-in for the Review model
+function fakeDb(due = []) {
+    const cards = {};
+    return {
+        cards,
+        Review: {
+            get: async (studentId, itemKey) => cards[itemKey] || null,
+            save: async (studentId, card) => {
+                cards[card.itemKey] = {
+                    ...card,
+                    item_key: card.itemKey,
+                    interval_days: card.intervalDays,
+                };
+                return cards[card.itemKey];
+            },
+            getDue: async (studentId, { limit }) => due.slice(0, limit),
+        },
+    };
+}
+
+const question = text => ({ question: text, options: ['1', '2'], correctAnswer: '1' });
+
+describe('scheduleReview', () => {
+    test('follows the SM-2 intervals of 1, 6 and then interval times easiness', () => {
+        const first = scheduleReview({}, 5, '2026-03-01');
+        expect(first).toMatchObject({ intervalDays: 1, repetitions: 1, easiness: 2.6, dueOn: '2026-03-02' });
+        const second = scheduleReview(first, 5, '2026-03-02');
+        expect(second).toMatchObject({ intervalDays: 6, repetitions: 2, dueOn: '2026-03-08' });
+        expect(scheduleReview(second, 4, '2026-03-08')).toMatchObject({ intervalDays: 16, repetitions: 3 });
+    });
+
+    test('starts again tomorrow after a lapse and keeps easiness above its floor', () => {
+        const card = { easiness: 1.35, intervalDays: 20, repetitions: 4, lapses: 0 };
+        expect(scheduleReview(card, 1, '2026-03-01')).toEqual({
+            easiness: 1.3,
+            intervalDays: 1,
+            repetitions: 0,
+            lapses: 1,
+            lastQuality: 1,
+            dueOn: '2026-03-02',
+        });
+    });
+});
+
+describe('qualityFromAccuracy', () => {
+    test('maps accuracy to SM-2 quality', () => {
+        expect(qualityFromAccuracy(10, 10)).toBe(5);
+        expect(qualityFromAccuracy(6, 10)).toBe(3);
+        expect(qualityFromAccuracy(1, 10)).toBe(1);
+        expect(qualityFromAccuracy(0, 10)).toBe(0);
+        expect(qualityFromAccuracy(0, 0)).toBe(0);
+    });
+});
+
+describe('reviewItemKey', () => {
+    test('gives the same key to the same wording', () => {
+        expect(reviewItemKey(question('What is  2 + 2?'))).toBe(reviewItemKey('what is 2 + 2?'));
+        expect(reviewItemKey(question('What is 2 + 3?'))).not.toBe(reviewItemKey(question('What is 2 + 2?')));
+    });
+});
+
+describe('recordReviewResults', () => {
+    test('schedules the topic and each answered question', async () => {
+        const db = fakeDb();
+        const updated = await recordReviewResults('s1', {
+            subject: 'numeracy',
+            topic: 'Addition',
+            correct: 1,
+            total: 2,
+            items: [{ question: question('2 + 2'), isCorrect: true }, { question: question('3 + 5'), isCorrect: false }],
+        }, db);
+
+        expect(updated.map(card => card.kind)).toEqual(['topic', 'item', 'item']);
+        expect(db.cards['topic:numeracy:addition']).toMatchObject({ quality: 2, lapses: 1 });
+        expect(db.cards[reviewItemKey('3 + 5')]).toMatchObject({ topic: 'Addition', lapses: 1, intervalDays: 1 });
+    });
+});
+
+describe('mixInDueReviews', () => {
+    const quiz = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(question);
+
+    test('replaces up to 30% of the quiz with due questions it does not already contain', async () => {
+        const due = [quiz[0], question('old 1'), question('old 2'), question('old 3')]
+            .map(item => ({ item, item_key: reviewItemKey(item) }));
+        const { questions, reviewCount } = await mixInDueReviews(quiz, 's1', { subject: 'numeracy' }, fakeDb(due));
+
+        expect(reviewCount).toBe(2);
+        expect(questions).toHaveLength(quiz.length);
+        expect(questions.filter(q => q.review).map(q => q.question)).toEqual(['old 1', 'old 2']);
+    });
+
+    test('leaves the quiz alone without a student', async () => {
+        expect(await mixInDueReviews(quiz, null, {}, fakeDb())).toEqual({ questions: quiz, reviewCount: 0 });
+    });
+});
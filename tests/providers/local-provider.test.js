@@ -0,0 +1,63 @@
+import { LocalProvider } from '../../providers/local-provider.js';
+
+const provider = new LocalProvider();
+
+describe('LocalProvider.solve', () => {
+    test('multiplies and divides before adding and subtracting', () => {
+        const result = provider.solve({ problem: '2 + 3 * 4' });
+        expect(result.answer).toBe('14');
+        expect(result.steps.map(s => s.calculation)).toEqual(['3 × 4 = 12', '2 + 12 = 14']);
+    });
+
+    test('reads operator words and thousands separators', () => {
+        expect(provider.solve({ problem: '1,200 divided by 4 minus 50' }).answer).toBe('250');
+        expect(provider.solve({ problem: '12 times 3 plus 4' }).answer).toBe('40');
+    });
+
+    test('gives no answer for text that is not arithmetic', () => {
+        const result = provider.solve({ problem: 'What is a noun?' });
+        expect(result.answer).toBeNull();
+        expect(result.steps).toHaveLength(1);
+    });
+});
+
+describe('LocalProvider.complete', () => {
+    test('returns the same response for the same request', async () => {
+        const options = { task: 'quiz', data: { topic: 'addition', difficulty: 'easy', count: 3 } };
+        const first = await provider.complete('addition quiz', options);
+        expect(await provider.complete('addition quiz', options)).toBe(first);
+        expect(JSON.parse(first)).toHaveLength(3);
+    });
+});
+
+describe('LocalProvider word problems', () => {
+    test('declines word problems instead of combining their numbers', () => {
+        expect(provider.solve({ problem: 'Ravi had 10 apples and ate 3. How many are left?' }).answer).toBeNull();
+        expect(provider.solve({ problem: '12 and 15' }).answer).toBeNull();
+        expect(provider.solve({ problem: 'Explain 3 x 4' }).answer).toBeNull();
+    });
+
+    test('still reads expressions with a question around them', () => {
+        expect(provider.solve({ problem: 'What is 3 x 4?' }).answer).toBe('12');
+        expect(provider.solve({ problem: 'Calculate 100 minus 45' }).answer).toBe('55');
+    });
+});
+
+describe('LocalProvider.route', () => {
+    test('sends a subject quiz to the subject agent and the assessment agent', () => {
+        expect(provider.route('Give me a fraction quiz')).toMatchObject({
+            primaryAgent: 'numeracy',
+            secondaryAgents: ['assessment'],
+            intent: 'assess',
+        });
+    });
+
+    test('keeps every subject that matches and learns when no quiz is asked for', () => {
+        expect(provider.route('Read a story about how to count')).toMatchObject({
+            primaryAgent: 'literacy',
+            secondaryAgents: ['numeracy'],
+            intent: 'learn',
+        });
+        expect(provider.route('hello')).toMatchObject({ primaryAgent: 'general', secondaryAgents: [], intent: 'help' });
+    });
+});
@@ -0,0 +1,48 @@
+import { getTopicFrontier } from '../../utils/adaptive-learning.js';
+
+const graph = {
+    counting: { subject: 'numeracy', grades: [1, 1], importance: 9, prerequisites: [] },
+    'place-value': { subject: 'numeracy', grades: [1, 2], importance: 9, prerequisites: ['counting'] },
+    addition: { subject: 'numeracy', grades: [1, 2], importance: 10, prerequisites: ['place-value'] },
+    shapes: { subject: 'numeracy', grades: [1, 1], importance: 6, prerequisites: [] },
+    multiplication: { subject: 'numeracy', grades: [3, 4], importance: 10, prerequisites: ['addition'] },
+    fractions: { subject: 'numeracy', grades: [4, 5], importance: 9, prerequisites: ['multiplication'] },
+    decimals: { subject: 'numeracy', grades: [5, 6], importance: 8, prerequisites: ['fractions'] },
+    reading: { subject: 'literacy', grades: [1, 2], importance: 10, prerequisites: [] },
+};
+
+const attempts = (correct, total = 10, count = 3) => ({
+    attempts: Array.from({ length: count }, () => ({ correct, total, timestamp: '2026-03-01T10:00:00Z' })),
+});
+
+const topics = frontier => frontier.map(t => t.topic);
+
+describe('getTopicFrontier', () => {
+    test('starts with topics that have no prerequisites', () => {
+        expect(topics(getTopicFrontier({}, graph))).toEqual(['reading', 'counting', 'shapes']);
+    });
+
+    test('treats the prerequisites of a mastered topic as met even if never assessed', () => {
+        const frontier = topics(getTopicFrontier({ multiplication: attempts(10) }, graph));
+        expect(frontier).toContain('fractions');
+        expect(frontier).not.toContain('counting');
+        expect(frontier).not.toContain('addition');
+        expect(frontier).not.toContain('multiplication');
+    });
+
+    test('ranks topics near the student\'s grade before lower-grade ones', () => {
+        const frontier = topics(getTopicFrontier({ multiplication: attempts(10) }, graph, { grade: 5, subject: 'numeracy' }));
+        expect(frontier).toEqual(['fractions', 'shapes']);
+    });
+
+    test('skips topics first taught above the student\'s grade', () => {
+        const progress = { fractions: attempts(10) };
+        expect(topics(getTopicFrontier(progress, graph, { grade: 4, subject: 'numeracy' }))).toEqual(['shapes']);
+    });
+
+    test('puts topics in progress first', () => {
+        const frontier = getTopicFrontier({ shapes: attempts(5) }, graph, { grade: 1 });
+        expect(frontier[0]).toMatchObject({ topic: 'shapes', status: expect.any(String) });
+        expect(frontier[0].currentMastery).toBeGreaterThan(20);
+    });
+});
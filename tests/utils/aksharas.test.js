@@ -0,0 +1,59 @@
+import {
+    segmentAksharas,
+    compareAksharas,
+    describeAksharaMistakes,
+} from '../../utils/aksharas.js';
+
+describe('segmentAksharas', () => {
+    test('keeps conjuncts and vowel signs with their consonant', () => {
+        expect(segmentAksharas('स्कूल')).toEqual(['स्कू', 'ल']);
+        expect(segmentAksharas('क्षमा')).toEqual(['क्ष', 'मा']);
+    });
+
+    test('splits Tamil at the pulli and Latin text into letters', () => {
+        expect(segmentAksharas('தமிழ்')).toEqual(['த', 'மி', 'ழ்']);
+        expect(segmentAksharas('Cat!')).toEqual(['c', 'a', 't']);
+    });
+});
+
+describe('compareAksharas', () => {
+    test('matches identical words', () => {
+        expect(compareAksharas('घर', 'घर')).toMatchObject({ similarity: 1, distance: 0, mistakes: [] });
+    });
+
+    test('charges less for a wrong matra, mark or nukta than for a wrong letter', () => {
+        expect(compareAksharas('किताब', 'कीताब')).toMatchObject({
+            distance: 0.5,
+            mistakes: [{ position: 1, expected: 'कि', given: 'की', type: 'vowel-sign' }],
+        });
+        expect(compareAksharas('हंस', 'हस').mistakes[0].type).toBe('sign');
+        expect(compareAksharas('ज़रा', 'जरा').mistakes[0].type).toBe('nukta');
+        expect(compareAksharas('घर', 'घट')).toMatchObject({ distance: 1, mistakes: [{ type: 'letter' }] });
+    });
+
+    test('reads a conjunct written as two aksharas as one conjunct mistake', () => {
+        expect(compareAksharas('स्कूल', 'सकूल')).toMatchObject({
+            distance: 0.5,
+            mistakes: [{ position: 1, expected: 'स्कू', given: 'सकू', type: 'conjunct' }],
+        });
+    });
+
+    test('reports missing and extra aksharas', () => {
+        expect(compareAksharas('कमल', 'कल').mistakes).toEqual([{ position: 2, expected: 'म', given: null, type: 'missing' }]);
+        expect(compareAksharas('कल', 'कमल').mistakes).toEqual([{ position: 2, expected: null, given: 'म', type: 'extra' }]);
+    });
+});
+
+describe('describeAksharaMistakes', () => {
+    const { mistakes } = compareAksharas('किताब', 'कीताब');
+
+    test('names the syllable and the part that was wrong', () => {
+        expect(describeAksharaMistakes(mistakes, 'en')).toBe('Check syllable 1: "कि", not "की" (the vowel sign).');
+        expect(describeAksharaMistakes(mistakes, 'hi')).toBe('ध्यान दें: अक्षर 1: "कि", "की" नहीं (मात्रा देखें).');
+    });
+
+    test('says letter for Latin words and nothing when there are no mistakes', () => {
+        expect(describeAksharaMistakes(compareAksharas('cat', 'cot').mistakes)).toBe('Check letter 2: "a", not "o".');
+        expect(describeAksharaMistakes([])).toBe('');
+    });
+});
@@ -0,0 +1,94 @@
+import {
+    normalizeAnswer,
+    parseNumericAnswer,
+    chosenOption,
+    inferQuestionType,
+    gradeAnswer,
+} from '../../utils/answer-grading.js';
+
+describe('parseNumericAnswer', () => {
+    test('reads Indic digits, Indian grouping, fractions, currency and units', () => {
+        expect(parseNumericAnswer('१२')).toMatchObject({ value: 12 });
+        expect(parseNumericAnswer('1,00,000')).toMatchObject({ value: 100000 });
+        expect(parseNumericAnswer('1 1/2')).toMatchObject({ value: 1.5 });
+        expect(parseNumericAnswer('₹ 20')).toMatchObject({ value: 20, unit: 'rs' });
+        expect(parseNumericAnswer('25 cm')).toMatchObject({ value: 25, unit: 'cm' });
+    });
+
+    test('adds up mixed units in the smallest one', () => {
+        expect(parseNumericAnswer('1 hour 30 minutes')).toMatchObject({ value: 90, unit: 'min' });
+        expect(parseNumericAnswer('2 m and 50 cm')).toMatchObject({ value: 250, unit: 'cm' });
+        expect(parseNumericAnswer('1 घंटे 30 मिनट')).toMatchObject({ value: 90, unit: 'min' });
+        expect(parseNumericAnswer('1 kg 30 minutes')).toBeNull();
+    });
+
+    test('rejects expressions and zero denominators', () => {
+        expect(parseNumericAnswer('5 + 3')).toBeNull();
+        expect(parseNumericAnswer('3/0')).toBeNull();
+    });
+});
+
+describe('chosenOption', () => {
+    const words = { options: ['Kitaab', 'Paani', 'Suraj', 'Ghar'] };
+    const numbers = { options: ['10', '20', '30', '40'] };
+
+    test('reads option letters and numbers when the options are words', () => {
+        expect(chosenOption(words, 'b')).toBe('Paani');
+        expect(chosenOption(words, '(c)')).toBe('Suraj');
+        expect(chosenOption(words, '4')).toBe('Ghar');
+        expect(chosenOption(words, 'paani')).toBe('paani');
+    });
+
+    test('keeps a number as the answer when the options are numbers', () => {
+        expect(chosenOption(numbers, '3')).toBe('3');
+        expect(chosenOption(numbers, 'c')).toBe('30');
+    });
+});
+
+describe('gradeAnswer', () => {
+    test('multiple choice: a digit is not an option number among numeric options', () => {
+        const question = { type: 'multiple-choice', options: ['10', '20', '30', '40'], correctAnswer: '30' };
+        expect(gradeAnswer(question, '3').isCorrect).toBe(false);
+        expect(gradeAnswer(question, '30').isCorrect).toBe(true);
+        expect(gradeAnswer(question, 'c').isCorrect).toBe(true);
+    });
+
+    test('multiple choice: option number among word options', () => {
+        const question = { options: ['Kitaab', 'Paani', 'Suraj'], correctAnswer: 'Paani' };
+        expect(gradeAnswer(question, '2')).toMatchObject({ isCorrect: true, method: 'choice', type: 'multiple-choice' });
+    });
+
+    test('numeric answers convert units and accept rounded decimals', () => {
+        expect(gradeAnswer({ type: 'numeric', correctAnswer: '1.5 m' }, '150 cm').isCorrect).toBe(true);
+        expect(gradeAnswer({ type: 'numeric', correctAnswer: '1/3' }, '0.33').isCorrect).toBe(true);
+        expect(gradeAnswer({ type: 'numeric', correctAnswer: '12' }, '13').isCorrect).toBe(false);
+    });
+
+    test('numeric answers in mixed units', () => {
+        expect(gradeAnswer({ type: 'numeric', correctAnswer: '90 minutes' }, '1 hour 30 minutes').isCorrect).toBe(true);
+        expect(gradeAnswer({ type: 'numeric', correctAnswer: '1.5 hours' }, '1 hr 20 min').isCorrect).toBe(false);
+    });
+
+    test('a number without a unit is read in the expected unit, and asks for the unit when it fits another', () => {
+        const question = { type: 'numeric', correctAnswer: '2.5 km' };
+        expect(gradeAnswer(question, '2.5')).toEqual({ isCorrect: true, method: 'numeric', type: 'numeric' });
+        expect(gradeAnswer(question, '2500')).toEqual({ isCorrect: false, method: 'numeric', type: 'numeric', needsUnit: true });
+        expect(gradeAnswer(question, '2500 m').isCorrect).toBe(true);
+        expect(gradeAnswer(question, '2400')).toEqual({ isCorrect: false, method: 'numeric', type: 'numeric' });
+    });
+
+    test('true/false answers in Hindi', () => {
+        expect(gradeAnswer({ type: 'true-false', correctAnswer: 'true' }, 'सही').isCorrect).toBe(true);
+    });
+
+    test('open answers that need judgement go to the LLM', () => {
+        expect(gradeAnswer({ correctAnswer: 'The sun gives us light' }, 'it makes the day bright')).toBeNull();
+        expect(gradeAnswer({ correctAnswer: 'anything' }, '  ')).toMatchObject({ isCorrect: false, method: 'empty' });
+    });
+
+    test('infers the question type from its shape', () => {
+        expect(inferQuestionType({ correctAnswer: '42' })).toBe('numeric');
+        expect(inferQuestionType({ correctAnswer: false })).toBe('true-false');
+        expect(normalizeAnswer('  Hello,  WORLD! ')).toBe('hello world');
+    });
+});
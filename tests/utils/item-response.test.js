@@ -0,0 +1,81 @@
+import {
+    probability,
+    estimateAbility,
+    selectNextItem,
+    shouldStopTest,
+    estimateItemParameters,
+    calibrate,
+} from '../../utils/item-response.js';
+
+// Deterministic answers from a student of ability theta (correct when the chance is over a repeating threshold)
+function simulate(theta, items) {
+    return items.map((item, i) => ({ ...item, correct: probability(theta, item) > ((i * 0.618) % 1) }));
+}
+
+const spread = count => Array.from({ length: count }, (_, i) => ({ a: 1, b: -2 + (4 * i) / (count - 1) }));
+
+describe('estimateAbility', () => {
+    test('returns the prior with no answers', () => {
+        const { theta, se } = estimateAbility([]);
+        expect(theta).toBeCloseTo(0, 2);
+        expect(se).toBeCloseTo(1, 1);
+    });
+
+    test('moves up with right answers and down with wrong ones', () => {
+        const items = spread(10);
+        expect(estimateAbility(items.map(i => ({ ...i, correct: true }))).theta).toBeGreaterThan(1);
+        expect(estimateAbility(items.map(i => ({ ...i, correct: false }))).theta).toBeLessThan(-1);
+    });
+
+    test('stays finite and precise over thousands of answers', () => {
+        const answers = simulate(1, spread(3000));
+        const { theta, se } = estimateAbility(answers);
+        expect(Number.isFinite(theta)).toBe(true);
+        expect(theta).toBeGreaterThan(0.7);
+        expect(theta).toBeLessThan(1.3);
+        expect(se).toBeLessThan(0.1);
+    });
+
+    test('handles very discriminating items without overflow', () => {
+        const { theta } = estimateAbility([{ a: 40, b: 0, correct: true }, { a: 40, b: 2, correct: false }]);
+        expect(theta).toBeGreaterThan(0);
+        expect(theta).toBeLessThan(2);
+    });
+});
+
+describe('selectNextItem', () => {
+    test('picks the unused item closest to the ability estimate', () => {
+        const items = [{ id: 'easy', b: -2 }, { id: 'mid', b: 0.4 }, { id: 'hard', b: 2 }];
+        expect(selectNextItem(0.5, items).id).toBe('mid');
+        expect(selectNextItem(0.5, items, ['mid']).id).toBe('hard');
+    });
+});
+
+describe('shouldStopTest', () => {
+    test('stops once precise enough, at the item limit or out of items', () => {
+        expect(shouldStopTest({ se: 0.4, answered: 3, remaining: 10 })).toBe(false);
+        expect(shouldStopTest({ se: 0.4, answered: 5, remaining: 10 })).toBe(true);
+        expect(shouldStopTest({ se: 0.9, answered: 20, remaining: 10 })).toBe(true);
+        expect(shouldStopTest({ se: 0.9, answered: 2, remaining: 0 })).toBe(true);
+    });
+});
+
+describe('item calibration', () => {
+    test('an item most students get wrong comes out harder than its prior', () => {
+        const responses = Array.from({ length: 20 }, (_, i) => ({ theta: -1 + i / 10, correct: i >= 16 }));
+        expect(estimateItemParameters(responses, { b: 0, prior: 0 }).b).toBeGreaterThan(0.5);
+    });
+
+    test('calibrate orders items by how often they were answered correctly', () => {
+        const items = { q1: { a: 1, b: 0, prior: 0 }, q2: { a: 1, b: 0, prior: 0 } };
+        const responses = [];
+        for (let s = 0; s < 12; s++) {
+            responses.push({ itemId: 'q1', studentId: `s${s}`, correct: s % 4 !== 0 });
+            responses.push({ itemId: 'q2', studentId: `s${s}`, correct: s % 4 === 0 });
+        }
+        const { items: calibrated, abilities } = calibrate(responses, items);
+        expect(calibrated.q2.b).toBeGreaterThan(calibrated.q1.b);
+        expect(calibrated.q1.responses).toBe(12);
+        expect(Object.keys(abilities)).toHaveLength(12);
+    });
+});
@@ -0,0 +1,64 @@
+import {
+    detectMisconceptions,
+    summarizeMisconceptions,
+    summarizeClassMisconceptions,
+    RECURRING_COUNT,
+} from '../../utils/misconceptions.js';
+
+const ids = found => found.map(m => m.id);
+
+describe('detectMisconceptions', () => {
+    const tagged = {
+        question: 'What is 47 + 38?',
+        options: ['85', '75', '715', '9'],
+        correctAnswer: '85',
+        misconceptions: { 75: 'forgot-carry', 715: 'column-sums-written-together', 9: 'subtracted-instead' },
+    };
+
+    test('reads the tag of the chosen option, by text or letter', () => {
+        expect(ids(detectMisconceptions(tagged, '75'))).toEqual(['forgot-carry']);
+        expect(ids(detectMisconceptions(tagged, 'c'))).toEqual(['column-sums-written-together']);
+        expect(detectMisconceptions(tagged, '75')[0].source).toBe('option');
+    });
+
+    test('a digit is an answer, not an option number, when the options are numbers', () => {
+        expect(ids(detectMisconceptions(tagged, '2'))).not.toContain('forgot-carry');
+    });
+
+    test('redoes the question\'s arithmetic with faulty procedures', () => {
+        const found = detectMisconceptions({ question: 'What is 52 − 38?', correctAnswer: '14' }, '26');
+        expect(ids(found)).toContain('smaller-from-larger');
+        expect(found[0].source).toBe('rule');
+    });
+
+    test('finds nothing for an empty answer', () => {
+        expect(detectMisconceptions(tagged, '  ')).toEqual([]);
+    });
+});
+
+describe('summaries', () => {
+    const rows = [
+        { misconception_id: 'forgot-carry', topic: 'addition', question: 'q1', answer: '75', correct_answer: '85', created_at: '2026-03-01' },
+        { misconception_id: 'forgot-carry', topic: 'addition', question: 'q2', answer: '61', correct_answer: '71', created_at: '2026-03-03' },
+        { misconception_id: 'smaller-from-larger', topic: 'subtraction', question: 'q3', answer: '26', correct_answer: '14', created_at: '2026-03-02' },
+    ];
+
+    test('per student: most frequent first, repeated ones marked recurring', () => {
+        const summary = summarizeMisconceptions(rows);
+        expect(summary[0]).toMatchObject({ id: 'forgot-carry', count: 2, lastSeen: '2026-03-03', topics: ['addition'] });
+        expect(summary[0].recurring).toBe(2 >= RECURRING_COUNT);
+        expect(summary[1].recurring).toBe(false);
+    });
+
+    test('per class: most widespread first', () => {
+        const summary = summarizeClassMisconceptions([
+            { student_id: 's1', misconception_id: 'forgot-carry', count: 1 },
+            { student_id: 's2', misconception_id: 'forgot-carry', count: 3 },
+            { student_id: 's1', misconception_id: 'smaller-from-larger', count: 5 },
+        ]);
+        expect(summary.map(m => [m.id, m.students, m.occurrences])).toEqual([
+            ['forgot-carry', 2, 4],
+            ['smaller-from-larger', 1, 5],
+        ]);
+    });
+});
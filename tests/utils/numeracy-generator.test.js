@@ -0,0 +1,75 @@
+import {
+    NUMERACY_SKILLS,
+    resolveNumeracySkills,
+    generateNumeracyQuestions,
+} from '../../utils/numeracy-generator.js';
+
+// Small seeded generator so every run sees the same questions
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const numbersIn = text => (text.match(/\d+/g) || []).map(Number);
+
+describe('resolveNumeracySkills', () => {
+    test('matches topic words and falls back to a general mix', () => {
+        expect(resolveNumeracySkills('addition with carrying')).toEqual(['addition']);
+        expect(resolveNumeracySkills('general math')).toContain('subtraction');
+        expect(resolveNumeracySkills('photosynthesis')).toEqual([]);
+    });
+});
+
+describe('generateNumeracyQuestions', () => {
+    test('every question has four distinct options including the answer', () => {
+        for (const difficulty of DIFFICULTIES) {
+            const questions = generateNumeracyQuestions({
+                skills: Object.keys(NUMERACY_SKILLS), difficulty, count: 60, random: seeded(7),
+            });
+            expect(questions.length).toBeGreaterThan(50);
+            for (const q of questions) {
+                expect(new Set(q.options).size).toBe(4);
+                expect(q.options).toContain(q.correctAnswer);
+                expect(Object.keys(q.misconceptions)).not.toContain(q.correctAnswer);
+            }
+        }
+    });
+
+    test('written sums and products are right', () => {
+        const questions = generateNumeracyQuestions({
+            skills: ['addition', 'subtraction', 'multiplication', 'division'], difficulty: 'hard', count: 80, random: seeded(3),
+        });
+        const operations = { '+': (a, b) => a + b, '−': (a, b) => a - b, '×': (a, b) => a * b, '÷': (a, b) => a / b };
+        for (const q of questions) {
+            const match = q.question.match(/^What is (\d+) ([+−×÷]) (\d+)\?$/);
+            if (match) expect(Number(q.correctAnswer)).toBe(operations[match[2]](Number(match[1]), Number(match[3])));
+        }
+    });
+
+    test('pattern questions never offer a number the sequence already shows', () => {
+        for (const difficulty of DIFFICULTIES) {
+            for (const q of generateNumeracyQuestions({ skills: ['patterns'], difficulty, count: 30, random: seeded(11) })) {
+                const shown = numbersIn(q.question);
+                for (const option of Object.keys(q.misconceptions)) {
+                    expect(shown).not.toContain(Number(option));
+                }
+            }
+        }
+    });
+
+    test('medium multiplication uses the 6 to 10 tables, beyond the easy ones', () => {
+        const easy = generateNumeracyQuestions({ skills: ['multiplication'], difficulty: 'easy', count: 30, random: seeded(5) });
+        const medium = generateNumeracyQuestions({ skills: ['multiplication'], difficulty: 'medium', count: 30, random: seeded(5) });
+        expect(easy.every(q => numbersIn(q.question)[0] <= 5)).toBe(true);
+        expect(medium.every(q => numbersIn(q.question)[0] >= 6)).toBe(true);
+    });
+
+    test('the same seed gives the same quiz', () => {
+        const first = generateNumeracyQuestions({ topic: 'money', count: 5, random: seeded(42) });
+        expect(generateNumeracyQuestions({ topic: 'money', count: 5, random: seeded(42) })).toEqual(first);
+    });
+});
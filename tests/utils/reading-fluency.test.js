@@ -0,0 +1,74 @@
+import {
+    wordsMatch,
+    alignReading,
+    fluencyBand,
+    scoreReading,
+    summarizeFluency,
+} from '../../utils/reading-fluency.js';
+
+const PASSAGE = 'The cat sat on the mat and looked at the big red ball';
+
+describe('wordsMatch', () => {
+    test('accepts transcription variants of longer words only', () => {
+        expect(wordsMatch('colour', 'color')).toBe(true);
+        expect(wordsMatch('cat', 'cap')).toBe(false);
+    });
+});
+
+describe('alignReading', () => {
+    test('marks repeated words as inserted and different words as substituted', () => {
+        expect(alignReading('the cat sat', 'the cat cat sat').map(step => step.status))
+            .toEqual(['correct', 'inserted', 'correct', 'correct']);
+        expect(alignReading('the cat sat', 'the dog sat')[1]).toEqual({ index: 1, expected: 'cat', spoken: 'dog', status: 'substituted' });
+    });
+
+    test('ignores case and punctuation', () => {
+        expect(alignReading('The cat, sat!', 'the cat sat').every(step => step.status === 'correct')).toBe(true);
+    });
+});
+
+describe('fluencyBand', () => {
+    test('bands a reading against the grade benchmark', () => {
+        expect(fluencyBand(10, 100, 3)).toEqual({ band: 'beginning', benchmark: 60, grade: 3 });
+        expect(fluencyBand(65, 100, 3).band).toBe('at-benchmark');
+        expect(fluencyBand(80, 100, 3).band).toBe('above-benchmark');
+        expect(fluencyBand(80, 85, 3).band).toBe('developing');
+    });
+
+    test('clamps the grade to the benchmark table', () => {
+        expect(fluencyBand(200, 100, 12)).toMatchObject({ benchmark: 120, grade: 8 });
+    });
+});
+
+describe('scoreReading', () => {
+    test('does not count words the student never reached', () => {
+        const score = scoreReading({ passage: PASSAGE, transcript: 'The cat sat on the mat and looked', durationSeconds: 30, grade: 1 });
+        expect(score).toMatchObject({ wordsInPassage: 13, wordsAttempted: 8, wordsCorrect: 8, errors: 0, accuracy: 100, wcpm: 16, completed: false });
+        expect(score.skipped).toEqual([]);
+    });
+
+    test('counts skipped and substituted words as errors but not insertions', () => {
+        const score = scoreReading({
+            passage: PASSAGE,
+            transcript: 'The cat sat on the the rug and looked at big red ball',
+            durationSeconds: 60,
+            grade: 1,
+            level: 'paragraph',
+        });
+        expect(score.substitutions).toEqual([{ index: 5, expected: 'mat', spoken: 'rug' }]);
+        expect(score.skipped).toEqual([{ index: 9, word: 'the' }]);
+        expect(score.insertions).toEqual(['the']);
+        expect(score).toMatchObject({ errors: 2, wordsCorrect: 11, completed: true, levelRead: true });
+    });
+});
+
+describe('summarizeFluency', () => {
+    test('compares the first and latest readings', () => {
+        expect(summarizeFluency([])).toBeNull();
+        expect(summarizeFluency([
+            { wcpm: 30, accuracy: 90, band: 'developing' },
+            { wcpm: 55, accuracy: 96, band: 'at-benchmark' },
+            { wcpm: 50, accuracy: 95, band: 'at-benchmark' },
+        ])).toMatchObject({ readings: 3, wcpmChange: 20, bestWcpm: 55, latest: { wcpm: 50 } });
+    });
+});
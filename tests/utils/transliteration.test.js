@@ -0,0 +1,68 @@
+import {
+    detectScript,
+    detectRomanized,
+    toNativeScript,
+    toLatinScript,
+    readStudentInput,
+} from '../../utils/transliteration.js';
+
+describe('detectScript', () => {
+    test('finds the dominant script of the letters', () => {
+        expect(detectScript('घर है')).toBe('devanagari');
+        expect(detectScript('hello')).toBe('latin');
+        expect(detectScript('123')).toBeNull();
+    });
+});
+
+describe('detectRomanized', () => {
+    test('recognises Indic languages typed in Latin letters', () => {
+        expect(detectRomanized('mujhe jod sikhao')).toMatchObject({ romanized: true, language: 'hi', knownWords: 3 });
+        expect(detectRomanized('enakku kanakku sollu')).toMatchObject({ romanized: true, language: 'ta' });
+        expect(detectRomanized('naaku lekkalu cheppu')).toMatchObject({ romanized: true, language: 'te' });
+    });
+
+    test('leaves English alone', () => {
+        expect(detectRomanized('what is the answer please')).toMatchObject({ romanized: false, language: null, englishWords: 5 });
+    });
+
+    test("lets the student's language win a tie", () => {
+        expect(detectRomanized('nahi', 'mr')).toMatchObject({ romanized: true, language: 'mr' });
+    });
+});
+
+describe('toNativeScript', () => {
+    test('uses the lexicon, spells other words by rule and keeps English words', () => {
+        expect(toNativeScript('mujhe addition sikhao', 'hi')).toBe('मुझे addition सिखाओ');
+        expect(toNativeScript('kamal', 'hi')).toBe('कमल');
+        expect(toNativeScript('sundar', 'hi')).toBe('सुंदर');
+    });
+
+    test('returns text unchanged for languages without a script', () => {
+        expect(toNativeScript('hello', 'en')).toBe('hello');
+    });
+});
+
+describe('toLatinScript', () => {
+    test('writes words the way students type them', () => {
+        expect(toLatinScript('घर')).toBe('ghar');
+        expect(toLatinScript('पानी')).toBe('paani');
+        expect(toLatinScript('எனக்கு')).toBe('enakku');
+        expect(toLatinScript('ज़रा')).toBe('zara');
+    });
+
+    test('converts Indic digits and leaves Latin text as it is', () => {
+        expect(toLatinScript('hi १२')).toBe('hi 12');
+    });
+});
+
+describe('readStudentInput', () => {
+    test('converts romanized input for the agents and keeps the original', () => {
+        expect(readStudentInput('mujhe jod sikhao', 'en')).toEqual({
+            text: 'मुझे जोड़ सिखाओ',
+            original: 'mujhe jod sikhao',
+            romanized: true,
+            language: 'hi',
+        });
+        expect(readStudentInput('teach me addition', 'hi')).toMatchObject({ text: 'teach me addition', romanized: false, language: 'hi' });
+    });
+});
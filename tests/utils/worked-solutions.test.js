@@ -0,0 +1,66 @@
+import {
+    parseProblem,
+    solveArithmetic,
+    verifySolution,
+    checkCalculation,
+    checkSteps,
+    numbersPreserved,
+} from '../../utils/worked-solutions.js';
+
+describe('parseProblem', () => {
+    test('reads expressions, fractions to simplify and unit conversions', () => {
+        expect(parseProblem('What is 345 + 278?')).toMatchObject({ kind: 'expression' });
+        expect(parseProblem('simplify 12/18')).toEqual({ kind: 'fraction', numerator: 12, denominator: 18 });
+        expect(parseProblem('convert 2.5 km to m')).toMatchObject({ kind: 'conversion', from: 'km', to: 'm' });
+    });
+
+    test('leaves word problems to the LLM', () => {
+        expect(parseProblem('Ravi had 10 apples and ate 3. How many are left?')).toBeNull();
+    });
+});
+
+describe('solveArithmetic', () => {
+    test('column addition carries and checks out', () => {
+        const solution = solveArithmetic('345 + 278');
+        expect(solution.answer).toBe('623');
+        expect(verifySolution(solution)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('long division gives a remainder', () => {
+        const solution = solveArithmetic('1234 ÷ 6');
+        expect(solution.answer).toMatch(/^205/);
+        expect(verifySolution(solution).valid).toBe(true);
+    });
+
+    test('fractions are simplified and conversions worked out', () => {
+        expect(solveArithmetic('simplify 12/18').answer).toBe('2/3');
+        expect(solveArithmetic('convert 2.5 km to m').answer).toMatch(/^2500 m/);
+    });
+
+    test('a tampered answer fails verification', () => {
+        const solution = solveArithmetic('345 + 278');
+        expect(verifySolution({ ...solution, answer: '613', value: 613 }).valid).toBe(false);
+    });
+});
+
+describe('checking written working', () => {
+    test('checkCalculation recomputes each statement', () => {
+        expect(checkCalculation('27 − 24 = 3')).toBe(true);
+        expect(checkCalculation('12/18 = 2/3')).toBe(true);
+        expect(checkCalculation('25 + 17 = 43')).toBe(false);
+        expect(checkCalculation('Add the ones')).toBeNull();
+    });
+
+    test('checkSteps needs a checkable step and an answer matching the last one', () => {
+        const steps = [{ calculation: '25 + 17 = 42' }, { calculation: '42 − 10 = 32' }];
+        expect(checkSteps(steps, '32').valid).toBe(true);
+        expect(checkSteps(steps, '42').valid).toBe(false);
+        expect(checkSteps([{ calculation: '' }], '5').valid).toBe(false);
+    });
+
+    test('narrations may drop numbers but not change them', () => {
+        const step = { step: 1, description: 'Add 5 and 7', calculation: '5 + 7 = 12' };
+        expect(numbersPreserved(step, '5 और 7 जोड़ो')).toBe(true);
+        expect(numbersPreserved(step, '5 और 8 जोड़ो')).toBe(false);
+    });
+});
@@ -0,0 +1,107 @@
+import {
+    defaultRubric,
+    normalizeRubric,
+    validateRubric,
+    scoreWriting,
+    anchorSuggestions,
+    writingStats,
+    compareRevisions,
+    summarizeWritingProgress,
+} from '../../utils/writing-rubrics.js';
+
+const RUBRIC = normalizeRubric({
+    name: 'Story writing',
+    gradeMin: 3,
+    gradeMax: 5,
+    criteria: [{ id: 'ideas', maxScore: 4 }, { id: 'handwriting', maxScore: 4, weight: 0.5 }],
+});
+
+const piece = (text, ideas, percentage) => ({
+    text,
+    scores: { score: ideas, percentage, criteria: [{ id: 'ideas', name: 'Ideas', score: ideas, maxScore: 4 }] },
+});
+
+describe('defaultRubric', () => {
+    test('picks the grade band, using the highest band above grade 8', () => {
+        expect(defaultRubric(1).id).toBe('default-grades-1-2');
+        expect(defaultRubric('4').id).toBe('default-grades-3-5');
+        expect(defaultRubric(11).id).toBe('default-grades-6-8');
+    });
+});
+
+describe('validateRubric', () => {
+    test('accepts the built-in rubrics and a filled-in teacher rubric', () => {
+        expect(validateRubric(defaultRubric(4))).toBeNull();
+        expect(validateRubric(RUBRIC)).toBeNull();
+    });
+
+    test('names the problem with a bad rubric', () => {
+        expect(validateRubric({ name: 'R', gradeMin: 5, gradeMax: 3, criteria: [{ id: 'ideas' }] })).toMatch(/gradeMin/);
+        expect(validateRubric({ name: 'R', gradeMin: 3, gradeMax: 5, criteria: [{ id: 'ideas' }, { id: 'ideas' }] }))
+            .toBe('criterion "ideas" is listed twice');
+        expect(validateRubric({ name: 'R', gradeMin: 3, gradeMax: 5, criteria: [{ id: 'ideas', levels: ['a', 'b'], maxScore: 3 }] }))
+            .toMatch(/one level description per score/);
+    });
+});
+
+describe('scoreWriting', () => {
+    test('clamps scores and leaves handwriting unscored without teacher notes', () => {
+        const scored = scoreWriting(RUBRIC, { ideas: { score: 7, comment: 'Lively' }, handwriting: { score: 3 } });
+        expect(scored.criteria[0]).toMatchObject({ score: 4, comment: 'Lively' });
+        expect(scored.criteria[1]).toMatchObject({ score: null, comment: '' });
+        expect(scored).toMatchObject({ score: 4, maxScore: 4, percentage: 100 });
+    });
+
+    test('weights criteria in the total', () => {
+        const scored = scoreWriting(RUBRIC, { ideas: { score: 2.6 }, handwriting: { score: 3 } }, { handwritingNotes: 'Neat' });
+        expect(scored).toMatchObject({ score: 4.5, maxScore: 6, percentage: 75 });
+    });
+});
+
+describe('anchorSuggestions', () => {
+    test('pins each suggestion to the next whole-word occurrence and drops the rest', () => {
+        const anchored = anchorSuggestions('i is happy. i went home.', [
+            { original: 'i', suggestion: 'I', criterion: 'grammar' },
+            { original: 'i', suggestion: 'I', criterion: 'unknown' },
+            { original: 'missing', suggestion: 'here' },
+            { original: 'home', suggestion: 'home' },
+        ]);
+        expect(anchored.map(({ start, end, criterion }) => ({ start, end, criterion }))).toEqual([
+            { start: 0, end: 1, criterion: 'grammar' },
+            { start: 12, end: 13, criterion: null },
+        ]);
+    });
+});
+
+describe('writingStats', () => {
+    test('counts danda as a sentence end', () => {
+        expect(writingStats('मैं घर गया। फिर सो गया।\n\nNext day.')).toEqual({
+            words: 8,
+            uniqueWords: 7,
+            sentences: 3,
+            paragraphs: 2,
+            averageSentenceLength: 2.7,
+        });
+    });
+});
+
+describe('compareRevisions and summarizeWritingProgress', () => {
+    const first = piece('One idea.', 2, 50);
+    const revised = piece('One idea. And another one.', 4, 100);
+
+    test('reports what changed between revisions', () => {
+        expect(compareRevisions(first, revised)).toEqual({
+            scoreChange: 2,
+            percentageChange: 50,
+            wordsChange: 3,
+            criteria: [{ id: 'ideas', name: 'Ideas', from: 2, to: 4, change: 2 }],
+        });
+    });
+
+    test('tracks each criterion as a share of its maximum', () => {
+        const progress = summarizeWritingProgress([first, revised]);
+        expect(progress.criteria).toEqual([{ id: 'ideas', name: 'Ideas', first: 50, latest: 100, average: 75, trend: 'improving' }]);
+        expect(progress.percentage).toMatchObject({ first: 50, latest: 100, trend: 'improving' });
+        expect(summarizeWritingProgress([first]).criteria[0].trend).toBe('new');
+    });
+});
@@ -3,6 +3,8 @@
  * Personalizes learning paths based on student performance and progress
  */
 
+import { describeMisconception, detectMisconceptions } from './misconceptions.js';
+
 /**
  * Calculate mastery level for a topic
  * @param {Array} attempts - Array of attempt objects with {correct, total, timestamp}
@@ -51,12 +53,23 @@ export function calculateMasteryLevel(attempts) {
 }
 
 /**
- * Determine optimal next topic based on learning graph
+ * How many grades a topic sits from the student's grade (0 if it is taught in that grade)
+ */
+function gradeDistance(grades, grade) {
+    if (!grades || !grade) return 0;
+    const [first, last = first] = grades;
+    return grade < first ? first - grade : grade > last ? grade - last : 0;
+}
+
+/**
+ * Topics a student can work on next: prerequisites met, topic itself not yet mastered
+ * A mastered topic shows its prerequisites (and theirs) are met, assessed or not.
  * @param {Object} studentProgress - Map of topic -> mastery data
  * @param {Object} curriculumGraph - Directed graph of topic dependencies
- * @returns {Object} - Recommended next topic
+ * @param {Object} options - { grade: skip topics first taught above it and rank topics near it first, subject }
+ * @returns {Array} - Frontier topics, best next step first
  */
-export function getNextTopic(studentProgress, curriculumGraph) {
+export function getTopicFrontier(studentProgress, curriculumGraph, { grade = null, subject = null } = {}) {
     const masteredTopics = new Set();
     const availableTopics = [];
 
@@ -68,18 +81,35 @@ export function getNextTopic(studentProgress, curriculumGraph) {
         }
     }
 
+    // Everything a mastered topic builds on counts as met
+    const metTopics = new Set();
+    const stack = [...masteredTopics];
+    while (stack.length > 0) {
+        const topic = stack.pop();
+        if (metTopics.has(topic)) continue;
+        metTopics.add(topic);
+        stack.push(...(curriculumGraph[topic]?.prerequisites || []));
+    }
+
     // Find topics where prerequisites are met
     for (const [topic, data] of Object.entries(curriculumGraph)) {
+        if (subject && data.subject && data.subject !== subject) continue;
+        if (grade && data.grades && data.grades[0] > grade) continue;
+
         const prerequisites = data.prerequisites || [];
-        const allPrereqsMet = prerequisites.every(prereq => masteredTopics.has(prereq));
+        const allPrereqsMet = prerequisites.every(prereq => metTopics.has(prereq));
 
-        if (allPrereqsMet && !masteredTopics.has(topic)) {
+        if (allPrereqsMet && !metTopics.has(topic)) {
             const currentMastery = studentProgress[topic]
                 ? calculateMasteryLevel(studentProgress[topic].attempts)
                 : { level: 0, status: 'not-started' };
 
             availableTopics.push({
                 topic,
+                name: data.name || topic,
+                subject: data.subject,
+                grades: data.grades,
+                prerequisites,
                 difficulty: data.difficulty || 'medium',
                 importance: data.importance || 5,
                 currentMastery: currentMastery.level,
@@ -97,11 +127,24 @@ export function getNextTopic(studentProgress, curriculumGraph) {
         if (aInProgress && !bInProgress) return -1;
         if (!aInProgress && bInProgress) return 1;
 
-        // Then by importance
-        return b.importance - a.importance;
+        // Then topics closest to the student's grade (earliest grade first without one), then by importance
+        const gradeOrder = grade
+            ? gradeDistance(a.grades, grade) - gradeDistance(b.grades, grade)
+            : (a.grades?.[0] || 0) - (b.grades?.[0] || 0);
+        return gradeOrder || b.importance - a.importance;
     });
 
-    return availableTopics[0] || null;
+    return availableTopics;
+}
+
+/**
+ * Determine optimal next topic based on learning graph
+ * @param {Object} studentProgress - Map of topic -> mastery data
+ * @param {Object} curriculumGraph - Directed graph of topic dependencies
+ * @returns {Object} - Recommended next topic
+ */
+export function getNextTopic(studentProgress, curriculumGraph) {
+    return getTopicFrontier(studentProgress, curriculumGraph)[0] || null;
 }
 
 /**
@@ -148,6 +191,11 @@ export function generateLearningPath(params) {
         ? targetTopics
         : [getNextTopic(studentProgress, curriculumGraph)?.topic].filter(Boolean);
 
+    // Nothing left to learn
+    if (currentTopics.length === 0) {
+        return path;
+    }
+
     const topicsPerPhase = Math.ceil(currentTopics.length / 4) || 1;
     const phaseCount = Math.ceil(currentTopics.length / topicsPerPhase);
 
@@ -200,7 +248,7 @@ export function generateLearningPath(params) {
 /**
  * Identify learning gaps from assessment results
  * @param {Array} assessmentResults - Array of assessment result objects
- * @returns {Array} - Identified gaps with severity
+ * @returns {Array} - Identified gaps with severity and the misconceptions behind the wrong answers
  */
 export function identifyLearningGaps(assessmentResults) {
     const topicPerformance = {};
@@ -210,7 +258,7 @@ export function identifyLearningGaps(assessmentResults) {
         result.results?.forEach(question => {
             const topic = question.topic || 'general';
             if (!topicPerformance[topic]) {
-                topicPerformance[topic] = { correct: 0, total: 0, errors: [] };
+                topicPerformance[topic] = { correct: 0, total: 0, errors: [], misconceptions: {} };
             }
             topicPerformance[topic].total++;
             if (question.isCorrect) {
@@ -221,6 +269,13 @@ export function identifyLearningGaps(assessmentResults) {
                     studentAnswer: question.studentAnswer,
                     correctAnswer: question.correctAnswer,
                 });
+
+                // Results saved before misconceptions were tracked are diagnosed here
+                const found = question.misconceptions
+                    || detectMisconceptions({ question: question.question, correctAnswer: question.correctAnswer }, question.studentAnswer);
+                for (const { id } of found) {
+                    topicPerformance[topic].misconceptions[id] = (topicPerformance[topic].misconceptions[id] || 0) + 1;
+                }
             }
         });
     });
@@ -243,6 +298,13 @@ export function identifyLearningGaps(assessmentResults) {
                 totalQuestions: performance.total,
                 incorrectCount: performance.total - performance.correct,
                 commonErrors: performance.errors.slice(0, 3),
+                misconceptions: Object.entries(performance.misconceptions)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([id, count]) => {
+                        const { name, remedy } = describeMisconception(id);
+                        return { id, name, count, remedy };
+                    }),
                 recommendation: getRecommendation(topic, accuracy),
             });
         }
@@ -301,7 +363,7 @@ export function calculateLearningVelocity(studentProgress, weeks = 4) {
         topicsPerWeek: topicsMastered / weeks,
         topicsStarted,
         topicsMastered,
-        averageTimePerTopic: topicsStarted > 0 ? totalTimeSpent / topicsStarted : 0,
+        averageTimePerTopic: topicsStarted > 0 ? Math.round(totalTimeSpent / topicsStarted) : 0,
         velocity: topicsMastered / weeks > 1 ? 'fast' : topicsMastered / weeks > 0.5 ? 'steady' : 'slow',
     };
 }
@@ -331,6 +393,7 @@ export function predictTimeToMastery(topic, studentProgress, learningVelocity) {
 
 export default {
     calculateMasteryLevel,
+    getTopicFrontier,
     getNextTopic,
     calculateOptimalDifficulty,
     generateLearningPath,
@@ -0,0 +1,270 @@
+/**
+ * Akshara Segmentation
+ * Splits Indic text into aksharas (written syllables: a consonant or conjunct with its vowel sign and marks)
+ * and compares words akshara by akshara, so a wrong matra costs less than a wrong letter and
+ * feedback can name the syllable that was wrong. Other scripts fall back to letters with their combining marks.
+ */
+
+/**
+ * Unicode blocks of the supported Indic scripts
+ * All follow the ISCII layout, so letters and signs sit at the same offsets from the block start.
+ * Tamil does not form conjuncts: a consonant with pulli (virama) is a letter of its own.
+ */
+export const INDIC_SCRIPTS = {
+    devanagari: { start: 0x0900, languages: ['hi', 'mr'], conjuncts: true },
+    bengali: { start: 0x0980, languages: ['bn'], conjuncts: true },
+    tamil: { start: 0x0B80, languages: ['ta'], conjuncts: false },
+    telugu: { start: 0x0C00, languages: ['te'], conjuncts: true },
+};
+
+// Offsets within a script block
+const VIRAMA = 0x4D;
+const NUKTA = 0x3C;
+const SIGNS_END = 0x03; // candrabindu, anusvara, visarga
+
+const ZWNJ = '\u200C';
+const ZWJ = '\u200D';
+
+// Cost of a substitution that only changes part of an akshara (a wrong letter costs 1)
+const PART_COSTS = { 'vowel-sign': 0.5, sign: 0.25, nukta: 0.25 };
+
+// Cost of writing a conjunct as two aksharas (स्कूल as सकूल) or two aksharas as a conjunct
+const CONJUNCT_COST = 0.5;
+
+/**
+ * Script of a character with its offset in the script's block
+ * @returns {Object|null} - { script, offset, conjuncts }
+ */
+function indicChar(char) {
+    const code = char.codePointAt(0);
+    for (const [script, { start, conjuncts }] of Object.entries(INDIC_SCRIPTS)) {
+        if (code >= start && code < start + 0x80) return { script, offset: code - start, conjuncts };
+    }
+    return null;
+}
+
+function isConsonant(info) {
+    return Boolean(info) && ((info.offset >= 0x15 && info.offset <= 0x39) || (info.offset >= 0x58 && info.offset <= 0x5F)
+        || (info.offset >= 0x79 && info.offset <= 0x7F));
+}
+
+/**
+ * Split text into aksharas
+ * Spaces and punctuation are dropped; Latin letters come back one per akshara, lower-cased.
+ * @returns {Array<string>}
+ */
+export function segmentAksharas(text = '') {
+    const chars = Array.from(String(text).normalize('NFC').toLowerCase());
+    const aksharas = [];
+    let current = '';
+    let joinNext = false;
+
+    for (const char of chars) {
+        const info = indicChar(char);
+
+        if (char === ZWJ || char === ZWNJ) {
+            // ZWJ keeps a half form joined to the next consonant, ZWNJ shows the virama explicitly
+            if (current) current += char;
+            if (char === ZWNJ) joinNext = false;
+            continue;
+        }
+
+        if (current && (/\p{M}/u.test(char) || (joinNext && isConsonant(info) && info.script === indicChar(current)?.script))) {
+            current += char;
+            joinNext = Boolean(info?.conjuncts) && info.offset === VIRAMA;
+            continue;
+        }
+
+        if (current) aksharas.push(current);
+        current = '';
+        joinNext = false;
+        if (/[\p{L}\p{N}]/u.test(char)) current = char;
+    }
+
+    if (current) aksharas.push(current);
+    return aksharas;
+}
+
+/**
+ * Parts of an akshara: its letters (consonants, virama or an independent vowel), vowel signs,
+ * signs (candrabindu, anusvara, visarga) and nukta
+ */
+export function aksharaParts(akshara) {
+    const parts = { letters: '', vowelSigns: '', signs: '', nukta: '' };
+    for (const char of akshara) {
+        const info = indicChar(char);
+        if (!info || !/\p{M}/u.test(char) || info.offset === VIRAMA) parts.letters += char;
+        else if (info.offset === NUKTA) parts.nukta += char;
+        else if (info.offset <= SIGNS_END) parts.signs += char;
+        else parts.vowelSigns += char;
+    }
+    return parts;
+}
+
+function isIndic(akshara) {
+    return Boolean(akshara) && Boolean(indicChar(akshara));
+}
+
+// A conjunct with its viramas dropped, to match the same letters written as full aksharas
+function withoutVirama(akshara) {
+    return Array.from(akshara).filter(char => indicChar(char)?.offset !== VIRAMA).join('');
+}
+
+function splitsConjunct(conjunct, first, second) {
+    return isIndic(conjunct) && withoutVirama(conjunct) !== conjunct && withoutVirama(conjunct) === first + second;
+}
+
+/**
+ * Cost and kind of reading or writing one akshara as another
+ * @returns {Object} - { cost, type: null | 'letter' | 'vowel-sign' | 'sign' | 'nukta' }
+ */
+function substitution(expected, given) {
+    if (expected === given) return { cost: 0, type: null };
+
+    const a = aksharaParts(expected);
+    const b = aksharaParts(given);
+    if (a.letters !== b.letters) return { cost: 1, type: 'letter' };
+
+    const differs = [
+        ['vowel-sign', a.vowelSigns !== b.vowelSigns],
+        ['sign', a.signs !== b.signs],
+        ['nukta', a.nukta !== b.nukta],
+    ].filter(([, different]) => different).map(([type]) => type);
+
+    return {
+        cost: Math.min(1, differs.reduce((sum, type) => sum + PART_COSTS[type], 0)),
+        type: differs[0] || 'letter',
+    };
+}
+
+/**
+ * Compare a word or phrase with what the student said or wrote, akshara by akshara
+ * @param {string} expected - Target text
+ * @param {string} given - Student's text
+ * @returns {Object} - { similarity (0-1), distance, expected, given, mistakes }
+ *                     mistakes: [{ position (1-based, in the target), expected, given,
+ *                                  type: letter | vowel-sign | sign | nukta | conjunct | missing | extra }]
+ */
+export function compareAksharas(expected, given) {
+    const a = segmentAksharas(expected);
+    const b = segmentAksharas(given);
+    const n = a.length;
+    const m = b.length;
+
+    const cost = Array.from({ length: n + 1 }, (_, i) => [i, ...new Array(m).fill(0)]);
+    for (let j = 0; j <= m; j++) cost[0][j] = j;
+
+    const subs = a.map(x => b.map(y => substitution(x, y)));
+    const split = (i, j) => i >= 1 && j >= 2 && splitsConjunct(a[i - 1], b[j - 2], b[j - 1]);
+    const joined = (i, j) => i >= 2 && j >= 1 && splitsConjunct(b[j - 1], a[i - 2], a[i - 1]);
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + subs[i - 1][j - 1].cost,
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1,
+                split(i, j) ? cost[i - 1][j - 2] + CONJUNCT_COST : Infinity,
+                joined(i, j) ? cost[i - 2][j - 1] + CONJUNCT_COST : Infinity
+            );
+        }
+    }
+
+    const mistakes = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + subs[i - 1][j - 1].cost) {
+            const { type } = subs[i - 1][j - 1];
+            if (type) mistakes.push({ position: i, expected: a[i - 1], given: b[j - 1], type });
+            i--;
+            j--;
+        } else if (split(i, j) && cost[i][j] === cost[i - 1][j - 2] + CONJUNCT_COST) {
+            mistakes.push({ position: i, expected: a[i - 1], given: b[j - 2] + b[j - 1], type: 'conjunct' });
+            i--;
+            j -= 2;
+        } else if (joined(i, j) && cost[i][j] === cost[i - 2][j - 1] + CONJUNCT_COST) {
+            mistakes.push({ position: i - 1, expected: a[i - 2] + a[i - 1], given: b[j - 1], type: 'conjunct' });
+            i -= 2;
+            j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            mistakes.push({ position: i, expected: a[i - 1], given: null, type: 'missing' });
+            i--;
+        } else {
+            mistakes.push({ position: i + 1, expected: null, given: b[j - 1], type: 'extra' });
+            j--;
+        }
+    }
+
+    const distance = cost[n][m];
+    const longest = Math.max(n, m);
+    return {
+        similarity: longest === 0 ? 1 : Math.round((1 - distance / longest) * 100) / 100,
+        distance,
+        expected: a,
+        given: b,
+        mistakes: mistakes.reverse(),
+    };
+}
+
+/**
+ * Akshara-level similarity of two words (0-1)
+ */
+export function aksharaSimilarity(expected, given) {
+    return compareAksharas(expected, given).similarity;
+}
+
+const MISTAKE_TEMPLATES = {
+    en: {
+        prefix: 'Check',
+        unit: (indic) => (indic ? 'syllable' : 'letter'),
+        hints: {
+            'vowel-sign': ' (the vowel sign)',
+            sign: ' (the ं ँ ः mark)',
+            nukta: ' (the dot below)',
+            conjunct: ' (the half letter)',
+        },
+        wrong: (unit, m, hint) => `${unit} ${m.position}: "${m.expected}", not "${m.given}"${hint}`,
+        missing: (unit, m) => `${unit} ${m.position}: "${m.expected}" is missing`,
+        extra: (unit, m) => `"${m.given}" is extra`,
+    },
+    hi: {
+        prefix: 'ध्यान दें:',
+        unit: () => 'अक्षर',
+        hints: {
+            'vowel-sign': ' (मात्रा देखें)',
+            sign: ' (ं ँ ः देखें)',
+            nukta: ' (नीचे का बिंदु देखें)',
+            conjunct: ' (आधा अक्षर देखें)',
+        },
+        wrong: (unit, m, hint) => `${unit} ${m.position}: "${m.expected}", "${m.given}" नहीं${hint}`,
+        missing: (unit, m) => `${unit} ${m.position}: "${m.expected}" छूट गया`,
+        extra: (unit, m) => `"${m.given}" ज़्यादा है`,
+    },
+};
+
+/**
+ * Feedback naming the syllables that were wrong
+ * @param {Array} mistakes - From compareAksharas
+ * @param {string} language - Feedback language (en or hi; others get English)
+ * @param {number} limit - Most mistakes to name
+ * @returns {string} - '' when there are no mistakes
+ */
+export function describeAksharaMistakes(mistakes, language = 'en', limit = 2) {
+    if (!mistakes?.length) return '';
+    const t = MISTAKE_TEMPLATES[language] || MISTAKE_TEMPLATES.en;
+    const phrases = mistakes.slice(0, limit).map((m) => {
+        const unit = t.unit(isIndic(m.expected || m.given));
+        if (m.type === 'missing' || m.type === 'extra') return t[m.type](unit, m);
+        return t.wrong(unit, m, t.hints[m.type] || '');
+    });
+    return `${t.prefix} ${phrases.join('; ')}.`;
+}
+
+export default {
+    INDIC_SCRIPTS,
+    segmentAksharas,
+    aksharaParts,
+    compareAksharas,
+    aksharaSimilarity,
+    describeAksharaMistakes,
+};
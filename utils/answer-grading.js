@@ -0,0 +1,371 @@
+/**
+ * Answer Grading
+ * Deterministic grading for objective questions: multiple choice, true/false, numeric answers
+ * (tolerance, fractions, units and mixed units, Indic digits), fill-in-the-blank (normalized, then fuzzy) and spelling.
+ * Only open short answers that don't match locally are left for the LLM.
+ */
+
+import { compareAksharas } from './aksharas.js';
+
+// Zero code points of the Indic (and Arabic-Indic) decimal digit blocks
+const DIGIT_ZEROS = [
+    0x0660, 0x06F0, // Arabic-Indic, Extended Arabic-Indic (Urdu)
+    0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, // Devanagari, Bengali, Gurmukhi, Gujarati, Odia
+    0x0BE6, 0x0C66, 0x0CE6, 0x0D66, // Tamil, Telugu, Kannada, Malayalam
+];
+
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'numeric', 'fill-in-blank', 'spelling', 'short-answer'];
+
+const TYPE_ALIASES = {
+    mcq: 'multiple-choice',
+    'multiple_choice': 'multiple-choice',
+    'true_false': 'true-false',
+    boolean: 'true-false',
+    number: 'numeric',
+    'fill-blank': 'fill-in-blank',
+    'fill-in-the-blank': 'fill-in-blank',
+    'fill_blank': 'fill-in-blank',
+    dictation: 'spelling',
+    'short_answer': 'short-answer',
+    open: 'short-answer',
+};
+
+const TRUE_WORDS = ['true', 't', 'yes', 'y', 'correct', 'right', 'सही', 'सच', 'हाँ', 'हां', 'சரி', 'ஆம்'];
+const FALSE_WORDS = ['false', 'f', 'no', 'n', 'wrong', 'incorrect', 'गलत', 'ग़लत', 'झूठ', 'नहीं', 'தவறு', 'இல்லை'];
+
+// Unit -> [dimension, factor to the dimension's base unit]
+export const UNITS = {
+    mm: ['length', 0.001], cm: ['length', 0.01], m: ['length', 1], km: ['length', 1000],
+    mg: ['mass', 0.001], g: ['mass', 1], kg: ['mass', 1000],
+    ml: ['volume', 0.001], l: ['volume', 1],
+    paise: ['money', 0.01], rs: ['money', 1],
+    s: ['time', 1], min: ['time', 60], h: ['time', 3600], day: ['time', 86400],
+    percent: ['percent', 1],
+    deg: ['angle', 1],
+};
+
+const UNIT_ALIASES = {
+    mm: ['millimetre', 'millimeter', 'millimetres', 'millimeters'],
+    cm: ['centimetre', 'centimeter', 'centimetres', 'centimeters', 'सेमी'],
+    m: ['metre', 'meter', 'metres', 'meters', 'मीटर'],
+    km: ['kilometre', 'kilometer', 'kilometres', 'kilometers', 'किमी'],
+    mg: ['milligram', 'milligrams'],
+    g: ['gm', 'gms', 'gram', 'grams', 'ग्राम'],
+    kg: ['kgs', 'kilogram', 'kilograms', 'किलो', 'किलोग्राम'],
+    ml: ['millilitre', 'milliliter', 'millilitres', 'milliliters'],
+    l: ['ltr', 'litre', 'liter', 'litres', 'liters', 'लीटर'],
+    paise: ['paisa', 'p', 'पैसे'],
+    rs: ['rs.', '₹', 'inr', 'rupee', 'rupees', 'रुपये', 'रुपए', 'रु'],
+    s: ['sec', 'secs', 'second', 'seconds'],
+    min: ['mins', 'minute', 'minutes', 'मिनट'],
+    h: ['hr', 'hrs', 'hour', 'hours', 'घंटे'],
+    day: ['days', 'दिन'],
+    percent: ['%', 'per cent', 'प्रतिशत'],
+    deg: ['°', 'degree', 'degrees'],
+};
+
+const UNIT_LOOKUP = Object.fromEntries(
+    Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => [[unit, unit], ...aliases.map(alias => [alias, unit])])
+);
+
+/**
+ * Unit key (a key of UNITS) for a written unit such as "kilometres", "₹" or "मीटर"
+ * @returns {string|null}
+ */
+export function resolveUnit(label) {
+    return UNIT_LOOKUP[String(label ?? '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Replace Indic and Arabic-Indic digits with ASCII digits
+ */
+export function normalizeDigits(text) {
+    return String(text ?? '').replace(/[٠-٩۰-۹०-९০-৯੦-੯૦-૯୦-୯௦-௯౦-౯೦-೯൦-൯]/g, digit => {
+        const code = digit.charCodeAt(0);
+        const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+        return String(code - zero);
+    });
+}
+
+/**
+ * Normalize free text for comparison: Unicode NFC, ASCII digits, lower case,
+ * no punctuation and single spaces (letters and vowel signs of every script are kept)
+ */
+export function normalizeAnswer(text) {
+    return normalizeDigits(String(text ?? '').normalize('NFC'))
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s.\/-]/gu, ' ')
+        .replace(/(?<!\d)\.|\.(?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Read a numeric answer such as "12", "१२", "1,00,000", "-3.5", "3/4", "1 1/2", "₹ 20", "50%", "25 cm"
+ * or "1 hour 30 minutes" (mixed units are added up in the smallest one)
+ * @returns {Object|null} - { value, unit, decimals } (unit is a key of UNITS or null)
+ */
+export function parseNumericAnswer(text) {
+    let s = normalizeDigits(String(text ?? '').normalize('NFC')).trim().toLowerCase()
+        .replace(/−/g, '-')
+        .replace(/(\d),(?=\d)/g, '$1');
+    let unit = null;
+
+    const mixed = parseMixedUnits(s);
+    if (mixed) return mixed;
+
+    // Currency written before the amount
+    const prefix = s.match(/^(₹|rs\.?|inr)\s*/);
+    if (prefix) {
+        unit = 'rs';
+        s = s.slice(prefix[0].length);
+    }
+
+    const match = s.match(/^([-+]?)\s*(\d+(?:\.\d+)?|\.\d+)(?:\s+(\d+)\s*\/\s*(\d+)|\s*\/\s*(\d+))?\s*(.*)$/);
+    if (!match) return null;
+
+    const [, sign, number, mixedNumerator, mixedDenominator, denominator, rest] = match;
+    let value;
+    if (mixedDenominator) {
+        if (Number(mixedDenominator) === 0) return null;
+        value = Number(number) + Number(mixedNumerator) / Number(mixedDenominator);
+    } else if (denominator) {
+        if (Number(denominator) === 0) return null;
+        value = Number(number) / Number(denominator);
+    } else {
+        value = Number(number);
+    }
+
+    const label = rest.replace(/\.$/, '').trim();
+    if (label) {
+        if (UNIT_LOOKUP[label]) {
+            unit = UNIT_LOOKUP[label];
+        } else if (!/^[\p{L}\p{M}\s]+$/u.test(label) || label.split(/\s+/).length > 3) {
+            // Not a number with a unit or a short label ("5 apples"), e.g. "5 + 3" or "12 and 15"
+            return null;
+        }
+    }
+
+    return {
+        value: sign === '-' ? -value : value,
+        unit,
+        decimals: denominator || mixedDenominator ? 0 : (number.split('.')[1] || '').length,
+    };
+}
+
+// Amounts in two or more units of one dimension: "1 hour 30 minutes", "2 m 50 cm", "1 kg and 200 g"
+function parseMixedUnits(text) {
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([^\d,]+?)\s*(?:,|(?<=\s)(?:and|और))?\s*(?=\d|$)/gu)];
+    if (parts.length < 2 || parts.map(part => part[0]).join('') !== text) return null;
+
+    const units = parts.map(part => UNIT_LOOKUP[part[2].trim()]);
+    if (units.some(unit => !unit) || new Set(units).size !== units.length
+        || units.some(unit => UNITS[unit][0] !== UNITS[units[0]][0])) {
+        return null;
+    }
+
+    const unit = units.reduce((smallest, u) => (UNITS[u][1] < UNITS[smallest][1] ? u : smallest));
+    const value = parts.reduce((sum, part, i) => sum + Number(part[1]) * UNITS[units[i]][1] / UNITS[unit][1], 0);
+    return { value: Math.round(value * 1e9) / 1e9, unit, decimals: 0 };
+}
+
+/**
+ * Read a true/false answer in English, Hindi or Tamil
+ * @returns {boolean|null}
+ */
+export function parseBooleanAnswer(answer) {
+    if (typeof answer === 'boolean') return answer;
+    const text = normalizeAnswer(answer);
+    if (TRUE_WORDS.includes(text)) return true;
+    if (FALSE_WORDS.includes(text)) return false;
+    return null;
+}
+
+/**
+ * Option a multiple-choice answer picks: the option itself, its letter ("b") or its number ("2").
+ * Numbers are read as option numbers only when the options are not numbers themselves.
+ * @returns {string} - The chosen option, or the answer unchanged when it names none
+ */
+export function chosenOption(question, answer) {
+    const options = question.options || [];
+    const given = normalizeAnswer(answer);
+    if (options.some(option => normalizeAnswer(option) === given)) return answer;
+
+    const letter = given.match(/^\(?([a-h])\)?$/);
+    const numbered = /^\d$/.test(given) && !options.some(option => parseNumericAnswer(option));
+    const index = letter ? letter[1].charCodeAt(0) - 97 : numbered ? Number(given) - 1 : -1;
+    return options[index] !== undefined ? options[index] : answer;
+}
+
+/**
+ * Question type from its declared type, or from its shape when none is given
+ */
+export function inferQuestionType(question) {
+    const declared = String(question.type || '').trim().toLowerCase();
+    const type = TYPE_ALIASES[declared] || declared;
+    if (QUESTION_TYPES.includes(type)) return type;
+
+    if (Array.isArray(question.options) && question.options.length > 0) return 'multiple-choice';
+    if (typeof question.correctAnswer === 'boolean' || /^(true|false)$/i.test(String(question.correctAnswer).trim())) {
+        return 'true-false';
+    }
+    if (parseNumericAnswer(question.correctAnswer)) return 'numeric';
+    return 'short-answer';
+}
+
+/**
+ * Grade an answer without the LLM where possible
+ * @param {Object} question - { type, correctAnswer, options, acceptedAnswers, tolerance }
+ * @param {string} answer - Student's answer
+ * @returns {Object|null} - { isCorrect, method, type, mistakes, needsUnit }, or null when an open answer needs the LLM
+ *                         (mistakes: the misspelled aksharas of a fuzzy fill-in-the-blank or a wrong spelling;
+ *                         needsUnit: a bare number that is right only in another unit, e.g. "2500" for "2.5 km")
+ */
+export function gradeAnswer(question, answer) {
+    const type = inferQuestionType(question);
+    const grade = (isCorrect, method) => ({ isCorrect, method, type });
+    const gradeNumber = isCorrect => (!isCorrect && needsUnit(question, answer)
+        ? { ...grade(false, 'numeric'), needsUnit: true }
+        : grade(isCorrect, 'numeric'));
+
+    if (normalizeAnswer(answer) === '' && typeof answer !== 'boolean') {
+        return grade(false, 'empty');
+    }
+
+    switch (type) {
+        case 'multiple-choice':
+            return grade(gradeChoice(question, answer), 'choice');
+
+        case 'true-false': {
+            const expected = parseBooleanAnswer(question.correctAnswer);
+            const given = parseBooleanAnswer(answer);
+            return expected === null
+                ? grade(normalizeAnswer(answer) === normalizeAnswer(question.correctAnswer), 'exact')
+                : grade(given === expected, 'boolean');
+        }
+
+        case 'numeric': {
+            const isCorrect = gradeNumeric(question, answer);
+            return isCorrect === null ? gradeText(question, answer, type) : gradeNumber(isCorrect);
+        }
+
+        case 'fill-in-blank':
+            return gradeText(question, answer, type);
+
+        case 'spelling':
+            return gradeText(question, answer, type, { exact: true });
+
+        default: {
+            // Open answers: numbers and exact matches are settled here, anything else goes to the LLM
+            const numeric = gradeNumeric(question, answer);
+            if (numeric !== null) return gradeNumber(numeric);
+
+            const text = normalizeAnswer(answer);
+            return acceptedAnswers(question).some(accepted => normalizeAnswer(accepted) === text)
+                ? grade(true, 'exact')
+                : null;
+        }
+    }
+}
+
+function acceptedAnswers(question) {
+    return [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(a => a !== undefined && a !== null);
+}
+
+// The chosen option (see chosenOption) against the correct option
+function gradeChoice(question, answer) {
+    const given = normalizeAnswer(chosenOption(question, answer));
+
+    return acceptedAnswers(question).some(accepted => {
+        const expected = normalizeAnswer(accepted);
+        if (expected === given) return true;
+        const a = parseNumericAnswer(expected);
+        const b = parseNumericAnswer(given);
+        return Boolean(a && b && a.value === b.value && (a.unit === b.unit || !a.unit || !b.unit));
+    });
+}
+
+/**
+ * Numeric comparison with units converted within a dimension; a missing unit is read as the expected unit.
+ * Within `tolerance` (absolute) when the question has one, otherwise exact, or equal after rounding
+ * the expected value to the 2+ decimals the student wrote (1/3 -> "0.33").
+ * @returns {boolean|null} - null when the expected answer is not a number
+ */
+function gradeNumeric(question, answer) {
+    const candidates = acceptedAnswers(question).map(parseNumericAnswer).filter(Boolean);
+    if (candidates.length === 0) return null;
+
+    const given = parseNumericAnswer(answer);
+    if (!given) return false;
+
+    return candidates.some(expected => sameQuantity(question, expected, given));
+}
+
+// A bare number that matches an expected quantity once read in another unit of its dimension ("2500" as m for "2.5 km")
+function needsUnit(question, answer) {
+    const given = parseNumericAnswer(answer);
+    if (!given || given.unit) return false;
+
+    return acceptedAnswers(question).map(parseNumericAnswer).some(expected => expected?.unit && Object.keys(UNITS)
+        .filter(unit => unit !== expected.unit && UNITS[unit][0] === UNITS[expected.unit][0])
+        .some(unit => sameQuantity(question, expected, { ...given, unit })));
+}
+
+function sameQuantity(question, expected, given) {
+    let scale = 1;
+    if (expected.unit && given.unit) {
+        const [expectedDimension, expectedFactor] = UNITS[expected.unit];
+        const [givenDimension, givenFactor] = UNITS[given.unit];
+        if (expectedDimension !== givenDimension) return false;
+        scale = expectedFactor / givenFactor;
+    }
+
+    // Expected value in the student's unit
+    const target = expected.value * scale;
+    const tolerance = Number(question.tolerance) > 0
+        ? Number(question.tolerance) * scale
+        : 1e-9 * Math.max(1, Math.abs(target));
+    if (Math.abs(given.value - target) <= tolerance) return true;
+
+    const factor = 10 ** given.decimals;
+    return given.decimals >= 2 && Math.abs(Math.round(target * factor) / factor - given.value) < 1e-9;
+}
+
+// Fill-in-the-blank: normalized match, else a small spelling slip counted in aksharas (1 edit up to 6, 2 beyond,
+// none for 1-3; a wrong matra or a split conjunct is half an edit). Spelling questions need the exact word.
+function gradeText(question, answer, type, { exact = false } = {}) {
+    const given = normalizeAnswer(answer);
+    let fuzzy = null;
+    let closest = null;
+
+    for (const accepted of acceptedAnswers(question)) {
+        const expected = normalizeAnswer(accepted);
+        if (expected === given) return { isCorrect: true, method: 'exact', type };
+
+        const comparison = compareAksharas(expected, given);
+        if (!closest || comparison.distance < closest.distance) closest = comparison;
+
+        const length = comparison.expected.length;
+        const allowed = length <= 3 ? 0 : length <= 6 ? 1 : 2;
+        if (!exact && allowed > 0 && comparison.distance <= allowed && (!fuzzy || comparison.distance < fuzzy.distance)) {
+            fuzzy = comparison;
+        }
+    }
+
+    if (fuzzy) return { isCorrect: true, method: 'fuzzy', type, mistakes: fuzzy.mistakes };
+    return exact && closest
+        ? { isCorrect: false, method: 'exact', type, mistakes: closest.mistakes }
+        : { isCorrect: false, method: 'exact', type };
+}
+
+export default {
+    UNITS,
+    resolveUnit,
+    normalizeDigits,
+    normalizeAnswer,
+    parseNumericAnswer,
+    parseBooleanAnswer,
+    chosenOption,
+    inferQuestionType,
+    gradeAnswer,
+};
@@ -0,0 +1,242 @@
+/**
+ * Item Response Theory
+ * Rasch / 2PL models for estimating student ability (theta) and item difficulty (b) and
+ * discrimination (a) from right/wrong answers, and for picking the most informative next item
+ */
+
+// Starting difficulty for items that have not been calibrated yet
+export const DIFFICULTY_PRIORS = { easy: -1, medium: 0, hard: 1 };
+
+// Items need this many responses before their discrimination is estimated (2PL); fewer stay Rasch (a = 1)
+export const MIN_RESPONSES_2PL = 30;
+
+// Abilities are put on a mean 0, sd 1 scale during calibration once this many students answered
+const MIN_STUDENTS_TO_SCALE = 10;
+
+// Quadrature grid for ability estimates
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const THETA_STEP = 0.05;
+
+/**
+ * Chance of a correct answer
+ * @param {number} theta - Student ability
+ * @param {Object} item - { a: discrimination (1 for Rasch), b: difficulty }
+ */
+export function probability(theta, { a = 1, b = 0 } = {}) {
+    return 1 / (1 + Math.exp(-a * (theta - b)));
+}
+
+/**
+ * Fisher information an item gives at an ability level
+ */
+export function itemInformation(theta, item) {
+    const p = probability(theta, item);
+    return (item.a ?? 1) ** 2 * p * (1 - p);
+}
+
+/**
+ * Expected a posteriori (EAP) ability estimate with a normal prior
+ * Works for all-right and all-wrong answer patterns, unlike maximum likelihood.
+ * @param {Array} responses - [{ a, b, correct }]
+ * @param {Object} prior - { mean, sd }
+ * @returns {Object} - { theta, se }
+ */
+export function estimateAbility(responses, { mean = 0, sd = 1 } = {}) {
+    const grid = [];
+    for (let theta = THETA_MIN; theta <= THETA_MAX + 1e-9; theta += THETA_STEP) {
+        let logLikelihood = -((theta - mean) ** 2) / (2 * sd * sd);
+        for (const { a = 1, b = 0, correct } of responses) {
+            const z = a * (theta - b);
+            logLikelihood += logSigmoid(correct ? z : -z);
+        }
+        grid.push({ theta, logLikelihood });
+    }
+
+    // Weights relative to the most likely point so long answer histories don't underflow to 0
+    const maxLogLikelihood = Math.max(...grid.map(point => point.logLikelihood));
+    let total = 0;
+    let sum = 0;
+    let sumSquares = 0;
+    for (const { theta, logLikelihood } of grid) {
+        const weight = Math.exp(logLikelihood - maxLogLikelihood);
+        total += weight;
+        sum += weight * theta;
+        sumSquares += weight * theta * theta;
+    }
+
+    const theta = sum / total;
+    return {
+        theta: round(theta),
+        se: round(Math.sqrt(Math.max(sumSquares / total - theta * theta, 0))),
+    };
+}
+
+/**
+ * Most informative item at the current ability estimate
+ * @param {number} theta - Current ability estimate
+ * @param {Array} items - Candidate items ({ id, a, b })
+ * @param {Set|Array} exclude - IDs already given
+ */
+export function selectNextItem(theta, items, exclude = []) {
+    const used = new Set(exclude);
+    let best = null;
+    let bestInformation = -1;
+
+    for (const item of items) {
+        if (used.has(item.id)) continue;
+        const information = itemInformation(theta, item);
+        if (information > bestInformation) {
+            best = item;
+            bestInformation = information;
+        }
+    }
+    return best;
+}
+
+/**
+ * Whether an adaptive test has measured the student precisely enough (or run out of items)
+ * @param {Object} state - { se, answered, remaining }
+ * @param {Object} rules - { targetSe, minItems, maxItems }
+ */
+export function shouldStopTest({ se, answered, remaining }, { targetSe = 0.5, minItems = 5, maxItems = 20 } = {}) {
+    if (remaining === 0 || answered >= maxItems) return true;
+    return answered >= minItems && se <= targetSe;
+}
+
+/**
+ * Maximum a posteriori item parameters given the abilities of the students who answered it
+ * Difficulty has a normal prior around its starting value; discrimination (2PL only) a log-normal prior around 1.
+ * @param {Array} responses - [{ theta, correct }]
+ * @param {Object} item - Current { a, b, prior } (prior: starting difficulty)
+ * @param {Object} options - { model: 'rasch' | '2pl' }
+ * @returns {Object} - { a, b }
+ */
+export function estimateItemParameters(responses, item, { model = 'rasch' } = {}) {
+    const priorB = item.prior ?? 0;
+    let a = model === '2pl' ? item.a ?? 1 : 1;
+    let b = item.b ?? priorB;
+
+    for (let iteration = 0; iteration < 20; iteration++) {
+        // Newton step for b: d/db log L = -a * sum(correct - p); prior N(priorB, 1)
+        let gradient = -(b - priorB);
+        let hessian = -1;
+        for (const { theta, correct } of responses) {
+            const p = probability(theta, { a, b });
+            gradient -= a * ((correct ? 1 : 0) - p);
+            hessian -= a * a * p * (1 - p);
+        }
+        const stepB = gradient / hessian;
+        b = clamp(b - stepB, THETA_MIN, THETA_MAX);
+
+        let stepA = 0;
+        if (model === '2pl') {
+            // Newton step for log(a); prior log(a) ~ N(0, 0.5)
+            const logA = Math.log(a);
+            let gradientA = -logA / 0.25;
+            let hessianA = -1 / 0.25;
+            for (const { theta, correct } of responses) {
+                const p = probability(theta, { a, b });
+                const x = a * (theta - b);
+                gradientA += x * ((correct ? 1 : 0) - p);
+                hessianA -= x * x * p * (1 - p);
+            }
+            stepA = gradientA / hessianA;
+            a = clamp(Math.exp(logA - stepA), 0.25, 3);
+        }
+
+        if (Math.abs(stepB) < 1e-4 && Math.abs(stepA) < 1e-4) break;
+    }
+
+    return { a: round(a), b: round(b) };
+}
+
+/**
+ * Calibrate an item bank from stored responses by alternating ability and item estimates
+ * @param {Array} responses - [{ itemId, studentId, correct }]
+ * @param {Object} items - itemId -> { a, b, prior }
+ * @param {Object} options - { iterations }
+ * @returns {Object} - { items: itemId -> { a, b, responses }, abilities: studentId -> { theta, se, responses } }
+ */
+export function calibrate(responses, items, { iterations = 10 } = {}) {
+    const params = Object.fromEntries(Object.entries(items).map(([id, item]) => [id, { ...item }]));
+    const byStudent = groupBy(responses.filter(r => params[r.itemId]), 'studentId');
+    const byItem = groupBy(responses.filter(r => params[r.itemId]), 'itemId');
+    let abilities = {};
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        abilities = {};
+        for (const [studentId, answers] of Object.entries(byStudent)) {
+            abilities[studentId] = {
+                ...estimateAbility(answers.map(r => ({ ...params[r.itemId], correct: r.correct }))),
+                responses: answers.length,
+            };
+        }
+        standardize(abilities);
+
+        for (const [itemId, answers] of Object.entries(byItem)) {
+            const model = answers.length >= MIN_RESPONSES_2PL ? '2pl' : 'rasch';
+            params[itemId] = {
+                ...params[itemId],
+                ...estimateItemParameters(
+                    answers.map(r => ({ theta: abilities[r.studentId].theta, correct: r.correct })),
+                    params[itemId],
+                    { model }
+                ),
+            };
+        }
+    }
+
+    for (const [itemId, answers] of Object.entries(byItem)) {
+        params[itemId].responses = answers.length;
+    }
+    return { items: params, abilities };
+}
+
+// Fix the ability scale (EAP estimates shrink towards the prior, which would inflate discriminations)
+function standardize(abilities) {
+    const values = Object.values(abilities);
+    if (values.length < MIN_STUDENTS_TO_SCALE) return;
+
+    const mean = values.reduce((sum, v) => sum + v.theta, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v.theta - mean) ** 2, 0) / values.length);
+    if (sd < 1e-6) return;
+
+    for (const ability of values) {
+        ability.theta = round((ability.theta - mean) / sd);
+        ability.se = round(ability.se / sd);
+    }
+}
+
+function groupBy(list, key) {
+    const groups = {};
+    for (const entry of list) {
+        (groups[entry[key]] = groups[entry[key]] || []).push(entry);
+    }
+    return groups;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// log(1 / (1 + e^-z)) without overflow for large |z|
+function logSigmoid(z) {
+    return z < 0 ? z - Math.log1p(Math.exp(z)) : -Math.log1p(Math.exp(-z));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export default {
+    DIFFICULTY_PRIORS,
+    MIN_RESPONSES_2PL,
+    probability,
+    itemInformation,
+    estimateAbility,
+    selectNextItem,
+    shouldStopTest,
+    estimateItemParameters,
+    calibrate,
+};
@@ -0,0 +1,423 @@
+/**
+ * Numeracy Misconceptions
+ * A catalogue of common arithmetic misconceptions and a rule-based detector that infers them from wrong answers:
+ * the student's answer is compared with the answers each faulty procedure would give for the question, and
+ * generated multiple-choice questions name the misconception behind each wrong option.
+ */
+
+import { chosenOption, normalizeAnswer, normalizeDigits, parseNumericAnswer } from './answer-grading.js';
+import { parseProblem } from './worked-solutions.js';
+
+/**
+ * Known misconceptions: { name, skill, description (with an example), remedy (for the teacher) }
+ */
+export const MISCONCEPTIONS = {
+    'smaller-from-larger': {
+        name: 'Subtracts the smaller digit from the larger',
+        skill: 'subtraction',
+        description: 'Takes the smaller digit from the larger one in each column instead of borrowing (52 − 38 = 26).',
+        remedy: 'Model exchanging 1 ten for 10 ones with bundles of sticks before subtracting the ones.',
+    },
+    'borrowed-without-reducing': {
+        name: 'Borrows without reducing the next place',
+        skill: 'subtraction',
+        description: 'Adds 10 to the top digit but does not take 1 away from the next place (52 − 38 = 24).',
+        remedy: 'Have the student cross out and rewrite the digit they borrow from every time.',
+    },
+    'forgot-carry': {
+        name: 'Forgets to carry',
+        skill: 'addition',
+        description: 'Writes the ones of a column total and drops the ten that should be carried (47 + 38 = 75).',
+        remedy: 'Use place-value blocks: 10 ones become 1 ten that moves to the tens column.',
+    },
+    'column-sums-written-together': {
+        name: 'Writes column totals side by side',
+        skill: 'addition',
+        description: 'Writes each column\'s full total next to the others instead of regrouping (47 + 38 = 715).',
+        remedy: 'Ask how many digits a column can hold, then regroup the extra ten with bundles.',
+    },
+    'place-value-misalignment': {
+        name: 'Lines numbers up on the left',
+        skill: 'place-value',
+        description: 'Writes a shorter number under the first digits instead of ones under ones (45 + 3 = 75).',
+        remedy: 'Use a place-value chart with ones, tens and hundreds headings when writing sums.',
+    },
+    'decimals-as-whole-numbers': {
+        name: 'Ignores the decimal point',
+        skill: 'place-value',
+        description: 'Lines decimals up by their last digit like whole numbers (2.5 + 1.25 = 1.50).',
+        remedy: 'Line up the decimal points and fill empty places with zeros (2.50 + 1.25).',
+    },
+    'partial-product-not-shifted': {
+        name: 'Leaves out the placeholder zero',
+        skill: 'multiplication',
+        description: 'Does not shift the row for the tens digit when multiplying (23 × 12 = 69).',
+        remedy: 'Say the tens digit\'s value out loud ("10, not 1") and write the 0 before multiplying.',
+    },
+    'multiplied-columns-separately': {
+        name: 'Multiplies place by place',
+        skill: 'multiplication',
+        description: 'Multiplies tens by tens and ones by ones, like adding (23 × 12 = 26).',
+        remedy: 'Show 23 × 12 as an area grid so every part is multiplied by every other part.',
+    },
+    'times-table-slip': {
+        name: 'Multiplication fact slip',
+        skill: 'multiplication',
+        description: 'The answer is one group too many or too few (7 × 8 = 48).',
+        remedy: 'Practise the tables that slip with skip counting and short daily recall.',
+    },
+    'remainder-as-decimal': {
+        name: 'Writes the remainder as a decimal',
+        skill: 'division',
+        description: 'Puts the remainder after a decimal point (17 ÷ 5 = 3.2 instead of 3 remainder 2 or 3.4).',
+        remedy: 'Share real objects and talk about what the leftover part means.',
+    },
+    'ignored-remainder': {
+        name: 'Drops the remainder',
+        skill: 'division',
+        description: 'Gives only the whole-number part of a division that does not come out exactly (17 ÷ 5 = 3).',
+        remedy: 'Check with multiplication: 3 × 5 = 15, so where did the other 2 go?',
+    },
+    'copied-a-number': {
+        name: 'Gives a number from the question',
+        skill: 'division',
+        description: 'Answers with the divisor or denominator from the question instead of working it out.',
+        remedy: 'Ask the student to say in words what the question asks for before calculating.',
+    },
+    'wrong-operation': {
+        name: 'Uses the wrong operation',
+        skill: 'operations',
+        description: 'Adds, subtracts or multiplies when the problem needs a different operation.',
+        remedy: 'Act the problem out or draw it, then decide which operation matches the story.',
+    },
+    'added-numerators-and-denominators': {
+        name: 'Adds numerators and denominators',
+        skill: 'fractions',
+        description: 'Adds the tops and the bottoms of fractions separately (1/2 + 1/3 = 2/5).',
+        remedy: 'Use fraction strips to show that the size of the pieces must match before adding.',
+    },
+    'ignored-unlike-denominators': {
+        name: 'Adds fractions with different denominators as if they were the same',
+        skill: 'fractions',
+        description: 'Adds the numerators and keeps one of the denominators (1/2 + 1/3 = 2/3).',
+        remedy: 'Compare the pieces with fraction strips, then rename both fractions with a common denominator.',
+    },
+    'bigger-denominator-bigger-fraction': {
+        name: 'Thinks a bigger denominator means a bigger fraction',
+        skill: 'fractions',
+        description: 'Compares unit fractions by their denominators (thinks 1/8 is bigger than 1/4).',
+        remedy: 'Cut the same roti into 4 and into 8 pieces and compare one piece of each.',
+    },
+    'fraction-of-amount': {
+        name: 'Finds a fraction of an amount with only one part',
+        skill: 'fractions',
+        description: 'Uses only the denominator or only the numerator when finding a fraction of a number (3/4 of 20 = 5).',
+        remedy: 'Share the amount into equal groups (divide by the denominator), then take that many groups.',
+    },
+    'face-value': {
+        name: 'Gives the digit instead of its value',
+        skill: 'place-value',
+        description: 'Gives the face value of a digit rather than its place value (the 4 in 347 is worth 4).',
+        remedy: 'Write numbers in expanded form (300 + 40 + 7) with place-value cards.',
+    },
+    'place-value-confusion': {
+        name: 'Mixes up the places',
+        skill: 'place-value',
+        description: 'Reads a digit from the wrong place or counts only one place (tens in 347 = 4 instead of 34).',
+        remedy: 'Build numbers with bundles of 100, 10 and 1 and name each place.',
+    },
+    'wrong-conversion-factor': {
+        name: 'Uses the wrong conversion factor',
+        skill: 'measurement',
+        description: 'Uses the wrong number of small units in a big one (10 cm in a metre, 10 paise in a rupee).',
+        remedy: 'Make a class chart of unit facts (1 m = 100 cm, 1 kg = 1000 g, ₹1 = 100 paise) and measure real things.',
+    },
+    'units-written-together': {
+        name: 'Writes mixed units side by side',
+        skill: 'measurement',
+        description: 'Joins the numbers of two units instead of converting (3 m 25 cm = 325 m, ₹5 and 50 paise = ₹550).',
+        remedy: 'Convert the bigger unit first, then add the smaller one (3 m = 300 cm, 300 + 25 = 325 cm).',
+    },
+    'time-as-decimal': {
+        name: 'Treats time like decimals',
+        skill: 'time',
+        description: 'Counts 100 minutes in an hour or lets the minutes go past 60 (9:50 + 20 minutes = 9:70).',
+        remedy: 'Count on round a clock face: 60 minutes make the hour hand move to the next number.',
+    },
+    'clock-slip': {
+        name: 'Miscounts hours or minutes',
+        skill: 'time',
+        description: 'Adds or forgets an hour, or miscounts the minutes, when working out a time.',
+        remedy: 'Count on in steps on an empty time line: to the next hour first, then the rest.',
+    },
+    'missed-a-step': {
+        name: 'Stops after one step',
+        skill: 'money',
+        description: 'Solves only the first step of a two-step problem (gives the total cost instead of the change).',
+        remedy: 'Ask the student to underline the question and check that their answer answers it.',
+    },
+    'pattern-rule': {
+        name: 'Uses the wrong pattern rule',
+        skill: 'patterns',
+        description: 'Continues a pattern with the wrong step (counts by one, uses the first gap for a growing pattern).',
+        remedy: 'Write the gap between each pair of terms above the sequence before continuing it.',
+    },
+};
+
+// Error codes used by utils/numeracy-generator.js for wrong options -> catalogue IDs
+const ERROR_CODES = {
+    'smaller-from-larger': 'smaller-from-larger',
+    'borrowed-without-reducing': 'borrowed-without-reducing',
+    'forgot-carry': 'forgot-carry',
+    'column-sums-written-together': 'column-sums-written-together',
+    'partial-products-written-together': 'column-sums-written-together',
+    'table-slip': 'times-table-slip',
+    'added-instead': 'wrong-operation',
+    'subtracted-instead': 'wrong-operation',
+    'multiplied-instead': 'wrong-operation',
+    'multiplied-numerators': 'wrong-operation',
+    'added-numbers': 'wrong-operation',
+    'gave-divisor': 'copied-a-number',
+    'gave-denominator': 'copied-a-number',
+    'added-denominators': 'added-numerators-and-denominators',
+    'bigger-denominator-bigger-fraction': 'bigger-denominator-bigger-fraction',
+    'same-numerator-same-size': 'bigger-denominator-bigger-fraction',
+    'ignored-denominator': 'fraction-of-amount',
+    'ignored-numerator': 'fraction-of-amount',
+    'face-value': 'face-value',
+    'tens-digit-not-tens': 'place-value-confusion',
+    'counted-hundreds': 'place-value-confusion',
+    'counted-ones': 'place-value-confusion',
+    'wrong-place': 'place-value-confusion',
+    'place-name-as-value': 'place-value-confusion',
+    'wrong-conversion-factor': 'wrong-conversion-factor',
+    'used-10-paise-per-rupee': 'wrong-conversion-factor',
+    'joined-numbers': 'units-written-together',
+    'joined-rupees-and-paise': 'units-written-together',
+    '100-minutes-in-an-hour': 'time-as-decimal',
+    'subtracted-like-decimals': 'time-as-decimal',
+    'minutes-past-60': 'time-as-decimal',
+    'hour-slip': 'clock-slip',
+    'minute-slip': 'clock-slip',
+    'forgot-the-hour': 'clock-slip',
+    'added-extra-hour': 'clock-slip',
+    'gave-total-not-change': 'missed-a-step',
+    'forgot-second-item': 'missed-a-step',
+    'subtracted-prices': 'missed-a-step',
+    'added-first-difference': 'pattern-rule',
+    'added-last-difference': 'pattern-rule',
+    'skipped-a-term': 'pattern-rule',
+    'counted-by-one': 'pattern-rule',
+    'counted-back-by-one': 'pattern-rule',
+    'gave-next-term': 'pattern-rule',
+};
+
+// Seen this many times, a misconception is reported as recurring rather than a one-off slip
+export const RECURRING_COUNT = 2;
+
+/**
+ * Catalogue entry for an ID (unknown IDs get a bare entry)
+ */
+export function describeMisconception(id) {
+    return { id, ...(MISCONCEPTIONS[id] || { name: id, skill: null, description: '', remedy: '' }) };
+}
+
+/**
+ * Misconceptions a wrong answer points to
+ * Wrong options of generated questions are tagged; otherwise the arithmetic in the question
+ * ("What is 52 − 38?", "1/2 + 1/3") is redone with each faulty procedure.
+ * @param {Object} question - { question, options, misconceptions: { option: errorCode }, correctAnswer }
+ * @param {*} answer - Student's (wrong) answer
+ * @returns {Array} - [{ id, name, skill, source: 'option' | 'rule' }]
+ */
+export function detectMisconceptions(question, answer) {
+    if (!question || answer === undefined || answer === null || normalizeAnswer(answer) === '') return [];
+
+    const found = new Map();
+    const add = (id, source) => {
+        if (MISCONCEPTIONS[id] && !found.has(id)) {
+            const { name, skill } = MISCONCEPTIONS[id];
+            found.set(id, { id, name, skill, source });
+        }
+    };
+
+    const tags = question.misconceptions;
+    if (tags && typeof tags === 'object' && !Array.isArray(tags)) {
+        const given = normalizeAnswer(chosenOption(question, answer));
+        for (const [option, code] of Object.entries(tags)) {
+            if (normalizeAnswer(option) === given) add(ERROR_CODES[code] || code, 'option');
+        }
+    }
+
+    if (found.size === 0) {
+        for (const id of detectFromArithmetic(String(question.question || ''), answer, question.correctAnswer)) {
+            add(id, 'rule');
+        }
+    }
+    return [...found.values()];
+}
+
+/**
+ * Per-student summary of stored detections
+ * @param {Array} rows - student_misconceptions rows ({ misconception_id, topic, question, answer, correct_answer, created_at })
+ * @returns {Array} - [{ id, name, skill, description, remedy, count, recurring, lastSeen, topics, examples }], most frequent first
+ */
+export function summarizeMisconceptions(rows) {
+    const byId = {};
+    for (const row of rows) {
+        const entry = byId[row.misconception_id] = byId[row.misconception_id] || {
+            ...describeMisconception(row.misconception_id),
+            count: 0,
+            lastSeen: null,
+            topics: new Set(),
+            examples: [],
+        };
+        entry.count++;
+        if (!entry.lastSeen || row.created_at > entry.lastSeen) entry.lastSeen = row.created_at;
+        if (row.topic) entry.topics.add(row.topic);
+        if (entry.examples.length < 3) {
+            entry.examples.push({ question: row.question, answer: row.answer, correctAnswer: row.correct_answer });
+        }
+    }
+
+    return Object.values(byId)
+        .map(entry => ({ ...entry, recurring: entry.count >= RECURRING_COUNT, topics: [...entry.topics] }))
+        .sort((a, b) => b.count - a.count || String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+/**
+ * Class summary from per-student counts
+ * @param {Array} counts - [{ student_id, misconception_id, count }]
+ * @returns {Array} - [{ id, name, skill, remedy, students, occurrences, studentIds }], most widespread first
+ */
+export function summarizeClassMisconceptions(counts) {
+    const byId = {};
+    for (const { student_id: studentId, misconception_id: id, count } of counts) {
+        const entry = byId[id] = byId[id] || { ...describeMisconception(id), students: 0, occurrences: 0, studentIds: [] };
+        entry.students++;
+        entry.occurrences += count;
+        entry.studentIds.push(studentId);
+    }
+    return Object.values(byId).sort((a, b) => b.students - a.students || b.occurrences - a.occurrences);
+}
+
+// Catalogue IDs whose faulty procedure gives the student's answer
+function detectFromArithmetic(text, answer, correctAnswer) {
+    const given = parseNumericAnswer(answer);
+    if (!given) return [];
+    const matches = value => Number.isFinite(value) && Math.abs(value - given.value) < 1e-9;
+    const ids = [];
+    const candidates = [];
+
+    const fractions = normalizeDigits(text).match(/(\d+)\s*\/\s*(\d+)\s*([+\-−])\s*(\d+)\s*\/\s*(\d+)/);
+    if (fractions) {
+        const [p, q, , r, s] = [1, 2, 3, 4, 5].map(i => Number(fractions[i]));
+        const sign = fractions[3] === '+' ? 1 : -1;
+        candidates.push([(p + sign * r) / (q + sign * s), 'added-numerators-and-denominators']);
+        if (q !== s) {
+            candidates.push([(p + sign * r) / q, 'ignored-unlike-denominators'], [(p + sign * r) / s, 'ignored-unlike-denominators']);
+        }
+    } else {
+        const parsed = parseProblem(text);
+        if (parsed?.kind === 'expression' && parsed.tokens.length === 3) {
+            candidates.push(...faultyResults(parsed.tokens[0], parsed.tokens[1], parsed.tokens[2], correctAnswer));
+        }
+    }
+
+    for (const [value, id] of candidates) {
+        if (matches(value) && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+}
+
+// [value, id] for each faulty procedure applied to "a op b"
+function faultyResults(left, op, right, correctAnswer) {
+    const results = [];
+    const [a, b] = [Number(left), Number(right)];
+
+    if (left.includes('.') || right.includes('.')) {
+        // Digits lined up on the right like whole numbers, keeping the longer decimal part
+        if (op === '+' || op === '-') {
+            const places = Math.max(decimals(left), decimals(right));
+            const [x, y] = [Number(left.replace('.', '')), Number(right.replace('.', ''))];
+            results.push([(op === '+' ? x + y : Math.abs(x - y)) / 10 ** places, 'decimals-as-whole-numbers']);
+        }
+        return results;
+    }
+
+    const shifted = (n, m) => n * 10 ** (String(m).length - String(n).length);
+    if (op === '+') {
+        results.push(
+            [columnSums(a, b, (x, y) => (x + y) % 10), 'forgot-carry'],
+            [Number(padDigits(a, b)[0].map((d, i) => d + padDigits(a, b)[1][i]).join('')), 'column-sums-written-together'],
+            [a >= b ? a + shifted(b, a) : shifted(a, b) + b, 'place-value-misalignment'],
+            [Math.abs(a - b), 'wrong-operation'],
+            [a * b, 'wrong-operation']
+        );
+    } else if (op === '-') {
+        results.push(
+            [columnSums(a, b, (x, y) => Math.abs(x - y)), 'smaller-from-larger'],
+            [columnSums(a, b, (x, y) => (x < y ? x + 10 - y : x - y)), 'borrowed-without-reducing'],
+            [a - shifted(b, a), 'place-value-misalignment'],
+            [a + b, 'wrong-operation']
+        );
+    } else if (op === '*') {
+        const [big, small] = a >= b ? [a, b] : [b, a];
+        if (small >= 10) {
+            const rows = String(small).split('').map(d => big * Number(d));
+            results.push([rows.reduce((sum, row) => sum + row, 0), 'partial-product-not-shifted']);
+        }
+        if (String(a).length === String(b).length && a >= 10) {
+            const [x, y] = padDigits(a, b);
+            results.push([Number(x.map((d, i) => d * y[i]).join('')), 'multiplied-columns-separately']);
+        }
+        if (small < 10) {
+            const digits = String(big).split('').map(Number);
+            results.push([Number(digits.map((d, i) => (i === 0 ? d * small : (d * small) % 10)).join('')), 'forgot-carry']);
+        }
+        if (a <= 12 && b <= 12) {
+            results.push([a * (b + 1), 'times-table-slip'], [a * (b - 1), 'times-table-slip'], [(a + 1) * b, 'times-table-slip'], [(a - 1) * b, 'times-table-slip']);
+        }
+        results.push([a + b, 'wrong-operation']);
+    } else if (op === '/' && b > 0) {
+        const quotient = Math.floor(a / b);
+        const remainder = a % b;
+        if (remainder) {
+            results.push([Number(`${quotient}.${remainder}`), 'remainder-as-decimal']);
+            // "3" is only wrong when the expected answer isn't the quotient itself
+            if (parseNumericAnswer(correctAnswer)?.value !== quotient) results.push([quotient, 'ignored-remainder']);
+        }
+        if (b <= 12 && !remainder) {
+            results.push([a / b + 1, 'times-table-slip'], [a / b - 1, 'times-table-slip']);
+        }
+        results.push([b, 'copied-a-number'], [a - b, 'wrong-operation'], [a * b, 'wrong-operation']);
+    }
+
+    // A faulty procedure that happens to give the right answer is no evidence
+    const correct = op === '+' ? a + b : op === '-' ? a - b : op === '*' ? a * b : a / b;
+    return results.filter(([value]) => Math.abs(value - correct) > 1e-9);
+}
+
+// Apply a digit rule column by column (numbers padded to the same width)
+function columnSums(a, b, combine) {
+    const [x, y] = padDigits(a, b);
+    return Number(x.map((d, i) => combine(d, y[i])).join(''));
+}
+
+function padDigits(a, b) {
+    const width = Math.max(String(a).length, String(b).length);
+    return [a, b].map(n => String(n).padStart(width, '0').split('').map(Number));
+}
+
+function decimals(text) {
+    return (text.split('.')[1] || '').length;
+}
+
+export default {
+    MISCONCEPTIONS,
+    RECURRING_COUNT,
+    describeMisconception,
+    detectMisconceptions,
+    summarizeMisconceptions,
+    summarizeClassMisconceptions,
+};
@@ -3,13 +3,8 @@
  * Handles translation, localization, and language-specific features
  */
 
-import { VertexAI } from '@google-cloud/vertexai';
-
-// Initialize Vertex AI for translations
-const vertexAI = new VertexAI({
-    project: process.env.GOOGLE_CLOUD_PROJECT,
-    location: process.env.GOOGLE_CLOUD_REGION || 'asia-south1',
-});
+import { getProvider } from '../providers/index.js';
+import { detectRomanized } from './transliteration.js';
 
 /**
  * Supported languages configuration
@@ -211,7 +206,7 @@ export const UI_TRANSLATIONS = {
 };
 
 /**
- * Translate text using Gemini AI for context-aware translation
+ * Translate text using the configured LLM provider for context-aware translation
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language code
  * @param {string} context - Context for better translation
@@ -221,10 +216,6 @@ export async function translateWithContext(text, targetLang, context = 'educatio
     if (targetLang === 'en') return text;
 
     try {
-        const model = vertexAI.getGenerativeModel({
-            model: 'gemini-2.0-flash-exp',
-        });
-
         const prompt = `Translate the following ${context} text to ${SUPPORTED_LANGUAGES[targetLang].nativeName} (${targetLang}):
 
 Text: "${text}"
@@ -238,8 +229,11 @@ Requirements:
 
 Provide only the translation, no explanations.`;
 
-        const result = await model.generateContent(prompt);
-        return result.response.text().trim();
+        const translation = await getProvider().generate(prompt, {
+            task: 'translation',
+            data: { text, targetLang, context },
+        });
+        return translation.trim();
     } catch (error) {
         console.error('Translation error:', error);
         return text; // Fallback to original text
@@ -268,6 +262,7 @@ export function getUITranslation(key, lang = 'en') {
 
 /**
  * Detect language from text (simple heuristic)
+ * Latin text is checked for romanized Hindi, Tamil... ("mujhe jod sikhao" is Hindi)
  * @param {string} text - Input text
  * @returns {string} - Detected language code
  */
@@ -286,6 +281,9 @@ export function detectLanguage(text) {
     if (teluguRange.test(text)) return 'te';
     if (bengaliRange.test(text)) return 'bn';
 
+    const romanized = detectRomanized(text);
+    if (romanized.romanized) return romanized.language;
+
     return 'en'; // Default to English
 }
 
@@ -298,15 +296,19 @@ export function detectLanguage(text) {
 export function analyzeCodeMixing(text) {
     const languages = [];
 
-    if (/[a-zA-Z]/.test(text)) languages.push('en');
-    if (/[\u0900-\u097F]/.test(text)) languages.push('hi');
-    if (/[\u0B80-\u0BFF]/.test(text)) languages.push('ta');
-    if (/[\u0C00-\u0C7F]/.test(text)) languages.push('te');
-    if (/[\u0980-\u09FF]/.test(text)) languages.push('bn');
+    // Latin letters are English, romanized Indic text, or both ("mujhe addition sikhao")
+    const romanized = /[a-zA-Z]/.test(text) ? detectRomanized(text) : null;
+    if (romanized?.romanized) languages.push(romanized.language);
+    if (romanized && (!romanized.romanized || romanized.englishWords > 0)) languages.push('en');
+    if (/[\u0900-\u097F]/.test(text) && !languages.includes('hi')) languages.push('hi');
+    if (/[\u0B80-\u0BFF]/.test(text) && !languages.includes('ta')) languages.push('ta');
+    if (/[\u0C00-\u0C7F]/.test(text) && !languages.includes('te')) languages.push('te');
+    if (/[\u0980-\u09FF]/.test(text) && !languages.includes('bn')) languages.push('bn');
 
     return {
         isCodeMixed: languages.length > 1,
         languages,
+        romanized: romanized?.romanized ? romanized.language : null,
         primaryLanguage: languages[0] || 'en',
         suggestion: languages.length > 1
             ? 'Code-mixing detected. Will respond in mixed format.'
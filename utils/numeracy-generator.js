@@ -0,0 +1,606 @@
+/**
+ * Numeracy Question Generator
+ * Procedural FLN maths questions (place value, the four operations with regrouping, fractions, money in ₹,
+ * time, measurement and patterns). Answers are computed and then checked a second way (the written column
+ * methods, repeated addition and subtraction, counting on a clock), and wrong options come from common errors
+ * (e.g. forgetting to carry), so quizzes are correct by construction and need no LLM.
+ */
+
+const NAMES = ['Meena', 'Ravi', 'Asha', 'Arjun', 'Priya', 'Kabir', 'Fatima', 'Raju', 'Lakshmi', 'Imran'];
+const OBJECTS = ['marbles', 'mangoes', 'laddoos', 'bangles', 'pencils', 'stickers', 'marigolds', 'rotis'];
+const ITEMS = [['pencil', 'eraser'], ['notebook', 'pen'], ['banana', 'apple'], ['kite', 'ball'], ['samosa', 'chai']];
+
+/**
+ * Skills with the topic words that select them
+ */
+export const NUMERACY_SKILLS = {
+    'place-value': ['place value', 'tens', 'ones', 'hundreds', 'digit', 'number sense', 'expanded'],
+    addition: ['add', 'addition', 'sum', 'plus', 'carry', 'regroup'],
+    subtraction: ['subtract', 'subtraction', 'minus', 'borrow', 'difference', 'take away'],
+    multiplication: ['multiply', 'multiplication', 'times', 'tables', 'product'],
+    division: ['divide', 'division', 'divid', 'share', 'quotient'],
+    fractions: ['fraction', 'half', 'halves', 'quarter', 'numerator', 'denominator'],
+    money: ['money', 'rupee', '₹', 'paise', 'shopping', 'change', 'price'],
+    time: ['time', 'clock', 'hour', 'minute'],
+    measurement: ['measure', 'length', 'weight', 'mass', 'capacity', 'metre', 'meter', 'gram', 'litre', 'liter'],
+    patterns: ['pattern', 'sequence', 'series', 'skip count', 'next number'],
+};
+
+// Topics that ask for a general mix
+const GENERAL_TOPICS = ['math', 'maths', 'arithmetic', 'numeracy', 'general', 'mixed', 'number'];
+const DEFAULT_MIX = ['addition', 'subtraction', 'multiplication', 'division', 'place-value', 'money', 'time', 'patterns'];
+
+const MAX_ATTEMPTS = 20;
+
+/**
+ * Skills a topic asks for: matching skills, the default mix for general maths, or none for
+ * topics the generator doesn't cover
+ * @param {string} topic - Free-text topic (e.g. "addition with carrying", "general math")
+ * @returns {Array<string>} - Skill IDs
+ */
+export function resolveNumeracySkills(topic) {
+    const text = String(topic || '').toLowerCase();
+    const skills = Object.keys(NUMERACY_SKILLS).filter(skill =>
+        text.includes(skill.replace('-', ' ')) || NUMERACY_SKILLS[skill].some(word => text.includes(word))
+    );
+    if (skills.length > 0) return skills;
+    return GENERAL_TOPICS.some(word => text.includes(word)) ? DEFAULT_MIX : [];
+}
+
+/**
+ * Generate multiple-choice numeracy questions
+ * @param {Object} params - { topic, skills, difficulty: easy | medium | hard, count, random }
+ *                          random: () => [0, 1), e.g. a seeded generator for reproducible quizzes
+ * @returns {Array} - [{ type, question, options, correctAnswer, explanation, topic, skill, difficulty, misconceptions }]
+ *                    misconceptions maps each wrong option to the error that produces it
+ */
+export function generateNumeracyQuestions(params = {}) {
+    const { topic, difficulty = 'easy', count = 10, random = Math.random } = params;
+    const level = ['easy', 'medium', 'hard'].includes(difficulty) ? difficulty : 'easy';
+    let skills = params.skills || resolveNumeracySkills(topic);
+    if (skills.length === 0) skills = DEFAULT_MIX;
+
+    const questions = [];
+    const seen = new Set();
+
+    for (let i = 0; questions.length < count && i < count * MAX_ATTEMPTS; i++) {
+        const skill = skills[questions.length % skills.length];
+        const question = buildQuestion(skill, level, random);
+        if (question && !seen.has(question.question)) {
+            seen.add(question.question);
+            questions.push(question);
+        }
+    }
+    return questions;
+}
+
+/**
+ * One verified question for a skill (null when the generated question fails its checks)
+ */
+function buildQuestion(skill, difficulty, random) {
+    const generated = GENERATORS[skill](random, difficulty);
+    const format = generated.format || String;
+    const answer = format(generated.answer);
+
+    // Wrong options: error-based first, then near misses for numeric answers
+    const misconceptions = {};
+    const addOption = (value, error) => {
+        if (typeof value === 'number' && (!Number.isFinite(value) || value < 0)) return;
+        const text = format(value);
+        if (text !== answer && !(text in misconceptions) && Object.keys(misconceptions).length < 3) {
+            misconceptions[text] = error;
+        }
+    };
+    for (const [value, error] of generated.distractors) addOption(value, error);
+    if (typeof generated.answer === 'number') {
+        for (const offset of [1, -1, 10, -10, 2, -2]) addOption(generated.answer + offset, 'near-miss');
+    }
+
+    const options = shuffle(random, [answer, ...Object.keys(misconceptions)]);
+    if (!generated.check() || options.length < 4 || options.filter(o => o === answer).length !== 1) {
+        return null;
+    }
+
+    return {
+        type: 'multiple-choice',
+        question: generated.question,
+        options,
+        correctAnswer: answer,
+        explanation: generated.explanation,
+        topic: skill,
+        skill,
+        difficulty,
+        misconceptions,
+    };
+}
+
+// ==================== SKILLS ====================
+
+const GENERATORS = {
+    'place-value': (random, difficulty) => {
+        const digits = { easy: 2, medium: 3, hard: 4 }[difficulty];
+        const n = repeatUntil(() => randomDigits(random, digits), v => new Set(String(v)).size === digits && !String(v).includes('0'));
+        const text = String(n);
+
+        if (digits >= 3 && random() < 0.4) {
+            const tens = Math.floor(n / 10);
+            return {
+                question: `How many tens are there in ${n}?`,
+                answer: tens,
+                explanation: `${n} = ${tens} tens and ${n % 10} ones, so there are ${tens} tens.`,
+                distractors: [[Number(text.at(-2)), 'tens-digit-not-tens'], [Math.floor(n / 100), 'counted-hundreds'], [n % 10, 'counted-ones']],
+                check: () => columnAdd(repeatedAdd(10, tens), Number(text.at(-1))) === n,
+            };
+        }
+
+        const position = randomInt(random, 0, digits - 1);
+        const digit = Number(text[digits - 1 - position]);
+        const value = digit * 10 ** position;
+        const wrongPlace = digit * 10 ** (position + 1 < digits ? position + 1 : position - 1);
+        return {
+            question: `What is the place value of ${digit} in ${n}?`,
+            answer: value,
+            explanation: `${digit} is in the ${PLACE_NAMES[position]} place, so its value is ${digit} × ${10 ** position} = ${value}.`,
+            distractors: [[digit, 'face-value'], [wrongPlace, 'wrong-place'], [10 ** position, 'place-name-as-value']],
+            check: () => String(value) === `${text[digits - 1 - position]}${'0'.repeat(position)}`
+                && String(columnSubtract(n, value)).padStart(digits, '0')[digits - 1 - position] === '0',
+        };
+    },
+
+    addition: (random, difficulty) => {
+        const digits = { easy: 1, medium: 2, hard: 3 }[difficulty];
+        const [a, b] = repeatUntil(
+            () => [randomDigits(random, digits), randomDigits(random, digits)],
+            ([x, y]) => digits === 1 || hasCarry(x, y)
+        );
+        const answer = a + b;
+        const [name, objects] = [pick(random, NAMES), pick(random, OBJECTS)];
+        return {
+            question: pick(random, [
+                `${name} has ${a} ${objects} and gets ${b} more. How many ${objects} does ${name} have now?`,
+                `What is ${a} + ${b}?`,
+            ]),
+            answer,
+            explanation: `${a} + ${b} = ${answer}${digits > 1 ? '. Add the ones first and carry to the next place when a column makes 10 or more.' : '.'}`,
+            distractors: [
+                [columnSums(a, b, (x, y) => (x + y) % 10), 'forgot-carry'],
+                [Number(columnSumsText(a, b)), 'column-sums-written-together'],
+                [Math.abs(a - b), 'subtracted-instead'],
+            ],
+            check: () => columnAdd(a, b) === answer,
+        };
+    },
+
+    subtraction: (random, difficulty) => {
+        const digits = { easy: 1, medium: 2, hard: 3 }[difficulty];
+        const [a, b] = digits === 1
+            ? repeatUntil(() => [randomInt(random, 5, 18), randomInt(random, 2, 9)], ([x, y]) => x > y)
+            : repeatUntil(() => {
+                const x = randomDigits(random, digits);
+                const y = randomDigits(random, digits);
+                return [Math.max(x, y), Math.min(x, y)];
+            }, ([x, y]) => x !== y && needsBorrow(x, y));
+        const answer = a - b;
+        const name = pick(random, NAMES);
+        return {
+            question: pick(random, [
+                `${name} had ₹${a}. ${name} spent ₹${b} on vegetables. How much money is left?`,
+                `What is ${a} − ${b}?`,
+            ]),
+            answer,
+            explanation: `${a} − ${b} = ${answer}${digits > 1 ? '. When the top digit is smaller, borrow 1 from the next place and reduce that place by 1.' : '.'}`,
+            distractors: [
+                [columnSums(a, b, (x, y) => Math.abs(x - y)), 'smaller-from-larger'],
+                [borrowWithoutReducing(a, b), 'borrowed-without-reducing'],
+                [a + b, 'added-instead'],
+            ],
+            check: () => columnSubtract(a, b) === answer,
+        };
+    },
+
+    multiplication: (random, difficulty) => {
+        const [a, b] = difficulty === 'hard'
+            ? repeatUntil(() => [randomInt(random, 12, 49), randomInt(random, 3, 9)], ([x, y]) => (x % 10) * y >= 10)
+            : [difficulty === 'easy' ? randomInt(random, 2, 5) : randomInt(random, 6, 10), randomInt(random, 2, 10)];
+        const answer = a * b;
+        const objects = pick(random, OBJECTS);
+        const distractors = [[a + b, 'added-instead'], [a * (b - 1), 'table-slip'], [a * (b + 1), 'table-slip']];
+        if (a >= 10) {
+            distractors.unshift(
+                [Number(`${Math.floor(a / 10) * b}${(a % 10) * b}`), 'partial-products-written-together'],
+                [Math.floor(a / 10) * b * 10 + ((a % 10) * b) % 10, 'forgot-carry']
+            );
+        }
+        return {
+            question: pick(random, [
+                `One packet has ${a} ${objects}. How many ${objects} are in ${b} packets?`,
+                `What is ${a} × ${b}?`,
+            ]),
+            answer,
+            explanation: `${a} × ${b} = ${answer}${a >= 10 ? ` (${a % 10} × ${b} = ${(a % 10) * b}, ${Math.floor(a / 10) * 10} × ${b} = ${Math.floor(a / 10) * 10 * b})` : ''}.`,
+            distractors,
+            check: () => repeatedAdd(a, b) === answer,
+        };
+    },
+
+    division: (random, difficulty) => {
+        const divisor = randomInt(random, 2, difficulty === 'easy' ? 5 : 9);
+        const answer = difficulty === 'hard' ? randomInt(random, 11, 30) : randomInt(random, 2, 10);
+        const total = answer * divisor;
+        const objects = pick(random, OBJECTS);
+        return {
+            question: pick(random, [
+                `${total} ${objects} are shared equally among ${divisor} friends. How many does each friend get?`,
+                `What is ${total} ÷ ${divisor}?`,
+            ]),
+            answer,
+            explanation: `${total} ÷ ${divisor} = ${answer}, because ${answer} × ${divisor} = ${total}.`,
+            distractors: [[answer + 1, 'table-slip'], [answer - 1, 'table-slip'], [total - divisor, 'subtracted-instead'], [divisor, 'gave-divisor']],
+            check: () => {
+                const shared = repeatedSubtract(total, divisor);
+                return shared.quotient === answer && shared.remainder === 0;
+            },
+        };
+    },
+
+    fractions: (random, difficulty) => {
+        if (difficulty === 'hard') {
+            const d = randomInt(random, 5, 12);
+            const [p, q] = repeatUntil(() => [randomInt(random, 1, d - 2), randomInt(random, 1, d - 2)], ([x, y]) => x + y < d && x !== y);
+            const answer = `${p + q}/${d}`;
+            return {
+                question: `What is ${p}/${d} + ${q}/${d}?`,
+                answer,
+                explanation: `The pieces are the same size (${d}ths), so add the numerators: ${p} + ${q} = ${p + q}. The answer is ${p + q}/${d}.`,
+                distractors: [[`${p + q}/${d * 2}`, 'added-denominators'], [`${p * q}/${d}`, 'multiplied-numerators'], [`${Math.abs(p - q)}/${d}`, 'subtracted-instead']],
+                check: () => `${columnAdd(p, q)}/${d}` === answer,
+            };
+        }
+
+        if (difficulty === 'medium' && random() < 0.5) {
+            const [a, b] = repeatUntil(() => [randomInt(random, 2, 10), randomInt(random, 2, 10)], ([x, y]) => x !== y);
+            const [larger, smaller] = a < b ? [a, b] : [b, a];
+            return {
+                question: `Which is bigger: 1/${a} or 1/${b}?`,
+                answer: `1/${larger}`,
+                explanation: `Cutting a roti into ${larger} pieces gives bigger pieces than cutting it into ${smaller}, so 1/${larger} is bigger.`,
+                distractors: [[`1/${smaller}`, 'bigger-denominator-bigger-fraction'], ['They are equal', 'same-numerator-same-size'], [`1/${larger + smaller}`, 'added-denominators']],
+                // Sharing the same amount among fewer people gives each one more
+                check: () => repeatedSubtract(a * b, larger).quotient > repeatedSubtract(a * b, smaller).quotient,
+            };
+        }
+
+        const d = randomInt(random, 2, difficulty === 'easy' ? 4 : 8);
+        const k = difficulty === 'easy' ? 1 : randomInt(random, 1, d - 1);
+        const n = d * randomInt(random, 2, difficulty === 'easy' ? 5 : 9);
+        const answer = (n / d) * k;
+        const objects = pick(random, OBJECTS);
+        return {
+            question: `${pick(random, NAMES)} has ${n} ${objects} and gives away ${k}/${d} of them. How many ${objects} is that?`,
+            answer,
+            explanation: `1/${d} of ${n} is ${n} ÷ ${d} = ${n / d}${k > 1 ? `, so ${k}/${d} is ${k} × ${n / d} = ${answer}` : ''}.`,
+            distractors: [[n / d === answer ? n - d : n / d, k > 1 ? 'ignored-numerator' : 'subtracted-instead'], [n * k, 'ignored-denominator'], [d, 'gave-denominator']],
+            check: () => {
+                const part = repeatedSubtract(n, d);
+                return part.remainder === 0 && repeatedAdd(part.quotient, k) === answer;
+            },
+        };
+    },
+
+    money: (random, difficulty) => {
+        if (difficulty === 'hard') {
+            const rupees = randomInt(random, 2, 20);
+            const paise = pick(random, [5, 10, 20, 25, 50, 75]);
+            const answer = rupees * 100 + paise;
+            return {
+                question: `How many paise are there in ₹${rupees} and ${paise} paise?`,
+                answer,
+                format: value => `${value} paise`,
+                explanation: `₹1 = 100 paise, so ₹${rupees} = ${rupees * 100} paise. ${rupees * 100} + ${paise} = ${answer} paise.`,
+                distractors: [[Number(`${rupees}${paise}`), 'joined-rupees-and-paise'], [rupees * 10 + paise, 'used-10-paise-per-rupee'], [rupees + paise, 'added-numbers']],
+                check: () => columnAdd(repeatedAdd(100, rupees), paise) === answer,
+            };
+        }
+
+        const [first, second] = pick(random, ITEMS);
+        const a = randomInt(random, 3, difficulty === 'easy' ? 9 : 45);
+        const b = randomInt(random, 3, difficulty === 'easy' ? 9 : 45);
+        const name = pick(random, NAMES);
+
+        if (difficulty === 'easy') {
+            return {
+                question: `${capitalize(withArticle(first))} costs ₹${a} and ${withArticle(second)} costs ₹${b}. How much do both cost together?`,
+                answer: a + b,
+                format: value => `₹${value}`,
+                explanation: `₹${a} + ₹${b} = ₹${a + b}.`,
+                distractors: [[Math.abs(a - b), 'subtracted-instead'], [a * b, 'multiplied-instead']],
+                check: () => columnAdd(a, b) === a + b,
+            };
+        }
+
+        const note = [10, 20, 50, 100, 200].find(value => value > a + b);
+        const answer = note - a - b;
+        return {
+            question: `${name} buys ${withArticle(first)} for ₹${a} and ${withArticle(second)} for ₹${b}, and pays with a ₹${note} note. How much change should ${name} get?`,
+            answer,
+            format: value => `₹${value}`,
+            explanation: `Total cost: ₹${a} + ₹${b} = ₹${a + b}. Change: ₹${note} − ₹${a + b} = ₹${answer}.`,
+            distractors: [[a + b, 'gave-total-not-change'], [note - a, 'forgot-second-item'], [note - Math.abs(a - b), 'subtracted-prices']],
+            // Counting up from the cost to the note, as a shopkeeper gives change
+            check: () => columnAdd(a, b, answer) === note,
+        };
+    },
+
+    time: (random, difficulty) => {
+        if (difficulty === 'easy') {
+            const hours = randomInt(random, 2, 12);
+            const extra = pick(random, [0, 15, 30]);
+            const answer = hours * 60 + extra;
+            return {
+                question: `How many minutes are there in ${hours} hours${extra ? ` ${extra} minutes` : ''}?`,
+                answer,
+                explanation: `1 hour = 60 minutes, so ${hours} hours = ${hours} × 60 = ${hours * 60} minutes${extra ? `, and ${hours * 60} + ${extra} = ${answer}` : ''}.`,
+                distractors: [[hours * 100 + extra, '100-minutes-in-an-hour'], [hours + 60 + extra, 'added-instead'], [hours * 10 + extra, 'wrong-conversion-factor']],
+                check: () => columnAdd(repeatedAdd(60, hours), extra) === answer,
+            };
+        }
+
+        if (difficulty === 'medium') {
+            const hour = randomInt(random, 1, 11);
+            const [minute, later] = repeatUntil(
+                () => [randomInt(random, 2, 11) * 5, randomInt(random, 2, 11) * 5],
+                ([m, add]) => m + add > 60 && m + add < 120
+            );
+            const total = hour * 60 + minute + later;
+            const answer = clockTime(Math.floor(total / 60), total % 60);
+            return {
+                question: `The clock shows ${clockTime(hour, minute)}. What time will it be after ${later} minutes?`,
+                answer,
+                explanation: `${minute} + ${later} = ${minute + later} minutes = 1 hour ${minute + later - 60} minutes, so the time is ${answer}.`,
+                distractors: [
+                    [`${hour}:${minute + later}`, 'minutes-past-60'],
+                    [clockTime(hour, minute + later - 60), 'forgot-the-hour'],
+                    [clockTime(hour + 2, minute + later - 60), 'added-extra-hour'],
+                ],
+                check: () => countForward(hour, minute, later) === answer,
+            };
+        }
+
+        const [start, end] = repeatUntil(
+            () => [randomInt(random, 7, 10) * 60 + randomInt(random, 1, 11) * 5, randomInt(random, 12, 16) * 60 + randomInt(random, 0, 11) * 5],
+            ([s, e]) => e % 60 < s % 60
+        );
+        const minutes = end - start;
+        const duration = (h, m) => `${h} hours ${m} minutes`;
+        const decimal = (Math.floor(end / 60) * 100 + end % 60) - (Math.floor(start / 60) * 100 + start % 60);
+        const endShown = clockTime(((Math.floor(end / 60) + 11) % 12) + 1, end % 60);
+        return {
+            question: `School starts at ${clockTime(Math.floor(start / 60), start % 60)} in the morning and ends at ${endShown} in the afternoon. How long is the school day?`,
+            answer: duration(Math.floor(minutes / 60), minutes % 60),
+            explanation: `From ${clockTime(Math.floor(start / 60), start % 60)} to ${endShown} is ${Math.floor(minutes / 60)} hours ${minutes % 60} minutes (count to the next full hour, then the rest).`,
+            distractors: [
+                [duration(Math.floor(decimal / 100), decimal % 100), 'subtracted-like-decimals'],
+                [duration(Math.floor(minutes / 60) + 1, minutes % 60), 'hour-slip'],
+                [duration(Math.floor(minutes / 60), (minutes % 60 + 10) % 60), 'minute-slip'],
+            ],
+            check: () => countForward(Math.floor(start / 60), start % 60,
+                columnAdd(repeatedAdd(60, Math.floor(minutes / 60)), minutes % 60)) === clockTime(Math.floor(end / 60), end % 60),
+        };
+    },
+
+    measurement: (random, difficulty) => {
+        const [big, small, factor, what, bigName] = pick(random, [
+            ['kg', 'g', 1000, 'grams', 'kilograms'],
+            ['L', 'mL', 1000, 'millilitres', 'litres'],
+            ['m', 'cm', 100, 'centimetres', 'metres'],
+        ]);
+
+        if (difficulty === 'easy') {
+            const whole = randomInt(random, 2, 9);
+            const wrongFactor = factor === 1000 ? 100 : 1000;
+            return {
+                question: `How many ${what} are there in ${whole} ${bigName}?`,
+                answer: whole * factor,
+                explanation: `1 ${big} = ${factor} ${small}, so ${whole} ${big} = ${whole * factor} ${small}.`,
+                distractors: [[whole * 10, 'wrong-conversion-factor'], [whole * wrongFactor, 'wrong-conversion-factor'], [whole + factor, 'added-instead']],
+                check: () => repeatedAdd(factor, whole) === whole * factor,
+            };
+        }
+
+        const whole = randomInt(random, 1, 9);
+        // Hard questions use parts that need a placeholder zero (2 kg 50 g = 2050 g)
+        const part = difficulty === 'hard'
+            ? (factor === 1000 ? randomInt(random, 1, 19) * 5 : randomInt(random, 1, 9))
+            : randomInt(random, 11, factor - 1);
+        const answer = whole * factor + part;
+        return {
+            question: `${pick(random, NAMES)} measures ${whole} ${big} ${part} ${small}. How many ${what} is that?`,
+            answer,
+            explanation: `1 ${big} = ${factor} ${small}, so ${whole} ${big} = ${whole * factor} ${small}. ${whole * factor} + ${part} = ${answer} ${small}.`,
+            distractors: [[Number(`${whole}${part}`), 'joined-numbers'], [whole * (factor === 1000 ? 100 : 10) + part, 'wrong-conversion-factor'], [whole + part, 'added-numbers']],
+            check: () => columnAdd(repeatedAdd(factor, whole), part) === answer,
+        };
+    },
+
+    patterns: (random, difficulty) => {
+        if (difficulty === 'hard') {
+            const start = randomInt(random, 1, 5);
+            const ratio = randomInt(random, 2, 3);
+            const terms = Array.from({ length: 4 }, (_, i) => start * ratio ** i);
+            const answer = terms[3] * ratio;
+            return {
+                question: `What comes next: ${terms.join(', ')}, __?`,
+                answer,
+                explanation: `Each number is ${ratio} times the one before, so the next is ${terms[3]} × ${ratio} = ${answer}.`,
+                distractors: [[terms[3] + (terms[1] - terms[0]), 'added-first-difference'], [terms[3] + (terms[3] - terms[2]), 'added-last-difference'], [answer * ratio, 'skipped-a-term']],
+                check: () => repeatedAdd(terms[3], ratio) === answer && terms.every((t, i) => i === 0 || repeatedAdd(terms[i - 1], ratio) === t),
+            };
+        }
+
+        const step = difficulty === 'easy' ? pick(random, [2, 5, 10]) : randomInt(random, 3, 12);
+        const start = randomInt(random, 1, 20);
+        const terms = Array.from({ length: 5 }, (_, i) => start + step * i);
+
+        if (difficulty === 'medium') {
+            const answer = terms[2];
+            return {
+                question: `Fill in the missing number: ${terms[0]}, ${terms[1]}, __, ${terms[3]}, ${terms[4]}`,
+                answer,
+                explanation: `The numbers go up by ${step}: ${terms[1]} + ${step} = ${answer}.`,
+                // Wrong options are never numbers the sequence already shows
+                distractors: [[terms[1] + 1, 'counted-by-one'], [terms[4] + step, 'gave-next-term'], [terms[3] - 1, 'counted-back-by-one']],
+                check: () => columnAdd(terms[1], step) === answer && columnSubtract(terms[3], step) === answer,
+            };
+        }
+
+        const answer = terms[4];
+        return {
+            question: `What comes next: ${terms.slice(0, 4).join(', ')}, __?`,
+            answer,
+            explanation: `The numbers go up by ${step}, so the next is ${terms[3]} + ${step} = ${answer}.`,
+            distractors: [[terms[3] + 1, 'counted-by-one'], [answer + step, 'skipped-a-term']],
+            check: () => columnSubtract(answer, step) === terms[3],
+        };
+    },
+};
+
+const PLACE_NAMES = ['ones', 'tens', 'hundreds', 'thousands'];
+
+// ==================== HELPERS ====================
+
+// Written column addition, right to left with carries
+function columnAdd(...numbers) {
+    const width = Math.max(...numbers.map(n => String(n).length));
+    const rows = numbers.map(n => String(n).padStart(width, '0'));
+    let carry = 0;
+    let digits = '';
+    for (let i = width - 1; i >= 0; i--) {
+        const sum = rows.reduce((total, row) => total + Number(row[i]), carry);
+        digits = `${sum % 10}${digits}`;
+        carry = Math.floor(sum / 10);
+    }
+    return Number(`${carry || ''}${digits}`);
+}
+
+// Written column subtraction with borrowing (NaN when b is bigger than a)
+function columnSubtract(a, b) {
+    const [x, y] = padDigits(a, b);
+    let borrow = 0;
+    let digits = '';
+    for (let i = x.length - 1; i >= 0; i--) {
+        const top = x[i] - borrow;
+        borrow = top < y[i] ? 1 : 0;
+        digits = `${top + borrow * 10 - y[i]}${digits}`;
+    }
+    return borrow ? NaN : Number(digits);
+}
+
+// value + value + ... (times of them)
+function repeatedAdd(value, times) {
+    let total = 0;
+    for (let i = 0; i < times; i++) total = columnAdd(total, value);
+    return total;
+}
+
+// Take away divisor until less than it is left
+function repeatedSubtract(total, divisor) {
+    let quotient = 0;
+    let remainder = total;
+    while (remainder >= divisor) {
+        remainder = columnSubtract(remainder, divisor);
+        quotient++;
+    }
+    return { quotient, remainder };
+}
+
+// Clock time after counting forward minute by minute
+function countForward(hour, minute, minutes) {
+    for (let i = 0; i < minutes; i++) {
+        minute++;
+        if (minute === 60) {
+            hour++;
+            minute = 0;
+        }
+    }
+    return clockTime(hour, minute);
+}
+
+// Column-by-column result of a and b (no carrying or borrowing), read as a number
+function columnSums(a, b, combine) {
+    const [x, y] = padDigits(a, b);
+    return Number(x.map((d, i) => combine(d, y[i])).join(''));
+}
+
+// Each column's full sum written side by side (47 + 38 -> "715")
+function columnSumsText(a, b) {
+    const [x, y] = padDigits(a, b);
+    return x.map((d, i) => d + y[i]).join('');
+}
+
+// Borrowing 10 into a column but not taking 1 from the next place
+function borrowWithoutReducing(a, b) {
+    return columnSums(a, b, (x, y) => (x < y ? x + 10 - y : x - y));
+}
+
+function hasCarry(a, b) {
+    const [x, y] = padDigits(a, b);
+    return x.some((d, i) => d + y[i] >= 10);
+}
+
+function needsBorrow(a, b) {
+    const [x, y] = padDigits(a, b);
+    return x.some((d, i) => d < y[i]);
+}
+
+function padDigits(a, b) {
+    const width = Math.max(String(a).length, String(b).length);
+    return [a, b].map(n => String(n).padStart(width, '0').split('').map(Number));
+}
+
+function withArticle(noun) {
+    return `${/^[aeiou]/.test(noun) ? 'an' : 'a'} ${noun}`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function clockTime(hour, minute) {
+    return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+function randomDigits(random, digits) {
+    return randomInt(random, digits === 1 ? 1 : 10 ** (digits - 1), 10 ** digits - 1);
+}
+
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function shuffle(random, list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Draw values until they satisfy a condition (generators keep their ranges wide enough to succeed quickly)
+function repeatUntil(draw, accept) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS * 10; attempt++) {
+        const value = draw();
+        if (accept(value)) return value;
+    }
+    throw new Error('Could not generate a question with the requested properties');
+}
+
+export default {
+    NUMERACY_SKILLS,
+    resolveNumeracySkills,
+    generateNumeracyQuestions,
+};
@@ -0,0 +1,268 @@
+/**
+ * Oral Reading Fluency
+ * Aligns a speech transcript word by word to the passage a student read aloud and scores it the way
+ * ASER and NIPUN Bharat do: words correct per minute (WCPM), accuracy and a fluency band for the grade.
+ */
+
+import { levenshteinDistance } from '../features/voice-learning.js';
+
+export const MAX_PASSAGE_WORDS = 400;
+export const MAX_READING_SECONDS = 600;
+
+/**
+ * WCPM a student should reach by the end of each grade
+ * Grades 2 and 3 are the NIPUN Bharat targets (45-60 and 60); the other grades are stepped from them.
+ */
+export const FLUENCY_BENCHMARKS = { 1: 30, 2: 45, 3: 60, 4: 75, 5: 90, 6: 100, 7: 110, 8: 120 };
+
+// ASER counts a paragraph or story as read with at most this many mistakes
+const ASER_MAX_MISTAKES = 3;
+
+// Near-identical spellings (transcription variants such as colour/color) count as read correctly
+const MATCH_SIMILARITY = 0.8;
+
+/**
+ * Built-in levelled passages; `level` is the ASER level a passage tests where it has one
+ */
+export const LEVELLED_PASSAGES = [
+    {
+        id: 'en-grade-1-paragraph',
+        language: 'en',
+        grade: 1,
+        level: 'paragraph',
+        title: 'Ravi and his dog',
+        text: 'Ravi has a red ball. He plays with his dog. The dog runs fast. Ravi is very happy.',
+    },
+    {
+        id: 'en-grade-2-story',
+        language: 'en',
+        grade: 2,
+        level: 'story',
+        title: 'The rainy day',
+        text: 'It was a rainy day. Meena could not go out to play. She sat near the window and looked at the sky. '
+            + 'Big drops fell on the leaves. A small bird sat on the wall. It was wet and cold. '
+            + 'Meena put some rice on the window for the bird. The bird ate the rice and sang a song.',
+    },
+    {
+        id: 'en-grade-3',
+        language: 'en',
+        grade: 3,
+        level: null,
+        title: 'The village fair',
+        text: 'Every year a fair comes to our village after the harvest. There are swings, toy shops and sweet stalls. '
+            + 'This year my grandfather gave me ten rupees. I wanted a kite, a balloon and some jalebis. '
+            + 'The kite cost six rupees and the balloon cost three. I had only one rupee left for sweets. '
+            + 'My little sister looked at the jalebis sadly, so I bought one and we shared it. '
+            + 'Walking home, we flew the kite together. It was the best day of the year.',
+    },
+    {
+        id: 'en-grade-5',
+        language: 'en',
+        grade: 5,
+        level: null,
+        title: 'Saving the pond',
+        text: 'The pond behind our school had become full of plastic bags and bottles. Frogs no longer sang there in the '
+            + 'evenings, and the buffaloes went to drink somewhere else. One Monday our teacher asked us what we could do '
+            + 'about it. We made a plan. Each class would clean one side of the pond on Saturday morning, and the older '
+            + 'students would paint signs asking people not to throw rubbish. Our parents lent us gloves and sacks. '
+            + 'By noon we had filled forty sacks. A month later the water was clearer, and one evening we heard the frogs '
+            + 'again. Now every class takes turns to keep the pond clean, and nobody wants to be the one who forgets.',
+    },
+    {
+        id: 'hi-grade-1-paragraph',
+        language: 'hi',
+        grade: 1,
+        level: 'paragraph',
+        title: 'रानी की गाय',
+        text: 'रानी के पास एक गाय है। गाय का रंग सफेद है। गाय घास खाती है। रानी गाय को पानी देती है।',
+    },
+    {
+        id: 'hi-grade-2-story',
+        language: 'hi',
+        grade: 2,
+        level: 'story',
+        title: 'मोहन की पतंग',
+        text: 'मोहन के पास एक लाल पतंग थी। वह रोज़ छत पर पतंग उड़ाता था। एक दिन तेज़ हवा चली। '
+            + 'पतंग की डोर टूट गई और पतंग पेड़ पर अटक गई। मोहन बहुत उदास हो गया। '
+            + 'उसकी दीदी ने एक लंबी लकड़ी से पतंग उतार दी। मोहन खुश हो गया और उसने दीदी को धन्यवाद कहा।',
+    },
+    {
+        id: 'hi-grade-3',
+        language: 'hi',
+        grade: 3,
+        level: null,
+        title: 'बगीचे का पेड़',
+        text: 'हमारे स्कूल के बगीचे में एक बड़ा नीम का पेड़ है। गर्मी में सब बच्चे उसकी छाँव में बैठते हैं। '
+            + 'पेड़ पर बहुत सी चिड़ियाँ रहती हैं। सुबह वे मीठे गीत गाती हैं। एक दिन माली काका ने बताया कि यह पेड़ '
+            + 'उनके दादा जी ने लगाया था। हमने तय किया कि हम भी हर साल एक नया पेड़ लगाएँगे। '
+            + 'इस साल हमने आम का एक छोटा पौधा लगाया और रोज़ उसे पानी देते हैं।',
+    },
+];
+
+/**
+ * Split text into words for alignment: { word, key } where key ignores case, punctuation and Unicode form
+ */
+export function tokenizeReading(text = '') {
+    return (String(text).normalize('NFC').match(/[\p{L}\p{M}\p{N}'’-]+/gu) || [])
+        .map(word => ({ word, key: word.toLowerCase().replace(/['’-]/g, '') }))
+        .filter(token => token.key);
+}
+
+/**
+ * Whether a spoken word counts as reading the expected word
+ */
+export function wordsMatch(expected, spoken) {
+    if (expected === spoken) return true;
+    const longest = Math.max(expected.length, spoken.length);
+    if (Math.min(expected.length, spoken.length) < 4) return false;
+    return 1 - levenshteinDistance(expected, spoken) / longest >= MATCH_SIMILARITY;
+}
+
+/**
+ * Align a transcript to a passage with the fewest edits (words read, substituted, skipped or added)
+ * @returns {Array} - [{ index, expected, spoken, status: correct | substituted | skipped | inserted }] in reading order;
+ *                    index is the passage word position (null for inserted words)
+ */
+export function alignReading(passage, transcript) {
+    const expected = tokenizeReading(passage);
+    const spoken = tokenizeReading(transcript);
+    const n = expected.length;
+    const m = spoken.length;
+
+    // cost[i][j]: fewest edits to read the first i passage words as the first j spoken words
+    const cost = Array.from({ length: n + 1 }, (_, i) => {
+        const row = new Array(m + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= m; j++) cost[0][j] = j;
+
+    const same = Array.from({ length: n }, (_, i) => spoken.map(s => wordsMatch(expected[i].key, s.key)));
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + (same[i - 1][j - 1] ? 0 : 1),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1
+            );
+        }
+    }
+
+    // Walk back, preferring a word read over a skip or an insertion when costs tie
+    const steps = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (same[i - 1][j - 1] ? 0 : 1)) {
+            steps.push({
+                index: i - 1,
+                expected: expected[i - 1].word,
+                spoken: spoken[j - 1].word,
+                status: same[i - 1][j - 1] ? 'correct' : 'substituted',
+            });
+            i--;
+            j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            steps.push({ index: i - 1, expected: expected[i - 1].word, spoken: null, status: 'skipped' });
+            i--;
+        } else {
+            steps.push({ index: null, expected: null, spoken: spoken[j - 1].word, status: 'inserted' });
+            j--;
+        }
+    }
+    return steps.reverse();
+}
+
+/**
+ * Benchmark and band for a reading rate
+ * Bands: beginning (below half the benchmark), developing (below it, or under 90% accuracy),
+ * at-benchmark, above-benchmark (a quarter above it with 95% accuracy)
+ */
+export function fluencyBand(wcpm, accuracy, grade) {
+    const g = Math.min(Math.max(parseInt(grade) || 3, 1), 8);
+    const benchmark = FLUENCY_BENCHMARKS[g];
+
+    let band;
+    if (wcpm < benchmark / 2) band = 'beginning';
+    else if (wcpm < benchmark || accuracy < 90) band = 'developing';
+    else if (wcpm >= benchmark * 1.25 && accuracy >= 95) band = 'above-benchmark';
+    else band = 'at-benchmark';
+
+    return { band, benchmark, grade: g };
+}
+
+/**
+ * Score a timed oral reading
+ * Words after the last one the student reached are not counted (the reading was timed out or stopped),
+ * and added or repeated words are not errors. Substituted and skipped words are.
+ * @param {Object} params - { passage, transcript, durationSeconds, grade, level }
+ * @returns {Object} - { wcpm, accuracy, wordsInPassage, wordsAttempted, wordsCorrect, errors, completed,
+ *                       skipped, substitutions, insertions, band, benchmark, levelRead, alignment }
+ */
+export function scoreReading({ passage, transcript, durationSeconds, grade, level = null }) {
+    const alignment = alignReading(passage, transcript);
+    const wordsInPassage = tokenizeReading(passage).length;
+
+    const reached = alignment.reduce((last, step) => (step.status === 'correct' || step.status === 'substituted' ? step.index : last), -1);
+    for (const step of alignment) {
+        if (step.status === 'skipped' && step.index > reached) step.status = 'not-reached';
+    }
+
+    const read = alignment.filter(step => step.index !== null && step.status !== 'not-reached');
+    const skipped = read.filter(step => step.status === 'skipped');
+    const substitutions = read.filter(step => step.status === 'substituted');
+    const wordsAttempted = read.length;
+    const errors = skipped.length + substitutions.length;
+    const wordsCorrect = wordsAttempted - errors;
+    const minutes = durationSeconds / 60;
+
+    const accuracy = wordsAttempted > 0 ? Math.round((wordsCorrect / wordsAttempted) * 1000) / 10 : 0;
+    const wcpm = minutes > 0 ? Math.round(wordsCorrect / minutes) : 0;
+    const completed = wordsAttempted === wordsInPassage;
+
+    return {
+        wcpm,
+        accuracy,
+        wordsInPassage,
+        wordsAttempted,
+        wordsCorrect,
+        errors,
+        completed,
+        skipped: skipped.map(({ index, expected }) => ({ index, word: expected })),
+        substitutions: substitutions.map(({ index, expected, spoken }) => ({ index, expected, spoken })),
+        insertions: alignment.filter(step => step.status === 'inserted').map(step => step.spoken),
+        ...fluencyBand(wcpm, accuracy, grade),
+        // ASER: the paragraph or story is read if it is finished with at most 3 mistakes
+        levelRead: level ? completed && errors <= ASER_MAX_MISTAKES : null,
+        alignment,
+    };
+}
+
+/**
+ * Change in WCPM and accuracy across readings (oldest first)
+ */
+export function summarizeFluency(readings) {
+    if (readings.length === 0) return null;
+    const first = readings[0];
+    const latest = readings[readings.length - 1];
+    return {
+        readings: readings.length,
+        first: { wcpm: first.wcpm, accuracy: first.accuracy, band: first.band },
+        latest: { wcpm: latest.wcpm, accuracy: latest.accuracy, band: latest.band },
+        wcpmChange: latest.wcpm - first.wcpm,
+        bestWcpm: Math.max(...readings.map(r => r.wcpm)),
+    };
+}
+
+export default {
+    FLUENCY_BENCHMARKS,
+    LEVELLED_PASSAGES,
+    MAX_PASSAGE_WORDS,
+    MAX_READING_SECONDS,
+    tokenizeReading,
+    wordsMatch,
+    alignReading,
+    fluencyBand,
+    scoreReading,
+    summarizeFluency,
+};
@@ -0,0 +1,408 @@
+/**
+ * Transliteration
+ * Reads Indic languages typed in Latin letters ("mujhe jod sikhao", "enakku kanakku sollu"): detects the
+ * language, converts it to its own script for the agents, and writes native-script replies back in Latin
+ * letters for students who can't read the script yet.
+ * Common words come from a lexicon with their usual spelling; other words are converted by rules.
+ */
+
+import { INDIC_SCRIPTS } from './aksharas.js';
+
+// Script each romanized language is written in
+const LANGUAGE_SCRIPTS = { hi: 'devanagari', mr: 'devanagari', bn: 'bengali', ta: 'tamil', te: 'telugu' };
+
+// Detection order when two languages match as many words (Hindi and Marathi share many)
+export const ROMANIZED_LANGUAGES = ['hi', 'ta', 'te', 'bn', 'mr'];
+
+/**
+ * Frequent words as students type them, with their native spelling
+ */
+const LEXICON = {
+    hi: {
+        mujhe: 'मुझे', main: 'मैं', mein: 'में', hai: 'है', hain: 'हैं', nahi: 'नहीं', nahin: 'नहीं', kya: 'क्या',
+        kaise: 'कैसे', kaisa: 'कैसा', kyun: 'क्यों', kyon: 'क्यों', kyu: 'क्यों', aap: 'आप', tum: 'तुम', hum: 'हम',
+        mera: 'मेरा', meri: 'मेरी', mere: 'मेरे', ka: 'का', ki: 'की', ke: 'के', ko: 'को', se: 'से', par: 'पर',
+        aur: 'और', bhi: 'भी', yeh: 'यह', ye: 'ये', woh: 'वह', wo: 'वो', kaun: 'कौन', kab: 'कब', kahan: 'कहाँ',
+        kitna: 'कितना', kitne: 'कितने', sikhao: 'सिखाओ', sikhana: 'सिखाना', samjhao: 'समझाओ', batao: 'बताओ',
+        jod: 'जोड़', jodna: 'जोड़ना', ghatana: 'घटाना', ghatao: 'घटाओ', guna: 'गुणा', bhag: 'भाग', sawal: 'सवाल',
+        jawab: 'जवाब', padhna: 'पढ़ना', padhai: 'पढ़ाई', padho: 'पढ़ो', likhna: 'लिखना', likho: 'लिखो',
+        kahani: 'कहानी', shabd: 'शब्द', ginti: 'गिनती', sankhya: 'संख्या', accha: 'अच्छा', acha: 'अच्छा',
+        theek: 'ठीक', thik: 'ठीक', haan: 'हाँ', madad: 'मदद', karo: 'करो', karna: 'करना', kar: 'कर', ek: 'एक',
+        teen: 'तीन', char: 'चार', paanch: 'पाँच', hota: 'होता', hoga: 'होगा', tha: 'था', thi: 'थी', raha: 'रहा',
+        rahi: 'रही', chahiye: 'चाहिए', samajh: 'समझ', aata: 'आता', aati: 'आती', pata: 'पता', jata: 'जाता',
+        jati: 'जाती', hoon: 'हूँ', hun: 'हूँ', gaya: 'गया', gayi: 'गई', karta: 'करता', karti: 'करती', sunao: 'सुनाओ',
+        dikhao: 'दिखाओ', dekho: 'देखो', abhi: 'अभी', kal: 'कल', aaj: 'आज', ghar: 'घर', paani: 'पानी', pani: 'पानी',
+        kuch: 'कुछ', sab: 'सब', bahut: 'बहुत', thoda: 'थोड़ा', bada: 'बड़ा', chhota: 'छोटा', naam: 'नाम',
+        kitab: 'किताब', hogi: 'होगी', dobara: 'दोबारा', phir: 'फिर', matlab: 'मतलब',
+    },
+    mr: {
+        mala: 'मला', mi: 'मी', tu: 'तू', kasa: 'कसा', kashi: 'कशी', kay: 'काय', ahe: 'आहे', nahi: 'नाही',
+        sang: 'सांग', sanga: 'सांगा', shikav: 'शिकव', shikva: 'शिकवा', berij: 'बेरीज', vajabaki: 'वजाबाकी',
+        kara: 'करा', majha: 'माझा', majhi: 'माझी', tumhi: 'तुम्ही', amhi: 'आम्ही', kuthe: 'कुठे', kiti: 'किती',
+        ani: 'आणि', pan: 'पण', samajla: 'समजला', nahit: 'नाहीत',
+    },
+    bn: {
+        ami: 'আমি', tumi: 'তুমি', apni: 'আপনি', amake: 'আমাকে', amar: 'আমার', kemon: 'কেমন', keno: 'কেন',
+        bolo: 'বলো', shekhao: 'শেখাও', sekhao: 'শেখাও', jog: 'যোগ', biyog: 'বিয়োগ', ache: 'আছে', nei: 'নেই',
+        hobe: 'হবে', korbo: 'করবো', koro: 'করো', bujhini: 'বুঝিনি', bhalo: 'ভালো', khub: 'খুব', ki: 'কী',
+        kotha: 'কথা', golpo: 'গল্প', onko: 'অঙ্ক', porbo: 'পড়বো', lekho: 'লেখো',
+    },
+    ta: {
+        enakku: 'எனக்கு', naan: 'நான்', nee: 'நீ', neenga: 'நீங்க', epdi: 'எப்படி', eppadi: 'எப்படி', enna: 'என்ன',
+        sollu: 'சொல்லு', sollunga: 'சொல்லுங்க', solli: 'சொல்லி', romba: 'ரொம்ப', illa: 'இல்ல', illai: 'இல்லை',
+        aama: 'ஆமா', kanakku: 'கணக்கு', koottal: 'கூட்டல்', kazhithal: 'கழித்தல்', paadam: 'பாடம்',
+        padikka: 'படிக்க', theriyala: 'தெரியல', theriyum: 'தெரியும்', venum: 'வேணும்', vendum: 'வேண்டும்',
+        yen: 'ஏன்', enga: 'எங்க', ethu: 'எது', idhu: 'இது', adhu: 'அது', panna: 'பண்ண', pannu: 'பண்ணு',
+        kathukudu: 'கத்துக்குடு', vanakkam: 'வணக்கம்', nandri: 'நன்றி', seri: 'சரி', sari: 'சரி', kadhai: 'கதை',
+    },
+    te: {
+        naaku: 'నాకు', nenu: 'నేను', nuvvu: 'నువ్వు', ela: 'ఎలా', cheppu: 'చెప్పు', cheppandi: 'చెప్పండి',
+        emiti: 'ఏమిటి', enti: 'ఏంటి', ledu: 'లేదు', avunu: 'అవును', lekkalu: 'లెక్కలు', kudika: 'కూడిక',
+        teesivetha: 'తీసివేత', nerchuko: 'నేర్చుకో', nerpinchu: 'నేర్పించు', kavali: 'కావాలి', ardham: 'అర్థం',
+        kaaledu: 'కాలేదు', undi: 'ఉంది', chala: 'చాలా', bagundi: 'బాగుంది', katha: 'కథ', chadavadam: 'చదవడం',
+    },
+};
+
+// Lexicon words that are also everyday English: they count for less and need a romanized sentence around them
+const AMBIGUOUS = new Set(['main', 'par', 'ki', 'ke', 'ko', 'hai', 'tu', 'mi', 'pan', 'ani', 'ami', 'nee', 'yen', 'ela', 'kar', 'char', 'sang', 'seri', 'ek']);
+
+// Common English (and classroom) words kept as they are inside romanized sentences
+const ENGLISH_WORDS = new Set([
+    'the', 'a', 'an', 'is', 'are', 'am', 'was', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'and', 'or', 'but',
+    'not', 'i', 'me', 'my', 'you', 'your', 'we', 'he', 'she', 'it', 'this', 'that', 'what', 'how', 'why', 'when',
+    'where', 'which', 'who', 'please', 'help', 'teach', 'tell', 'explain', 'want', 'need', 'learn', 'know', 'can',
+    'do', 'does', 'did', 'have', 'has', 'give', 'show', 'some', 'more', 'about', 'addition', 'subtraction',
+    'multiplication', 'division', 'fraction', 'fractions', 'number', 'numbers', 'math', 'maths', 'english', 'story',
+    'word', 'words', 'sentence', 'question', 'answer', 'quiz', 'test', 'school', 'book', 'teacher', 'homework',
+    'table', 'tables', 'sum', 'sums', 'problem', 'problems', 'sir', 'madam', 'ok', 'okay', 'yes', 'no', 'hello',
+    'hi', 'thanks', 'thank', 'sorry', 'so', 'us', 'game', 'class', 'exam', 'practice', 'poem', 'grammar',
+]);
+
+/**
+ * Latin spellings of consonants, as offsets in a script block (see INDIC_SCRIPTS); an array is a conjunct.
+ * `nukta: true` adds a nukta where the script has one (फ़, ज़)
+ */
+const CONSONANTS = {
+    k: 0x15, kh: 0x16, g: 0x17, gh: 0x18, ch: 0x1A, chh: 0x1B, cch: [0x1A, 0x1B], j: 0x1C, jh: 0x1D,
+    t: 0x24, th: 0x25, d: 0x26, dh: 0x27, n: 0x28, p: 0x2A, ph: 0x2B, f: { offset: 0x2B, nukta: true },
+    b: 0x2C, bh: 0x2D, m: 0x2E, y: 0x2F, r: 0x30, l: 0x32, v: 0x35, w: 0x35, sh: 0x36, s: 0x38, h: 0x39,
+    z: { offset: 0x1C, nukta: true }, q: 0x15, c: 0x15, x: [0x15, 0x38],
+};
+
+// Per-script differences: Tamil has no aspirated or voiced stops, Bengali no separate v
+const SCRIPT_CONSONANTS = {
+    devanagari: {},
+    bengali: { v: 0x2C, w: 0x2C, f: 0x2B, z: 0x1C },
+    telugu: { f: 0x2B, z: 0x1C },
+    tamil: {
+        kh: 0x15, g: 0x15, gh: 0x15, chh: 0x1A, cch: [0x1A, 0x1A], jh: 0x1C, s: 0x1A,
+        t: 0x1F, d: 0x1F, th: 0x24, dh: 0x24, ph: 0x2A, f: 0x2A, b: 0x2A, bh: 0x2A,
+        sh: 0x37, zh: 0x34, rr: [0x31, 0x31], z: 0x1C, x: [0x15, 0x37],
+    },
+};
+
+/**
+ * Latin spellings of vowels: [independent letter, vowel sign] offsets (null sign: the inherent vowel)
+ * Devanagari and Bengali have one e and one o; Tamil and Telugu have short and long ones.
+ */
+const VOWELS = {
+    a: [0x05, null], aa: [0x06, 0x3E], i: [0x07, 0x3F], ee: [0x08, 0x40], ii: [0x08, 0x40], u: [0x09, 0x41],
+    oo: [0x0A, 0x42], uu: [0x0A, 0x42], e: [0x0F, 0x47], ai: [0x10, 0x48], ei: [0x10, 0x48], o: [0x13, 0x4B],
+    au: [0x14, 0x4C],
+};
+
+const SCRIPT_VOWELS = {
+    tamil: { e: [0x0E, 0x46], ae: [0x0F, 0x47], o: [0x12, 0x4A] },
+    telugu: { e: [0x0E, 0x46], ae: [0x0F, 0x47], o: [0x12, 0x4A] },
+};
+
+const VIRAMA = 0x4D;
+const NUKTA = 0x3C;
+const ANUSVARA = 0x02;
+
+/**
+ * How each language is spelled from Latin letters
+ * finalA/finalI: word-final "a" and "i" are long (kya -> क्या, nahi -> नही);
+ * anusvara: "n" before a consonant is written as a dot (hindi -> हिंदी)
+ */
+const LANGUAGE_RULES = {
+    hi: { finalA: true, finalI: true, anusvara: true },
+    mr: { finalA: true, finalI: true, anusvara: true },
+    bn: { finalA: true, finalI: false, anusvara: false },
+    ta: { finalA: false, finalI: false, anusvara: false },
+    te: { finalA: false, finalI: false, anusvara: true },
+};
+
+function tokenTable(script) {
+    const consonants = { ...CONSONANTS, ...SCRIPT_CONSONANTS[script] };
+    const vowels = { ...VOWELS, ...SCRIPT_VOWELS[script] };
+    const keys = [...Object.keys(consonants), ...Object.keys(vowels)].sort((a, b) => b.length - a.length);
+    return { consonants, vowels, keys };
+}
+
+const TOKEN_TABLES = Object.fromEntries(Object.keys(INDIC_SCRIPTS).map(script => [script, tokenTable(script)]));
+
+function scriptChar(script, offset) {
+    return String.fromCodePoint(INDIC_SCRIPTS[script].start + offset);
+}
+
+/**
+ * Dominant script of a text's letters
+ * @returns {string|null} - latin, devanagari, bengali, tamil, telugu, other, or null without letters
+ */
+export function detectScript(text = '') {
+    const counts = {};
+    for (const char of String(text)) {
+        if (!/\p{L}|\p{M}/u.test(char)) continue;
+        const code = char.codePointAt(0);
+        const indic = Object.entries(INDIC_SCRIPTS).find(([, { start }]) => code >= start && code < start + 0x80);
+        const script = indic ? indic[0] : /[a-z]/i.test(char) ? 'latin' : 'other';
+        counts[script] = (counts[script] || 0) + 1;
+    }
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+function latinWords(text) {
+    return String(text).toLowerCase().match(/[a-z]+/g) || [];
+}
+
+function looksEnglish(word) {
+    return ENGLISH_WORDS.has(word) || /[qx]|c(?![ch])|ea|ou|oa|(tion|sion|ing|ness|ment)$/.test(word);
+}
+
+/**
+ * Whether Latin text is an Indic language typed in Latin letters, and which one
+ * @param {string} text - Student's text
+ * @param {string} preferred - The student's language, which wins a tie
+ * @returns {Object} - { romanized, language, confidence, knownWords, englishWords }
+ */
+export function detectRomanized(text, preferred = null) {
+    const words = latinWords(text);
+    const none = { romanized: false, language: null, confidence: 0, knownWords: 0, englishWords: 0 };
+    if (words.length === 0) return none;
+
+    const order = ROMANIZED_LANGUAGES.includes(preferred)
+        ? [preferred, ...ROMANIZED_LANGUAGES.filter(l => l !== preferred)]
+        : ROMANIZED_LANGUAGES;
+
+    let best = null;
+    for (const language of order) {
+        const lexicon = LEXICON[language];
+        const known = words.filter(word => lexicon[word]);
+        const weight = known.reduce((sum, word) => sum + (AMBIGUOUS.has(word) ? 0.5 : 1), 0);
+        if (!best || weight > best.weight) best = { language, known: known.length, weight };
+    }
+
+    const englishWords = words.filter(word => looksEnglish(word) && !LEXICON[best.language][word]).length;
+    const confidence = Math.round((best.weight / words.length) * 100) / 100;
+    const clear = best.weight - best.known * 0.5 > 0 || best.known >= 2;
+    const romanized = clear && (best.weight >= 2 || confidence >= 0.3);
+
+    return romanized
+        ? { romanized, language: best.language, confidence, knownWords: best.known, englishWords }
+        : { ...none, englishWords };
+}
+
+/**
+ * Spell one Latin word in a language's script by rule
+ */
+function spellWord(word, language) {
+    const script = LANGUAGE_SCRIPTS[language];
+    const rules = LANGUAGE_RULES[language];
+    const { consonants, vowels, keys } = TOKEN_TABLES[script];
+    const char = offset => scriptChar(script, offset);
+
+    // Latin letters to consonant and vowel tokens, longest spelling first
+    const tokens = [];
+    for (let i = 0; i < word.length;) {
+        const key = keys.find(k => word.startsWith(k, i));
+        if (!key) {
+            i++;
+            continue;
+        }
+        tokens.push(vowels[key] ? { vowel: vowels[key], key } : { consonant: consonants[key], key });
+        i += key.length;
+    }
+
+    let out = '';
+    tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+        const last = i === tokens.length - 1;
+
+        if (token.vowel) {
+            const afterConsonant = i > 0 && tokens[i - 1].consonant !== undefined;
+            let [letter, sign] = token.vowel;
+            // "a" is long at the end of a word and before another vowel (sunao -> सुनाओ)
+            if (afterConsonant && token.key === 'a' && rules.finalA && (last || next?.vowel)) sign = 0x3E;
+            if (last && afterConsonant && token.key === 'i' && rules.finalI) sign = 0x40;
+            if (!afterConsonant) out += char(letter);
+            else if (sign !== null) out += char(sign);
+            return;
+        }
+
+        // "n" before another consonant is a nasal dot where the language writes it that way
+        if (token.key === 'n' && rules.anusvara && i > 0 && next?.consonant !== undefined
+            && !['y', 'h', 'v', 'w', 'r', 'n', 'm'].includes(next.key)) {
+            out += char(ANUSVARA);
+            return;
+        }
+
+        const parts = Array.isArray(token.consonant) ? token.consonant : [token.consonant];
+        parts.forEach((part, p) => {
+            const { offset, nukta } = typeof part === 'object' ? part : { offset: part, nukta: false };
+            out += char(offset) + (nukta && script === 'devanagari' ? char(NUKTA) : '');
+            if (p < parts.length - 1) out += char(VIRAMA);
+        });
+
+        // Consonant clusters join with a virama; Tamil also marks a word-final consonant with pulli
+        if (next?.consonant !== undefined || (last && script === 'tamil')) out += char(VIRAMA);
+    });
+    return out.normalize('NFC');
+}
+
+/**
+ * Convert romanized text to the language's script
+ * English words in a mixed sentence are kept ("mujhe addition sikhao" -> "मुझे addition सिखाओ").
+ * @param {string} text - Latin text
+ * @param {string} language - hi, mr, bn, ta or te
+ * @returns {string}
+ */
+export function toNativeScript(text, language) {
+    if (!LANGUAGE_SCRIPTS[language]) return text;
+    const lexicon = LEXICON[language];
+
+    return String(text).replace(/[A-Za-z]+/g, (original) => {
+        const word = original.toLowerCase();
+        if (lexicon[word]) return lexicon[word];
+        if (looksEnglish(word)) return original;
+        return spellWord(word, language);
+    });
+}
+
+/**
+ * Latin letters for each consonant offset; Tamil follows the usual Tanglish spellings
+ */
+const LATIN_CONSONANTS = {
+    0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng', 0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh',
+    0x1E: 'ny', 0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n', 0x24: 't', 0x25: 'th', 0x26: 'd',
+    0x27: 'dh', 0x28: 'n', 0x29: 'n', 0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm', 0x2F: 'y',
+    0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v', 0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+};
+
+const SCRIPT_LATIN_CONSONANTS = {
+    tamil: { 0x1A: 's', 0x1F: 'd', 0x24: 'th' },
+    bengali: { 0x2F: 'j' },
+};
+
+// Consonants with a nukta (ज़, फ़, ड़)
+const LATIN_NUKTA = { 0x15: 'q', 0x16: 'kh', 0x17: 'g', 0x1C: 'z', 0x21: 'd', 0x22: 'dh', 0x2B: 'f', 0x2F: 'y' };
+
+const LATIN_VOWELS = {
+    0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ee', 0x09: 'u', 0x0A: 'oo', 0x0B: 'ri', 0x0E: 'e', 0x0F: 'e',
+    0x10: 'ai', 0x12: 'o', 0x13: 'o', 0x14: 'au',
+};
+
+const LATIN_SIGNS = {
+    0x3E: 'aa', 0x3F: 'i', 0x40: 'ee', 0x41: 'u', 0x42: 'oo', 0x43: 'ri', 0x46: 'e', 0x47: 'e', 0x48: 'ai',
+    0x4A: 'o', 0x4B: 'o', 0x4C: 'au',
+};
+
+/**
+ * Write Indic text in Latin letters the way students type it (घर -> ghar, कहानी -> kahaani, எனக்கு -> enakku)
+ * Devanagari and Bengali drop the word-final inherent vowel, and final long vowels are written short;
+ * other text is left as it is.
+ * @param {string} text - Native-script text
+ * @returns {string}
+ */
+export function toLatinScript(text) {
+    const chars = Array.from(String(text).normalize('NFC'));
+    let out = '';
+    let inherent = null; // inherent vowel owed to the last consonant
+    let syllables = 0;
+
+    const info = (char) => {
+        const code = char?.codePointAt(0);
+        const entry = code && Object.entries(INDIC_SCRIPTS).find(([, { start }]) => code >= start && code < start + 0x80);
+        return entry ? { script: entry[0], offset: code - entry[1].start } : null;
+    };
+    const flush = (wordEnd) => {
+        if (inherent && !(wordEnd && syllables > 1 && ['devanagari', 'bengali'].includes(inherent.script))) {
+            out += inherent.vowel;
+        }
+        inherent = null;
+    };
+
+    chars.forEach((char, i) => {
+        const c = info(char);
+        if (!c) {
+            flush(true);
+            syllables = 0;
+            out += char;
+            return;
+        }
+
+        const { script, offset } = c;
+        if (LATIN_CONSONANTS[offset] && offset >= 0x15) {
+            flush(false);
+            out += SCRIPT_LATIN_CONSONANTS[script]?.[offset] ?? LATIN_CONSONANTS[offset];
+            inherent = { script, vowel: script === 'bengali' ? 'o' : 'a' };
+            syllables++;
+        } else if (offset === NUKTA) {
+            const base = info(chars[i - 1]);
+            const plain = SCRIPT_LATIN_CONSONANTS[base?.script]?.[base?.offset] ?? LATIN_CONSONANTS[base?.offset];
+            if (plain && LATIN_NUKTA[base.offset]) out = out.slice(0, -plain.length) + LATIN_NUKTA[base.offset];
+        } else if (offset === VIRAMA) {
+            inherent = null;
+        } else if (LATIN_SIGNS[offset]) {
+            inherent = null;
+            out += LATIN_SIGNS[offset];
+        } else if (LATIN_VOWELS[offset]) {
+            flush(false);
+            out += LATIN_VOWELS[offset];
+            syllables++;
+        } else if (offset <= 0x03) {
+            // Candrabindu and anusvara are nasal (m before p, b, m), visarga is h
+            flush(false);
+            const next = info(chars[i + 1]);
+            out += offset === 0x03 ? 'h' : next && [0x2A, 0x2B, 0x2C, 0x2D, 0x2E].includes(next.offset) ? 'm' : 'n';
+        } else if (offset >= 0x66 && offset <= 0x6F) {
+            flush(true);
+            syllables = 0;
+            out += String(offset - 0x66);
+        } else if (offset === 0x64 || offset === 0x65) {
+            flush(true);
+            syllables = 0;
+            out += '.';
+        }
+    });
+    flush(true);
+    return out.replace(/(?<=[a-z])(ee|aa)(?![a-z])/g, vowel => vowel[0] === 'e' ? 'i' : 'a');
+}
+
+/**
+ * Read a student's message: romanized Indic text is converted to its script for the agents
+ * @param {string} text - What the student typed
+ * @param {string} language - The student's language
+ * @returns {Object} - { text, original, romanized, language }
+ */
+export function readStudentInput(text, language = 'en') {
+    const detected = detectScript(text) === 'latin' ? detectRomanized(text, language) : null;
+    if (!detected?.romanized) return { text, original: text, romanized: false, language };
+
+    return {
+        text: toNativeScript(text, detected.language),
+        original: text,
+        romanized: true,
+        language: detected.language,
+    };
+}
+
+export default {
+    ROMANIZED_LANGUAGES,
+    detectScript,
+    detectRomanized,
+    toNativeScript,
+    toLatinScript,
+    readStudentInput,
+};
@@ -0,0 +1,1107 @@
+/**
+ * Worked Solutions
+ * Symbolic step-by-step working for school arithmetic: column addition and subtraction with carries
+ * and borrows, long multiplication, long division, fraction simplification and unit conversion.
+ * Steps are structured data that the tutor's LLM only narrates; every solution (and every LLM-written
+ * calculation) is re-checked with exact arithmetic before it is shown.
+ */
+
+import { normalizeDigits, UNITS, resolveUnit } from './answer-grading.js';
+
+// Indian place value names
+const PLACES = ['ones', 'tens', 'hundreds', 'thousands', 'ten thousands', 'lakhs', 'ten lakhs', 'crores', 'ten crores', 'arabs'];
+const DECIMAL_PLACES = ['tenths', 'hundredths', 'thousandths', 'ten thousandths', 'lakhths'];
+
+const SYMBOLS = { '+': '+', '-': '−', '*': '×', '/': '÷' };
+
+const UNIT_NAMES = {
+    mm: 'millimetres', cm: 'centimetres', m: 'metres', km: 'kilometres',
+    mg: 'milligrams', g: 'grams', kg: 'kilograms', ml: 'millilitres', l: 'litres',
+    paise: 'paise', rs: 'rupees', s: 'seconds', min: 'minutes', h: 'hours', day: 'days',
+    percent: 'percent', deg: 'degrees',
+};
+const UNIT_DISPLAY = { l: 'L', ml: 'mL', day: 'days' };
+
+// Operands are limited so every intermediate result stays an exact integer
+const MAX_DIGITS = 12;
+
+// Decimal places long division goes to when the answer does not come out exactly
+const DIVISION_DECIMALS = 3;
+
+const FILLER = /^(?:please\s+)?(?:what\s+is|what's|find|calculate|compute|solve|work\s+out|evaluate)\s*:?\s*/;
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const UNIT = '([^\\d\\s=?][^\\d=?]*?)';
+const CONVERSION_PATTERNS = [
+    // convert 2.5 km to m / ₹5 in paise
+    [new RegExp(`^(?:convert|change)?\\s*(₹\\s*)?${NUMBER}\\s*${UNIT}?\\s+(?:to|into|in)\\s+${UNIT}$`), 'forward'],
+    // how many cm in 3 m
+    [new RegExp(`^how\\s+many\\s+${UNIT}\\s+(?:are\\s+)?(?:there\\s+)?in\\s+(₹\\s*)?${NUMBER}\\s*${UNIT}?$`), 'question'],
+    // 350 cm = ? m
+    [new RegExp(`^(₹\\s*)?${NUMBER}\\s*${UNIT}?\\s*=\\s*(?:\\?|_+)?\\s*${UNIT}$`), 'forward'],
+];
+
+/**
+ * Read a problem the engine can solve
+ * @param {string} problem - e.g. "345 + 278", "what is 3.5 × 12?", "simplify 12/18", "convert 2.5 km to m"
+ * @returns {Object|null} - { kind: 'expression', tokens } | { kind: 'fraction', numerator, denominator }
+ *   | { kind: 'conversion', value, from, to }, or null for anything else (word problems, brackets...)
+ */
+export function parseProblem(problem) {
+    const text = normalizeDigits(String(problem ?? '').normalize('NFC'))
+        .toLowerCase()
+        .replace(/(\d),(?=\d)/g, '$1')
+        .replace(/[−–]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const simplify = text.match(/^(?:simplify|reduce)\s+(?:the\s+fraction\s+)?(\d+)\s*\/\s*(\d+)(?:\s+to\s+(?:its\s+)?(?:lowest|simplest)\s+(?:terms|form))?\s*\??$/);
+    const stripped = text.replace(FILLER, '').replace(/[\s=?.]+$/, '');
+    const fraction = simplify || stripped.match(/^(\d+)\/(\d+)$/);
+    if (fraction) {
+        const [numerator, denominator] = [Number(fraction[1]), Number(fraction[2])];
+        return denominator > 0 && fraction[1].length <= MAX_DIGITS && fraction[2].length <= MAX_DIGITS
+            ? { kind: 'fraction', numerator, denominator }
+            : null;
+    }
+
+    for (const [pattern, order] of CONVERSION_PATTERNS) {
+        const match = stripped.match(pattern);
+        if (!match) continue;
+        const [to, rupee, value, from] = order === 'question'
+            ? [match[1], match[2], match[3], match[4]]
+            : [match[4], match[1], match[2], match[3]];
+        const fromUnit = rupee && !from ? 'rs' : resolveUnit(from);
+        const toUnit = resolveUnit(to);
+        if (fromUnit && toUnit && value.replace('.', '').length <= MAX_DIGITS) {
+            return { kind: 'conversion', value: cleanNumber(value), from: fromUnit, to: toUnit };
+        }
+    }
+
+    const expression = stripped
+        .replace(/\bmultiplied\s+by\b|\btimes\b/g, ' * ')
+        .replace(/\bdivided\s+by\b/g, ' / ')
+        .replace(/\bplus\b/g, ' + ')
+        .replace(/\bminus\b/g, ' - ')
+        .replace(/([\d.])\s*x\s*(?=[\d.])/g, '$1 * ')
+        .replace(/[×✕]/g, '*')
+        .replace(/÷/g, '/');
+    const tokens = expression.match(/\d+(?:\.\d+)?|\.\d+|[+\-*/]|\S+/g) || [];
+    if (tokens.length < 3 || tokens.length % 2 === 0) return null;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const isNumber = /^[\d.]/.test(tokens[i]);
+        if (isNumber !== (i % 2 === 0)) return null;
+        if (!isNumber && !SYMBOLS[tokens[i]]) return null;
+        if (isNumber && tokens[i].replace('.', '').length > MAX_DIGITS) return null;
+    }
+    return { kind: 'expression', tokens: tokens.map((token, i) => (i % 2 === 0 ? cleanNumber(token) : token)) };
+}
+
+/**
+ * Work out a problem step by step
+ * @param {string|Object} problem - Problem text, or the result of parseProblem
+ * @returns {Object|null} - { kind, problem, input, steps: [{ step, operation, description, calculation, ... }],
+ *   answer, value, explanation } (plus remainder / approximate for division), or null when the
+ *   engine can't solve it. Call verifySolution before showing it.
+ */
+export function solveArithmetic(problem) {
+    const input = typeof problem === 'string' ? parseProblem(problem) : problem;
+    if (!input) return null;
+
+    let work;
+    if (input.kind === 'fraction') work = simplifyFraction(input.numerator, input.denominator);
+    else if (input.kind === 'conversion') work = convertUnits(input);
+    else work = evaluateExpression(input.tokens);
+    if (!work) return null;
+
+    return {
+        kind: work.kind,
+        problem: typeof problem === 'string' ? problem : describeInput(input),
+        input,
+        steps: work.steps.map((step, i) => ({ step: i + 1, ...step, calculation: step.calculation || '' })),
+        answer: work.answer,
+        value: answerValue(work.answer),
+        ...(work.remainder !== undefined && { remainder: work.remainder }),
+        ...(work.approximate && { approximate: true }),
+        explanation: work.explanation,
+    };
+}
+
+/**
+ * Check a worked solution independently: every step's calculation is recomputed, and the answer
+ * is compared with the problem evaluated exactly (rational arithmetic, no floating point)
+ * @returns {Object} - { valid, errors }
+ */
+export function verifySolution(solution) {
+    const errors = [];
+    for (const step of solution.steps || []) {
+        if (step.calculation && checkCalculation(step.calculation) === false) {
+            errors.push(`Step ${step.step}: ${step.calculation} is wrong`);
+        }
+    }
+
+    try {
+        const problem = checkAnswer(solution);
+        if (problem) errors.push(problem);
+    } catch (error) {
+        errors.push(`Answer could not be checked: ${error.message}`);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check a written calculation such as "27 − 24 = 3", "18 = 1 × 12 + 6", "12/18 = 2/3",
+ * "27 ÷ 4 = 6 remainder 3" or "10 ÷ 3 = 3.33" (several may be joined with "," or ";")
+ * @returns {boolean|null} - null when the text has no arithmetic that can be checked
+ */
+export function checkCalculation(text) {
+    return checkStatements(text).valid;
+}
+
+/**
+ * Check steps written by the LLM: each calculation must be right, at least one must be checkable,
+ * and the final answer must be the result of the last one
+ * @param {Array} steps - [{ description, calculation }]
+ * @param {string} answer - Final answer
+ * @returns {Object} - { valid, errors }
+ */
+export function checkSteps(steps, answer) {
+    const errors = [];
+    let last = null;
+    let checked = false;
+
+    (steps || []).forEach((step, i) => {
+        const result = checkStatements(step.calculation || '');
+        if (result.valid === false) errors.push(`Step ${step.step || i + 1}: ${step.calculation} is wrong`);
+        if (result.valid !== null) checked = true;
+        if (result.last) last = result.last;
+    });
+
+    if (!checked) {
+        errors.push('No calculation could be checked');
+    } else if (last) {
+        const numbers = normalizeDigits(answer).replace(/(\d),(?=\d)/g, '$1').match(/\d+(?:\.\d+)?|\.\d+/g) || [];
+        const value = [last, negate(last)];
+        if (!numbers.some(number => value.some(v => equal(rational(number), v) || roundsTo(v, number)))) {
+            errors.push(`The answer "${answer}" does not match the last calculation`);
+        }
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether a narration keeps a step's numbers: every number in the narrated text must appear
+ * in the original step (the narrator may drop numbers, but not change or invent them)
+ */
+export function numbersPreserved(step, narration) {
+    const numbersIn = text => normalizeDigits(text).replace(/(\d),(?=\d)/g, '$1').match(/\d+(?:\.\d+)?/g) || [];
+    const allowed = new Set([...numbersIn(`${step.description} ${step.calculation || ''}`), String(step.step)]);
+    return numbersIn(String(narration ?? '')).every(number => allowed.has(number));
+}
+
+// ----- Expressions -----
+
+function evaluateExpression(tokens) {
+    const numbers = tokens.filter((_, i) => i % 2 === 0).map(scaled);
+    const operators = tokens.filter((_, i) => i % 2 === 1);
+
+    // One column sum for a list of additions
+    if (operators.every(op => op === '+')) {
+        const work = columnAddition(numbers);
+        return finish('addition', work, {
+            check: `${formatNumber(work.result)} − ${numbers.slice(1).map(formatNumber).join(' − ')} = ${formatNumber(numbers[0])}`,
+            explanation: 'Add column by column from the right, carrying when a column adds up to 10 or more.',
+        });
+    }
+
+    if (operators.length === 1) {
+        return operate(numbers[0], operators[0], numbers[1], { final: true });
+    }
+
+    // Several operations: multiply and divide first, then add and subtract, left to right
+    const steps = [];
+    const values = [...numbers];
+    const ops = [...operators];
+    const partSteps = (a, op, b) => {
+        if (a.int < 0 || b.int < 0) return null;
+        const part = operate(a, op, b, { exact: true });
+        if (!part || part.answer === null || part.approximate || part.remainder) return null;
+        const first = steps.length === 0;
+        const reason = op === '*' || op === '/'
+            ? 'multiply and divide before adding and subtracting'
+            : 'then add and subtract from left to right';
+        steps.push({
+            operation: 'order',
+            calculation: `${formatNumber(a)} ${SYMBOLS[op]} ${formatNumber(b)} = ${formatNumber(part.result)}`,
+            description: `${first ? 'First' : 'Next'} work out ${formatNumber(a)} ${SYMBOLS[op]} ${formatNumber(b)} (${reason}).`,
+        });
+        // Basic facts (single digits) need no working of their own
+        if (a.int >= 10 || b.int >= 10 || a.scale || b.scale) {
+            steps.push(...part.steps.filter(step => step.operation !== 'check'));
+        }
+        return part.result;
+    };
+
+    for (const group of [['*', '/'], ['+', '-']]) {
+        for (let i = 0; i < ops.length;) {
+            if (!group.includes(ops[i])) {
+                i++;
+                continue;
+            }
+            const result = partSteps(values[i], ops[i], values[i + 1]);
+            if (!result) return null;
+            values.splice(i, 2, result);
+            ops.splice(i, 1);
+        }
+    }
+
+    const answer = formatNumber(values[0]);
+    steps.push({
+        operation: 'answer',
+        calculation: `${tokens.map(token => SYMBOLS[token] || token).join(' ')} = ${answer}`,
+        description: `So ${tokens.map(token => SYMBOLS[token] || token).join(' ')} = ${answer}.`,
+    });
+    return {
+        kind: 'expression',
+        steps,
+        answer,
+        explanation: 'Multiply and divide first, then add and subtract from left to right.',
+    };
+}
+
+// One operation with its full working
+function operate(a, op, b, { exact = false, final = false } = {}) {
+    const [x, y] = [formatNumber(a), formatNumber(b)];
+
+    if (op === '+') {
+        const work = columnAddition([a, b]);
+        return finish('addition', work, {
+            check: `${formatNumber(work.result)} − ${y} = ${x}`,
+            explanation: 'Add column by column from the right, carrying when a column adds up to 10 or more.',
+        });
+    }
+
+    if (op === '-') {
+        if (compare(a, b) >= 0) {
+            const work = columnSubtraction(a, b);
+            return finish('subtraction', work, {
+                check: `${formatNumber(work.result)} + ${y} = ${x}`,
+                explanation: 'Subtract column by column from the right, borrowing when the top digit is smaller.',
+            });
+        }
+        const work = columnSubtraction(b, a);
+        const result = { int: -work.result.int, scale: work.result.scale };
+        return finish('subtraction', {
+            steps: [
+                {
+                    operation: 'compare',
+                    description: `${y} is bigger than ${x}, so the answer is less than zero: work out ${y} − ${x}, then put a minus sign in front.`,
+                },
+                ...work.steps,
+            ],
+            result,
+        }, {
+            check: `${formatNumber(result)} + ${y} = ${x}`,
+            explanation: 'Take the smaller number from the bigger one, then make the answer negative.',
+        });
+    }
+
+    if (op === '*') {
+        const work = longMultiplication(a, b);
+        if (!work) return null;
+        return finish('multiplication', work, {
+            check: b.int !== 0 ? `${formatNumber(work.result)} ÷ ${y} = ${x}` : null,
+            explanation: 'Multiply by each digit of the bottom number, then add the rows.',
+        });
+    }
+
+    const work = longDivision(a, b, { exact: exact || !final });
+    if (!work) return null;
+    if (work.answer === null) return { kind: 'division', ...work, explanation: 'Dividing by 0 has no answer.' };
+
+    const quotient = formatNumber(work.result);
+    const check = work.approximate
+        ? null
+        : work.remainder
+            ? `${quotient} × ${y} + ${work.remainder} = ${x}`
+            : `${quotient} × ${y} = ${x}`;
+    return finish('division', work, {
+        check,
+        explanation: 'Divide digit by digit from the left: divide, multiply, subtract, bring down the next digit.',
+    });
+}
+
+// Add the closing check step and the answer text
+function finish(kind, work, { check, explanation }) {
+    const steps = [...work.steps];
+    if (check) {
+        steps.push({ operation: 'check', calculation: check, description: `Check the answer: ${check}.` });
+    }
+    const answer = work.answer !== undefined ? work.answer : formatNumber(work.result);
+    return { kind, ...work, steps, answer, explanation };
+}
+
+// ----- Column methods -----
+
+function columnAddition(numbers) {
+    const scale = Math.max(...numbers.map(n => n.scale));
+    const rows = numbers.map(n => String(rescale(n, scale).int).padStart(scale + 1, '0'));
+    const width = Math.max(...rows.map(row => row.length));
+    const steps = [{
+        operation: 'align',
+        numbers: numbers.map(formatNumber),
+        description: scale
+            ? 'Write the numbers one below the other with the decimal points in a line.'
+            : 'Write the numbers one below the other, ones under ones and tens under tens.',
+    }];
+
+    let carry = 0;
+    for (let i = 0; i < width; i++) {
+        if (scale && i === scale) steps.push(decimalPointStep());
+        const digits = rows.filter(row => row.length > i).map(row => Number(row[row.length - 1 - i]));
+        const sum = digits.reduce((total, digit) => total + digit, 0) + carry;
+        const place = placeName(i - scale);
+        const terms = `${digits.join(' + ')}${carry ? ` + ${carry}` : ''}`;
+        const next = Math.floor(sum / 10);
+
+        if (digits.length === 1 && !carry) {
+            steps.push({
+                operation: 'add-column',
+                place,
+                digits,
+                carryIn: 0,
+                sum,
+                write: sum,
+                carry: 0,
+                description: `${capitalize(place)}: only ${sum}, so write ${sum}.`,
+            });
+            continue;
+        }
+
+        steps.push({
+            operation: 'add-column',
+            place,
+            digits,
+            carryIn: carry,
+            sum,
+            write: sum % 10,
+            carry: next,
+            calculation: `${terms} = ${sum}`,
+            description: `${capitalize(place)}: ${terms}${carry ? ` (with the carried ${carry})` : ''} = ${sum}. `
+                + `Write ${sum % 10}${next ? ` and carry ${next} to the ${placeName(i + 1 - scale)}` : ''}.`,
+        });
+        carry = next;
+    }
+
+    if (carry) {
+        steps.push({
+            operation: 'write-carry',
+            place: placeName(width - scale),
+            write: carry,
+            description: `Write the carried ${carry} in the ${placeName(width - scale)} place.`,
+        });
+    }
+
+    const total = numbers.reduce((sum, n) => sum + rescale(n, scale).int, 0);
+    return { steps, result: { int: total, scale } };
+}
+
+function columnSubtraction(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    const top = String(rescale(a, scale).int).padStart(scale + 1, '0');
+    const bottom = String(rescale(b, scale).int).padStart(scale + 1, '0');
+    const steps = [{
+        operation: 'align',
+        numbers: [formatNumber(a), formatNumber(b)],
+        description: scale
+            ? `Write ${formatNumber(b)} below ${formatNumber(a)} with the decimal points in a line.`
+            : `Write ${formatNumber(b)} below ${formatNumber(a)}, ones under ones and tens under tens.`,
+    }];
+
+    let borrowIn = 0;
+    for (let i = 0; i < top.length; i++) {
+        if (scale && i === scale) steps.push(decimalPointStep());
+        const digit = Number(top[top.length - 1 - i]);
+        const below = i < bottom.length ? Number(bottom[bottom.length - 1 - i]) : 0;
+        const available = digit - borrowIn;
+        const borrow = available < below ? 1 : 0;
+        const value = available + 10 * borrow;
+        const difference = value - below;
+        const place = capitalize(placeName(i - scale));
+        const next = placeName(i + 1 - scale);
+        const lent = borrowIn ? `${digit} − 1 (lent to the ${placeName(i - 1 - scale)}) = ${available}` : null;
+
+        let description;
+        if (borrow) {
+            description = `${place}: ${lent ? `${lent}, which` : digit} is less than ${below}, so borrow 1 from the ${next}: `
+                + `${value} − ${below} = ${difference}.`;
+        } else {
+            description = `${place}: ${lent ? `${lent}; ` : ''}${available} − ${below} = ${difference}.`;
+        }
+
+        steps.push({
+            operation: 'subtract-column',
+            place: placeName(i - scale),
+            top: digit,
+            bottom: below,
+            borrowIn,
+            borrow,
+            value,
+            difference,
+            calculation: `${value} − ${below} = ${difference}`,
+            description,
+        });
+        borrowIn = borrow;
+    }
+
+    return { steps, result: { int: rescale(a, scale).int - rescale(b, scale).int, scale } };
+}
+
+function longMultiplication(a, b) {
+    const steps = [];
+    let [top, bottom] = [a, b];
+    if (String(b.int).length > String(a.int).length) {
+        [top, bottom] = [b, a];
+        steps.push({
+            operation: 'swap',
+            description: `Put the longer number on top: ${formatNumber(top)} × ${formatNumber(bottom)} gives the same answer.`,
+        });
+    }
+
+    const [A, B] = [top.int, bottom.int];
+    const scale = top.scale + bottom.scale;
+    if (!Number.isSafeInteger(A * B)) return null;
+
+    if (A === 0 || B === 0) {
+        steps.push({
+            operation: 'zero',
+            calculation: `${formatNumber(top)} × ${formatNumber(bottom)} = 0`,
+            description: 'Any number multiplied by 0 is 0.',
+        });
+        return { steps, result: { int: 0, scale: 0 } };
+    }
+
+    if (scale) {
+        steps.push({
+            operation: 'remove-decimals',
+            calculation: `${A} × ${B} = ${A * B}`,
+            description: `Multiply ${A} × ${B} as whole numbers first; the decimal point goes back in at the end.`,
+        });
+    }
+
+    if (B < 10) {
+        steps.push(...multiplyColumns(A, B).map(column => ({ operation: 'multiply-column', ...column })));
+    } else {
+        const rows = [];
+        String(B).split('').reverse().forEach((char, j) => {
+            const digit = Number(char);
+            if (digit === 0) {
+                steps.push({
+                    operation: 'zero-row',
+                    place: PLACES[j],
+                    description: `The ${PLACES[j]} digit is 0, so that row would be all zeros: skip it.`,
+                });
+                return;
+            }
+            const multiplier = digit * 10 ** j;
+            const partial = A * multiplier;
+            rows.push({ int: partial, scale: 0 });
+            const zeros = j === 1 ? 'a 0' : `${j} zeros`;
+            steps.push({
+                operation: 'partial-product',
+                place: PLACES[j],
+                digit,
+                multiplier,
+                partial,
+                columns: multiplyColumns(A, digit),
+                calculation: `${A} × ${multiplier} = ${partial}`,
+                description: `Multiply ${A} by the ${PLACES[j]} digit ${digit}`
+                    + `${j ? ` (it means ${multiplier}, so start the row with ${zeros})` : ''}: ${A} × ${multiplier} = ${partial}.`,
+            });
+        });
+
+        if (rows.length > 1) {
+            const sum = columnAddition(rows);
+            steps.push(
+                { operation: 'add-rows', description: 'Add the rows to get the answer.' },
+                ...sum.steps.filter(step => step.operation !== 'align')
+            );
+        }
+    }
+
+    const result = { int: A * B, scale };
+    if (scale) {
+        steps.push({
+            operation: 'place-decimal',
+            decimals: scale,
+            description: `${formatNumber(a)} and ${formatNumber(b)} have ${scale} decimal ${scale === 1 ? 'place' : 'places'} `
+                + `between them, so the answer has ${scale}: ${A * B} becomes ${formatNumber(result)}.`,
+        });
+    }
+    return { steps, result };
+}
+
+// Digit-by-digit product of a number and a single digit, from the ones up
+function multiplyColumns(number, digit) {
+    const digits = String(number).split('').reverse().map(Number);
+    const columns = [];
+    let carry = 0;
+    digits.forEach((d, i) => {
+        const product = d * digit + carry;
+        const next = Math.floor(product / 10);
+        const place = PLACES[i] || `10^${i}`;
+        columns.push({
+            place,
+            digit: d,
+            multiplier: digit,
+            carryIn: carry,
+            product,
+            write: i === digits.length - 1 ? product : product % 10,
+            carry: i === digits.length - 1 ? 0 : next,
+            calculation: `${d} × ${digit}${carry ? ` + ${carry}` : ''} = ${product}`,
+            description: `${capitalize(place)}: ${d} × ${digit}${carry ? ` + the carried ${carry}` : ''} = ${product}. `
+                + (i === digits.length - 1 || !next ? `Write ${i === digits.length - 1 ? product : product % 10}.` : `Write ${product % 10} and carry ${next}.`),
+        });
+        carry = next;
+    });
+    return columns;
+}
+
+function longDivision(a, b, { exact = false } = {}) {
+    const steps = [];
+    if (b.int === 0) {
+        steps.push({
+            operation: 'divide-by-zero',
+            description: `Dividing by 0 has no answer: no number of zeros adds up to ${formatNumber(a)}.`,
+        });
+        return { steps, result: null, answer: null };
+    }
+
+    // Make the divisor a whole number
+    let dividend = a;
+    if (b.scale) {
+        const factor = 10 ** b.scale;
+        dividend = a.scale >= b.scale
+            ? { int: a.int, scale: a.scale - b.scale }
+            : { int: a.int * 10 ** (b.scale - a.scale), scale: 0 };
+        steps.push({
+            operation: 'scale',
+            factor,
+            calculation: `${formatNumber(a)} × ${factor} = ${formatNumber(dividend)}`,
+            description: `Make the divisor a whole number: multiply both numbers by ${factor}. `
+                + `${formatNumber(a)} ÷ ${formatNumber(b)} is the same as ${formatNumber(dividend)} ÷ ${b.int}.`,
+        });
+    }
+
+    const B = b.int;
+    const useRemainder = !exact && dividend.scale === 0 && b.scale === 0;
+    const decimals = useRemainder ? 0 : Math.max(dividend.scale, DIVISION_DECIMALS);
+    const digits = String(dividend.int).padStart(dividend.scale + 1, '0').split('').map(Number);
+    const whole = digits.length - dividend.scale;
+
+    let remainder = 0;
+    let quotient = 0;
+    let quotientScale = 0;
+    let started = false;
+    for (let k = 0; k < whole + decimals; k++) {
+        const inDividend = k < digits.length;
+        if (!inDividend && remainder === 0) break;
+        if (k === whole) steps.push(decimalPointStep('division'));
+
+        const digit = inDividend ? digits[k] : 0;
+        const current = remainder * 10 + digit;
+        const q = Math.floor(current / B);
+        const product = q * B;
+        quotient = quotient * 10 + q;
+        if (k >= whole) quotientScale++;
+        const bringDown = started
+            ? inDividend ? `Bring down ${digit} to make ${current}. ` : `Add a 0 and bring it down to make ${current}. `
+            : '';
+        remainder = current - product;
+
+        if (!started && q === 0 && k < whole - 1) {
+            steps.push({
+                operation: 'bring-down',
+                current,
+                description: `${current} is less than ${B}, so take the next digit as well.`,
+            });
+            continue;
+        }
+        started = true;
+
+        const place = placeName(whole - 1 - k);
+        steps.push({
+            operation: 'divide-step',
+            place,
+            current,
+            quotientDigit: q,
+            product,
+            remainder,
+            calculation: `${current} ÷ ${B} = ${q} remainder ${remainder}; ${q} × ${B} = ${product}; ${current} − ${product} = ${remainder}`,
+            description: `${bringDown}${current} ÷ ${B} = ${q}, so write ${q} in the ${place} place. `
+                + `${q} × ${B} = ${product}, and ${current} − ${product} = ${remainder}.`,
+        });
+    }
+
+    let result = { int: quotient, scale: quotientScale };
+    if (useRemainder) {
+        const answer = remainder ? `${quotient} remainder ${remainder}` : String(quotient);
+        return { steps, result, answer, remainder };
+    }
+
+    if (remainder === 0) return { steps, result };
+
+    // Still a remainder after the last decimal place: round
+    const truncated = formatNumber(result);
+    if (2 * remainder >= B) result = { int: quotient + 1, scale: quotientScale };
+    steps.push({
+        operation: 'round',
+        decimals: quotientScale,
+        description: `The division does not end, so round ${truncated}… to ${quotientScale} decimal places: ${formatNumber(result)}.`,
+    });
+    return { steps, result, approximate: true };
+}
+
+// ----- Fractions -----
+
+function simplifyFraction(numerator, denominator) {
+    const steps = [];
+    if (numerator === 0) {
+        steps.push({
+            operation: 'zero',
+            calculation: `0/${denominator} = 0`,
+            description: `0 out of ${denominator} parts is 0.`,
+        });
+        return { kind: 'fraction', steps, answer: '0', explanation: 'A fraction with 0 on top is 0.' };
+    }
+
+    // HCF by repeated division (Euclid)
+    let [x, y] = [Math.max(numerator, denominator), Math.min(numerator, denominator)];
+    steps.push({
+        operation: 'hcf-start',
+        description: `Find the HCF (highest common factor) of ${numerator} and ${denominator} by dividing the bigger number by the smaller one.`,
+    });
+    while (y !== 0) {
+        const q = Math.floor(x / y);
+        const r = x - q * y;
+        steps.push({
+            operation: 'hcf-step',
+            dividend: x,
+            divisor: y,
+            quotient: q,
+            remainder: r,
+            calculation: `${x} = ${q} × ${y} + ${r}`,
+            description: r
+                ? `${x} ÷ ${y} = ${q} remainder ${r}. Now divide ${y} by the remainder ${r}.`
+                : `${x} ÷ ${y} = ${q} with no remainder, so the HCF is ${y}.`,
+        });
+        [x, y] = [y, r];
+    }
+    const hcf = x;
+
+    const top = numerator / hcf;
+    const bottom = denominator / hcf;
+    if (hcf === 1) {
+        steps.push({
+            operation: 'simplest',
+            description: `The only common factor is 1, so ${numerator}/${denominator} is already in its simplest form.`,
+        });
+    } else {
+        steps.push({
+            operation: 'divide-both',
+            hcf,
+            calculation: `${numerator} ÷ ${hcf} = ${top}; ${denominator} ÷ ${hcf} = ${bottom}`,
+            description: `Divide the numerator and the denominator by ${hcf}: ${numerator} ÷ ${hcf} = ${top} and ${denominator} ÷ ${hcf} = ${bottom}.`,
+        });
+    }
+
+    if (bottom === 1) {
+        steps.push({
+            operation: 'whole-number',
+            calculation: `${top}/1 = ${top}`,
+            description: `A denominator of 1 means whole ones: ${top}/1 = ${top}.`,
+        });
+    } else if (top > bottom) {
+        const whole = Math.floor(top / bottom);
+        const rest = top - whole * bottom;
+        steps.push({
+            operation: 'mixed-number',
+            whole,
+            calculation: `${top} ÷ ${bottom} = ${whole} remainder ${rest}`,
+            description: `${top}/${bottom} is more than 1: ${top} ÷ ${bottom} = ${whole} remainder ${rest}, so it is also ${whole} ${rest}/${bottom}.`,
+        });
+    }
+
+    if (hcf !== 1) {
+        const check = `${top} × ${denominator} = ${bottom} × ${numerator}`;
+        steps.push({ operation: 'check', calculation: check, description: `Check by cross-multiplying: ${check}.` });
+    }
+
+    return {
+        kind: 'fraction',
+        steps,
+        answer: bottom === 1 ? String(top) : `${top}/${bottom}`,
+        explanation: 'Divide the top and bottom by their highest common factor.',
+    };
+}
+
+// ----- Units -----
+
+function convertUnits({ value, from, to }) {
+    const amount = scaled(value);
+    const [fromDimension, fromFactor] = UNITS[from];
+    const [toDimension, toFactor] = UNITS[to];
+    const given = formatQuantity(value, from);
+
+    if (fromDimension !== toDimension) {
+        return {
+            kind: 'conversion',
+            steps: [{
+                operation: 'incompatible',
+                description: `${UNIT_NAMES[from]} measure ${fromDimension} and ${UNIT_NAMES[to]} measure ${toDimension}, so one cannot be changed into the other.`,
+            }],
+            answer: null,
+            explanation: 'Only units that measure the same thing can be converted.',
+        };
+    }
+
+    if (from === to) {
+        return {
+            kind: 'conversion',
+            steps: [{ operation: 'same-unit', description: `Both are ${UNIT_NAMES[to]}, so nothing changes.` }],
+            answer: given,
+            explanation: 'The units are the same.',
+        };
+    }
+
+    const bigger = fromFactor > toFactor;
+    const factor = Math.round(bigger ? fromFactor / toFactor : toFactor / fromFactor);
+    const [big, small] = bigger ? [from, to] : [to, from];
+    const steps = [
+        {
+            operation: 'unit-fact',
+            factor,
+            description: `1 ${formatUnit(big)} = ${factor} ${formatUnit(small)}.`,
+        },
+        {
+            operation: 'direction',
+            description: bigger
+                ? `${capitalize(UNIT_NAMES[to])} are smaller, so there will be more of them: multiply by ${factor}.`
+                : `${capitalize(UNIT_NAMES[to])} are bigger, so there will be fewer of them: divide by ${factor}.`,
+        },
+    ];
+
+    let result;
+    let approximate = false;
+    const power = Math.log10(factor);
+    if (Number.isInteger(power)) {
+        result = bigger
+            ? amount.scale >= power
+                ? { int: amount.int, scale: amount.scale - power }
+                : { int: amount.int * 10 ** (power - amount.scale), scale: 0 }
+            : { int: amount.int, scale: amount.scale + power };
+        const symbol = bigger ? '×' : '÷';
+        steps.push({
+            operation: 'shift',
+            calculation: `${formatNumber(amount)} ${symbol} ${factor} = ${formatNumber(result)}`,
+            description: `${bigger ? 'Multiplying' : 'Dividing'} by ${factor} moves each digit ${power} ${power === 1 ? 'place' : 'places'} `
+                + `${bigger ? 'to the left' : 'to the right'}: ${formatNumber(amount)} ${symbol} ${factor} = ${formatNumber(result)}.`,
+        });
+    } else {
+        const work = bigger
+            ? longMultiplication(amount, { int: factor, scale: 0 })
+            : longDivision(amount, { int: factor, scale: 0 }, { exact: true });
+        if (!work) return null;
+        steps.push(...work.steps);
+        result = work.result;
+        approximate = Boolean(work.approximate);
+    }
+
+    const answer = formatQuantity(formatNumber(result), to);
+    if (!approximate) {
+        const check = `${formatNumber(result)} ${bigger ? '÷' : '×'} ${factor} = ${formatNumber(amount)}`;
+        steps.push({ operation: 'check', calculation: check, description: `Check by converting back: ${check}.` });
+    }
+    steps.push({ operation: 'answer', description: `So ${given} = ${approximate ? 'about ' : ''}${answer}.` });
+
+    return {
+        kind: 'conversion',
+        steps,
+        answer,
+        approximate,
+        explanation: `To change to a smaller unit multiply; to change to a bigger unit divide.`,
+    };
+}
+
+// ----- Answer checks (BigInt rationals, independent of the working above) -----
+
+function checkAnswer(solution) {
+    const { input, answer } = solution;
+
+    if (input.kind === 'fraction') {
+        if (answer === null) return 'No answer';
+        const [top, bottom = '1'] = answer.split('/');
+        const [n, d] = [BigInt(top), BigInt(bottom)];
+        if (n * BigInt(input.denominator) !== d * BigInt(input.numerator)) return `${answer} is not equal to ${input.numerator}/${input.denominator}`;
+        if (n !== 0n && gcd(n, d) !== 1n) return `${answer} is not in simplest form`;
+        return null;
+    }
+
+    if (input.kind === 'conversion') {
+        const [fromDimension, fromFactor] = UNITS[input.from];
+        const [toDimension, toFactor] = UNITS[input.to];
+        if (fromDimension !== toDimension) return answer === null ? null : 'Converted between different kinds of unit';
+        const expected = divide(multiply(rational(input.value), rational(fromFactor)), rational(toFactor));
+        return matchesNumber(answer, expected, solution.approximate) ? null : `${answer} is not ${input.value} ${input.from} in ${input.to}`;
+    }
+
+    const expected = evaluate(input.tokens.join(' '));
+    if (expected === null) return answer === null ? null : 'Division by zero has no answer';
+    if (answer === null) return 'No answer';
+
+    if (solution.remainder !== undefined) {
+        const [dividend, divisor] = [rational(input.tokens[0]), rational(input.tokens[2])];
+        const q = BigInt(answer.split(' ')[0]);
+        const r = BigInt(solution.remainder);
+        const ok = dividend.d === 1n && divisor.d === 1n && q * divisor.n + r === dividend.n && r >= 0n && r < divisor.n;
+        return ok ? null : `${answer} is not ${input.tokens.join(' ')}`;
+    }
+    return matchesNumber(answer, expected, solution.approximate) ? null : `${answer} is not ${input.tokens.join(' ')}`;
+}
+
+function matchesNumber(answer, expected, approximate) {
+    const number = String(answer).match(/-?\d+(?:\.\d+)?/);
+    if (!number) return false;
+    return equal(rational(number[0]), expected) || Boolean(approximate && roundsTo(expected, number[0], DIVISION_DECIMALS));
+}
+
+// Evaluate each "a = b = c" statement in a calculation; the last side of the last statement is its result
+function checkStatements(text) {
+    const source = normalizeDigits(String(text ?? ''))
+        .replace(/(\d),(?=\d)/g, '$1')
+        .replace(/[−–]/g, '-');
+    let valid = null;
+    let last = null;
+
+    for (const statement of source.split(/[;,]|\band\b/)) {
+        const sides = statement.split(/=|≈/).map(side => side.trim());
+        if (sides.length < 2) continue;
+
+        const values = sides.map(readSide);
+        if (values.some(value => value === undefined)) continue;
+
+        const [first, ...rest] = values;
+        const ok = first !== null && rest.every(value => value !== null && sidesMatch(first, value));
+        valid = ok && valid !== false;
+        if (ok) {
+            const end = values.at(-1);
+            last = end.remainder ? end.quotient : end.value;
+        }
+    }
+    return { valid, last };
+}
+
+// A side is a value { value, literal }, a quotient with remainder, null (÷ 0) or undefined (not arithmetic)
+function readSide(side) {
+    const remainder = side.match(/^(\d+)\s*(?:remainder|rem|r)\s*(\d+)$/i);
+    if (remainder) return { remainder: true, quotient: rational(remainder[1]), rest: rational(remainder[2]) };
+
+    const division = side.match(/^(\d+)\s*[÷/]\s*(\d+)$/);
+    const expression = side
+        .replace(/(\d+)\s+(\d+)\s*\/\s*(\d+)/g, '($1 + $2 / $3)')
+        .replace(/(\d)\s*x\s*(?=\d)/gi, '$1 * ')
+        .replace(/[₹%°]|\brs\.?/gi, ' ')
+        .replace(/[\p{L}\p{M}]+/gu, ' ')
+        .trim();
+    if (!expression) return undefined;
+
+    const value = evaluate(expression);
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    return {
+        value,
+        literal: /^\d+\.\d+$/.test(expression) ? expression : null,
+        division: division ? [BigInt(division[1]), BigInt(division[2])] : null,
+    };
+}
+
+function sidesMatch(a, b) {
+    if (a.remainder || b.remainder) {
+        const [sum, quotient] = a.remainder ? [b, a] : [a, b];
+        if (sum.remainder || !sum.division) return false;
+        const [dividend, divisor] = sum.division;
+        const q = quotient.quotient.n;
+        const r = quotient.rest.n;
+        return divisor !== 0n && q * divisor + r === dividend && r < divisor;
+    }
+    if (equal(a.value, b.value)) return true;
+    // Written rounded: "10 ÷ 3 = 3.33"
+    return Boolean((b.literal && roundsTo(a.value, b.literal)) || (a.literal && roundsTo(b.value, a.literal)));
+}
+
+// Whether `exact` rounds to the decimal text `written` (at its number of decimal places, or at least `minimum`)
+function roundsTo(exact, written, minimum = 1) {
+    const places = BigInt(Math.max((String(written).split('.')[1] || '').length, minimum));
+    if (places === 0n) return false;
+    const scale = 10n ** places;
+    const sign = exact.n < 0n ? -1n : 1n;
+    const rounded = sign * ((sign * exact.n * scale * 2n + exact.d) / (2n * exact.d));
+    return equal(reduce(rounded, scale), rational(written));
+}
+
+/**
+ * Exact value of an arithmetic expression (numbers, + - × * ÷ /, brackets)
+ * @returns {Object|null|undefined} - { n, d } BigInt rational, null for division by 0, undefined if not arithmetic
+ */
+function evaluate(text) {
+    const tokens = String(text).replace(/×/g, '*').replace(/÷/g, '/').replace(/−/g, '-')
+        .match(/\d+(?:\.\d+)?|\.\d+|[-+*/()]|\S/g) || [];
+    let position = 0;
+    let divisionByZero = false;
+
+    const peek = () => tokens[position];
+    const factor = () => {
+        const token = tokens[position++];
+        if (token === '-') {
+            const value = factor();
+            return value && negate(value);
+        }
+        if (token === '(') {
+            const value = sum();
+            return tokens[position++] === ')' ? value : undefined;
+        }
+        return token !== undefined && /^[\d.]/.test(token) ? rational(token) : undefined;
+    };
+    const product = () => {
+        let value = factor();
+        while (value && (peek() === '*' || peek() === '/')) {
+            const op = tokens[position++];
+            const right = factor();
+            if (!right) return undefined;
+            if (op === '/' && right.n === 0n) {
+                divisionByZero = true;
+                return undefined;
+            }
+            value = op === '*' ? multiply(value, right) : divide(value, right);
+        }
+        return value;
+    };
+    const sum = () => {
+        let value = product();
+        while (value && (peek() === '+' || peek() === '-')) {
+            const op = tokens[position++];
+            const right = product();
+            if (!right) return undefined;
+            value = op === '+' ? add(value, right) : add(value, negate(right));
+        }
+        return value;
+    };
+
+    const value = tokens.length ? sum() : undefined;
+    if (divisionByZero) return null;
+    return value && position === tokens.length ? value : undefined;
+}
+
+function rational(value) {
+    const [whole, fraction = ''] = String(value).replace(/^-/, '').split('.');
+    const n = BigInt(`${whole || '0'}${fraction}`);
+    return reduce(String(value).startsWith('-') ? -n : n, 10n ** BigInt(fraction.length));
+}
+
+function reduce(n, d) {
+    const divisor = gcd(n < 0n ? -n : n, d) || 1n;
+    return { n: n / divisor, d: d / divisor };
+}
+
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+const add = (a, b) => reduce(a.n * b.d + b.n * a.d, a.d * b.d);
+const multiply = (a, b) => reduce(a.n * b.n, a.d * b.d);
+const divide = (a, b) => (b.n < 0n ? reduce(-a.n * b.d, a.d * -b.n) : reduce(a.n * b.d, a.d * b.n));
+const negate = a => ({ n: -a.n, d: a.d });
+const equal = (a, b) => a.n === b.n && a.d === b.d;
+
+// ----- Numbers -----
+
+// Decimal text as an integer and a count of decimal places ("2.50" -> { int: 250, scale: 2 })
+function scaled(text) {
+    const [whole, fraction = ''] = String(text).split('.');
+    return { int: Number(`${whole}${fraction}`), scale: fraction.length };
+}
+
+function rescale(number, scale) {
+    return { int: number.int * 10 ** (scale - number.scale), scale };
+}
+
+function compare(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    return Math.sign(rescale(a, scale).int - rescale(b, scale).int);
+}
+
+function formatNumber({ int, scale }) {
+    if (!scale) return String(int);
+    const digits = String(Math.abs(int)).padStart(scale + 1, '0');
+    const text = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`.replace(/\.?0+$/, '');
+    return int < 0 ? `-${text}` : text;
+}
+
+// "007.50" -> "7.5", ".5" -> "0.5"
+function cleanNumber(text) {
+    return formatNumber(scaled(text.startsWith('.') ? `0${text}` : text));
+}
+
+// Unit after "1" ("1 rupee = 100 paise", "1 day = 24 h")
+function formatUnit(unit) {
+    return { rs: 'rupee', day: 'day' }[unit] || UNIT_DISPLAY[unit] || unit;
+}
+
+// Numeric value of an answer: "42", "2/3", "₹5", "2500 m", "6 remainder 3" (the quotient)
+function answerValue(answer) {
+    if (answer === null) return null;
+    const fraction = answer.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+    return Number(answer.match(/-?\d+(?:\.\d+)?/)[0]);
+}
+
+function formatQuantity(value, unit) {
+    if (unit === 'rs') return `₹${value}`;
+    if (unit === 'percent') return `${value}%`;
+    if (unit === 'deg') return `${value}°`;
+    return `${value} ${UNIT_DISPLAY[unit] || unit}`;
+}
+
+function placeName(position) {
+    if (position >= 0) return PLACES[position] || `10^${position}`;
+    return DECIMAL_PLACES[-position - 1] || `10^${position}`;
+}
+
+function decimalPointStep(context) {
+    return {
+        operation: 'decimal-point',
+        description: context === 'division'
+            ? 'Put the decimal point in the answer, straight above the decimal point of the number being divided.'
+            : 'Put the decimal point in the answer, in line with the decimal points above.',
+    };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function describeInput(input) {
+    if (input.kind === 'fraction') return `Simplify ${input.numerator}/${input.denominator}`;
+    if (input.kind === 'conversion') return `Convert ${formatQuantity(input.value, input.from)} to ${UNIT_NAMES[input.to]}`;
+    return input.tokens.map(token => SYMBOLS[token] || token).join(' ');
+}
+
+export default {
+    parseProblem,
+    solveArithmetic,
+    verifySolution,
+    checkCalculation,
+    checkSteps,
+    numbersPreserved,
+};
@@ -0,0 +1,395 @@
+/**
+ * Writing Rubrics
+ * Grade-appropriate rubrics for scoring student writing, plus the bookkeeping around a scored piece:
+ * clamping criterion scores, anchoring inline suggestions to the text and comparing revisions.
+ */
+
+// Criteria a rubric can score; handwriting can only be judged from the teacher's notes on the paper copy
+export const WRITING_CRITERIA = ['ideas', 'organization', 'vocabulary', 'spelling', 'grammar', 'handwriting'];
+
+export const MAX_CRITERIA = 10;
+export const MAX_SUGGESTIONS = 20;
+
+// Change in a criterion (percentage points of its maximum) that counts as improving or declining
+const TREND_THRESHOLD = 10;
+
+const criterion = (id, name, levels, options = {}) => ({
+    id,
+    name,
+    maxScore: levels.length,
+    weight: 1,
+    scoredFrom: id === 'handwriting' ? 'teacher-notes' : 'text',
+    levels,
+    ...options,
+});
+
+/**
+ * Built-in rubrics by grade band; each level describes the score it sits at (levels[0] is 1)
+ */
+export const DEFAULT_RUBRICS = [
+    {
+        id: 'default-grades-1-2',
+        name: 'Early writing (grades 1-2)',
+        gradeMin: 1,
+        gradeMax: 2,
+        criteria: [
+            criterion('ideas', 'Ideas', [
+                'Draws or writes a few words about the topic',
+                'Writes one idea about the topic',
+                'Writes two or three ideas about the topic',
+                'Writes several ideas with a small detail',
+            ]),
+            criterion('organization', 'Organization', [
+                'Words are not yet in sentences',
+                'Writes one sentence',
+                'Writes sentences in an order that makes sense',
+                'Has a beginning and an end',
+            ]),
+            criterion('vocabulary', 'Vocabulary', [
+                'Uses very few words',
+                'Uses familiar everyday words',
+                'Uses some describing words',
+                'Tries new or interesting words',
+            ]),
+            criterion('spelling', 'Spelling', [
+                'Writes some letters for sounds',
+                'Spells simple words by their sounds',
+                'Spells most common words correctly',
+                'Spells common words and some harder words correctly',
+            ]),
+            criterion('grammar', 'Sentences and punctuation', [
+                'Sentences are not yet marked',
+                'Sometimes uses capital letters or full stops',
+                'Most sentences start with a capital letter and end with a full stop',
+                'Sentences are complete and correctly marked',
+            ]),
+            criterion('handwriting', 'Handwriting', [
+                'Letters are hard to read',
+                'Most letters are formed correctly',
+                'Letters are clear with spaces between words',
+                'Letters are clear, even and on the line',
+            ]),
+        ],
+    },
+    {
+        id: 'default-grades-3-5',
+        name: 'Primary writing (grades 3-5)',
+        gradeMin: 3,
+        gradeMax: 5,
+        criteria: [
+            criterion('ideas', 'Ideas', [
+                'Ideas are unclear or off the topic',
+                'Main idea is clear but has little detail',
+                'Main idea is supported with some details or examples',
+                'Ideas are clear, interesting and well supported',
+            ]),
+            criterion('organization', 'Organization', [
+                'Sentences are not in a clear order',
+                'Has some order but jumps between ideas',
+                'Has a beginning, middle and end',
+                'Ideas flow in paragraphs with linking words',
+            ]),
+            criterion('vocabulary', 'Vocabulary', [
+                'Repeats the same few words',
+                'Uses simple, correct words',
+                'Uses some precise and describing words',
+                'Chooses varied words that suit the topic',
+            ]),
+            criterion('spelling', 'Spelling', [
+                'Many common words are misspelt',
+                'Some common words are misspelt',
+                'Common words are correct; a few harder words are misspelt',
+                'Almost all words are spelt correctly',
+            ]),
+            criterion('grammar', 'Grammar and punctuation', [
+                'Errors make the writing hard to follow',
+                'Frequent errors in tense, agreement or punctuation',
+                'A few errors that do not affect meaning',
+                'Grammar and punctuation are nearly always correct',
+            ]),
+            criterion('handwriting', 'Handwriting and presentation', [
+                'Hard to read',
+                'Readable, with uneven letters or spacing',
+                'Neat and readable',
+                'Neat, joined where taught, and well laid out',
+            ]),
+        ],
+    },
+    {
+        id: 'default-grades-6-8',
+        name: 'Upper primary writing (grades 6-8)',
+        gradeMin: 6,
+        gradeMax: 8,
+        criteria: [
+            criterion('ideas', 'Ideas and content', [
+                'Ideas are thin or do not answer the task',
+                'Answers the task with general ideas',
+                'Develops ideas with relevant details and examples',
+                'Develops ideas thoughtfully with a clear point of view',
+            ]),
+            criterion('organization', 'Organization', [
+                'No clear structure',
+                'Some structure; paragraphs are uneven',
+                'Clear introduction, body and conclusion with paragraphs',
+                'Well-linked paragraphs that build to a conclusion',
+            ]),
+            criterion('vocabulary', 'Vocabulary and style', [
+                'Limited, repetitive words',
+                'Adequate everyday vocabulary',
+                'Varied vocabulary with some precise choices',
+                'Precise, varied vocabulary suited to the purpose',
+            ]),
+            criterion('spelling', 'Spelling', [
+                'Frequent spelling errors',
+                'Errors in some common and harder words',
+                'Occasional errors in harder words',
+                'Spelling is accurate throughout',
+            ]),
+            criterion('grammar', 'Grammar and punctuation', [
+                'Frequent errors that obscure meaning',
+                'Errors in sentence structure or punctuation',
+                'Mostly accurate, with varied sentences',
+                'Accurate grammar and punctuation in varied sentences',
+            ]),
+            criterion('handwriting', 'Handwriting and presentation', [
+                'Hard to read',
+                'Readable but untidy',
+                'Neat and consistent',
+                'Fluent, neat and well presented',
+            ]),
+        ],
+    },
+];
+
+/**
+ * Built-in rubric for a grade (grades above 8 use the highest band)
+ */
+export function defaultRubric(grade) {
+    const g = parseInt(grade) || 3;
+    return DEFAULT_RUBRICS.find(rubric => g >= rubric.gradeMin && g <= rubric.gradeMax)
+        || (g < 1 ? DEFAULT_RUBRICS[0] : DEFAULT_RUBRICS[DEFAULT_RUBRICS.length - 1]);
+}
+
+/**
+ * Fill in criterion defaults (maxScore from levels or 4, weight 1, scoredFrom text)
+ */
+export function normalizeRubric(rubric) {
+    return {
+        ...rubric,
+        criteria: (rubric.criteria || []).map(c => ({
+            id: String(c.id || '').trim().toLowerCase(),
+            name: c.name || c.id,
+            maxScore: parseInt(c.maxScore) || (Array.isArray(c.levels) && c.levels.length) || 4,
+            weight: c.weight === undefined ? 1 : Number(c.weight),
+            scoredFrom: c.scoredFrom || (c.id === 'handwriting' ? 'teacher-notes' : 'text'),
+            levels: Array.isArray(c.levels) ? c.levels.map(String) : [],
+        })),
+    };
+}
+
+/**
+ * Check a teacher's rubric
+ * @param {Object} rubric - { name, gradeMin, gradeMax, criteria: [{ id, name, maxScore, weight, scoredFrom, levels }] }
+ * @returns {string|null} - Problem, or null when valid
+ */
+export function validateRubric(rubric) {
+    if (!rubric || !rubric.name) return 'name is required';
+
+    const { gradeMin, gradeMax } = rubric;
+    if (!Number.isInteger(gradeMin) || !Number.isInteger(gradeMax) || gradeMin < 1 || gradeMax > 12 || gradeMin > gradeMax) {
+        return 'gradeMin and gradeMax must be grades from 1 to 12, with gradeMin <= gradeMax';
+    }
+
+    const { criteria } = normalizeRubric(rubric);
+    if (criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+        return `criteria must list 1 to ${MAX_CRITERIA} criteria`;
+    }
+
+    const seen = new Set();
+    for (const c of criteria) {
+        if (!/^[a-z][a-z0-9-]*$/.test(c.id)) return `criterion id "${c.id}" must be lowercase letters, digits and dashes`;
+        if (seen.has(c.id)) return `criterion "${c.id}" is listed twice`;
+        seen.add(c.id);
+        if (!Number.isInteger(c.maxScore) || c.maxScore < 2 || c.maxScore > 10) return `${c.id}: maxScore must be 2 to 10`;
+        if (!(c.weight > 0 && c.weight <= 5)) return `${c.id}: weight must be above 0 and at most 5`;
+        if (!['text', 'teacher-notes'].includes(c.scoredFrom)) return `${c.id}: scoredFrom must be text or teacher-notes`;
+        if (c.levels.length > 0 && c.levels.length !== c.maxScore) return `${c.id}: give one level description per score (${c.maxScore})`;
+    }
+    return null;
+}
+
+/**
+ * Turn raw criterion scores into a scored rubric
+ * Scores are rounded and clamped to 1..maxScore; criteria judged from teacher notes are left unscored
+ * without notes, and unscored criteria don't count towards the total.
+ * @param {Object} rubric - Normalized rubric
+ * @param {Object} raw - { criterionId: { score, comment } }
+ * @param {Object} options - { handwritingNotes }
+ * @returns {Object} - { criteria: [{ id, name, score, maxScore, weight, level, comment }], score, maxScore, percentage }
+ */
+export function scoreWriting(rubric, raw = {}, { handwritingNotes } = {}) {
+    const criteria = rubric.criteria.map(c => {
+        const given = raw[c.id] || {};
+        const value = Number(given.score);
+        const scorable = c.scoredFrom === 'text' || !!handwritingNotes || given.byTeacher;
+        const score = scorable && given.score !== null && given.score !== undefined && Number.isFinite(value)
+            ? Math.min(Math.max(Math.round(value), 1), c.maxScore)
+            : null;
+
+        return {
+            id: c.id,
+            name: c.name,
+            score,
+            maxScore: c.maxScore,
+            weight: c.weight,
+            level: score !== null ? c.levels[score - 1] || null : null,
+            comment: score !== null ? given.comment || '' : '',
+        };
+    });
+
+    const scored = criteria.filter(c => c.score !== null);
+    const score = scored.reduce((sum, c) => sum + c.score * c.weight, 0);
+    const maxScore = scored.reduce((sum, c) => sum + c.maxScore * c.weight, 0);
+
+    return {
+        criteria,
+        score: Math.round(score * 100) / 100,
+        maxScore: Math.round(maxScore * 100) / 100,
+        percentage: maxScore > 0 ? Math.round((score / maxScore) * 1000) / 10 : null,
+    };
+}
+
+/**
+ * Pin suggestions to the text: each takes the first whole-word occurrence of its `original` that no earlier
+ * suggestion has taken, and suggestions that can't be found or change nothing are dropped
+ * @param {Array} suggestions - [{ original, suggestion, reason, criterion }]
+ * @returns {Array} - [{ original, suggestion, reason, criterion, start, end }] in text order
+ */
+export function anchorSuggestions(text, suggestions = [], criterionIds = WRITING_CRITERIA) {
+    const anchored = [];
+    const taken = [];
+
+    for (const s of suggestions) {
+        const original = String(s?.original || '');
+        if (!original.trim() || original === s.suggestion) continue;
+
+        const free = at => !taken.some(([a, b]) => at < b && at + original.length > a);
+        const start = findWhole(text, original, free);
+        if (start === -1) continue;
+
+        const end = start + original.length;
+        taken.push([start, end]);
+        anchored.push({
+            original,
+            suggestion: String(s.suggestion ?? ''),
+            reason: s.reason || '',
+            criterion: criterionIds.includes(s.criterion) ? s.criterion : null,
+            start,
+            end,
+        });
+        if (anchored.length === MAX_SUGGESTIONS) break;
+    }
+
+    return anchored.sort((a, b) => a.start - b.start);
+}
+
+// Next occurrence of a phrase that doesn't start or end inside a word ("i" is not the i in "is")
+function findWhole(text, phrase, accept) {
+    const letter = /[\p{L}\p{M}\p{N}]/u;
+    for (let at = text.indexOf(phrase); at !== -1; at = text.indexOf(phrase, at + 1)) {
+        const cutsBefore = letter.test(phrase[0]) && letter.test(text[at - 1] || '');
+        const cutsAfter = letter.test(phrase[phrase.length - 1]) && letter.test(text[at + phrase.length] || '');
+        if (!cutsBefore && !cutsAfter && accept(at)) return at;
+    }
+    return -1;
+}
+
+/**
+ * Word, sentence and paragraph counts (Indic danda counts as a sentence end)
+ */
+export function writingStats(text = '') {
+    const words = text.match(/[\p{L}\p{M}\p{N}'’-]+/gu) || [];
+    const sentences = text.split(/[.!?।॥]+/).filter(s => s.trim()).length;
+    return {
+        words: words.length,
+        uniqueWords: new Set(words.map(w => w.toLowerCase())).size,
+        sentences,
+        paragraphs: text.split(/\n\s*\n/).filter(p => p.trim()).length,
+        averageSentenceLength: sentences > 0 ? Math.round((words.length / sentences) * 10) / 10 : 0,
+    };
+}
+
+/**
+ * What changed between two scored revisions of a piece
+ * @returns {Object} - { scoreChange, percentageChange, wordsChange, criteria: [{ id, name, from, to, change }] }
+ */
+export function compareRevisions(previous, current) {
+    const before = Object.fromEntries(previous.scores.criteria.map(c => [c.id, c]));
+    return {
+        scoreChange: Math.round((current.scores.score - previous.scores.score) * 100) / 100,
+        percentageChange: current.scores.percentage !== null && previous.scores.percentage !== null
+            ? Math.round((current.scores.percentage - previous.scores.percentage) * 10) / 10
+            : null,
+        wordsChange: writingStats(current.text).words - writingStats(previous.text).words,
+        criteria: current.scores.criteria
+            .filter(c => before[c.id])
+            .map(c => ({
+                id: c.id,
+                name: c.name,
+                from: before[c.id].score,
+                to: c.score,
+                change: c.score !== null && before[c.id].score !== null ? c.score - before[c.id].score : null,
+            })),
+    };
+}
+
+/**
+ * A student's writing over a term, from the latest revision of each piece (oldest first)
+ * Criteria are compared as a share of their maximum, so pieces scored on different rubrics line up.
+ * @returns {Object} - { pieces, criteria: [{ id, name, first, latest, average, trend }], percentage: { first, latest, average } }
+ */
+export function summarizeWritingProgress(pieces) {
+    const byCriterion = {};
+    for (const piece of pieces) {
+        for (const c of piece.scores.criteria) {
+            if (c.score === null) continue;
+            (byCriterion[c.id] = byCriterion[c.id] || { id: c.id, name: c.name, values: [] })
+                .values.push(Math.round((c.score / c.maxScore) * 100));
+        }
+    }
+
+    const describe = values => {
+        const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const change = values[values.length - 1] - values[0];
+        return {
+            first: values[0],
+            latest: values[values.length - 1],
+            average: Math.round(average * 10) / 10,
+            trend: values.length < 2 ? 'new'
+                : change >= TREND_THRESHOLD ? 'improving'
+                    : change <= -TREND_THRESHOLD ? 'declining' : 'steady',
+        };
+    };
+
+    const percentages = pieces.map(p => p.scores.percentage).filter(p => p !== null);
+    return {
+        pieces: pieces.length,
+        criteria: Object.values(byCriterion).map(({ id, name, values }) => ({ id, name, ...describe(values) })),
+        percentage: percentages.length > 0 ? describe(percentages) : null,
+    };
+}
+
+export default {
+    WRITING_CRITERIA,
+    DEFAULT_RUBRICS,
+    MAX_CRITERIA,
+    MAX_SUGGESTIONS,
+    defaultRubric,
+    normalizeRubric,
+    validateRubric,
+    scoreWriting,
+    anchorSuggestions,
+    writingStats,
+    compareRevisions,
+    summarizeWritingProgress,
+};